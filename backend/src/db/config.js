@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
 const isSupabase = process.env.DB_HOST?.includes('supabase') || process.env.DB_HOST?.includes('pooler');
 
@@ -71,8 +71,12 @@ const getClient = async () => {
   return client;
 };
 
+// A connection of its own, outside the pool, for long-lived LISTEN sessions
+const createDedicatedClient = () => new Client(poolConfig);
+
 module.exports = {
   pool,
   query,
-  getClient
+  getClient,
+  createDedicatedClient
 };
@@ -0,0 +1,42 @@
+-- Migration v13: Per-practice SMS provider selection
+-- Lets each practice choose which carrier sends and receives its SMS
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD sms_provider TO settings
+-- ================================================
+
+-- sms_provider: Which carrier handles this practice's SMS
+-- Values: 'notifyre', 'vonage', 'sandbox' (local file/console, no real SMS)
+-- NULL falls back to the SMS_PROVIDER environment variable (default: notifyre)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'sms_provider'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN sms_provider VARCHAR(30) DEFAULT 'notifyre';
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.sms_provider IS 'SMS provider: notifyre, vonage, sandbox';
+COMMENT ON COLUMN messages.provider IS 'SMS provider that sent or received the message: notifyre, vonage, sandbox';
+
+-- ================================================
+-- STEP 3: BACKFILL EXISTING DATA
+-- ================================================
+
+UPDATE settings
+SET sms_provider = 'notifyre'
+WHERE sms_provider IS NULL;
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT sms_provider, COUNT(*) FROM settings GROUP BY sms_provider;
@@ -0,0 +1,44 @@
+-- Migration v14: SMS provider failover
+-- Lets each practice list backup carriers that take over when its primary fails
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD sms_failover_providers TO settings
+-- ================================================
+
+-- sms_failover_providers: Ordered list of backup carriers, tried after sms_provider
+-- Example: [{"provider": "vonage", "fromNumber": "+61481073412"}]
+-- fromNumber NULL falls back to the provider's *_FROM_NUMBER environment variable
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'sms_failover_providers'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN sms_failover_providers JSONB DEFAULT '[]'::jsonb;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.sms_failover_providers IS 'Ordered backup SMS providers: [{provider, fromNumber}]';
+COMMENT ON COLUMN messages.provider IS 'SMS provider that actually sent or received the message (after failover): notifyre, vonage, sandbox';
+
+-- ================================================
+-- STEP 3: BACKFILL EXISTING DATA
+-- ================================================
+
+UPDATE settings
+SET sms_failover_providers = '[]'::jsonb
+WHERE sms_failover_providers IS NULL;
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, sms_provider, sms_failover_providers FROM settings
+-- WHERE jsonb_array_length(sms_failover_providers) > 0;
+-- SELECT provider, COUNT(*) FROM messages WHERE sender = 'ai' GROUP BY provider;
@@ -0,0 +1,70 @@
+-- Migration v15: Durable SMS outbox
+-- Outbound SMS are queued here and sent by the 'sms-outbox' scheduler job
+-- instead of inline inside the PBX / SMS webhook request
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE sms_outbox TABLE
+-- ================================================
+
+-- status lifecycle:
+--   pending -> sending -> sent
+--   pending -> sending -> pending (retry after backoff)
+--   pending -> sending -> dead    (permanent failure or max_attempts reached)
+CREATE TABLE IF NOT EXISTS sms_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  call_id UUID REFERENCES calls(id) ON DELETE SET NULL,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  to_phone VARCHAR(50) NOT NULL,
+  content TEXT NOT NULL,
+  context VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  provider VARCHAR(50),
+  external_message_id VARCHAR(255),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  dead_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ================================================
+-- STEP 2: ADD INDEXES
+-- ================================================
+
+-- Worker claim query: due pending rows (and stale 'sending' rows)
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_due
+ON sms_outbox(next_attempt_at)
+WHERE status IN ('pending', 'sending');
+
+-- Admin dead-letter view
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_dead
+ON sms_outbox(dead_at DESC)
+WHERE status = 'dead';
+
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_user
+ON sms_outbox(user_id, created_at DESC);
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE sms_outbox IS 'Outbound SMS queue drained by the sms-outbox job';
+COMMENT ON COLUMN sms_outbox.status IS 'Queue status: pending, sending, sent, dead';
+COMMENT ON COLUMN sms_outbox.message_id IS 'messages row updated with provider and delivery status once sent';
+COMMENT ON COLUMN sms_outbox.locked_at IS 'When a worker claimed the row; stale locks are reclaimed';
+COMMENT ON COLUMN sms_outbox.last_error IS 'Error from the most recent failed attempt';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT status, COUNT(*) FROM sms_outbox GROUP BY status;
+-- SELECT id, to_phone, attempts, last_error, dead_at FROM sms_outbox WHERE status = 'dead' ORDER BY dead_at DESC;
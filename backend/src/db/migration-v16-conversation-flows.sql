@@ -0,0 +1,56 @@
+-- Migration v16: Configurable SMS conversation flows
+-- Lets each practice define its own multi-step SMS flow
+-- (e.g. new vs existing patient -> preferred day -> health fund)
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD conversation_flow TO settings
+-- ================================================
+
+-- conversation_flow: Flow definition, validated by the API before saving
+-- {
+--   "name": "New patient intake",
+--   "startStep": "patient_type",
+--   "steps": {
+--     "patient_type": {
+--       "message": "Hi! This is {practiceName}. Are you a new or existing patient? Reply 1 for new, 2 for existing.",
+--       "answerKey": "patientType",
+--       "options": [
+--         { "replies": ["1"], "keywords": ["new"], "value": "new", "next": "preferred_day" },
+--         { "replies": ["2"], "keywords": ["existing"], "value": "existing", "next": "preferred_day" }
+--       ]
+--     },
+--     "preferred_day": {
+--       "message": "Which day suits you best?",
+--       "answerKey": "preferredDay",
+--       "leadField": "preferred_time",
+--       "freeText": { "next": null }
+--     }
+--   },
+--   "completeMessage": "Thanks! We'll call you back shortly. - {practiceName}"
+-- }
+-- NULL = built-in default flow (Reply 1 appointment / 2 other)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'conversation_flow'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN conversation_flow JSONB;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.conversation_flow IS 'Custom SMS conversation flow definition; NULL uses the default 1/2 flow';
+COMMENT ON COLUMN conversations.state_data IS 'Flow progress: {step, answers}; after completion {callbackType, classifiedAt, answers}';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, conversation_flow->>'name' FROM settings WHERE conversation_flow IS NOT NULL;
+-- SELECT id, status, state_data FROM conversations ORDER BY created_at DESC LIMIT 20;
@@ -0,0 +1,98 @@
+-- Migration v17: Two-way Google Calendar sync
+-- Pulls changes made directly in the practice calendar back into SmileDesk
+-- (moved/deleted appointments, new blocked time) and flags overlaps
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: SYNC STATE ON settings
+-- ================================================
+
+-- google_sync_token: nextSyncToken from the last events.list; NULL forces a full sync
+-- google_last_synced_at: When the calendar-sync job last completed for this practice
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'google_sync_token'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN google_sync_token TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'google_last_synced_at'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN google_last_synced_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: CONFLICT FLAGS ON appointments
+-- ================================================
+
+-- conflict_with: Other appointments / calendar blocks this appointment overlaps
+-- [{ "type": "appointment", "id": "...", "label": "Jane Smith 10:00 AM" },
+--  { "type": "block", "id": "...", "label": "Staff meeting" }]
+-- Empty array = no conflict
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'appointments' AND column_name = 'conflict_with'
+  ) THEN
+    ALTER TABLE appointments ADD COLUMN conflict_with JSONB NOT NULL DEFAULT '[]'::jsonb;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'appointments' AND column_name = 'conflict_detected_at'
+  ) THEN
+    ALTER TABLE appointments ADD COLUMN conflict_detected_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_google_event
+  ON appointments(user_id, google_event_id)
+  WHERE google_event_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_conflicts
+  ON appointments(user_id)
+  WHERE conflict_with <> '[]'::jsonb;
+
+-- ================================================
+-- STEP 3: CREATE calendar_blocks TABLE
+-- ================================================
+
+-- Busy time created directly in the practice calendar (not a SmileDesk appointment)
+CREATE TABLE IF NOT EXISTS calendar_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  google_event_id VARCHAR(255) NOT NULL,
+  summary VARCHAR(255),
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  all_day BOOLEAN DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, google_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_blocks_user_time ON calendar_blocks(user_id, starts_at, ends_at);
+
+-- ================================================
+-- STEP 4: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.google_sync_token IS 'Google Calendar incremental sync token; NULL forces a full sync';
+COMMENT ON COLUMN settings.google_last_synced_at IS 'Last successful calendar-sync run for this practice';
+COMMENT ON COLUMN appointments.conflict_with IS 'Overlapping appointments/calendar blocks found by the calendar-sync job';
+COMMENT ON TABLE calendar_blocks IS 'Busy time from the practice Google Calendar that is not a SmileDesk appointment';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, google_last_synced_at, google_sync_token IS NOT NULL AS has_token FROM settings WHERE google_calendar_connected = true;
+-- SELECT id, patient_name, appointment_date, appointment_time, conflict_with FROM appointments WHERE conflict_with <> '[]'::jsonb;
+-- SELECT * FROM calendar_blocks ORDER BY starts_at DESC LIMIT 20;
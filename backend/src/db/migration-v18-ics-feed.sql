@@ -0,0 +1,37 @@
+-- Migration v18: iCalendar subscription feed
+-- Lets practices without Google Calendar subscribe to their appointments
+-- from Outlook / Apple Calendar via a secret URL
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD ics_feed_token TO settings
+-- ================================================
+
+-- ics_feed_token: Secret in /api/calendar/feed/<token>.ics; NULL = feed disabled
+-- Rotating it (POST /api/calendar/feed) invalidates old subscription URLs
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'ics_feed_token'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN ics_feed_token VARCHAR(64);
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_ics_feed_token
+  ON settings(ics_feed_token)
+  WHERE ics_feed_token IS NOT NULL;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.ics_feed_token IS 'Secret token for the ICS subscription feed; NULL = disabled';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, ics_feed_token IS NOT NULL AS feed_enabled FROM settings;
@@ -0,0 +1,62 @@
+-- Migration v19: Appointment reminder SMS
+-- Per-practice reminder schedule (e.g. 48h and 2h before) sent by the
+-- appointment-reminders job; patients reply C/Y to confirm or X/N to cancel
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD reminder_schedule TO settings
+-- ================================================
+
+-- reminder_schedule: [{ "hoursBefore": 48 }, { "hoursBefore": 2 }]
+-- Empty array = reminders off
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'reminder_schedule'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN reminder_schedule JSONB NOT NULL
+      DEFAULT '[{"hoursBefore": 48}, {"hoursBefore": 2}]'::jsonb;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: CREATE appointment_reminders TABLE
+-- ================================================
+
+-- One row per reminder sent. The unique key is what stops a reminder being
+-- sent twice; it includes the appointment start so a rescheduled
+-- appointment gets reminded about its new time.
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  hours_before INTEGER NOT NULL,
+  appointment_starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  to_phone VARCHAR(50) NOT NULL,
+  outbox_id UUID REFERENCES sms_outbox(id) ON DELETE SET NULL,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  -- 'confirmed' / 'cancelled' once the patient replies
+  reply VARCHAR(20),
+  replied_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (appointment_id, hours_before, appointment_starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_awaiting_reply
+  ON appointment_reminders(user_id, sent_at DESC)
+  WHERE replied_at IS NULL;
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.reminder_schedule IS 'Reminder SMS offsets before each appointment; empty = off';
+COMMENT ON TABLE appointment_reminders IS 'Reminder SMS sent per appointment and the patient''s C/X reply';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, reminder_schedule FROM settings;
+-- SELECT appointment_id, hours_before, appointment_starts_at, sent_at, reply FROM appointment_reminders ORDER BY sent_at DESC LIMIT 20;
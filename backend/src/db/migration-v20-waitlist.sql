@@ -0,0 +1,96 @@
+-- Migration v20: Waitlist and cancellation backfill
+-- Patients waiting for an earlier appointment are texted when one is
+-- cancelled; the first to reply YES gets it
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE waitlist_entries TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  patient_name VARCHAR(255) NOT NULL,
+  patient_phone VARCHAR(50) NOT NULL,
+  patient_email VARCHAR(255),
+  reason VARCHAR(255),
+  notes TEXT,
+  -- ["monday", "wednesday"]; empty = any day
+  preferred_days JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- 'HH:MM' window in the practice timezone; NULL = any time
+  preferred_time_from VARCHAR(5),
+  preferred_time_to VARCHAR(5),
+  -- Higher is offered first; ties go to whoever joined first
+  priority INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- 'waiting', 'booked', 'removed'
+  appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_waiting
+  ON waitlist_entries(user_id, priority DESC, created_at)
+  WHERE status = 'waiting';
+
+-- ================================================
+-- STEP 2: CREATE waitlist_offers TABLE
+-- ================================================
+
+-- A freed slot offered to the waitlist
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- The cancelled appointment that freed the slot
+  cancelled_appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+  slot_date DATE NOT NULL,
+  slot_time VARCHAR(20) NOT NULL,
+  duration_minutes INTEGER DEFAULT 30,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- 'open', 'filled', 'expired'
+  filled_by_entry_id UUID REFERENCES waitlist_entries(id) ON DELETE SET NULL,
+  appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  filled_at TIMESTAMP WITH TIME ZONE
+);
+
+-- One offer per freed slot at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_offers_open_slot
+  ON waitlist_offers(user_id, slot_date, slot_time)
+  WHERE status = 'open';
+
+-- ================================================
+-- STEP 3: CREATE waitlist_offer_recipients TABLE
+-- ================================================
+
+-- Who was texted about an offer, in priority order, and what they replied
+CREATE TABLE IF NOT EXISTS waitlist_offer_recipients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  offer_id UUID NOT NULL REFERENCES waitlist_offers(id) ON DELETE CASCADE,
+  entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+  to_phone VARCHAR(50) NOT NULL,
+  rank INTEGER NOT NULL,
+  outbox_id UUID REFERENCES sms_outbox(id) ON DELETE SET NULL,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  response VARCHAR(20), -- 'accepted', 'declined', 'taken'
+  responded_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (offer_id, entry_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offer_recipients_entry ON waitlist_offer_recipients(entry_id);
+
+-- ================================================
+-- STEP 4: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE waitlist_entries IS 'Patients waiting for an earlier appointment';
+COMMENT ON TABLE waitlist_offers IS 'Cancelled slots offered to the waitlist, first YES books it';
+COMMENT ON TABLE waitlist_offer_recipients IS 'Waitlisted patients texted about an offer and their reply';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT patient_name, preferred_days, preferred_time_from, preferred_time_to, priority, status FROM waitlist_entries ORDER BY priority DESC, created_at;
+-- SELECT o.slot_date, o.slot_time, o.status, COUNT(r.id) AS texted FROM waitlist_offers o LEFT JOIN waitlist_offer_recipients r ON r.offer_id = o.id GROUP BY o.id ORDER BY o.created_at DESC;
@@ -0,0 +1,58 @@
+-- Migration v21: PBX webhook authentication
+-- Every /api/pbx/missed-call/* webhook must carry the practice's secret token,
+-- plus the PBX's own signature when one is configured (RingCentral
+-- verification token, Zoom secret token, Dialpad JWT secret)
+--
+-- v9 added pbx_webhook_secret but v10 dropped it again, so it is re-added here.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: WEBHOOK SECRETS ON settings
+-- ================================================
+
+-- pbx_webhook_secret: Per-practice token in the webhook URL (?token=...) or
+--                     X-Webhook-Token header; identifies the practice. NULL = PBX webhooks off
+-- pbx_signing_secret: Secret issued by the PBX vendor for signed webhooks (encrypted)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_webhook_secret'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_webhook_secret VARCHAR(100);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_signing_secret'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_signing_secret TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_webhook_secret_rotated_at'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_webhook_secret_rotated_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- v9's index was dropped with the column; tokens must be unique to identify a practice
+DROP INDEX IF EXISTS idx_settings_pbx_webhook_secret;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_pbx_webhook_secret
+  ON settings(pbx_webhook_secret)
+  WHERE pbx_webhook_secret IS NOT NULL;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.pbx_webhook_secret IS 'Token PBX webhooks must send (?token= or X-Webhook-Token); NULL = PBX webhooks rejected';
+COMMENT ON COLUMN settings.pbx_signing_secret IS 'Encrypted PBX vendor signing secret (RingCentral verification token, Zoom secret token, Dialpad JWT secret)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, pbx_webhook_secret IS NOT NULL AS webhooks_enabled, pbx_signing_secret IS NOT NULL AS signed, pbx_webhook_secret_rotated_at FROM settings;
@@ -0,0 +1,52 @@
+-- Migration v22: Webhook payload capture
+-- Every inbound /api/pbx/* and /api/sms/* webhook is stored with what we
+-- made of it, so "my missed calls aren't showing up" can be answered from
+-- what the PBX actually sent. Rows are deleted after WEBHOOK_EVENT_RETENTION_DAYS.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE webhook_events TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source VARCHAR(10) NOT NULL, -- 'pbx', 'sms'
+  kind VARCHAR(30) NOT NULL, -- 'missed_call', 'inbound_sms', 'delivery_status'
+  -- PBX adapter id ('3cx', 'ringcentral', ...) or SMS provider name
+  system VARCHAR(30),
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(255) NOT NULL,
+  -- Tokens and credentials are redacted before storing
+  headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+  query JSONB NOT NULL DEFAULT '{}'::jsonb,
+  body TEXT,
+  content_type VARCHAR(100),
+  ip VARCHAR(64),
+  -- Practice the webhook was matched to (NULL = not matched)
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  status_code INTEGER,
+  -- 'sms_queued', 'event_ignored', 'cooldown', 'no_user_found', 'unauthorized', ...
+  outcome VARCHAR(50),
+  response JSONB,
+  duration_ms INTEGER,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_user ON webhook_events(user_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_outcome ON webhook_events(outcome, received_at DESC);
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE webhook_events IS 'Captured PBX and SMS webhooks (redacted) with the outcome, for support and replay';
+COMMENT ON COLUMN webhook_events.outcome IS 'What the webhook led to: response action/reason, or the rejection (unauthorized, invalid_signature, ...)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT received_at, source, system, outcome, status_code FROM webhook_events ORDER BY received_at DESC LIMIT 20;
+-- SELECT outcome, COUNT(*) FROM webhook_events WHERE received_at > NOW() - INTERVAL '1 day' GROUP BY outcome;
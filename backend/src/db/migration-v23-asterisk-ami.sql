@@ -0,0 +1,46 @@
+-- Migration v23: Asterisk Manager Interface (AMI) connector
+-- On-prem Asterisk / FreePBX practices that can't build an HTTP callback in
+-- their dialplan can let us connect to AMI instead; unanswered inbound calls
+-- are picked up from the call events (services/asteriskAmi.js)
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: AMI SETTINGS
+-- ================================================
+
+-- pbx_ami_config: {"host": "pbx.example.com", "port": 5038, "username": "smiledesk",
+--                  "secret": "<encrypted>", "inboundContexts": ["from-trunk", "from-pstn"]}
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_ami_enabled'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_ami_enabled BOOLEAN NOT NULL DEFAULT false;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_ami_config'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_ami_config JSONB;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_settings_pbx_ami_enabled
+  ON settings(user_id)
+  WHERE pbx_ami_enabled = true;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.pbx_ami_enabled IS 'Connect to the practice''s Asterisk Manager Interface for missed calls';
+COMMENT ON COLUMN settings.pbx_ami_config IS 'AMI host, port, username, encrypted secret and inbound contexts';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, pbx_ami_enabled, pbx_ami_config - 'secret' AS ami_config FROM settings WHERE pbx_ami_config IS NOT NULL;
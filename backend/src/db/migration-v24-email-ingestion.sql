@@ -0,0 +1,35 @@
+-- Migration v24: Missed-call emails
+-- Phone systems that can only email missed-call / voicemail notifications
+-- send them to missed+<pbx_webhook_secret>@<EMAIL_INBOUND_DOMAIN> (local SMTP
+-- listener) or POST /api/pbx/email (SMTP-to-HTTP relay); services/emailIngestion.js
+-- reads them with a per-PBX template and feeds the missed-call pipeline
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: EMAIL TEMPLATE ON settings
+-- ================================================
+
+-- pbx_email_template: services/pbxEmailTemplates id ('freepbx', '3cx', 'telstra', 'optus', 'generic')
+--                     or 'auto' to detect it from each email
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'pbx_email_template'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN pbx_email_template VARCHAR(50) NOT NULL DEFAULT 'auto';
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.pbx_email_template IS 'How to read the PBX''s missed-call emails (template id or auto)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, pbx_email_template, pbx_webhook_secret IS NOT NULL AS email_enabled FROM settings;
@@ -0,0 +1,82 @@
+-- Migration v25: Voicemail storage
+-- Voicemail recordings from PBX webhooks (recording URLs) and missed-call
+-- emails (audio attachments) are copied into blob storage
+-- (services/blobStorage.js) and played from the Missed Calls page
+--
+-- v8 dropped voicemail_url / voicemail_duration when voicemails were left to
+-- the phone system; they come back here alongside the storage columns
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: VOICEMAIL COLUMNS ON calls
+-- ================================================
+
+-- voicemail_url:          Recording URL from the PBX, if it sent one
+-- voicemail_duration:     Length in seconds, when we can tell (WAV)
+-- voicemail_storage_key:  Blob storage key of our copy
+-- voicemail_content_type: Audio MIME type served back to the browser
+-- voicemail_size:         Bytes
+-- voicemail_status:       'pending' (being copied), 'stored' or 'failed'
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_url'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_url TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_duration'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_duration INTEGER;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_storage_key'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_storage_key VARCHAR(255);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_content_type'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_content_type VARCHAR(100);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_size'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_size INTEGER;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'voicemail_status'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN voicemail_status VARCHAR(20);
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN calls.voicemail_url IS 'Voicemail recording URL sent by the PBX';
+COMMENT ON COLUMN calls.voicemail_duration IS 'Voicemail length in seconds, if known';
+COMMENT ON COLUMN calls.voicemail_storage_key IS 'Blob storage key of the stored voicemail recording';
+COMMENT ON COLUMN calls.voicemail_content_type IS 'MIME type of the stored voicemail recording';
+COMMENT ON COLUMN calls.voicemail_size IS 'Size of the stored voicemail recording in bytes';
+COMMENT ON COLUMN calls.voicemail_status IS 'pending, stored or failed (NULL = no recording)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT id, caller_phone, voicemail_status, voicemail_content_type, voicemail_size, voicemail_duration
+-- FROM calls WHERE voicemail_status IS NOT NULL ORDER BY created_at DESC LIMIT 20;
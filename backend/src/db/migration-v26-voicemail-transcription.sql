@@ -0,0 +1,88 @@
+-- Migration v26: Voicemail transcription
+-- Stored voicemail recordings are transcribed in the background
+-- (services/voicemailTranscription.js) into calls.transcription, with a
+-- summary in calls.ai_summary and calls.sentiment, and the caller's name and
+-- reason copied to the call's lead
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: TRANSCRIPTION QUEUE COLUMNS ON calls
+-- ================================================
+
+-- transcription_status:    'pending' -> 'processing' -> 'completed' | 'failed' (NULL = not queued)
+-- transcription_attempts:  Tries so far (gives up after a few)
+-- transcription_locked_at: When a worker claimed it (reclaimed if stale)
+-- transcription_provider:  Provider that produced calls.transcription
+-- transcription_error:     Last failure
+-- transcribed_at:          When the transcript was saved
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcription_status'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcription_status VARCHAR(20);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcription_attempts'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcription_attempts INTEGER NOT NULL DEFAULT 0;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcription_locked_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcription_locked_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcription_provider'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcription_provider VARCHAR(30);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcription_error'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcription_error TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'calls' AND column_name = 'transcribed_at'
+  ) THEN
+    ALTER TABLE calls ADD COLUMN transcribed_at TIMESTAMP WITH TIME ZONE;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: QUEUE INDEX
+-- ================================================
+
+CREATE INDEX IF NOT EXISTS idx_calls_transcription_queue
+  ON calls(created_at)
+  WHERE transcription_status IN ('pending', 'processing');
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN calls.transcription_status IS 'pending, processing, completed or failed (NULL = not transcribed)';
+COMMENT ON COLUMN calls.transcription_attempts IS 'Transcription tries so far';
+COMMENT ON COLUMN calls.transcription_locked_at IS 'When a transcription worker claimed the call';
+COMMENT ON COLUMN calls.transcription_provider IS 'Transcription provider that produced the transcript (whisper, stub)';
+COMMENT ON COLUMN calls.transcription_error IS 'Last transcription failure';
+COMMENT ON COLUMN calls.transcribed_at IS 'When the voicemail transcript was saved';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT transcription_status, COUNT(*) FROM calls WHERE transcription_status IS NOT NULL GROUP BY 1;
+-- SELECT id, caller_name, call_reason, sentiment, ai_summary FROM calls WHERE transcription_status = 'completed' ORDER BY created_at DESC LIMIT 20;
@@ -0,0 +1,90 @@
+-- Migration v27: Dental emergency triage
+-- SMS replies that read as a dental emergency ("my tooth broke and I'm
+-- bleeding") get the practice's emergency instructions, a high-priority
+-- lead, and an alert to the on-call staff (services/emergencyAlerts.js) that
+-- escalates down the contact list until someone acknowledges it
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: ADD EMERGENCY SETTINGS
+-- ================================================
+
+-- emergency_instructions:       SMS sent to the patient (NULL = built-in default)
+-- emergency_contacts:           On-call staff in escalation order:
+--                               [{ "name": "Dr Smith", "phone": "0412345678", "email": "smith@example.com" }]
+-- emergency_escalation_minutes: Minutes to wait for an acknowledgement before alerting the next contact
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'emergency_instructions'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN emergency_instructions TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'emergency_contacts'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN emergency_contacts JSONB NOT NULL DEFAULT '[]'::jsonb;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'settings' AND column_name = 'emergency_escalation_minutes'
+  ) THEN
+    ALTER TABLE settings ADD COLUMN emergency_escalation_minutes INTEGER NOT NULL DEFAULT 10;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 2: CREATE emergency_alerts TABLE
+-- ================================================
+
+-- One row per emergency conversation. escalation_level is the index into
+-- emergency_contacts of the last contact alerted; past the end of the list
+-- everyone is alerted once more and escalation stops.
+CREATE TABLE IF NOT EXISTS emergency_alerts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+  caller_phone VARCHAR(50) NOT NULL,
+  caller_name VARCHAR(255),
+  message TEXT NOT NULL,
+  -- Emergency signs the classifier found, e.g. {"broken tooth", "bleeding"}
+  signs TEXT[] NOT NULL DEFAULT '{}',
+  -- 'open' until someone acknowledges it
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  escalation_level INTEGER NOT NULL DEFAULT 0,
+  -- [{ "level": 0, "name": "Dr Smith", "phone": "...", "email": "...", "at": "..." }]
+  notified JSONB NOT NULL DEFAULT '[]'::jsonb,
+  next_escalation_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_alerts_user_status
+  ON emergency_alerts(user_id, status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_alerts_escalation_due
+  ON emergency_alerts(next_escalation_at)
+  WHERE status = 'open' AND next_escalation_at IS NOT NULL;
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON COLUMN settings.emergency_instructions IS 'SMS reply to a dental emergency; NULL = built-in default';
+COMMENT ON COLUMN settings.emergency_contacts IS 'On-call staff alerted about emergencies, in escalation order';
+COMMENT ON COLUMN settings.emergency_escalation_minutes IS 'Minutes before an unacknowledged emergency alert escalates';
+COMMENT ON TABLE emergency_alerts IS 'Dental emergencies reported by SMS and who was alerted / acknowledged';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, emergency_contacts, emergency_escalation_minutes FROM settings;
+-- SELECT id, caller_phone, signs, status, escalation_level, next_escalation_at, acknowledged_by FROM emergency_alerts ORDER BY created_at DESC LIMIT 20;
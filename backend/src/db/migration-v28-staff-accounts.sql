@@ -0,0 +1,133 @@
+-- Migration v28: Staff accounts and roles
+-- A practice (one users row - every practice table keeps pointing at it
+-- through user_id) can now have several staff logins, each with a role:
+--
+--   owner        everything, including inviting and deactivating staff
+--   manager      practice settings, PBX, calendar and booking slots
+--   receptionist calls, leads, appointments, waitlist and conversations
+--   read_only    can look but not change anything
+--
+-- The practice's existing login becomes its owner. Marking calls done,
+-- editing leads and changing appointments now record the staff member.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE staff TABLE
+-- ================================================
+
+-- Invited staff have no password until they accept: the invite link
+-- carries a random token and only its SHA-256 hash is stored here.
+CREATE TABLE IF NOT EXISTS staff (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255),
+  name VARCHAR(255),
+  phone VARCHAR(50),
+  role VARCHAR(20) NOT NULL DEFAULT 'receptionist'
+    CHECK (role IN ('owner', 'manager', 'receptionist', 'read_only')),
+  -- 'invited' until the invite is accepted; 'deactivated' can't log in
+  status VARCHAR(20) NOT NULL DEFAULT 'invited'
+    CHECK (status IN ('invited', 'active', 'deactivated')),
+  invite_token_hash VARCHAR(64),
+  invite_expires_at TIMESTAMP WITH TIME ZONE,
+  invited_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  deactivated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_user ON staff(user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_staff_invite_token
+  ON staff(invite_token_hash)
+  WHERE invite_token_hash IS NOT NULL;
+
+-- ================================================
+-- STEP 2: EVERY EXISTING PRACTICE LOGIN BECOMES ITS OWNER
+-- ================================================
+
+INSERT INTO staff (user_id, email, password_hash, phone, role, status)
+SELECT u.id, u.email, u.password_hash, u.phone, 'owner', 'active'
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM staff s WHERE s.user_id = u.id);
+
+-- ================================================
+-- STEP 3: ONE REFRESH TOKEN PER STAFF LOGIN
+-- ================================================
+
+-- Refresh tokens were one per practice; several staff can now be signed in
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'refresh_tokens' AND column_name = 'staff_id'
+  ) THEN
+    ALTER TABLE refresh_tokens ADD COLUMN staff_id UUID REFERENCES staff(id) ON DELETE CASCADE;
+  END IF;
+END $$;
+
+UPDATE refresh_tokens rt
+SET staff_id = s.id
+FROM staff s
+WHERE rt.staff_id IS NULL AND s.user_id = rt.user_id AND s.role = 'owner';
+
+ALTER TABLE refresh_tokens DROP CONSTRAINT IF EXISTS refresh_tokens_user_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refresh_tokens_staff ON refresh_tokens(staff_id);
+
+-- ================================================
+-- STEP 4: RECORD WHICH STAFF MEMBER CHANGED THINGS
+-- ================================================
+
+-- calls.marked_done_by held the practice's user id; point it at the owner
+UPDATE calls c
+SET marked_done_by = s.id
+FROM staff s
+WHERE s.user_id = c.marked_done_by AND s.role = 'owner';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'calls' AND constraint_name = 'calls_marked_done_by_staff_fkey'
+  ) THEN
+    ALTER TABLE calls ADD CONSTRAINT calls_marked_done_by_staff_fkey
+      FOREIGN KEY (marked_done_by) REFERENCES staff(id) ON DELETE SET NULL NOT VALID;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'leads' AND column_name = 'updated_by'
+  ) THEN
+    ALTER TABLE leads ADD COLUMN updated_by UUID REFERENCES staff(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'appointments' AND column_name = 'updated_by'
+  ) THEN
+    ALTER TABLE appointments ADD COLUMN updated_by UUID REFERENCES staff(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- ================================================
+-- STEP 5: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE staff IS 'Staff logins of a practice (users row) and their roles';
+COMMENT ON COLUMN staff.invite_token_hash IS 'SHA-256 of the pending invite token; NULL once accepted';
+COMMENT ON COLUMN refresh_tokens.staff_id IS 'Staff login the refresh token belongs to';
+COMMENT ON COLUMN calls.marked_done_by IS 'Staff member who marked the call as done';
+COMMENT ON COLUMN leads.updated_by IS 'Staff member who last created or edited the lead by hand';
+COMMENT ON COLUMN appointments.updated_by IS 'Staff member who last booked or changed the appointment by hand';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, email, name, role, status, last_login_at FROM staff ORDER BY user_id, created_at;
+-- SELECT COUNT(*) FROM users u WHERE NOT EXISTS (SELECT 1 FROM staff s WHERE s.user_id = u.id AND s.role = 'owner');
+-- SELECT staff_id, user_id, expires_at FROM refresh_tokens WHERE staff_id IS NULL;
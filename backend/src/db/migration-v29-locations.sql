@@ -0,0 +1,89 @@
+-- Migration v29: Practice locations
+-- Dental groups run several clinics under one practice. Each location can
+-- have its own phone numbers, business hours, booking slots, greeting and
+-- timezone; anything a location leaves empty falls back to the practice's
+-- settings, so a practice without locations works exactly as before.
+--
+-- Missed calls resolve to a location by the number the patient dialled,
+-- inbound SMS by the number they texted. Calls, conversations, leads and
+-- appointments record their location so lists and analytics can be
+-- filtered per location or rolled up for the group.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE locations TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  address VARCHAR(255),
+  -- The clinic's public number - PBX webhooks match the dialled number against it
+  phone VARCHAR(50),
+  -- NULL = use the practice's value from settings / users
+  forwarding_phone VARCHAR(50),
+  sms_reply_number VARCHAR(50),
+  timezone VARCHAR(50),
+  business_hours JSONB,
+  ai_greeting TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_locations_user ON locations(user_id);
+
+-- Inbound SMS are matched on the number texted, across all practices
+CREATE INDEX IF NOT EXISTS idx_locations_sms_reply_number
+  ON locations(sms_reply_number)
+  WHERE sms_reply_number IS NOT NULL;
+
+-- ================================================
+-- STEP 2: RECORD THE LOCATION ON CALLS, CONVERSATIONS, LEADS,
+--         APPOINTMENTS AND BOOKING SLOTS
+-- ================================================
+
+-- NULL = the practice as a whole (single-location practices, or a call the
+-- dialled number didn't place). Booking slots with NULL are shared by every
+-- location.
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['calls', 'conversations', 'leads', 'appointments', 'booking_slots'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = t AND column_name = 'location_id'
+    ) THEN
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN location_id UUID REFERENCES locations(id) ON DELETE SET NULL',
+        t
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_calls_user_location ON calls(user_id, location_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_user_location ON leads(user_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_booking_slots_location ON booking_slots(location_id) WHERE location_id IS NOT NULL;
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE locations IS 'Clinics of a practice; empty fields fall back to the practice settings';
+COMMENT ON COLUMN locations.phone IS 'Number patients dial - PBX webhooks resolve the location from it';
+COMMENT ON COLUMN locations.sms_reply_number IS 'Number SMS for this location are sent from; NULL = practice number';
+COMMENT ON COLUMN calls.location_id IS 'Location whose number was dialled; NULL = practice-wide';
+COMMENT ON COLUMN conversations.location_id IS 'Location the conversation is with - its number, greeting and slots are used';
+COMMENT ON COLUMN booking_slots.location_id IS 'Location offering the slot; NULL = every location';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT user_id, name, phone, sms_reply_number, timezone, is_active FROM locations ORDER BY user_id, name;
+-- SELECT l.name, COUNT(c.id) AS calls FROM locations l LEFT JOIN calls c ON c.location_id = l.id GROUP BY l.name;
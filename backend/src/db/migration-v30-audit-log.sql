@@ -0,0 +1,114 @@
+-- Migration v30: Audit log and soft-delete
+-- Answers "who marked this call done" and "who deleted this lead": staff
+-- and system actions on calls, leads, appointments, settings, staff and
+-- logins are appended to audit_log with the actor, what changed (before and
+-- after, per field), the IP address and the time.
+--
+-- audit_log is append-only - a trigger refuses UPDATE and DELETE - and has
+-- no foreign keys, so entries outlive the staff, calls and leads they name.
+--
+-- Calls and leads are no longer deleted: DELETE sets deleted_at and they can
+-- be restored.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE audit_log TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- Practice the entry belongs to (NULL for failed logins of unknown emails)
+  user_id UUID,
+  -- 'staff' (a logged-in staff member) or 'system' (jobs, webhooks, patient SMS)
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'staff'
+    CHECK (actor_type IN ('staff', 'system')),
+  actor_id UUID,
+  -- Name or email at the time, kept in case the staff login goes away
+  actor_name VARCHAR(255),
+  action VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(30) NOT NULL,
+  entity_id UUID,
+  -- { field: { "from": old, "to": new } } - secrets are never stored
+  changes JSONB NOT NULL DEFAULT '{}',
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_created
+  ON audit_log(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+  ON audit_log(user_id, entity_type, entity_id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+  ON audit_log(actor_id, created_at DESC)
+  WHERE actor_id IS NOT NULL;
+
+-- ================================================
+-- STEP 2: MAKE audit_log APPEND-ONLY
+-- ================================================
+
+CREATE OR REPLACE FUNCTION audit_log_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+CREATE TRIGGER audit_log_no_update
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- ================================================
+-- STEP 3: SOFT-DELETE CALLS AND LEADS
+-- ================================================
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['calls', 'leads'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = t AND column_name = 'deleted_at'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE', t);
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = t AND column_name = 'deleted_by'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN deleted_by UUID REFERENCES staff(id) ON DELETE SET NULL', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- "Recently deleted" lists
+CREATE INDEX IF NOT EXISTS idx_calls_deleted ON calls(user_id, deleted_at DESC) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_deleted ON leads(user_id, deleted_at DESC) WHERE deleted_at IS NOT NULL;
+
+-- ================================================
+-- STEP 4: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE audit_log IS 'Append-only record of staff and system actions (services/audit.js)';
+COMMENT ON COLUMN audit_log.changes IS 'Changed fields as { field: { from, to } }';
+COMMENT ON COLUMN calls.deleted_at IS 'Set when the call is deleted; NULL = visible. Restorable';
+COMMENT ON COLUMN leads.deleted_at IS 'Set when the lead is deleted; NULL = visible. Restorable';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT created_at, actor_name, action, entity_type, entity_id, changes FROM audit_log ORDER BY created_at DESC LIMIT 20;
+-- SELECT id, caller_phone, deleted_at, deleted_by FROM calls WHERE deleted_at IS NOT NULL;
+-- UPDATE audit_log SET action = 'x' WHERE false;  -- fine (no rows); any real row raises 'audit_log is append-only'
@@ -0,0 +1,143 @@
+-- Migration v31: Patient contact records
+-- A repeat caller used to be a stranger every time: each missed call made a
+-- fresh call, conversation and 'Unknown Caller' lead. Patients are now one
+-- record per phone number per practice; calls, conversations, leads and
+-- appointments link to it, so a name learned from one SMS reply or booking
+-- is used the next time they call, and the dashboard can show a patient's
+-- whole history.
+--
+-- Phone numbers are matched on their last 9 digits (phone_key), as location
+-- numbers are, so 0412 345 678 and +61412345678 are the same patient.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE patients TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS patients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- As first seen (usually E.164 from the PBX or SMS provider)
+  phone VARCHAR(50) NOT NULL,
+  -- Last 9 digits of phone - what calls and texts are matched on
+  phone_key VARCHAR(9) NOT NULL,
+  -- NULL until a reply, booking or staff member tells us
+  name VARCHAR(255),
+  email VARCHAR(255),
+  notes TEXT,
+  first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, phone_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_patients_user_last_seen ON patients(user_id, last_seen_at DESC);
+
+-- ================================================
+-- STEP 2: LINK CALLS, CONVERSATIONS, LEADS AND APPOINTMENTS
+-- ================================================
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['calls', 'conversations', 'leads', 'appointments'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = t AND column_name = 'patient_id'
+    ) THEN
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN patient_id UUID REFERENCES patients(id) ON DELETE SET NULL',
+        t
+      );
+    END IF;
+  END LOOP;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_calls_patient ON calls(patient_id, created_at DESC) WHERE patient_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_conversations_patient ON conversations(patient_id) WHERE patient_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_leads_patient ON leads(patient_id) WHERE patient_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_appointments_patient ON appointments(patient_id) WHERE patient_id IS NOT NULL;
+
+-- ================================================
+-- STEP 3: BACKFILL PATIENTS FROM EXISTING RECORDS
+-- ================================================
+
+-- One patient per practice and number, first seen at its earliest record
+INSERT INTO patients (user_id, phone, phone_key, first_seen_at, last_seen_at)
+SELECT user_id,
+       (ARRAY_AGG(phone ORDER BY seen_at))[1],
+       phone_key,
+       MIN(seen_at),
+       MAX(seen_at)
+FROM (
+  SELECT user_id, caller_phone AS phone, created_at AS seen_at FROM calls
+  UNION ALL
+  SELECT user_id, caller_phone, created_at FROM conversations
+  UNION ALL
+  SELECT user_id, phone, created_at FROM leads
+  UNION ALL
+  SELECT user_id, patient_phone, created_at FROM appointments
+) seen
+CROSS JOIN LATERAL (
+  SELECT RIGHT(REGEXP_REPLACE(COALESCE(seen.phone, ''), '\D', '', 'g'), 9) AS phone_key
+) k
+WHERE LENGTH(REGEXP_REPLACE(COALESCE(seen.phone, ''), '\D', '', 'g')) >= 8
+GROUP BY user_id, phone_key
+ON CONFLICT (user_id, phone_key) DO NOTHING;
+
+UPDATE calls c SET patient_id = p.id
+FROM patients p
+WHERE c.patient_id IS NULL AND p.user_id = c.user_id
+  AND p.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(c.caller_phone, ''), '\D', '', 'g'), 9);
+
+UPDATE conversations c SET patient_id = p.id
+FROM patients p
+WHERE c.patient_id IS NULL AND p.user_id = c.user_id
+  AND p.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(c.caller_phone, ''), '\D', '', 'g'), 9);
+
+UPDATE leads l SET patient_id = p.id
+FROM patients p
+WHERE l.patient_id IS NULL AND p.user_id = l.user_id
+  AND p.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(l.phone, ''), '\D', '', 'g'), 9);
+
+UPDATE appointments a SET patient_id = p.id
+FROM patients p
+WHERE a.patient_id IS NULL AND p.user_id = a.user_id
+  AND p.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(a.patient_phone, ''), '\D', '', 'g'), 9);
+
+-- Names: the latest booking, else the latest real lead name, else a call's
+UPDATE patients p SET name = known.name
+FROM (
+  SELECT DISTINCT ON (patient_id) patient_id, name
+  FROM (
+    SELECT patient_id, patient_name AS name, created_at, 1 AS rank FROM appointments
+    UNION ALL
+    SELECT patient_id, name, created_at, 2 FROM leads
+    WHERE name NOT IN ('Unknown Caller', 'SMS Contact')
+    UNION ALL
+    SELECT patient_id, caller_name, created_at, 3 FROM calls
+  ) named
+  WHERE patient_id IS NOT NULL AND NULLIF(TRIM(name), '') IS NOT NULL
+  ORDER BY patient_id, rank, created_at DESC
+) known
+WHERE p.id = known.patient_id AND p.name IS NULL;
+
+-- ================================================
+-- STEP 4: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE patients IS 'One contact per practice and phone number (services/patients.js)';
+COMMENT ON COLUMN patients.phone_key IS 'Last 9 digits of the phone number - calls and texts are matched on it';
+COMMENT ON COLUMN patients.name IS 'Best known name - carried onto new calls and leads';
+COMMENT ON COLUMN calls.patient_id IS 'Patient who called (matched on the caller''s number)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT name, phone, first_seen_at, last_seen_at FROM patients ORDER BY last_seen_at DESC LIMIT 20;
+-- SELECT p.name, p.phone, COUNT(c.id) AS calls FROM patients p JOIN calls c ON c.patient_id = p.id GROUP BY p.id ORDER BY calls DESC LIMIT 20;
+-- SELECT COUNT(*) FROM calls WHERE patient_id IS NULL;  -- calls without a usable caller number
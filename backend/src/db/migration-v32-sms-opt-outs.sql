@@ -0,0 +1,72 @@
+-- Migration v32: SMS opt-out registry
+-- Replying STOP used to close the conversation it was sent in, and nothing
+-- more: the next missed call from the same number got a fresh follow-up SMS,
+-- and reminders and waitlist offers kept going out. sms_opt_outs is now the
+-- practice's suppression list (services/optOuts.js):
+-- - STOP / UNSUBSCRIBE adds the number, START takes it off again
+-- - Staff can add or remove numbers by hand
+-- - The SMS outbox won't send a patient message to a number on the list
+-- - GET /api/opt-outs/export lists it for Spam Act compliance checks
+--
+-- A row is kept when the patient opts back in (opted_in_at), so the export
+-- shows when consent was withdrawn and when it was given again.
+-- Numbers are matched on their last 9 digits, as patients are.
+--
+-- Run this in Supabase SQL Editor or your database client
+
+-- ================================================
+-- STEP 1: CREATE sms_opt_outs TABLE
+-- ================================================
+
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- As the opt-out came in
+  phone VARCHAR(50) NOT NULL,
+  -- Last 9 digits of phone - what outbound SMS are checked against
+  phone_key VARCHAR(9) NOT NULL,
+  -- 'sms' (the patient texted a keyword) or 'staff' (added on the dashboard)
+  opted_out_via VARCHAR(20) NOT NULL,
+  -- Staff member who added it (NULL for SMS keywords)
+  opted_out_by VARCHAR(255),
+  -- The message the patient sent, e.g. 'STOP'
+  keyword VARCHAR(50),
+  reason TEXT,
+  opted_out_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- Set when the number comes off the list; NULL while it is suppressed
+  opted_in_at TIMESTAMP WITH TIME ZONE,
+  opted_in_via VARCHAR(20),
+  opted_in_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, phone_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_opt_outs_user_active
+ON sms_opt_outs(user_id, opted_out_at DESC)
+WHERE opted_in_at IS NULL;
+
+-- ================================================
+-- STEP 2: LET STAFF MESSAGES THROUGH THE OUTBOX CHECK
+-- ================================================
+
+-- On-call alerts, staff invites and the STOP confirmation itself are sent
+-- regardless of the list
+ALTER TABLE sms_outbox ADD COLUMN IF NOT EXISTS ignore_opt_out BOOLEAN NOT NULL DEFAULT false;
+
+-- ================================================
+-- STEP 3: ADD COLUMN COMMENTS
+-- ================================================
+
+COMMENT ON TABLE sms_opt_outs IS 'Numbers that asked not to be texted, per practice (services/optOuts.js)';
+COMMENT ON COLUMN sms_opt_outs.phone_key IS 'Last 9 digits of the phone number - outbound SMS are checked against it';
+COMMENT ON COLUMN sms_opt_outs.opted_in_at IS 'When the number came off the list (START or staff); NULL while suppressed';
+COMMENT ON COLUMN sms_outbox.ignore_opt_out IS 'Staff messages and opt-out confirmations - sent even to numbers on sms_opt_outs';
+COMMENT ON COLUMN sms_outbox.status IS 'Queue status: pending, sending, sent, dead, suppressed (recipient opted out)';
+
+-- ================================================
+-- VERIFICATION QUERIES
+-- ================================================
+
+-- SELECT phone, opted_out_via, keyword, opted_out_at FROM sms_opt_outs WHERE opted_in_at IS NULL ORDER BY opted_out_at DESC LIMIT 20;
+-- SELECT COUNT(*) FROM sms_outbox WHERE status = 'suppressed';
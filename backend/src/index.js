@@ -8,6 +8,9 @@ const { logger } = require('./utils/logger');
 const { initSentry, requestHandler, tracingHandler, errorHandler, flush } = require('./utils/sentry');
 const { startScheduler, stopScheduler, getSchedulerStatus } = require('./jobs/scheduler');
 const { captureRawBody } = require('./middleware/notifyreWebhook');
+const { startAmiConnectors, stopAmiConnectors } = require('./services/asteriskAmi');
+const { startSmtpListener, stopSmtpListener } = require('./services/smtpListener');
+const { getStatus: getRealtimeStatus, stopRealtime } = require('./services/realtime');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -21,6 +24,15 @@ const appointmentsRoutes = require('./routes/appointments');
 const adminRoutes = require('./routes/admin');
 const pbxRoutes = require('./routes/pbx');
 const smsRoutes = require('./routes/sms');
+const calendarRoutes = require('./routes/calendar');
+const waitlistRoutes = require('./routes/waitlist');
+const emergenciesRoutes = require('./routes/emergencies');
+const eventsRoutes = require('./routes/events');
+const staffRoutes = require('./routes/staff');
+const locationsRoutes = require('./routes/locations');
+const auditRoutes = require('./routes/audit');
+const patientsRoutes = require('./routes/patients');
+const optOutsRoutes = require('./routes/optOuts');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -91,7 +103,8 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    scheduler: getSchedulerStatus()
+    scheduler: getSchedulerStatus(),
+    realtime: getRealtimeStatus()
   });
 });
 
@@ -107,6 +120,15 @@ app.use('/api/appointments', appointmentsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/pbx', pbxRoutes);     // PBX missed call webhooks
 app.use('/api/sms', smsRoutes);     // Vonage SMS webhooks (instant two-way)
+app.use('/api/calendar', calendarRoutes); // Google Calendar OAuth + appointment sync
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/emergencies', emergenciesRoutes); // Dental emergency alerts
+app.use('/api/events', eventsRoutes);           // Live dashboard updates (SSE)
+app.use('/api/staff', staffRoutes);             // Staff logins and roles
+app.use('/api/locations', locationsRoutes);     // Clinics of multi-location practices
+app.use('/api/patients', patientsRoutes);       // Patient contact records and timelines
+app.use('/api/opt-outs', optOutsRoutes);        // SMS opt-out list
+app.use('/api/audit', auditRoutes);             // Audit log (owners)
 
 // Sentry error handler (must be before other error handlers)
 app.use(errorHandler());
@@ -142,18 +164,31 @@ const server = app.listen(PORT, () => {
 
   // Start scheduled jobs
   startScheduler();
+
+  // Connect to practices' Asterisk servers (AMI_CONNECTOR_ENABLED instances only)
+  startAmiConnectors().catch(error => {
+    logger.error({ error: error.message }, 'Failed to start AMI connectors');
+  });
+
+  // Missed-call emails straight from PBXs (EMAIL_SMTP_PORT only)
+  startSmtpListener().catch(error => {
+    logger.error({ error: error.message }, 'Failed to start SMTP listener');
+  });
 });
 
 // Graceful shutdown
 const shutdown = async (signal) => {
   logger.info({ signal }, 'Shutdown signal received');
 
-  // Stop accepting new requests
+  // Stop accepting new requests (open event streams would hold the server open)
+  stopRealtime();
   server.close(async () => {
     logger.info('HTTP server closed');
 
     // Stop scheduled jobs
     stopScheduler();
+    stopAmiConnectors();
+    stopSmtpListener();
 
     // Flush Sentry events
     await flush(2000);
@@ -5,6 +5,14 @@
 
 const { query } = require('../db/config');
 const { scheduler: log } = require('../utils/logger');
+const { processOutbox } = require('../services/smsOutbox');
+const { syncAllCalendars } = require('../services/calendarSync');
+const { sendDueReminders } = require('../services/appointmentReminders');
+const { cleanupWebhookEvents } = require('../services/webhookEvents');
+const { processTranscriptions } = require('../services/voicemailTranscription');
+const { escalateAlerts } = require('../services/emergencyAlerts');
+const realtime = require('../services/realtime');
+const audit = require('../services/audit');
 
 // Job registry
 const jobs = new Map();
@@ -19,38 +27,74 @@ async function autoFlagStaleRecords() {
 
   try {
     // Flag calls as 'no_response' if pending/in_progress for 45+ minutes with no patient reply
+    // The join to the locked rows returns each call's status before the flag
     const callsResult = await query(
-      `UPDATE calls
+      `UPDATE calls c
        SET followup_status = 'no_response'
-       WHERE followup_status IN ('pending', 'in_progress')
-         AND created_at < NOW() - INTERVAL '45 minutes'
-         AND id NOT IN (
-           SELECT DISTINCT c.id FROM calls c
-           JOIN conversations conv ON conv.call_id = c.id
-           JOIN messages m ON m.conversation_id = conv.id
-           WHERE m.sender = 'patient' OR m.sender = 'caller'
-         )
-       RETURNING id`
+       FROM (
+         SELECT id, followup_status FROM calls
+         WHERE followup_status IN ('pending', 'in_progress')
+           AND created_at < NOW() - INTERVAL '45 minutes'
+           AND id NOT IN (
+             SELECT DISTINCT c.id FROM calls c
+             JOIN conversations conv ON conv.call_id = c.id
+             JOIN messages m ON m.conversation_id = conv.id
+             WHERE m.sender = 'patient' OR m.sender = 'caller'
+           )
+           AND deleted_at IS NULL
+         FOR UPDATE
+       ) stale
+       WHERE c.id = stale.id
+       RETURNING c.id, c.user_id, stale.followup_status AS previous_status`
     );
 
     const flaggedCalls = callsResult.rows.length;
 
+    // Let open dashboards show the new 'no response' badges
+    const callIdsByUser = new Map();
+    for (const { id, user_id: userId } of callsResult.rows) {
+      callIdsByUser.set(userId, [...(callIdsByUser.get(userId) || []), id]);
+    }
+    for (const [userId, callIds] of callIdsByUser) {
+      realtime.publish(userId, 'call.updated', { callIds, followupStatus: 'no_response' });
+    }
+
     // Flag leads as 'lost' if 'new' status for 45+ minutes with no patient reply
+    // (voicemail leads were never texted, so there's no reply to wait for)
     const leadsResult = await query(
       `UPDATE leads
        SET status = 'lost'
        WHERE status = 'new'
+         AND COALESCE(source, '') <> 'voicemail'
          AND created_at < NOW() - INTERVAL '45 minutes'
          AND (conversation_id IS NULL OR conversation_id NOT IN (
            SELECT DISTINCT conv.id FROM conversations conv
            JOIN messages m ON m.conversation_id = conv.id
            WHERE m.sender = 'patient' OR m.sender = 'caller'
          ))
-       RETURNING id`
+         AND deleted_at IS NULL
+       RETURNING id, user_id`
     );
 
     const flaggedLeads = leadsResult.rows.length;
 
+    await audit.recordSystemBatch([
+      ...callsResult.rows.map(call => ({
+        userId: call.user_id,
+        action: 'call.updated',
+        entityType: 'call',
+        entityId: call.id,
+        changes: { followup_status: { from: call.previous_status, to: 'no_response' } }
+      })),
+      ...leadsResult.rows.map(lead => ({
+        userId: lead.user_id,
+        action: 'lead.updated',
+        entityType: 'lead',
+        entityId: lead.id,
+        changes: { status: { from: 'new', to: 'lost' } }
+      }))
+    ]);
+
     const duration = Date.now() - startTime;
     log.info({
       flaggedCalls,
@@ -198,11 +242,37 @@ function startScheduler() {
   // Sync delivery statuses every 10 minutes
   registerJob('sync-delivery', syncDeliveryStatuses, 10 * 60 * 1000);
 
+  // Drain the SMS outbox every 10 seconds (enqueues also trigger an immediate run)
+  registerJob('sms-outbox', processOutbox, 10 * 1000);
+
+  // Pull Google Calendar changes and flag conflicts every 5 minutes
+  registerJob('calendar-sync', syncAllCalendars, 5 * 60 * 1000);
+
+  // Send due appointment reminder SMS every 5 minutes
+  registerJob('appointment-reminders', sendDueReminders, 5 * 60 * 1000);
+
+  // Drop captured webhooks past WEBHOOK_EVENT_RETENTION_DAYS every hour
+  registerJob('cleanup-webhook-events', cleanupWebhookEvents, 60 * 60 * 1000);
+
+  // Transcribe queued voicemails every minute (stored voicemails also trigger an immediate run)
+  registerJob('voicemail-transcription', processTranscriptions, 60 * 1000);
+
+  // Escalate unacknowledged dental emergency alerts every minute
+  registerJob('emergency-escalation', escalateAlerts, 60 * 1000);
+
   // Run auto-flag immediately on startup
   autoFlagStaleRecords().catch(err => {
     log.error({ error: err.message }, 'Initial auto-flag failed');
   });
 
+  // Pick up anything queued before a restart
+  processOutbox().catch(err => {
+    log.error({ error: err.message }, 'Initial outbox drain failed');
+  });
+  processTranscriptions().catch(err => {
+    log.error({ error: err.message }, 'Initial transcription drain failed');
+  });
+
   log.info({ jobCount: jobs.size }, 'Scheduler started');
 }
 
@@ -244,5 +314,11 @@ module.exports = {
   autoFlagStaleRecords,
   cleanupExpiredOTPs,
   cleanupExpiredTokens,
-  syncDeliveryStatuses
+  syncDeliveryStatuses,
+  processOutbox,
+  syncAllCalendars,
+  sendDueReminders,
+  cleanupWebhookEvents,
+  processTranscriptions,
+  escalateAlerts
 };
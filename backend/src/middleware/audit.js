@@ -0,0 +1,54 @@
+/**
+ * Audit Middleware
+ * Records settings.updated for routes that write the practice's settings row
+ * (routes/settings.js, calendar connections) without each handler having to
+ * fetch it before and after.
+ *
+ * The row is read before the handler runs and again once the response has
+ * gone out successfully; services/audit.js keeps only what changed and
+ * redacts secrets.
+ */
+
+const { query } = require('../db/config');
+const audit = require('../services/audit');
+
+async function getSettingsRow(userId) {
+  const result = await query('SELECT * FROM settings WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Audit any change a non-GET request makes to settings
+ */
+async function auditSettingsChanges(req, res, next) {
+  if (req.method === 'GET' || !req.user) return next();
+
+  let before;
+  try {
+    before = await getSettingsRow(req.user.id);
+  } catch (error) {
+    // Never block the change itself
+    return next();
+  }
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    try {
+      const after = await getSettingsRow(req.user.id);
+      await audit.recordRequest(req, {
+        action: 'settings.updated',
+        entityType: 'settings',
+        entityId: after?.id || before?.id || null,
+        before,
+        after
+      });
+    } catch (error) {
+      console.error('Audit settings error:', error);
+    }
+  });
+
+  next();
+}
+
+module.exports = { auditSettingsChanges };
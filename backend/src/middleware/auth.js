@@ -17,39 +17,47 @@ const ACCESS_TOKEN_EXPIRES = '15m'; // Short-lived access token
 const REFRESH_TOKEN_EXPIRES = '7d'; // Long-lived refresh token
 const REFRESH_TOKEN_EXPIRES_MS = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
 
+// Staff roles, least to most access (see migration-v28-staff-accounts.sql)
+const ROLES = ['read_only', 'receptionist', 'manager', 'owner'];
+
 /**
  * Generate access token (short-lived JWT)
+ * userId is the practice, staffId the staff member logged in to it.
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId, type: 'access' }, SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES });
+const generateToken = (userId, staffId) => {
+  return jwt.sign({ userId, staffId, type: 'access' }, SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES });
 };
 
 /**
  * Generate refresh token (random string stored in database)
+ * One per staff login - a new login replaces the old token.
  */
-const generateRefreshToken = async (userId) => {
+const generateRefreshToken = async (userId, staffId) => {
   const token = crypto.randomBytes(64).toString('hex');
   const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_MS);
 
-  // Store in database (will need migration)
   await query(
-    `INSERT INTO refresh_tokens (user_id, token, expires_at)
-     VALUES ($1, $2, $3)
-     ON CONFLICT (user_id) DO UPDATE
+    `INSERT INTO refresh_tokens (user_id, staff_id, token, expires_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (staff_id) DO UPDATE
      SET token = EXCLUDED.token, expires_at = EXCLUDED.expires_at, created_at = NOW()`,
-    [userId, token, expiresAt]
+    [userId, staffId, token, expiresAt]
   );
 
   return { token, expiresAt };
 };
 
 /**
- * Validate refresh token and return user ID if valid
+ * Validate refresh token for an active staff member
+ *
+ * @returns {Promise<{userId: string, staffId: string}|null>}
  */
 const validateRefreshToken = async (token) => {
   const result = await query(
-    `SELECT user_id FROM refresh_tokens
-     WHERE token = $1 AND expires_at > NOW()`,
+    `SELECT rt.user_id, rt.staff_id
+     FROM refresh_tokens rt
+     JOIN staff s ON s.id = rt.staff_id
+     WHERE rt.token = $1 AND rt.expires_at > NOW() AND s.status = 'active'`,
     [token]
   );
 
@@ -57,14 +65,14 @@ const validateRefreshToken = async (token) => {
     return null;
   }
 
-  return result.rows[0].user_id;
+  return { userId: result.rows[0].user_id, staffId: result.rows[0].staff_id };
 };
 
 /**
- * Revoke refresh token (for logout)
+ * Revoke a staff member's refresh token (logout, deactivation)
  */
-const revokeRefreshToken = async (userId) => {
-  await query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+const revokeRefreshToken = async (staffId) => {
+  await query('DELETE FROM refresh_tokens WHERE staff_id = $1', [staffId]);
 };
 
 // Verify JWT token
@@ -72,7 +80,75 @@ const verifyToken = (token) => {
   return jwt.verify(token, SECRET);
 };
 
+// Derived key so an OAuth state token can never pass as an access token
+const OAUTH_STATE_SECRET = `${SECRET}:oauth-state`;
+
+/**
+ * Signed OAuth state for third-party connect flows (e.g. Google Calendar)
+ * Binds the callback to the user who started it and expires after 10 minutes.
+ */
+const generateOAuthState = (userId, purpose) => {
+  return jwt.sign({ userId, purpose, type: 'oauth_state' }, OAUTH_STATE_SECRET, { expiresIn: '10m' });
+};
+
+/**
+ * Verify OAuth state, returning the userId or null if invalid/expired
+ */
+const verifyOAuthState = (state, purpose) => {
+  try {
+    const decoded = jwt.verify(state, OAUTH_STATE_SECRET);
+    if (decoded.type !== 'oauth_state' || decoded.purpose !== purpose) return null;
+    return decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+const MEDIA_TOKEN_SECRET = `${SECRET}:media`;
+
+/**
+ * Short-lived link for media the browser fetches itself (an <audio> src can't
+ * send the Authorization header). Scoped to one user and one resource.
+ */
+const generateMediaToken = (userId, resource) => {
+  return jwt.sign({ userId, resource, type: 'media' }, MEDIA_TOKEN_SECRET, { expiresIn: '15m' });
+};
+
+/**
+ * Verify a media token, returning the userId or null if invalid/expired
+ */
+const verifyMediaToken = (token, resource) => {
+  try {
+    const decoded = jwt.verify(token, MEDIA_TOKEN_SECRET);
+    if (decoded.type !== 'media' || decoded.resource !== resource) return null;
+    return decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The practice and staff member behind an access token
+ * Tokens from before staff accounts carry no staffId; they act as the owner.
+ */
+const loadStaffMember = async (decoded) => {
+  const result = await query(
+    `SELECT u.id, u.email, u.practice_name, u.phone, u.timezone, u.is_admin, u.created_at,
+            s.id AS staff_id, s.name AS staff_name, s.email AS staff_email, s.role, s.status
+     FROM staff s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.user_id = $1 AND ${decoded.staffId ? 's.id = $2' : "s.role = 'owner'"}
+     ORDER BY s.created_at
+     LIMIT 1`,
+    decoded.staffId ? [decoded.userId, decoded.staffId] : [decoded.userId]
+  );
+
+  return result.rows[0] || null;
+};
+
 // Auth middleware - protects routes
+// req.user is the practice (every table is keyed by its id), req.staff the
+// staff member logged in to it
 const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -86,17 +162,22 @@ const authenticate = async (req, res, next) => {
     try {
       const decoded = verifyToken(token);
 
-      // Fetch user from database (include is_admin)
-      const result = await query(
-        'SELECT id, email, practice_name, phone, timezone, is_admin, created_at FROM users WHERE id = $1',
-        [decoded.userId]
-      );
+      const row = await loadStaffMember(decoded);
 
-      if (result.rows.length === 0) {
+      if (!row) {
         return res.status(401).json({ error: { message: 'User not found' } });
       }
 
-      req.user = result.rows[0];
+      // Deactivated staff lose access straight away, not when their token expires
+      if (row.status !== 'active') {
+        return res.status(401).json({ error: { message: 'Account deactivated', code: 'ACCOUNT_DEACTIVATED' } });
+      }
+
+      const { staff_id: staffId, staff_name: staffName, staff_email: staffEmail, role, status, ...user } = row;
+
+      // Platform admin is the practice owner's privilege, not every staff member's
+      req.user = { ...user, is_admin: user.is_admin && role === 'owner' };
+      req.staff = { id: staffId, name: staffName, email: staffEmail, role };
       next();
     } catch (jwtError) {
       if (jwtError.name === 'TokenExpiredError') {
@@ -110,6 +191,34 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Does a role include another? ('manager' includes 'receptionist')
+ */
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Role middleware - requires at least this staff role (must be used after authenticate)
+ */
+const requireRole = (required) => (req, res, next) => {
+  if (!req.staff) {
+    return res.status(401).json({ error: { message: 'Authentication required' } });
+  }
+
+  if (!hasRole(req.staff.role, required)) {
+    return res.status(403).json({ error: { message: 'You don\'t have permission to do that', code: 'FORBIDDEN_ROLE' } });
+  }
+
+  next();
+};
+
+/**
+ * Like requireRole, but only for changes - anyone logged in can read
+ */
+const requireRoleToWrite = (required) => {
+  const check = requireRole(required);
+  return (req, res, next) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? next() : check(req, res, next));
+};
+
 // Admin middleware - requires admin role (must be used after authenticate)
 const authenticateAdmin = (req, res, next) => {
   if (!req.user) {
@@ -136,13 +245,17 @@ const optionalAuth = async (req, res, next) => {
 
     try {
       const decoded = verifyToken(token);
-      const result = await query(
-        'SELECT id, email, practice_name, phone, timezone FROM users WHERE id = $1',
-        [decoded.userId]
-      );
+      const row = await loadStaffMember(decoded);
 
-      if (result.rows.length > 0) {
-        req.user = result.rows[0];
+      if (row && row.status === 'active') {
+        req.user = {
+          id: row.id,
+          email: row.email,
+          practice_name: row.practice_name,
+          phone: row.phone,
+          timezone: row.timezone
+        };
+        req.staff = { id: row.staff_id, name: row.staff_name, email: row.staff_email, role: row.role };
       }
     } catch (jwtError) {
       // Token invalid, but that's okay for optional auth
@@ -155,12 +268,20 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
+  ROLES,
   generateToken,
   generateRefreshToken,
   validateRefreshToken,
   revokeRefreshToken,
   verifyToken,
+  generateOAuthState,
+  verifyOAuthState,
+  generateMediaToken,
+  verifyMediaToken,
   authenticate,
   authenticateAdmin,
-  optionalAuth
+  optionalAuth,
+  hasRole,
+  requireRole,
+  requireRoleToWrite
 };
@@ -0,0 +1,123 @@
+/**
+ * PBX Webhook Authentication Middleware
+ * Identifies the practice behind a missed-call webhook and verifies it
+ *
+ * 1. PBX system - the :system URL segment picks the adapter
+ *    (services/pbxAdapters); unknown systems get 404.
+ *
+ * 2. Practice token (all systems) - settings.pbx_webhook_secret, sent as
+ *    ?token=... in the webhook URL or an X-Webhook-Token header. The token is
+ *    what identifies the practice; the called number in the payload is not
+ *    trusted, so knowing a practice's phone number is no longer enough to
+ *    make us text someone.
+ *
+ * 3. PBX signature - adapters that declare verifySignature (RingCentral,
+ *    Zoom, Dialpad) check it against settings.pbx_signing_secret when one is
+ *    saved. Other systems can't sign their webhooks, so the token is all they get.
+ *
+ * Rejected requests get 401/403 and are logged with the reason.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db/config');
+const { decrypt } = require('../utils/crypto');
+const { pbx: log } = require('../utils/logger');
+const { getAdapter } = require('../services/pbxAdapters');
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+/**
+ * New practice webhook token
+ */
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function reject(req, res, status, reason, system) {
+  log.warn({
+    ip: req.ip,
+    path: req.path,
+    system,
+    reason,
+    userId: req.pbxSettings?.user_id
+  }, 'PBX webhook rejected');
+
+  const messages = { 401: 'Unauthorized', 403: 'Invalid signature', 404: 'Unknown PBX system' };
+  return res.status(status).json({ error: messages[status] });
+}
+
+/**
+ * Settings row (same shape routes/pbx.js has always used) for a webhook token
+ */
+async function findSettingsByWebhookToken(token) {
+  const result = await query(
+    `SELECT s.*, u.id as user_id, u.practice_name
+     FROM settings s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.pbx_webhook_secret = $1`,
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Authenticate a POST /api/pbx/missed-call/:system? webhook
+ *
+ * Sets req.pbxAdapter to the system's adapter and req.pbxSettings to the
+ * practice's settings row.
+ */
+async function verifyPbxWebhook(req, res, next) {
+  const system = req.params.system || 'generic';
+
+  try {
+    const adapter = getAdapter(system);
+    if (!adapter) {
+      return reject(req, res, 404, 'unknown_system', system);
+    }
+
+    req.pbxAdapter = adapter;
+
+    const token = req.query.token || req.headers['x-webhook-token'];
+
+    if (!token) {
+      return reject(req, res, 401, 'missing_token', system);
+    }
+
+    if (!TOKEN_PATTERN.test(token)) {
+      return reject(req, res, 401, 'malformed_token', system);
+    }
+
+    const settings = await findSettingsByWebhookToken(token);
+    if (!settings) {
+      return reject(req, res, 401, 'unknown_token', system);
+    }
+
+    req.pbxSettings = settings;
+
+    if (adapter.verifySignature) {
+      const secret = decrypt(settings.pbx_signing_secret);
+      const verified = adapter.verifySignature(req, res, secret);
+
+      if (verified === 'handled') {
+        log.info({ system, userId: settings.user_id }, 'PBX webhook handshake answered');
+        return;
+      }
+
+      if (!verified) {
+        return reject(req, res, 403, 'invalid_signature', system);
+      }
+    } else if (typeof req.body === 'string') {
+      return reject(req, res, 403, 'unexpected_body', system);
+    }
+
+    next();
+  } catch (error) {
+    log.error({ system, error: error.message }, 'PBX webhook authentication error');
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
+
+module.exports = {
+  generateWebhookSecret,
+  verifyPbxWebhook
+};
@@ -227,6 +227,207 @@ const businessHoursSchema = Joi.object({
   }).required()
 });
 
+const smsProviderSchema = Joi.object({
+  smsProvider: Joi.string()
+    .valid('notifyre', 'vonage', 'sandbox')
+    .required()
+    .messages({
+      'any.only': 'SMS provider must be one of: notifyre, vonage, sandbox'
+    }),
+  // Ordered backup carriers tried when the primary fails
+  failoverProviders: Joi.array()
+    .items(Joi.object({
+      provider: Joi.string()
+        .valid('notifyre', 'vonage', 'sandbox')
+        .required()
+        .messages({
+          'any.only': 'Failover provider must be one of: notifyre, vonage, sandbox'
+        }),
+      fromNumber: Joi.string()
+        .pattern(phonePattern)
+        .allow('', null)
+        .messages({
+          'string.pattern.base': 'Failover sender must be a valid phone number'
+        })
+    }))
+    .max(2)
+    .unique('provider')
+});
+
+// Reminder SMS offsets before each appointment; empty array turns reminders off
+const reminderScheduleSchema = Joi.object({
+  reminderSchedule: Joi.array()
+    .items(Joi.object({
+      hoursBefore: Joi.number()
+        .integer()
+        .min(1)
+        .max(336)
+        .required()
+        .messages({
+          'number.min': 'Reminders must be at least 1 hour before the appointment',
+          'number.max': 'Reminders can be at most 14 days (336 hours) before the appointment'
+        })
+    }))
+    .max(5)
+    .unique('hoursBefore')
+    .required()
+});
+
+// RingCentral verification token / Zoom secret token / Dialpad webhook secret; null clears it
+const pbxSigningSecretSchema = Joi.object({
+  signingSecret: Joi.string()
+    .trim()
+    .min(8)
+    .max(255)
+    .allow(null, '')
+    .required()
+});
+
+// Asterisk Manager Interface connection; secret is kept when omitted
+const pbxAmiSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  host: Joi.string()
+    .trim()
+    .hostname()
+    .max(255)
+    .when('enabled', { is: true, then: Joi.required(), otherwise: Joi.allow('', null) }),
+  port: Joi.number().integer().min(1).max(65535).default(5038),
+  username: Joi.string()
+    .trim()
+    .max(100)
+    .when('enabled', { is: true, then: Joi.required(), otherwise: Joi.allow('', null) }),
+  secret: Joi.string().max(255).allow(''),
+  inboundContexts: Joi.array()
+    .items(Joi.string().trim().pattern(/^[\w-]+$/).max(80))
+    .max(20)
+    .default([])
+});
+
+// services/pbxEmailTemplates id, or 'auto' to detect per email
+const pbxEmailTemplateSchema = Joi.object({
+  template: Joi.string().trim().lowercase().max(50).required()
+});
+
+// Dental emergency triage: patient instructions and on-call staff in escalation order
+const emergencySettingsSchema = Joi.object({
+  // null / '' = built-in instructions; may use {practiceName}
+  instructions: Joi.string().trim().max(640).allow('', null),
+  contacts: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().trim().max(100).required(),
+      phone: Joi.string()
+        .pattern(phonePattern)
+        .empty(['', null])
+        .messages({
+          'string.pattern.base': 'Emergency contact phone must be a valid phone number'
+        }),
+      email: Joi.string()
+        .pattern(emailPattern)
+        .max(255)
+        .empty(['', null])
+        .messages({
+          'string.pattern.base': 'Emergency contact email must be a valid email address'
+        })
+    })
+      .or('phone', 'email')
+      .messages({ 'object.missing': 'Each emergency contact needs a phone number or email' }))
+    .max(5)
+    .required(),
+  escalationMinutes: Joi.number()
+    .integer()
+    .min(1)
+    .max(120)
+    .default(10)
+});
+
+// ==========================================
+// Conversation flow schemas
+// ==========================================
+
+// Lead columns a flow step may write its answer into
+const FLOW_LEAD_FIELDS = ['name', 'email', 'reason', 'preferred_time', 'notes'];
+
+const flowStepIdPattern = /^[a-z][a-z0-9_]{0,49}$/;
+
+const flowNextStep = Joi.string()
+  .pattern(flowStepIdPattern)
+  .allow(null)
+  .default(null);
+
+const flowOptionSchema = Joi.object({
+  // Exact replies, e.g. ['1', 'one']
+  replies: Joi.array().items(Joi.string().trim().lowercase().max(50)).min(1).required(),
+  // Words that match anywhere in the reply, e.g. ['appointment', 'book']
+  keywords: Joi.array().items(Joi.string().trim().lowercase().min(2).max(50)).default([]),
+  value: Joi.string().max(100).required(),
+  next: flowNextStep
+});
+
+const flowStepSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(640).required(),
+  answerKey: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/).required(),
+  leadField: Joi.string().valid(...FLOW_LEAD_FIELDS),
+  options: Joi.array().items(flowOptionSchema).max(10).default([]),
+  // Accept any other reply; stores `value` if set, otherwise the reply text
+  freeText: Joi.object({
+    value: Joi.string().max(100),
+    saveTextTo: Joi.string().valid(...FLOW_LEAD_FIELDS),
+    next: flowNextStep
+  }),
+  invalidMessage: Joi.string().trim().max(640)
+});
+
+/**
+ * Cross-field checks Joi can't express: step references must resolve
+ */
+const validateFlowReferences = (flow, helpers) => {
+  const stepIds = Object.keys(flow.steps);
+
+  if (!stepIds.includes(flow.startStep)) {
+    return helpers.message(`startStep "${flow.startStep}" is not a defined step`);
+  }
+
+  for (const [stepId, step] of Object.entries(flow.steps)) {
+    if (step.options.length === 0 && !step.freeText) {
+      return helpers.message(`Step "${stepId}" needs at least one option or freeText`);
+    }
+
+    const targets = step.options.map(option => option.next);
+    if (step.freeText) targets.push(step.freeText.next);
+
+    const missing = targets.find(next => next !== null && !stepIds.includes(next));
+    if (missing) {
+      return helpers.message(`Step "${stepId}" points to unknown step "${missing}"`);
+    }
+  }
+
+  if (flow.callbackTypeFrom) {
+    const answerKeys = Object.values(flow.steps).map(step => step.answerKey);
+    if (!answerKeys.includes(flow.callbackTypeFrom)) {
+      return helpers.message(`callbackTypeFrom "${flow.callbackTypeFrom}" is not an answerKey of any step`);
+    }
+  }
+
+  return flow;
+};
+
+const conversationFlowSchema = Joi.object({
+  flow: Joi.object({
+    name: Joi.string().trim().max(100).default('Custom flow'),
+    startStep: Joi.string().pattern(flowStepIdPattern).required(),
+    steps: Joi.object()
+      .pattern(flowStepIdPattern, flowStepSchema)
+      .min(1)
+      .max(20)
+      .required(),
+    completeMessage: Joi.string().trim().min(1).max(640).required(),
+    // answerKey whose value (appointment_request / general_callback) becomes the lead's callback_type
+    callbackTypeFrom: Joi.string().max(50)
+  })
+    .custom(validateFlowReferences)
+    .required()
+});
+
 // ==========================================
 // SMS schemas
 // ==========================================
@@ -304,6 +505,257 @@ const updateLeadSchema = Joi.object({
     .optional()
 });
 
+// ==========================================
+// Waitlist schemas
+// ==========================================
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const waitlistTime = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .allow(null)
+  .messages({
+    'string.pattern.base': 'Preferred times must be HH:MM'
+  });
+
+// Preferred time window must not be inverted
+const validateWaitlistWindow = (entry, helpers) => {
+  if (entry.preferredTimeFrom && entry.preferredTimeTo && entry.preferredTimeFrom >= entry.preferredTimeTo) {
+    return helpers.message('preferredTimeFrom must be before preferredTimeTo');
+  }
+  return entry;
+};
+
+const createWaitlistEntrySchema = Joi.object({
+  // Either an existing lead or the patient's details
+  leadId: Joi.string().uuid(),
+  patientName: Joi.string().min(1).max(255),
+  patientPhone: Joi.string()
+    .pattern(phonePattern)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  patientEmail: Joi.string()
+    .pattern(emailPattern)
+    .max(255)
+    .allow('', null),
+  reason: Joi.string().max(255).allow('', null),
+  notes: Joi.string().max(2000).allow('', null),
+  // Empty = any day
+  preferredDays: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique().default([]),
+  preferredTimeFrom: waitlistTime,
+  preferredTimeTo: waitlistTime,
+  priority: Joi.number().integer().min(0).max(10).default(0)
+})
+  .or('leadId', 'patientPhone')
+  .custom(validateWaitlistWindow);
+
+const updateWaitlistEntrySchema = Joi.object({
+  patientName: Joi.string().min(1).max(255),
+  patientPhone: Joi.string()
+    .pattern(phonePattern)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  patientEmail: Joi.string()
+    .pattern(emailPattern)
+    .max(255)
+    .allow('', null),
+  reason: Joi.string().max(255).allow('', null),
+  notes: Joi.string().max(2000).allow('', null),
+  preferredDays: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique(),
+  preferredTimeFrom: waitlistTime,
+  preferredTimeTo: waitlistTime,
+  priority: Joi.number().integer().min(0).max(10),
+  // Booked entries are set by the offer flow, not by hand
+  status: Joi.string().valid('waiting', 'removed')
+})
+  .custom(validateWaitlistWindow);
+
+// ==========================================
+// Location schemas
+// ==========================================
+
+const dayHoursSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  open: Joi.string().pattern(/^\d{2}:\d{2}$/).required(),
+  close: Joi.string().pattern(/^\d{2}:\d{2}$/).required()
+});
+
+const locationPhone = Joi.string()
+  .pattern(phonePattern)
+  .allow('', null)
+  .messages({
+    'string.pattern.base': 'Please provide a valid phone number'
+  });
+
+// Empty phone numbers, hours, greeting and timezone fall back to the practice's
+const locationFields = {
+  name: Joi.string().trim().min(1).max(100),
+  address: Joi.string().trim().max(255).allow('', null),
+  phone: locationPhone,
+  forwardingPhone: locationPhone,
+  smsReplyNumber: locationPhone,
+  timezone: Joi.string()
+    .max(50)
+    .allow('', null)
+    .custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat('en-AU', { timeZone: value });
+        return value;
+      } catch (error) {
+        return helpers.message('Unknown timezone');
+      }
+    }),
+  businessHours: Joi.object({
+    monday: dayHoursSchema,
+    tuesday: dayHoursSchema,
+    wednesday: dayHoursSchema,
+    thursday: dayHoursSchema,
+    friday: dayHoursSchema,
+    saturday: dayHoursSchema,
+    sunday: dayHoursSchema
+  }).allow(null),
+  aiGreeting: Joi.string().trim().max(1000).allow('', null),
+  isActive: Joi.boolean()
+};
+
+const createLocationSchema = Joi.object({
+  ...locationFields,
+  name: locationFields.name.required()
+});
+
+const updateLocationSchema = Joi.object(locationFields).min(1);
+
+// ?locationId= on lists and analytics; none = the whole practice
+const locationFilterSchema = Joi.object({
+  locationId: Joi.string().uuid()
+}).unknown(true);
+
+// ==========================================
+// Staff schemas
+// ==========================================
+
+const STAFF_ROLES = ['owner', 'manager', 'receptionist', 'read_only'];
+
+const inviteStaffSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  email: Joi.string()
+    .pattern(emailPattern)
+    .max(255)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+  phone: Joi.string()
+    .pattern(phonePattern)
+    .empty(['', null])
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  role: Joi.string().valid(...STAFF_ROLES).default('receptionist'),
+  // How the invite link is sent
+  via: Joi.string().valid('email', 'sms').default('email')
+})
+  .custom((invite, helpers) => (invite.via === 'sms' && !invite.phone
+    ? helpers.message('A phone number is needed to send the invite by SMS')
+    : invite));
+
+const updateStaffSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  phone: Joi.string()
+    .pattern(phonePattern)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  role: Joi.string().valid(...STAFF_ROLES)
+}).min(1);
+
+const resendInviteSchema = Joi.object({
+  via: Joi.string().valid('email', 'sms').default('email')
+});
+
+const acceptInviteSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  name: Joi.string().trim().min(1).max(100),
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 8 characters',
+      'string.max': 'Password must be less than 128 characters'
+    })
+});
+
+// ==========================================
+// Patient schemas
+// ==========================================
+
+const patientQuerySchema = Joi.object({
+  // Name, phone or email
+  search: Joi.string().trim().max(100).allow(''),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updatePatientSchema = Joi.object({
+  name: Joi.string().trim().max(255).allow('', null),
+  email: Joi.string()
+    .pattern(emailPattern)
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.pattern.base': 'Please provide a valid email address'
+    }),
+  notes: Joi.string().max(5000).allow('', null)
+}).min(1);
+
+// ==========================================
+// SMS opt-out schemas
+// ==========================================
+
+const optOutQuerySchema = Joi.object({
+  // Phone number or patient name
+  search: Joi.string().trim().max(100).allow(''),
+  // Numbers that opted back in too
+  includeOptedIn: Joi.boolean().default(false),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const createOptOutSchema = Joi.object({
+  phone: Joi.string()
+    .pattern(phonePattern)
+    .required()
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  reason: Joi.string().trim().max(500).allow('', null)
+});
+
+// ==========================================
+// Audit log schemas
+// ==========================================
+
+const auditQuerySchema = Joi.object({
+  entityType: Joi.string().valid('call', 'lead', 'appointment', 'patient', 'opt_out', 'settings', 'location', 'staff', 'auth'),
+  entityId: Joi.string().uuid(),
+  action: Joi.string().pattern(/^[a-z_]+(\.[a-z_]+)?$/).max(50),
+  actorId: Joi.string().uuid(),
+  actorType: Joi.string().valid('staff', 'system'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// Platform admins can look across practices
+const adminAuditQuerySchema = auditQuerySchema.keys({
+  clientId: Joi.string().uuid()
+});
+
 // ==========================================
 // Query param schemas
 // ==========================================
@@ -329,14 +781,42 @@ module.exports = {
     resetPassword: resetPasswordSchema,
     updatePassword: updatePasswordSchema,
     updateProfile: updateProfileSchema,
+    acceptInvite: acceptInviteSchema,
     // Settings
     twilioSettings: twilioSettingsSchema,
     businessHours: businessHoursSchema,
+    smsProvider: smsProviderSchema,
+    reminderSchedule: reminderScheduleSchema,
+    pbxSigningSecret: pbxSigningSecretSchema,
+    pbxAmi: pbxAmiSchema,
+    pbxEmailTemplate: pbxEmailTemplateSchema,
+    conversationFlow: conversationFlowSchema,
+    emergencySettings: emergencySettingsSchema,
     // SMS
     sendSms: sendSmsSchema,
     // Leads
     createLead: createLeadSchema,
     updateLead: updateLeadSchema,
+    // Waitlist
+    createWaitlistEntry: createWaitlistEntrySchema,
+    updateWaitlistEntry: updateWaitlistEntrySchema,
+    // Locations
+    createLocation: createLocationSchema,
+    updateLocation: updateLocationSchema,
+    locationFilter: locationFilterSchema,
+    // Staff
+    inviteStaff: inviteStaffSchema,
+    updateStaff: updateStaffSchema,
+    resendInvite: resendInviteSchema,
+    // Patients
+    patientQuery: patientQuerySchema,
+    updatePatient: updatePatientSchema,
+    // SMS opt-outs
+    optOutQuery: optOutQuerySchema,
+    createOptOut: createOptOutSchema,
+    // Audit log
+    auditQuery: auditQuerySchema,
+    adminAuditQuery: adminAuditQuerySchema,
     // Query
     pagination: paginationSchema,
     analyticsQuery: analyticsQuerySchema
@@ -0,0 +1,76 @@
+/**
+ * Webhook Capture Middleware
+ * Stores every PBX / SMS webhook once its response has gone out
+ * (services/webhookEvents.js). Capture never delays or fails the webhook.
+ *
+ * Set WEBHOOK_CAPTURE_ENABLED=false to turn it off.
+ */
+
+const { recordWebhookEvent } = require('../services/webhookEvents');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('webhook-capture');
+
+/**
+ * Event kind and system from where the webhook was sent
+ */
+function describeRequest(source, req) {
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  // ['api', 'pbx', 'missed-call', '3cx'] / ['api', 'pbx', 'email'] / ['api', 'sms', 'status', 'vonage']
+  const [, , endpoint, system] = segments;
+
+  if (source === 'pbx' && endpoint === 'email') {
+    return { kind: 'email', system: req.pbxEmailTemplate || 'auto' };
+  }
+
+  if (source === 'pbx') {
+    return { kind: 'missed_call', system: req.pbxAdapter?.id || system || 'generic' };
+  }
+
+  return {
+    kind: endpoint === 'status' ? 'delivery_status' : 'inbound_sms',
+    system: req.smsProvider?.name || system || 'notifyre'
+  };
+}
+
+/**
+ * @param {string} source - 'pbx' | 'sms'
+ */
+function captureWebhook(source) {
+  return (req, res, next) => {
+    if (process.env.WEBHOOK_CAPTURE_ENABLED === 'false') {
+      return next();
+    }
+
+    const startTime = Date.now();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.webhookResponse = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      // Rate-limited floods aren't worth keeping
+      if (res.statusCode === 429) return;
+
+      recordWebhookEvent({
+        source,
+        ...describeRequest(source, req),
+        req,
+        statusCode: res.statusCode,
+        response: res.locals.webhookResponse,
+        userId: req.pbxSettings?.user_id || req.webhookUserId,
+        durationMs: Date.now() - startTime
+      }).catch(error => {
+        log.error({ source, path: req.originalUrl?.split('?')[0], error: error.message }, 'Webhook capture failed');
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  captureWebhook
+};
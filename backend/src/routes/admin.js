@@ -1,6 +1,10 @@
 const express = require('express');
 const { query } = require('../db/config');
 const { authenticate, authenticateAdmin } = require('../middleware/auth');
+const { replayDeadLetter } = require('../services/smsOutbox');
+const { replayWebhookEvent } = require('../services/webhookEvents');
+const { validate, schemas } = require('../middleware/validate');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
@@ -15,35 +19,35 @@ router.get('/stats', async (req, res) => {
       SELECT
         -- Total counts
         (SELECT COUNT(*) FROM users WHERE is_admin = false) as total_clients,
-        (SELECT COUNT(*) FROM calls) as total_calls,
-        (SELECT COUNT(*) FROM calls WHERE is_missed = true) as missed_calls,
-        (SELECT COUNT(*) FROM leads) as total_leads,
-        (SELECT COUNT(*) FROM leads WHERE status = 'converted') as converted_leads,
-        (SELECT COUNT(*) FROM leads WHERE appointment_booked = true) as booked_leads,
-        (SELECT COUNT(*) FROM leads WHERE status = 'qualified') as qualified_leads,
-        (SELECT COUNT(*) FROM leads WHERE status = 'handled') as handled_leads,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL) as total_calls,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL AND is_missed = true) as missed_calls,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL) as total_leads,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND status = 'converted') as converted_leads,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND appointment_booked = true) as booked_leads,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND status = 'qualified') as qualified_leads,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND status = 'handled') as handled_leads,
         (SELECT COUNT(*) FROM appointments) as total_appointments,
         (SELECT COUNT(*) FROM appointments WHERE status = 'scheduled' AND appointment_date >= CURRENT_DATE) as upcoming_appointments,
 
         -- Today's activity
-        (SELECT COUNT(*) FROM calls WHERE is_missed = true AND created_at >= CURRENT_DATE) as missed_calls_today,
-        (SELECT COUNT(*) FROM leads WHERE created_at >= CURRENT_DATE) as leads_today,
-        (SELECT COUNT(*) FROM leads WHERE callback_type IS NOT NULL AND created_at >= CURRENT_DATE) as callbacks_requested_today,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL AND is_missed = true AND created_at >= CURRENT_DATE) as missed_calls_today,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND created_at >= CURRENT_DATE) as leads_today,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND callback_type IS NOT NULL AND created_at >= CURRENT_DATE) as callbacks_requested_today,
 
         -- This week
-        (SELECT COUNT(*) FROM calls WHERE is_missed = true AND created_at >= CURRENT_DATE - INTERVAL '7 days') as missed_calls_week,
-        (SELECT COUNT(*) FROM leads WHERE callback_type IS NOT NULL AND created_at >= CURRENT_DATE - INTERVAL '7 days') as callbacks_week,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL AND is_missed = true AND created_at >= CURRENT_DATE - INTERVAL '7 days') as missed_calls_week,
+        (SELECT COUNT(*) FROM leads WHERE deleted_at IS NULL AND callback_type IS NOT NULL AND created_at >= CURRENT_DATE - INTERVAL '7 days') as callbacks_week,
 
         -- Last week (for comparison)
-        (SELECT COUNT(*) FROM calls WHERE is_missed = true AND created_at >= CURRENT_DATE - INTERVAL '14 days' AND created_at < CURRENT_DATE - INTERVAL '7 days') as missed_calls_last_week,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL AND is_missed = true AND created_at >= CURRENT_DATE - INTERVAL '14 days' AND created_at < CURRENT_DATE - INTERVAL '7 days') as missed_calls_last_week,
 
         -- Response metrics
-        (SELECT COUNT(*) FROM calls WHERE is_missed = true AND handled_by_ai = true) as ai_handled_calls,
-        (SELECT COUNT(*) FROM messages WHERE sender = 'ai' AND provider = 'notifyre') as sms_sent,
+        (SELECT COUNT(*) FROM calls WHERE deleted_at IS NULL AND is_missed = true AND handled_by_ai = true) as ai_handled_calls,
+        (SELECT COUNT(*) FROM messages WHERE sender = 'ai' AND provider IN ('notifyre', 'vonage')) as sms_sent,
         (SELECT COUNT(*) FROM messages WHERE sender = 'patient') as sms_received,
 
         -- Active clients (activity in last 30 days)
-        (SELECT COUNT(DISTINCT user_id) FROM calls WHERE created_at >= CURRENT_DATE - INTERVAL '30 days') as active_clients
+        (SELECT COUNT(DISTINCT user_id) FROM calls WHERE deleted_at IS NULL AND created_at >= CURRENT_DATE - INTERVAL '30 days') as active_clients
     `);
 
     const stats = result.rows[0];
@@ -136,11 +140,11 @@ router.get('/clients', async (req, res) => {
         u.created_at,
         s.sms_reply_number,
         s.forwarding_phone,
-        (SELECT COUNT(*) FROM calls c WHERE c.user_id = u.id) as total_calls,
-        (SELECT COUNT(*) FROM calls c WHERE c.user_id = u.id AND c.is_missed = true) as missed_calls,
-        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id) as total_leads,
-        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id AND l.status = 'converted') as converted_leads,
-        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id AND l.appointment_booked = true) as booked_leads,
+        (SELECT COUNT(*) FROM calls c WHERE c.user_id = u.id AND c.deleted_at IS NULL) as total_calls,
+        (SELECT COUNT(*) FROM calls c WHERE c.user_id = u.id AND c.deleted_at IS NULL AND c.is_missed = true) as missed_calls,
+        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id AND l.deleted_at IS NULL) as total_leads,
+        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id AND l.deleted_at IS NULL AND l.status = 'converted') as converted_leads,
+        (SELECT COUNT(*) FROM leads l WHERE l.user_id = u.id AND l.deleted_at IS NULL AND l.appointment_booked = true) as booked_leads,
         (SELECT COUNT(*) FROM appointments a WHERE a.user_id = u.id) as total_appointments,
         (SELECT COUNT(*) FROM appointments a WHERE a.user_id = u.id AND a.status = 'scheduled' AND a.appointment_date >= CURRENT_DATE) as upcoming_appointments
        FROM users u
@@ -190,7 +194,7 @@ router.get('/leads', async (req, res) => {
     const { page = 1, limit = 20, status, clientId } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE 1=1';
+    let whereClause = 'WHERE l.deleted_at IS NULL';
     const params = [];
     let paramCount = 0;
 
@@ -272,7 +276,7 @@ router.get('/calls', async (req, res) => {
     const { page = 1, limit = 20, clientId } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE 1=1';
+    let whereClause = 'WHERE c.deleted_at IS NULL';
     const params = [];
     let paramCount = 0;
 
@@ -369,11 +373,11 @@ router.get('/client/:id', async (req, res) => {
     // Get recent activity
     const [callsResult, leadsResult] = await Promise.all([
       query(
-        `SELECT COUNT(*) as count FROM calls WHERE user_id = $1 AND created_at > NOW() - INTERVAL '30 days'`,
+        `SELECT COUNT(*) as count FROM calls WHERE user_id = $1 AND deleted_at IS NULL AND created_at > NOW() - INTERVAL '30 days'`,
         [id]
       ),
       query(
-        `SELECT COUNT(*) as count FROM leads WHERE user_id = $1 AND created_at > NOW() - INTERVAL '30 days'`,
+        `SELECT COUNT(*) as count FROM leads WHERE user_id = $1 AND deleted_at IS NULL AND created_at > NOW() - INTERVAL '30 days'`,
         [id]
       )
     ]);
@@ -406,4 +410,244 @@ router.get('/client/:id', async (req, res) => {
   }
 });
 
+// GET /api/admin/outbox - SMS outbox rows (dead letters by default)
+router.get('/outbox', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'dead', clientId } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE o.status = $1';
+    const params = [status];
+    let paramCount = 1;
+
+    if (clientId) {
+      paramCount++;
+      whereClause += ` AND o.user_id = $${paramCount}`;
+      params.push(clientId);
+    }
+
+    const [countResult, summaryResult] = await Promise.all([
+      query(`SELECT COUNT(*) FROM sms_outbox o ${whereClause}`, params),
+      query(`SELECT status, COUNT(*) as count FROM sms_outbox GROUP BY status`)
+    ]);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await query(
+      `SELECT
+        o.*,
+        u.practice_name
+       FROM sms_outbox o
+       JOIN users u ON o.user_id = u.id
+       ${whereClause}
+       ORDER BY COALESCE(o.dead_at, o.created_at) DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      messages: result.rows.map(row => ({
+        id: row.id,
+        clientId: row.user_id,
+        clientName: row.practice_name,
+        conversationId: row.conversation_id,
+        callId: row.call_id,
+        toPhone: row.to_phone,
+        content: row.content,
+        context: row.context,
+        status: row.status,
+        attempts: row.attempts,
+        maxAttempts: row.max_attempts,
+        lastError: row.last_error,
+        provider: row.provider,
+        nextAttemptAt: row.next_attempt_at,
+        sentAt: row.sent_at,
+        deadAt: row.dead_at,
+        createdAt: row.created_at
+      })),
+      summary: summaryResult.rows.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.count);
+        return acc;
+      }, {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin outbox error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch SMS outbox' } });
+  }
+});
+
+// POST /api/admin/outbox/:id/replay - Re-queue a dead-lettered SMS
+router.post('/outbox/:id/replay', async (req, res) => {
+  try {
+    const row = await replayDeadLetter(req.params.id);
+
+    if (!row) {
+      return res.status(404).json({ error: { message: 'Dead-lettered message not found' } });
+    }
+
+    res.json({ message: 'Message re-queued', id: row.id, status: row.status });
+  } catch (error) {
+    console.error('Admin outbox replay error:', error);
+    res.status(500).json({ error: { message: 'Failed to replay message' } });
+  }
+});
+
+function formatWebhookEvent(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    kind: row.kind,
+    system: row.system,
+    method: row.method,
+    path: row.path,
+    clientId: row.user_id,
+    clientName: row.practice_name,
+    statusCode: row.status_code,
+    outcome: row.outcome,
+    durationMs: row.duration_ms,
+    receivedAt: row.received_at
+  };
+}
+
+// GET /api/admin/webhooks - Captured PBX / SMS webhooks, newest first
+router.get('/webhooks', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, source, system, outcome, clientId } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    for (const [column, value] of [['w.source', source], ['w.system', system], ['w.outcome', outcome], ['w.user_id', clientId]]) {
+      if (value) {
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [countResult, summaryResult] = await Promise.all([
+      query(`SELECT COUNT(*) FROM webhook_events w ${whereClause}`, params),
+      query(
+        `SELECT outcome, COUNT(*) as count FROM webhook_events
+         WHERE received_at > NOW() - INTERVAL '24 hours'
+         GROUP BY outcome`
+      )
+    ]);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await query(
+      `SELECT w.id, w.source, w.kind, w.system, w.method, w.path, w.user_id,
+              w.status_code, w.outcome, w.duration_ms, w.received_at,
+              u.practice_name
+       FROM webhook_events w
+       LEFT JOIN users u ON w.user_id = u.id
+       ${whereClause}
+       ORDER BY w.received_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      events: result.rows.map(formatWebhookEvent),
+      // Outcomes over the last 24 hours
+      summary: summaryResult.rows.reduce((acc, row) => {
+        acc[row.outcome] = parseInt(row.count);
+        return acc;
+      }, {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin webhooks error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch webhooks' } });
+  }
+});
+
+// GET /api/admin/audit - Audit log across practices (?clientId for one)
+router.get('/audit', validate(schemas.adminAuditQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit, clientId, ...filters } = req.query;
+    const { entries, total } = await audit.listEntries({ ...filters, userId: clientId, page, limit });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch audit log' } });
+  }
+});
+
+// GET /api/admin/webhooks/:id - One captured webhook with headers and body
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT w.*, u.practice_name
+       FROM webhook_events w
+       LEFT JOIN users u ON w.user_id = u.id
+       WHERE w.id = $1`,
+      [req.params.id]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: { message: 'Webhook not found' } });
+    }
+
+    res.json({
+      event: {
+        ...formatWebhookEvent(row),
+        headers: row.headers,
+        query: row.query,
+        body: row.body,
+        contentType: row.content_type,
+        ip: row.ip,
+        response: row.response
+      }
+    });
+  } catch (error) {
+    console.error('Admin webhook detail error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch webhook' } });
+  }
+});
+
+// POST /api/admin/webhooks/:id/replay - Parse a stored webhook with the current adapter code (dry run)
+router.post('/webhooks/:id/replay', async (req, res) => {
+  try {
+    const replay = await replayWebhookEvent(req.params.id);
+
+    if (!replay) {
+      return res.status(404).json({ error: { message: 'Webhook not found' } });
+    }
+
+    res.json({
+      id: replay.event.id,
+      system: replay.event.system,
+      originalOutcome: replay.event.outcome,
+      outcome: replay.outcome,
+      parsed: replay.parsed
+    });
+  } catch (error) {
+    console.error('Admin webhook replay error:', error);
+    res.status(500).json({ error: { message: 'Failed to replay webhook' } });
+  }
+});
+
 module.exports = router;
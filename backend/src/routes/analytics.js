@@ -1,17 +1,23 @@
 const express = require('express');
 const { query } = require('../db/config');
 const { authenticate } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
 
+// Every report takes ?locationId for one location; without it the whole
+// practice (all locations together) is reported
+router.use(validate(schemas.locationFilter, 'query'));
+
 // GET /api/analytics/overview - Get dashboard overview stats
 router.get('/overview', async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = '30d' } = req.query;
+    const locationId = req.query.locationId || null;
 
     // Calculate date range
     let daysAgo;
@@ -30,8 +36,9 @@ router.get('/overview', async (req, res) => {
       `SELECT COUNT(*) as total,
               COUNT(CASE WHEN created_at >= NOW() - INTERVAL '1 day' THEN 1 END) as today
        FROM calls
-       WHERE user_id = $1 AND created_at >= $2`,
-      [userId, startDate.toISOString()]
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= $2
+         AND ($3::uuid IS NULL OR location_id = $3)`,
+      [userId, startDate.toISOString(), locationId]
     );
 
     // Get previous period for comparison
@@ -41,8 +48,9 @@ router.get('/overview', async (req, res) => {
     const prevCallsResult = await query(
       `SELECT COUNT(*) as total
        FROM calls
-       WHERE user_id = $1 AND created_at >= $2 AND created_at < $3`,
-      [userId, prevStartDate.toISOString(), startDate.toISOString()]
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= $2 AND created_at < $3
+         AND ($4::uuid IS NULL OR location_id = $4)`,
+      [userId, prevStartDate.toISOString(), startDate.toISOString(), locationId]
     );
 
     // Get lead stats
@@ -52,15 +60,17 @@ router.get('/overview', async (req, res) => {
          COUNT(CASE WHEN status = 'new' THEN 1 END) as new,
          COUNT(CASE WHEN status = 'converted' THEN 1 END) as converted
        FROM leads
-       WHERE user_id = $1 AND created_at >= $2`,
-      [userId, startDate.toISOString()]
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= $2
+         AND ($3::uuid IS NULL OR location_id = $3)`,
+      [userId, startDate.toISOString(), locationId]
     );
 
     const prevLeadsResult = await query(
       `SELECT COUNT(*) as total
        FROM leads
-       WHERE user_id = $1 AND created_at >= $2 AND created_at < $3`,
-      [userId, prevStartDate.toISOString(), startDate.toISOString()]
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= $2 AND created_at < $3
+         AND ($4::uuid IS NULL OR location_id = $4)`,
+      [userId, prevStartDate.toISOString(), startDate.toISOString(), locationId]
     );
 
     // Calculate metrics
@@ -88,8 +98,9 @@ router.get('/overview', async (req, res) => {
     const durationResult = await query(
       `SELECT AVG(duration) as avg_duration
        FROM calls
-       WHERE user_id = $1 AND created_at >= $2 AND duration > 0`,
-      [userId, startDate.toISOString()]
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= $2 AND duration > 0
+         AND ($3::uuid IS NULL OR location_id = $3)`,
+      [userId, startDate.toISOString(), locationId]
     );
 
     const avgDuration = Math.round(parseFloat(durationResult.rows[0].avg_duration) || 0);
@@ -139,10 +150,11 @@ router.get('/calls-by-day', async (req, res) => {
     const result = await query(
       `SELECT DATE(created_at) as date, COUNT(*) as count
        FROM calls
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '1 day' * $2
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= NOW() - INTERVAL '1 day' * $2
+         AND ($3::uuid IS NULL OR location_id = $3)
        GROUP BY DATE(created_at)
        ORDER BY date`,
-      [userId, daysInt]
+      [userId, daysInt, req.query.locationId || null]
     );
 
     // Fill in missing days with 0
@@ -175,9 +187,10 @@ router.get('/leads-by-status', async (req, res) => {
     const result = await query(
       `SELECT status, COUNT(*) as count
        FROM leads
-       WHERE user_id = $1
+       WHERE user_id = $1 AND deleted_at IS NULL
+         AND ($2::uuid IS NULL OR location_id = $2)
        GROUP BY status`,
-      [userId]
+      [userId, req.query.locationId || null]
     );
 
     const data = {
@@ -209,13 +222,14 @@ router.get('/call-reasons', async (req, res) => {
     const result = await query(
       `SELECT call_reason, COUNT(*) as count
        FROM calls
-       WHERE user_id = $1
+       WHERE user_id = $1 AND deleted_at IS NULL
          AND created_at >= NOW() - INTERVAL '1 day' * $2
          AND call_reason IS NOT NULL
+         AND ($3::uuid IS NULL OR location_id = $3)
        GROUP BY call_reason
        ORDER BY count DESC
        LIMIT 10`,
-      [userId, daysInt]
+      [userId, daysInt, req.query.locationId || null]
     );
 
     res.json({
@@ -240,10 +254,11 @@ router.get('/peak-hours', async (req, res) => {
     const result = await query(
       `SELECT EXTRACT(HOUR FROM created_at) as hour, COUNT(*) as count
        FROM calls
-       WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '1 day' * $2
+       WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= NOW() - INTERVAL '1 day' * $2
+         AND ($3::uuid IS NULL OR location_id = $3)
        GROUP BY EXTRACT(HOUR FROM created_at)
        ORDER BY hour`,
-      [userId, daysInt]
+      [userId, daysInt, req.query.locationId || null]
     );
 
     // Fill in all 24 hours
@@ -264,4 +279,80 @@ router.get('/peak-hours', async (req, res) => {
   }
 });
 
+// GET /api/analytics/by-location - Calls and leads per location (group rollup)
+router.get('/by-location', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { days = 30 } = req.query;
+
+    const daysInt = Math.min(Math.max(parseInt(days) || 30, 1), 365); // Sanitize: 1-365 days
+    // Calls and leads without a location (practice numbers) come back as the
+    // row with a NULL location
+    const result = await query(
+      `WITH call_counts AS (
+         SELECT location_id, COUNT(*) as calls,
+                COUNT(CASE WHEN is_missed THEN 1 END) as missed_calls
+         FROM calls
+         WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= NOW() - INTERVAL '1 day' * $2
+         GROUP BY location_id
+       ),
+       lead_counts AS (
+         SELECT location_id, COUNT(*) as leads,
+                COUNT(CASE WHEN status = 'converted' THEN 1 END) as converted
+         FROM leads
+         WHERE user_id = $1 AND deleted_at IS NULL AND created_at >= NOW() - INTERVAL '1 day' * $2
+         GROUP BY location_id
+       ),
+       location_ids AS (
+         SELECT id as location_id FROM locations WHERE user_id = $1
+         UNION SELECT location_id FROM call_counts
+         UNION SELECT location_id FROM lead_counts
+       )
+       SELECT li.location_id, loc.name,
+              COALESCE(cc.calls, 0) as calls,
+              COALESCE(cc.missed_calls, 0) as missed_calls,
+              COALESCE(lc.leads, 0) as leads,
+              COALESCE(lc.converted, 0) as converted
+       FROM location_ids li
+       LEFT JOIN locations loc ON loc.id = li.location_id
+       LEFT JOIN call_counts cc ON cc.location_id IS NOT DISTINCT FROM li.location_id
+       LEFT JOIN lead_counts lc ON lc.location_id IS NOT DISTINCT FROM li.location_id
+       ORDER BY loc.name NULLS LAST`,
+      [userId, daysInt]
+    );
+
+    const data = result.rows.map(row => {
+      const leads = parseInt(row.leads);
+      const converted = parseInt(row.converted);
+      return {
+        locationId: row.location_id,
+        name: row.location_id ? row.name : null,
+        calls: parseInt(row.calls),
+        missedCalls: parseInt(row.missed_calls),
+        leads,
+        converted,
+        conversionRate: leads > 0 ? Math.round((converted / leads) * 1000) / 10 : 0
+      };
+    });
+
+    const totals = data.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      missedCalls: sum.missedCalls + row.missedCalls,
+      leads: sum.leads + row.leads,
+      converted: sum.converted + row.converted
+    }), { calls: 0, missedCalls: 0, leads: 0, converted: 0 });
+
+    res.json({
+      data,
+      totals: {
+        ...totals,
+        conversionRate: totals.leads > 0 ? Math.round((totals.converted / totals.leads) * 1000) / 10 : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get analytics by location error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch location analytics' } });
+  }
+});
+
 module.exports = router;
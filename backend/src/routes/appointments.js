@@ -1,17 +1,26 @@
 const express = require('express');
-const { query, getClient } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { query } = require('../db/config');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { bookAppointment } = require('../services/booking');
+const { syncAppointment } = require('../services/googleCalendar');
+const { backfillCancelledSlot } = require('../services/waitlist');
+const { buildInvite } = require('../services/ics');
+const { getLocation } = require('../services/locations');
+const { validate, schemas } = require('../middleware/validate');
+const audit = require('../services/audit');
+const patients = require('../services/patients');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
 
 // GET /api/appointments - Get all appointments
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { status, startDate, endDate, limit = 50, offset = 0 } = req.query;
+    const { status, startDate, endDate, conflicts, locationId, limit = 50, offset = 0 } = req.query;
 
     let whereClause = 'WHERE a.user_id = $1';
     const params = [userId];
@@ -31,6 +40,16 @@ router.get('/', async (req, res) => {
       whereClause += ` AND a.appointment_date <= $${params.length}`;
     }
 
+    if (locationId) {
+      params.push(locationId);
+      whereClause += ` AND a.location_id = $${params.length}`;
+    }
+
+    // Only appointments the calendar sync flagged as overlapping
+    if (conflicts === 'true') {
+      whereClause += ` AND a.conflict_with <> '[]'::jsonb AND a.status != 'cancelled'`;
+    }
+
     const result = await query(
       `SELECT
         a.*,
@@ -63,8 +82,12 @@ router.get('/', async (req, res) => {
         notes: apt.notes,
         status: apt.status,
         googleEventId: apt.google_event_id,
+        hasConflict: (apt.conflict_with || []).length > 0,
+        conflictWith: apt.conflict_with || [],
+        conflictDetectedAt: apt.conflict_detected_at,
         reminderSent: apt.reminder_sent,
         confirmedAt: apt.confirmed_at,
+        locationId: apt.location_id,
         createdAt: apt.created_at,
         lead: apt.lead_id ? {
           id: apt.lead_id,
@@ -109,6 +132,7 @@ router.get('/today', async (req, res) => {
         durationMinutes: apt.duration_minutes,
         reason: apt.reason,
         status: apt.status,
+        hasConflict: (apt.conflict_with || []).length > 0,
         leadName: apt.lead_name
       }))
     });
@@ -148,6 +172,7 @@ router.get('/upcoming', async (req, res) => {
         durationMinutes: apt.duration_minutes,
         reason: apt.reason,
         status: apt.status,
+        hasConflict: (apt.conflict_with || []).length > 0,
         leadName: apt.lead_name
       }))
     });
@@ -158,6 +183,7 @@ router.get('/upcoming', async (req, res) => {
 });
 
 // GET /api/appointments/:id - Get single appointment
+// ?format=ics downloads it as an iCalendar invite instead
 router.get('/:id', async (req, res) => {
   try {
     const userId = req.user.id;
@@ -169,10 +195,12 @@ router.get('/:id', async (req, res) => {
         l.name as lead_name,
         l.phone as lead_phone,
         l.email as lead_email,
-        c.id as conversation_id
+        c.id as conversation_id,
+        loc.timezone as location_timezone
        FROM appointments a
        LEFT JOIN leads l ON a.lead_id = l.id
        LEFT JOIN conversations c ON a.conversation_id = c.id
+       LEFT JOIN locations loc ON loc.id = a.location_id
        WHERE a.id = $1 AND a.user_id = $2`,
       [id, userId]
     );
@@ -183,6 +211,12 @@ router.get('/:id', async (req, res) => {
 
     const apt = result.rows[0];
 
+    if (req.query.format === 'ics') {
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="appointment-${apt.id}.ics"`);
+      return res.send(buildInvite(req.user, apt));
+    }
+
     res.json({
       appointment: {
         id: apt.id,
@@ -196,6 +230,9 @@ router.get('/:id', async (req, res) => {
         notes: apt.notes,
         status: apt.status,
         googleEventId: apt.google_event_id,
+        hasConflict: (apt.conflict_with || []).length > 0,
+        conflictWith: apt.conflict_with || [],
+        conflictDetectedAt: apt.conflict_detected_at,
         reminderSent: apt.reminder_sent,
         confirmedAt: apt.confirmed_at,
         createdAt: apt.created_at,
@@ -216,8 +253,6 @@ router.get('/:id', async (req, res) => {
 
 // POST /api/appointments - Create a new appointment
 router.post('/', async (req, res) => {
-  const client = await getClient();
-
   try {
     const userId = req.user.id;
     const {
@@ -230,77 +265,39 @@ router.post('/', async (req, res) => {
       reason,
       notes,
       leadId,
-      conversationId
+      conversationId,
+      locationId
     } = req.body;
 
     if (!patientName || !patientPhone || !appointmentDate || !appointmentTime) {
-      client.release();
       return res.status(400).json({
         error: { message: 'Patient name, phone, date, and time are required' }
       });
     }
 
-    // Start transaction with SERIALIZABLE isolation to prevent race conditions
-    await client.query('BEGIN');
-    await client.query('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE');
-
-    // Check for conflicting appointment with row lock
-    const conflict = await client.query(
-      `SELECT id FROM appointments
-       WHERE user_id = $1
-         AND appointment_date = $2
-         AND appointment_time = $3
-         AND status != 'cancelled'
-       FOR UPDATE`,
-      [userId, appointmentDate, appointmentTime]
-    );
-
-    if (conflict.rows.length > 0) {
-      await client.query('ROLLBACK');
-      client.release();
-      return res.status(409).json({
-        error: { message: 'This time slot is already booked' }
-      });
-    }
-
-    const result = await client.query(
-      `INSERT INTO appointments (
-        user_id, patient_name, patient_phone, patient_email,
-        appointment_date, appointment_time, duration_minutes,
-        reason, notes, lead_id, conversation_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *`,
-      [
-        userId, patientName, patientPhone, patientEmail || null,
-        appointmentDate, appointmentTime, durationMinutes,
-        reason || null, notes || null, leadId || null, conversationId || null
-      ]
-    );
-
-    // If linked to a lead, update lead status
-    if (leadId) {
-      await client.query(
-        `UPDATE leads
-         SET status = 'converted',
-             appointment_booked = true,
-             appointment_time = $1,
-             appointment_id = $2
-         WHERE id = $3`,
-        [`${appointmentDate} ${appointmentTime}`, result.rows[0].id, leadId]
-      );
-    }
-
-    // If linked to a conversation, update conversation status
-    if (conversationId) {
-      await client.query(
-        `UPDATE conversations SET status = 'appointment_booked' WHERE id = $1`,
-        [conversationId]
-      );
+    if (locationId && !(await getLocation(userId, locationId))) {
+      return res.status(400).json({ error: { message: 'Unknown location' } });
     }
 
-    await client.query('COMMIT');
+    // Conflict check + insert + lead/conversation updates in one SERIALIZABLE transaction
+    const apt = await bookAppointment(userId, {
+      patientName,
+      patientPhone,
+      patientEmail,
+      appointmentDate,
+      appointmentTime,
+      durationMinutes,
+      reason,
+      notes,
+      leadId,
+      conversationId,
+      locationId,
+      bookedBy: req.staff.id
+    });
 
-    const apt = result.rows[0];
+    await audit.recordRequest(req, {
+      action: 'appointment.created', entityType: 'appointment', entityId: apt.id, after: apt
+    });
 
     res.status(201).json({
       appointment: {
@@ -310,23 +307,18 @@ router.post('/', async (req, res) => {
         appointmentDate: apt.appointment_date,
         appointmentTime: apt.appointment_time,
         status: apt.status,
+        locationId: apt.location_id,
         createdAt: apt.created_at
       }
     });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Create appointment error:', error);
-
-    // Handle serialization failure (concurrent transaction conflict)
-    if (error.code === '40001') {
-      return res.status(409).json({
-        error: { message: 'This time slot was just booked. Please try another time.' }
-      });
+    // Slot already taken (or lost a concurrent booking race)
+    if (error.status === 409) {
+      return res.status(409).json({ error: { message: error.message } });
     }
 
+    console.error('Create appointment error:', error);
     res.status(500).json({ error: { message: 'Failed to create appointment' } });
-  } finally {
-    client.release();
   }
 });
 
@@ -347,6 +339,20 @@ router.put('/:id', async (req, res) => {
       status
     } = req.body;
 
+    const existing = await query(
+      'SELECT * FROM appointments WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Appointment not found' } });
+    }
+
+    // A new number is a different patient
+    const patient = patientPhone && patientPhone !== existing.rows[0].patient_phone
+      ? await patients.findOrCreatePatient(userId, patientPhone, { name: patientName, email: patientEmail })
+      : null;
+
     const result = await query(
       `UPDATE appointments
        SET patient_name = COALESCE($1, patient_name),
@@ -358,13 +364,15 @@ router.put('/:id', async (req, res) => {
            reason = COALESCE($7, reason),
            notes = COALESCE($8, notes),
            status = COALESCE($9, status),
-           confirmed_at = CASE WHEN $9 = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END
+           confirmed_at = CASE WHEN $9 = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END,
+           updated_by = $12,
+           patient_id = COALESCE($13, patient_id)
        WHERE id = $10 AND user_id = $11
        RETURNING *`,
       [
         patientName, patientPhone, patientEmail,
         appointmentDate, appointmentTime, durationMinutes,
-        reason, notes, status, id, userId
+        reason, notes, status, id, userId, req.staff.id, patient?.id || null
       ]
     );
 
@@ -374,6 +382,26 @@ router.put('/:id', async (req, res) => {
 
     const apt = result.rows[0];
 
+    if (patientName) {
+      await patients.rememberName(apt.patient_id, patientName, { replace: true });
+    }
+
+    await audit.recordRequest(req, {
+      action: status === 'cancelled' ? 'appointment.cancelled' : 'appointment.updated',
+      entityType: 'appointment',
+      entityId: apt.id,
+      before: existing.rows[0],
+      after: apt
+    });
+
+    // Patch the calendar event (or delete it if the appointment was cancelled)
+    syncAppointment(userId, apt);
+
+    // Offer the freed slot to the waitlist
+    if (status === 'cancelled') {
+      backfillCancelledSlot(userId, apt);
+    }
+
     res.json({
       appointment: {
         id: apt.id,
@@ -397,18 +425,41 @@ router.delete('/:id', async (req, res) => {
     const userId = req.user.id;
     const { id } = req.params;
 
+    const existing = await query(
+      'SELECT * FROM appointments WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Appointment not found' } });
+    }
+
     const result = await query(
       `UPDATE appointments
-       SET status = 'cancelled'
+       SET status = 'cancelled', updated_by = $3
        WHERE id = $1 AND user_id = $2
-       RETURNING id, lead_id`,
-      [id, userId]
+       RETURNING *`,
+      [id, userId, req.staff.id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: { message: 'Appointment not found' } });
     }
 
+    await audit.recordRequest(req, {
+      action: 'appointment.cancelled',
+      entityType: 'appointment',
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    });
+
+    // Remove the calendar event
+    syncAppointment(userId, result.rows[0]);
+
+    // Offer the freed slot to the waitlist
+    backfillCancelledSlot(userId, result.rows[0]);
+
     // Update linked lead if exists
     if (result.rows[0].lead_id) {
       await query(
@@ -440,7 +491,8 @@ router.get('/stats/overview', async (req, res) => {
         COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
         COUNT(*) FILTER (WHERE status = 'no_show') as no_show,
         COUNT(*) FILTER (WHERE appointment_date = CURRENT_DATE AND status != 'cancelled') as today,
-        COUNT(*) FILTER (WHERE appointment_date >= CURRENT_DATE AND appointment_date <= CURRENT_DATE + INTERVAL '7 days' AND status != 'cancelled') as this_week
+        COUNT(*) FILTER (WHERE appointment_date >= CURRENT_DATE AND appointment_date <= CURRENT_DATE + INTERVAL '7 days' AND status != 'cancelled') as this_week,
+        COUNT(*) FILTER (WHERE conflict_with <> '[]'::jsonb AND appointment_date >= CURRENT_DATE AND status != 'cancelled') as conflicts
        FROM appointments
        WHERE user_id = $1`,
       [userId]
@@ -457,7 +509,8 @@ router.get('/stats/overview', async (req, res) => {
         cancelled: parseInt(stats.cancelled),
         noShow: parseInt(stats.no_show),
         today: parseInt(stats.today),
-        thisWeek: parseInt(stats.this_week)
+        thisWeek: parseInt(stats.this_week),
+        conflicts: parseInt(stats.conflicts)
       }
     });
   } catch (error) {
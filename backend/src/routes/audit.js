@@ -0,0 +1,41 @@
+/**
+ * Audit Log Routes
+ * The practice's audit trail (services/audit.js) - owners only
+ *
+ * Entries can't be changed or removed, here or in the database.
+ */
+
+const express = require('express');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRole('owner'));
+
+// GET /api/audit - Entries, newest first
+// ?entityType, entityId, action ('call' or 'call.deleted'), actorId, actorType, from, to
+router.get('/', validate(schemas.auditQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { entries, total } = await audit.listEntries({ ...req.query, userId: req.user.id });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch audit log' } });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,19 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
-const { query } = require('../db/config');
-const { generateToken, generateRefreshToken, validateRefreshToken, revokeRefreshToken, authenticate } = require('../middleware/auth');
+const { query, getClient } = require('../db/config');
+const {
+  generateToken,
+  generateRefreshToken,
+  validateRefreshToken,
+  revokeRefreshToken,
+  authenticate,
+  hasRole
+} = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
-const notifyre = require('../services/notifyre');
+const smsProvider = require('../services/smsProvider');
+const staffInvites = require('../services/staffInvites');
+const audit = require('../services/audit');
 
 const router = express.Router();
 
@@ -32,13 +41,45 @@ const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
 };
 
+// The practice (users row) and the staff member logged in to it
+const formatUser = (user, staff) => ({
+  id: user.id,
+  email: user.email,
+  practiceName: user.practice_name,
+  phone: user.phone,
+  timezone: user.timezone,
+  isAdmin: (user.is_admin && staff.role === 'owner') || false,
+  createdAt: user.created_at,
+  staff: {
+    id: staff.id,
+    name: staff.name,
+    email: staff.email,
+    role: staff.role
+  }
+});
+
+// Active staff member with this phone number (password reset by SMS)
+const findStaffByPhone = async (cleanPhone) => {
+  const result = await query(
+    `SELECT id, user_id, name, email, phone FROM staff
+     WHERE REGEXP_REPLACE(phone, '\\D', '', 'g') = $1 AND status = 'active'
+     ORDER BY (role = 'owner') DESC, created_at
+     LIMIT 1`,
+    [cleanPhone]
+  );
+  return result.rows[0] || null;
+};
+
 // POST /api/auth/register
 router.post('/register', authLimiter, validate(schemas.register), async (req, res) => {
   try {
     const { email, password, practiceName, phone, timezone } = req.body;
 
-    // Check if user exists
-    const existingUser = await query('SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
+    // Check if user exists (as a practice or a staff login)
+    const existingUser = await query(
+      'SELECT id FROM users WHERE email = $1 UNION ALL SELECT id FROM staff WHERE email = $1',
+      [email.toLowerCase()]
+    );
     if (existingUser.rows.length > 0) {
       return res.status(409).json({
         error: { message: 'An account with this email already exists' }
@@ -49,37 +90,54 @@ router.post('/register', authLimiter, validate(schemas.register), async (req, re
     const salt = await bcrypt.genSalt(12);
     const passwordHash = await bcrypt.hash(password, salt);
 
-    // Create user
-    const result = await query(
-      `INSERT INTO users (email, password_hash, practice_name, phone, timezone)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, email, practice_name, phone, timezone, created_at`,
-      [email.toLowerCase(), passwordHash, practiceName, phone || null, timezone || 'Australia/Sydney']
-    );
+    // The practice, its settings and its owner login are created together or not at all
+    const client = await getClient();
+    let user;
+    let staff;
 
-    const user = result.rows[0];
+    try {
+      await client.query('BEGIN');
 
-    // Create default settings for the user
-    await query(
-      'INSERT INTO settings (user_id) VALUES ($1)',
-      [user.id]
-    );
+      // Create user
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, practice_name, phone, timezone)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, email, practice_name, phone, timezone, created_at`,
+        [email.toLowerCase(), passwordHash, practiceName, phone || null, timezone || 'Australia/Sydney']
+      );
+
+      user = result.rows[0];
+
+      // Create default settings for the user
+      await client.query(
+        'INSERT INTO settings (user_id) VALUES ($1)',
+        [user.id]
+      );
+
+      // Whoever registers the practice is its owner
+      const staffResult = await client.query(
+        `INSERT INTO staff (user_id, email, password_hash, phone, role, status, last_login_at)
+         VALUES ($1, $2, $3, $4, 'owner', 'active', NOW())
+         RETURNING id, name, email, role`,
+        [user.id, user.email, passwordHash, user.phone]
+      );
+      staff = staffResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     // Generate tokens
-    const accessToken = generateToken(user.id);
-    const refreshToken = await generateRefreshToken(user.id);
+    const accessToken = generateToken(user.id, staff.id);
+    const refreshToken = await generateRefreshToken(user.id, staff.id);
 
     res.status(201).json({
       message: 'Account created successfully',
-      user: {
-        id: user.id,
-        email: user.email,
-        practiceName: user.practice_name,
-        phone: user.phone,
-        timezone: user.timezone,
-        isAdmin: false,
-        createdAt: user.created_at
-      },
+      user: formatUser(user, staff),
       token: accessToken,
       refreshToken: refreshToken.token,
       expiresIn: 900 // 15 minutes in seconds
@@ -90,18 +148,46 @@ router.post('/register', authLimiter, validate(schemas.register), async (req, re
   }
 });
 
+/**
+ * Audit a sign-in event - most of these run before there's a logged-in
+ * staff member on the request, so the actor is given
+ */
+function recordAuthEvent(req, action, { userId = null, staffId = null, actorName = null, changes = {} }) {
+  return audit.record({
+    ...audit.actorFrom(req),
+    userId,
+    actorId: staffId,
+    actorName,
+    action,
+    entityType: 'auth',
+    entityId: staffId,
+    changes
+  });
+}
+
 // POST /api/auth/login
 router.post('/login', authLimiter, validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
+    // Find the staff login and its practice
     const result = await query(
-      'SELECT id, email, password_hash, practice_name, phone, timezone, is_admin, created_at FROM users WHERE email = $1',
+      `SELECT s.id AS staff_id, s.name, s.email AS staff_email, s.password_hash, s.role, s.status,
+              u.id, u.email, u.practice_name, u.phone, u.timezone, u.is_admin, u.created_at
+       FROM staff s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.email = $1`,
       [email.toLowerCase()]
     );
 
-    if (result.rows.length === 0) {
+    // Invited staff have no password until they accept
+    if (result.rows.length === 0 || !result.rows[0].password_hash) {
+      await recordAuthEvent(req, 'auth.login_failed', {
+        userId: result.rows[0]?.id,
+        staffId: result.rows[0]?.staff_id,
+        actorName: email.toLowerCase(),
+        changes: { reason: { from: null, to: result.rows.length === 0 ? 'unknown_email' : 'invite_pending' } }
+      });
       return res.status(401).json({
         error: { message: 'Invalid email or password' }
       });
@@ -112,25 +198,44 @@ router.post('/login', authLimiter, validate(schemas.login), async (req, res) =>
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
+      await recordAuthEvent(req, 'auth.login_failed', {
+        userId: user.id,
+        staffId: user.staff_id,
+        actorName: user.name || user.staff_email,
+        changes: { reason: { from: null, to: 'wrong_password' } }
+      });
       return res.status(401).json({
         error: { message: 'Invalid email or password' }
       });
     }
 
+    if (user.status !== 'active') {
+      await recordAuthEvent(req, 'auth.login_failed', {
+        userId: user.id,
+        staffId: user.staff_id,
+        actorName: user.name || user.staff_email,
+        changes: { reason: { from: null, to: 'deactivated' } }
+      });
+      return res.status(403).json({
+        error: { message: 'This account has been deactivated. Ask the practice owner to restore it.', code: 'ACCOUNT_DEACTIVATED' }
+      });
+    }
+
+    const staff = { id: user.staff_id, name: user.name, email: user.staff_email, role: user.role };
+
+    await query('UPDATE staff SET last_login_at = NOW() WHERE id = $1', [staff.id]);
+    await recordAuthEvent(req, 'auth.login', {
+      userId: user.id,
+      staffId: staff.id,
+      actorName: staff.name || staff.email
+    });
+
     // Generate tokens
-    const accessToken = generateToken(user.id);
-    const refreshToken = await generateRefreshToken(user.id);
+    const accessToken = generateToken(user.id, staff.id);
+    const refreshToken = await generateRefreshToken(user.id, staff.id);
 
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        practiceName: user.practice_name,
-        phone: user.phone,
-        timezone: user.timezone,
-        isAdmin: user.is_admin || false,
-        createdAt: user.created_at
-      },
+      user: formatUser(user, staff),
       token: accessToken,
       refreshToken: refreshToken.token,
       expiresIn: 900 // 15 minutes in seconds
@@ -144,17 +249,7 @@ router.post('/login', authLimiter, validate(schemas.login), async (req, res) =>
 // GET /api/auth/me
 router.get('/me', authenticate, async (req, res) => {
   try {
-    res.json({
-      user: {
-        id: req.user.id,
-        email: req.user.email,
-        practiceName: req.user.practice_name,
-        phone: req.user.phone,
-        timezone: req.user.timezone,
-        isAdmin: req.user.is_admin || false,
-        createdAt: req.user.created_at
-      }
-    });
+    res.json({ user: formatUser(req.user, req.staff) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: { message: 'Failed to get user info' } });
@@ -164,31 +259,95 @@ router.get('/me', authenticate, async (req, res) => {
 // PUT /api/auth/profile
 router.put('/profile', authenticate, async (req, res) => {
   try {
-    const { practiceName, phone, timezone } = req.body;
+    const { practiceName, phone, timezone, name } = req.body;
     const userId = req.user.id;
 
-    const result = await query(
-      `UPDATE users
-       SET practice_name = COALESCE($1, practice_name),
-           phone = COALESCE($2, phone),
-           timezone = COALESCE($3, timezone)
-       WHERE id = $4
-       RETURNING id, email, practice_name, phone, timezone, created_at`,
-      [practiceName, phone, timezone, userId]
-    );
+    // The practice's details are a manager's to change; anyone can fix their own name
+    const changesPractice = [practiceName, phone, timezone].some(value => value !== undefined);
+    if (changesPractice && !hasRole(req.staff.role, 'manager')) {
+      return res.status(403).json({ error: { message: 'You don\'t have permission to do that', code: 'FORBIDDEN_ROLE' } });
+    }
 
-    const user = result.rows[0];
+    const client = await getClient();
+    let before;
+    let user;
+    let staff = req.staff;
+    let ownerPhones = [];
 
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        practiceName: user.practice_name,
-        phone: user.phone,
-        timezone: user.timezone,
-        createdAt: user.created_at
+    try {
+      await client.query('BEGIN');
+
+      if (name !== undefined) {
+        const staffResult = await client.query(
+          `UPDATE staff SET name = $1, updated_at = NOW() WHERE id = $2
+           RETURNING id, name, email, role`,
+          [String(name).trim().slice(0, 100) || null, req.staff.id]
+        );
+        staff = staffResult.rows[0];
+      }
+
+      const previous = await client.query(
+        'SELECT practice_name, phone, timezone FROM users WHERE id = $1 FOR UPDATE',
+        [userId]
+      );
+      before = previous.rows[0];
+
+      const result = await client.query(
+        `UPDATE users
+         SET practice_name = COALESCE($1, practice_name),
+             phone = COALESCE($2, phone),
+             timezone = COALESCE($3, timezone)
+         WHERE id = $4
+         RETURNING id, email, practice_name, phone, timezone, is_admin, created_at`,
+        [practiceName, phone, timezone, userId]
+      );
+      user = result.rows[0];
+
+      // Registration gives the owner the practice phone as their login phone
+      // (password reset by SMS); it follows the practice phone until the
+      // owner is given a number of their own (PUT /api/staff/:id)
+      if (phone !== undefined) {
+        const owners = await client.query(
+          `UPDATE staff SET phone = $1, updated_at = NOW()
+           WHERE user_id = $2 AND role = 'owner' AND phone IS NOT DISTINCT FROM $3
+           RETURNING id`,
+          [user.phone, userId, before.phone]
+        );
+        ownerPhones = owners.rows;
       }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await audit.recordRequest(req, {
+      action: 'settings.updated',
+      entityType: 'settings',
+      before,
+      after: { practice_name: user.practice_name, phone: user.phone, timezone: user.timezone }
     });
+    await audit.recordRequest(req, {
+      action: 'staff.updated',
+      entityType: 'staff',
+      entityId: staff.id,
+      before: req.staff,
+      after: staff
+    });
+    for (const owner of ownerPhones) {
+      await audit.recordRequest(req, {
+        action: 'staff.updated',
+        entityType: 'staff',
+        entityId: owner.id,
+        before: { phone: before.phone },
+        after: { phone: user.phone }
+      });
+    }
+
+    res.json({ user: formatUser(user, staff) });
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({ error: { message: 'Failed to update profile' } });
@@ -199,10 +358,10 @@ router.put('/profile', authenticate, async (req, res) => {
 router.put('/password', authenticate, validate(schemas.updatePassword), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
-    const userId = req.user.id;
+    const staffId = req.staff.id;
 
     // Get current password hash
-    const userResult = await query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+    const userResult = await query('SELECT password_hash FROM staff WHERE id = $1', [staffId]);
     const isValidPassword = await bcrypt.compare(currentPassword, userResult.rows[0].password_hash);
 
     if (!isValidPassword) {
@@ -215,7 +374,12 @@ router.put('/password', authenticate, validate(schemas.updatePassword), async (r
     const salt = await bcrypt.genSalt(12);
     const passwordHash = await bcrypt.hash(newPassword, salt);
 
-    await query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+    await query('UPDATE staff SET password_hash = $1, updated_at = NOW() WHERE id = $2', [passwordHash, staffId]);
+    await audit.recordRequest(req, {
+      action: 'auth.password_changed',
+      entityType: 'auth',
+      entityId: staffId
+    });
 
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
@@ -232,22 +396,17 @@ router.post('/forgot-password', otpLimiter, validate(schemas.forgotPassword), as
     // Clean phone number (remove non-digits)
     const cleanPhone = phone.replace(/\D/g, '');
 
-    // Find user by phone
-    const userResult = await query(
-      'SELECT id, phone, practice_name FROM users WHERE phone = $1',
-      [cleanPhone]
-    );
+    // Find the staff login with this phone
+    const staff = await findStaffByPhone(cleanPhone);
 
     // Don't reveal if user exists or not for security
-    if (userResult.rows.length === 0) {
+    if (!staff) {
       // Still return success to prevent phone enumeration
       return res.json({
         message: 'If an account exists with this phone number, a verification code has been sent'
       });
     }
 
-    const user = userResult.rows[0];
-
     // Delete any existing OTPs for this phone
     await query('DELETE FROM otp_codes WHERE phone = $1', [cleanPhone]);
 
@@ -262,35 +421,28 @@ router.post('/forgot-password', otpLimiter, validate(schemas.forgotPassword), as
       [cleanPhone, otp, expiresAt]
     );
 
-    // Send OTP via Notifyre
-    const notifyreAccountId = process.env.NOTIFYRE_ACCOUNT_ID;
-    const notifyreApiToken = process.env.NOTIFYRE_API_TOKEN;
-
-    // Get user's SMS reply number from settings
+    // Get user's SMS provider chain from settings
     const settingsResult = await query(
-      'SELECT sms_reply_number FROM settings WHERE user_id = $1',
-      [user.id]
+      'SELECT sms_provider, sms_reply_number, sms_failover_providers FROM settings WHERE user_id = $1',
+      [staff.user_id]
     );
-    const notifyreFromNumber = settingsResult.rows[0]?.sms_reply_number;
-
-    if (notifyreAccountId && notifyreApiToken && notifyreFromNumber) {
-      try {
-        const formattedPhone = notifyre.normalizePhoneNumber(cleanPhone);
-        const result = await notifyre.sendSMS(
-          notifyreAccountId,
-          notifyreApiToken,
-          formattedPhone,
-          `Your SmileDesk verification code is: ${otp}. This code expires in 10 minutes.`,
-          notifyreFromNumber
-        );
-        if (result.success) {
-          console.log(`OTP sent to ${formattedPhone}`);
-        } else {
-          console.error('Notifyre SMS error:', result.error);
-        }
-      } catch (notifyreError) {
-        console.error('Notifyre SMS error:', notifyreError);
+    const smsSettings = settingsResult.rows[0];
+    const provider = smsProvider.getProviderForSettings(smsSettings);
+
+    // Send OTP via the practice's SMS provider (falls over to backups)
+    if (smsSettings?.sms_reply_number) {
+      const formattedPhone = provider.normalizePhoneNumber(cleanPhone);
+      const result = await smsProvider.sendWithFailover(
+        smsSettings,
+        formattedPhone,
+        `Your SmileDesk verification code is: ${otp}. This code expires in 10 minutes.`,
+        { context: 'forgot-password-otp' }
+      );
+      if (result.success) {
+        console.log(`OTP sent to ${formattedPhone} via ${result.provider}`);
+      } else {
         // Don't fail the request, just log the error
+        console.error('OTP SMS error:', result.error);
       }
     } else {
       // Log OTP in development or when SMS not configured for this user
@@ -388,13 +540,10 @@ router.post('/reset-password', authLimiter, validate(schemas.resetPassword), asy
       });
     }
 
-    // Find user
-    const userResult = await query(
-      'SELECT id FROM users WHERE phone = $1',
-      [cleanPhone]
-    );
+    // Find the staff login
+    const staff = await findStaffByPhone(cleanPhone);
 
-    if (userResult.rows.length === 0) {
+    if (!staff) {
       return res.status(400).json({
         error: { message: 'User not found' }
       });
@@ -406,13 +555,19 @@ router.post('/reset-password', authLimiter, validate(schemas.resetPassword), asy
 
     // Update password
     await query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2',
-      [passwordHash, userResult.rows[0].id]
+      'UPDATE staff SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [passwordHash, staff.id]
     );
 
     // Delete used OTP
     await query('DELETE FROM otp_codes WHERE phone = $1', [cleanPhone]);
 
+    await recordAuthEvent(req, 'auth.password_reset', {
+      userId: staff.user_id,
+      staffId: staff.id,
+      actorName: staff.name || staff.email
+    });
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -432,19 +587,19 @@ router.post('/refresh', async (req, res) => {
     }
 
     // Validate refresh token
-    const userId = await validateRefreshToken(refreshToken);
+    const login = await validateRefreshToken(refreshToken);
 
-    if (!userId) {
+    if (!login) {
       return res.status(401).json({
         error: { message: 'Invalid or expired refresh token', code: 'REFRESH_TOKEN_INVALID' }
       });
     }
 
     // Generate new access token
-    const accessToken = generateToken(userId);
+    const accessToken = generateToken(login.userId, login.staffId);
 
     // Optionally rotate refresh token for extra security
-    const newRefreshToken = await generateRefreshToken(userId);
+    const newRefreshToken = await generateRefreshToken(login.userId, login.staffId);
 
     res.json({
       token: accessToken,
@@ -460,10 +615,14 @@ router.post('/refresh', async (req, res) => {
 // POST /api/auth/logout - Revoke refresh token
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Revoke refresh token
-    await revokeRefreshToken(userId);
+    await revokeRefreshToken(req.staff.id);
+
+    await audit.recordRequest(req, {
+      action: 'auth.logout',
+      entityType: 'auth',
+      entityId: req.staff.id
+    });
 
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
@@ -472,4 +631,84 @@ router.post('/logout', authenticate, async (req, res) => {
   }
 });
 
+// GET /api/auth/invite/:token - Who a staff invite is for (accept page)
+router.get('/invite/:token', authLimiter, async (req, res) => {
+  try {
+    const invite = await staffInvites.findInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({ error: { message: 'This invite link is invalid or has expired' } });
+    }
+
+    res.json({
+      invite: {
+        practiceName: invite.practice_name,
+        name: invite.name,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.invite_expires_at
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: { message: 'Failed to load invite' } });
+  }
+});
+
+// POST /api/auth/accept-invite - Set a password for an invited staff login
+router.post('/accept-invite', authLimiter, validate(schemas.acceptInvite), async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const invite = await staffInvites.findInvite(token);
+
+    if (!invite) {
+      return res.status(400).json({ error: { message: 'This invite link is invalid or has expired' } });
+    }
+
+    const salt = await bcrypt.genSalt(12);
+    const passwordHash = await bcrypt.hash(password, salt);
+
+    const staffResult = await query(
+      `UPDATE staff
+       SET password_hash = $1, name = COALESCE($2, name), status = 'active',
+           invite_token_hash = NULL, invite_expires_at = NULL, last_login_at = NOW(), updated_at = NOW()
+       WHERE id = $3 AND status = 'invited'
+       RETURNING id, name, email, role`,
+      [passwordHash, name || null, invite.id]
+    );
+
+    // Accepted twice at once, or deactivated in between
+    if (staffResult.rows.length === 0) {
+      return res.status(400).json({ error: { message: 'This invite link is invalid or has expired' } });
+    }
+
+    const staff = staffResult.rows[0];
+    const userResult = await query(
+      'SELECT id, email, practice_name, phone, timezone, is_admin, created_at FROM users WHERE id = $1',
+      [invite.user_id]
+    );
+
+    await recordAuthEvent(req, 'auth.invite_accepted', {
+      userId: invite.user_id,
+      staffId: staff.id,
+      actorName: staff.name || staff.email
+    });
+
+    const accessToken = generateToken(invite.user_id, staff.id);
+    const refreshToken = await generateRefreshToken(invite.user_id, staff.id);
+
+    res.json({
+      message: 'Welcome aboard',
+      user: formatUser(userResult.rows[0], staff),
+      token: accessToken,
+      refreshToken: refreshToken.token,
+      expiresIn: 900 // 15 minutes in seconds
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: { message: 'Failed to accept invite' } });
+  }
+});
+
 module.exports = router;
@@ -1,21 +1,27 @@
 const express = require('express');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { getAvailableSlots } = require('../services/booking');
+const { getLocation } = require('../services/locations');
+const { validate, schemas } = require('../middleware/validate');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(requireRoleToWrite('manager'));
 
 // GET /api/booking-slots - Get all booking slots for user
-router.get('/', async (req, res) => {
+// ?locationId lists only that location's own slots
+router.get('/', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
 
     const result = await query(
-      `SELECT id, day_of_week, time_slot, duration_minutes, is_active, created_at
+      `SELECT id, day_of_week, time_slot, duration_minutes, is_active, location_id, created_at
        FROM booking_slots
        WHERE user_id = $1
+         AND ($2::uuid IS NULL OR location_id = $2)
        ORDER BY
          CASE day_of_week
            WHEN 'monday' THEN 1
@@ -27,7 +33,7 @@ router.get('/', async (req, res) => {
            WHEN 'sunday' THEN 7
          END,
          time_slot`,
-      [userId]
+      [userId, req.query.locationId || null]
     );
 
     res.json({
@@ -37,6 +43,7 @@ router.get('/', async (req, res) => {
         timeSlot: slot.time_slot,
         durationMinutes: slot.duration_minutes,
         isActive: slot.is_active,
+        locationId: slot.location_id,
         createdAt: slot.created_at
       }))
     });
@@ -50,7 +57,7 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { dayOfWeek, timeSlot, durationMinutes = 30 } = req.body;
+    const { dayOfWeek, timeSlot, durationMinutes = 30, locationId = null } = req.body;
 
     if (!dayOfWeek || !timeSlot) {
       return res.status(400).json({
@@ -66,11 +73,17 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Check for duplicate
+    // No location = a slot every location offers
+    if (locationId && !(await getLocation(userId, locationId))) {
+      return res.status(400).json({ error: { message: 'Unknown location' } });
+    }
+
+    // Check for duplicate (per location)
     const existing = await query(
       `SELECT id FROM booking_slots
-       WHERE user_id = $1 AND day_of_week = $2 AND time_slot = $3`,
-      [userId, dayOfWeek.toLowerCase(), timeSlot]
+       WHERE user_id = $1 AND day_of_week = $2 AND time_slot = $3
+         AND location_id IS NOT DISTINCT FROM $4`,
+      [userId, dayOfWeek.toLowerCase(), timeSlot, locationId]
     );
 
     if (existing.rows.length > 0) {
@@ -80,10 +93,10 @@ router.post('/', async (req, res) => {
     }
 
     const result = await query(
-      `INSERT INTO booking_slots (user_id, day_of_week, time_slot, duration_minutes)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, day_of_week, time_slot, duration_minutes, is_active, created_at`,
-      [userId, dayOfWeek.toLowerCase(), timeSlot, durationMinutes]
+      `INSERT INTO booking_slots (user_id, day_of_week, time_slot, duration_minutes, location_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, day_of_week, time_slot, duration_minutes, is_active, location_id, created_at`,
+      [userId, dayOfWeek.toLowerCase(), timeSlot, durationMinutes, locationId]
     );
 
     const slot = result.rows[0];
@@ -95,6 +108,7 @@ router.post('/', async (req, res) => {
         timeSlot: slot.time_slot,
         durationMinutes: slot.duration_minutes,
         isActive: slot.is_active,
+        locationId: slot.location_id,
         createdAt: slot.created_at
       }
     });
@@ -118,7 +132,7 @@ router.put('/:id', async (req, res) => {
            duration_minutes = COALESCE($3, duration_minutes),
            is_active = COALESCE($4, is_active)
        WHERE id = $5 AND user_id = $6
-       RETURNING id, day_of_week, time_slot, duration_minutes, is_active, created_at`,
+       RETURNING id, day_of_week, time_slot, duration_minutes, is_active, location_id, created_at`,
       [dayOfWeek?.toLowerCase(), timeSlot, durationMinutes, isActive, id, userId]
     );
 
@@ -135,6 +149,7 @@ router.put('/:id', async (req, res) => {
         timeSlot: slot.time_slot,
         durationMinutes: slot.duration_minutes,
         isActive: slot.is_active,
+        locationId: slot.location_id,
         createdAt: slot.created_at
       }
     });
@@ -167,44 +182,17 @@ router.delete('/:id', async (req, res) => {
 });
 
 // GET /api/booking-slots/available - Get available slots for a specific date
-router.get('/available', async (req, res) => {
+// ?locationId checks one location's slots and bookings
+router.get('/available', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { date } = req.query;
+    const { date, locationId } = req.query;
 
     if (!date) {
       return res.status(400).json({ error: { message: 'Date is required' } });
     }
 
-    const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-
-    // Get slots for the day
-    const slotsResult = await query(
-      `SELECT id, time_slot, duration_minutes
-       FROM booking_slots
-       WHERE user_id = $1 AND day_of_week = $2 AND is_active = true
-       ORDER BY time_slot`,
-      [userId, dayOfWeek]
-    );
-
-    // Get booked appointments for the date
-    const appointmentsResult = await query(
-      `SELECT appointment_time
-       FROM appointments
-       WHERE user_id = $1 AND appointment_date = $2 AND status != 'cancelled'`,
-      [userId, date]
-    );
-
-    const bookedTimes = appointmentsResult.rows.map(a => a.appointment_time);
-
-    const availableSlots = slotsResult.rows
-      .filter(slot => !bookedTimes.includes(slot.time_slot))
-      .map(slot => ({
-        id: slot.id,
-        timeSlot: slot.time_slot,
-        durationMinutes: slot.duration_minutes,
-        available: true
-      }));
+    const { dayOfWeek, slots: availableSlots } = await getAvailableSlots(userId, date, { locationId });
 
     res.json({
       date,
@@ -1,8 +1,18 @@
 const express = require('express');
-const { google } = require('googleapis');
 const crypto = require('crypto');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRole, requireRoleToWrite, generateOAuthState, verifyOAuthState } = require('../middleware/auth');
+const { encrypt } = require('../utils/crypto');
+const { zonedTimeToDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const {
+  getUserOAuth2Client,
+  getCalendarClient
+} = require('../services/googleCalendar');
+const { syncCalendar } = require('../services/calendarSync');
+const { buildFeed } = require('../services/ics');
+const { getLocation, withLocation } = require('../services/locations');
+const { validate, schemas } = require('../middleware/validate');
+const { auditSettingsChanges } = require('../middleware/audit');
 
 const router = express.Router();
 
@@ -23,154 +33,181 @@ const router = express.Router();
  *
  * Note: New OAuth apps are in "Testing" mode by default, limited to 100 users.
  * Users need to submit for verification to remove this limit.
+ *
+ * Once connected, appointments sync to the calendar automatically
+ * (see services/googleCalendar.js).
  */
 
-// Encryption key for storing credentials (should be in env vars in production)
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex').slice(0, 32);
-const IV_LENGTH = 16;
-
-// Encrypt sensitive data
-function encrypt(text) {
-  if (!text) return null;
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-  let encrypted = cipher.update(text);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
+const OAUTH_STATE_PURPOSE = 'google-calendar';
+
+// How far back the ICS feed goes (calendar apps keep what they already have)
+const FEED_LOOKBACK_DAYS = 90;
+
+/**
+ * Public subscription URL for a feed token
+ */
+function feedUrl(req, token) {
+  const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}/api/calendar/feed/${token}.ics`;
 }
 
-// Decrypt sensitive data
-function decrypt(text) {
-  if (!text) return null;
+// GET /api/calendar/callback - Google OAuth callback
+// Public: Google redirects the browser here without our bearer token,
+// so the user is identified by the signed state from /auth-url
+router.get('/callback', async (req, res) => {
   try {
-    const textParts = text.split(':');
-    const iv = Buffer.from(textParts.shift(), 'hex');
-    const encryptedText = Buffer.from(textParts.join(':'), 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-    return decrypted.toString();
-  } catch (error) {
-    console.error('Decryption error:', error);
-    return null;
-  }
-}
+    const { code, state, error: oauthError } = req.query;
 
-// Helper function to create OAuth2 client with user's credentials
-async function getUserOAuth2Client(userId) {
-  const result = await query(
-    'SELECT google_client_id, google_client_secret FROM settings WHERE user_id = $1',
-    [userId]
-  );
+    // Handle OAuth errors (user denied access, etc.)
+    if (oauthError) {
+      console.error('OAuth error from Google:', oauthError);
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=${encodeURIComponent(oauthError)}`);
+    }
 
-  if (result.rows.length === 0 || !result.rows[0].google_client_id || !result.rows[0].google_client_secret) {
-    return null;
-  }
+    if (!code) {
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=No authorization code received`);
+    }
 
-  const { google_client_id, google_client_secret } = result.rows[0];
+    const userId = state ? verifyOAuthState(state, OAUTH_STATE_PURPOSE) : null;
 
-  // Decrypt the client secret
-  const decryptedSecret = decrypt(google_client_secret) || google_client_secret;
+    if (!userId) {
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=Invalid state parameter`);
+    }
 
-  // Determine the redirect URI based on environment
-  const redirectUri = process.env.GOOGLE_REDIRECT_URI ||
-    (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/api/calendar/callback` :
-    'http://localhost:3001/api/calendar/callback');
+    // Get user's OAuth client
+    const oauth2Client = await getUserOAuth2Client(userId);
 
-  return new google.auth.OAuth2(
-    google_client_id,
-    decryptedSecret,
-    redirectUri
-  );
-}
+    if (!oauth2Client) {
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=OAuth credentials not found`);
+    }
 
-/**
- * Get OAuth2 client with tokens and automatic refresh handling
- * This ensures tokens are refreshed when expired
- */
-async function getAuthenticatedClient(userId) {
-  const result = await query(
-    'SELECT google_tokens, google_client_id, google_client_secret FROM settings WHERE user_id = $1 AND google_calendar_connected = true',
-    [userId]
-  );
-
-  if (result.rows.length === 0 || !result.rows[0].google_tokens) {
-    return { error: 'Calendar not connected' };
-  }
+    const { tokens } = await oauth2Client.getToken(code);
 
-  const oauth2Client = await getUserOAuth2Client(userId);
-  if (!oauth2Client) {
-    return { error: 'OAuth credentials not configured' };
+    // Save tokens to settings
+    await query(
+      `UPDATE settings
+       SET google_calendar_connected = true, google_tokens = $1, google_sync_token = NULL
+       WHERE user_id = $2`,
+      [JSON.stringify(tokens), userId]
+    );
+
+    res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=success`);
+  } catch (error) {
+    console.error('Calendar callback error:', error);
+    const errorMessage = error.message || 'Failed to connect calendar';
+    res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=${encodeURIComponent(errorMessage)}`);
   }
+});
 
-  let tokens = result.rows[0].google_tokens;
+// GET /api/calendar/feed/:token.ics - ICS subscription feed
+// Public: Outlook / Apple Calendar can't send our bearer token, so the
+// secret token in the URL is the credential
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+      return res.status(404).json({ error: { message: 'Calendar feed not found' } });
+    }
+
+    const practiceResult = await query(
+      `SELECT u.id, u.practice_name, u.email, u.phone, u.timezone
+       FROM settings s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.ics_feed_token = $1`,
+      [token]
+    );
 
-  // Parse tokens if they're a string
-  if (typeof tokens === 'string') {
-    try {
-      tokens = JSON.parse(tokens);
-    } catch (e) {
-      return { error: 'Invalid token format' };
+    if (practiceResult.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Calendar feed not found' } });
     }
+
+    const practice = practiceResult.rows[0];
+
+    // Cancelled appointments stay in the feed so subscribers see the cancellation
+    const appointmentsResult = await query(
+      `SELECT a.*, loc.timezone AS location_timezone
+       FROM appointments a
+       LEFT JOIN locations loc ON loc.id = a.location_id
+       WHERE a.user_id = $1
+         AND a.appointment_date >= CURRENT_DATE - INTERVAL '${FEED_LOOKBACK_DAYS} days'
+       ORDER BY a.appointment_date ASC, a.appointment_time ASC`,
+      [practice.id]
+    );
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(buildFeed(practice, appointmentsResult.rows));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: { message: 'Failed to build calendar feed' } });
   }
+});
 
-  oauth2Client.setCredentials(tokens);
+// Apply authentication to all remaining routes; connecting calendars is a manager's job
+router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
 
-  // Set up automatic token refresh
-  oauth2Client.on('tokens', async (newTokens) => {
-    console.log('Google OAuth tokens refreshed for user:', userId);
+// GET /api/calendar/feed - ICS subscription status and URL
+router.get('/feed', async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT ics_feed_token FROM settings WHERE user_id = $1',
+      [req.user.id]
+    );
 
-    // Merge new tokens with existing ones (refresh_token may not be in new tokens)
-    const updatedTokens = {
-      ...tokens,
-      ...newTokens
-    };
+    const token = result.rows[0]?.ics_feed_token;
 
-    // Save the refreshed tokens
-    try {
-      await query(
-        `UPDATE settings SET google_tokens = $1 WHERE user_id = $2`,
-        [JSON.stringify(updatedTokens), userId]
-      );
-    } catch (error) {
-      console.error('Failed to save refreshed tokens:', error);
-    }
-  });
-
-  // Check if access token is expired and refresh if needed
-  if (tokens.expiry_date && Date.now() >= tokens.expiry_date - 60000) {
-    // Token expires in less than 1 minute, refresh it
-    try {
-      const { credentials } = await oauth2Client.refreshAccessToken();
-      const updatedTokens = { ...tokens, ...credentials };
-
-      await query(
-        `UPDATE settings SET google_tokens = $1 WHERE user_id = $2`,
-        [JSON.stringify(updatedTokens), userId]
-      );
-
-      oauth2Client.setCredentials(updatedTokens);
-      console.log('Proactively refreshed tokens for user:', userId);
-    } catch (error) {
-      console.error('Token refresh failed:', error);
-      // If refresh fails, the token might be revoked
-      if (error.message?.includes('invalid_grant') || error.message?.includes('Token has been revoked')) {
-        // Mark calendar as disconnected
-        await query(
-          `UPDATE settings SET google_calendar_connected = false, google_tokens = NULL WHERE user_id = $1`,
-          [userId]
-        );
-        return { error: 'Calendar authorization expired. Please reconnect your calendar.' };
-      }
-      return { error: 'Failed to refresh calendar access. Please try reconnecting.' };
+    res.json({
+      enabled: !!token,
+      url: token ? feedUrl(req, token) : null
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch calendar feed' } });
+  }
+});
+
+// POST /api/calendar/feed - Enable the ICS feed, or rotate its URL if already enabled
+router.post('/feed', requireRole('manager'), auditSettingsChanges, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const result = await query(
+      `UPDATE settings SET ics_feed_token = $1 WHERE user_id = $2 RETURNING id`,
+      [token, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
     }
+
+    res.json({
+      message: 'Calendar feed URL created. Any previous URL no longer works.',
+      enabled: true,
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: { message: 'Failed to create calendar feed' } });
   }
+});
 
-  return { client: oauth2Client };
-}
+// DELETE /api/calendar/feed - Disable the ICS feed
+router.delete('/feed', requireRole('manager'), auditSettingsChanges, async (req, res) => {
+  try {
+    await query(
+      'UPDATE settings SET ics_feed_token = NULL WHERE user_id = $1',
+      [req.user.id]
+    );
 
-// Apply authentication to all routes
-router.use(authenticate);
+    res.json({ message: 'Calendar feed disabled', enabled: false, url: null });
+  } catch (error) {
+    console.error('Disable calendar feed error:', error);
+    res.status(500).json({ error: { message: 'Failed to disable calendar feed' } });
+  }
+});
 
 // GET /api/calendar/credentials-status - Check if user has configured OAuth credentials
 router.get('/credentials-status', async (req, res) => {
@@ -197,7 +234,7 @@ router.get('/credentials-status', async (req, res) => {
 });
 
 // POST /api/calendar/credentials - Save user's Google OAuth credentials (encrypted)
-router.post('/credentials', async (req, res) => {
+router.post('/credentials', requireRole('manager'), auditSettingsChanges, async (req, res) => {
   try {
     const userId = req.user.id;
     const { clientId, clientSecret } = req.body;
@@ -234,14 +271,14 @@ router.post('/credentials', async (req, res) => {
 });
 
 // DELETE /api/calendar/credentials - Remove user's Google OAuth credentials
-router.delete('/credentials', async (req, res) => {
+router.delete('/credentials', requireRole('manager'), auditSettingsChanges, async (req, res) => {
   try {
     const userId = req.user.id;
 
     await query(
       `UPDATE settings
        SET google_client_id = NULL, google_client_secret = NULL,
-           google_calendar_connected = false, google_tokens = NULL
+           google_calendar_connected = false, google_tokens = NULL, google_sync_token = NULL
        WHERE user_id = $1`,
       [userId]
     );
@@ -254,7 +291,7 @@ router.delete('/credentials', async (req, res) => {
 });
 
 // GET /api/calendar/auth-url - Get Google OAuth URL
-router.get('/auth-url', async (req, res) => {
+router.get('/auth-url', requireRole('manager'), async (req, res) => {
   try {
     const userId = req.user.id;
     const oauth2Client = await getUserOAuth2Client(userId);
@@ -276,7 +313,7 @@ router.get('/auth-url', async (req, res) => {
     const authUrl = oauth2Client.generateAuthUrl({
       access_type: 'offline',
       scope: scopes,
-      state: userId,
+      state: generateOAuthState(userId, OAUTH_STATE_PURPOSE),
       prompt: 'consent'
     });
 
@@ -287,57 +324,14 @@ router.get('/auth-url', async (req, res) => {
   }
 });
 
-// GET /api/calendar/callback - Google OAuth callback
-router.get('/callback', async (req, res) => {
-  try {
-    const { code, state: userId, error: oauthError } = req.query;
-
-    // Handle OAuth errors (user denied access, etc.)
-    if (oauthError) {
-      console.error('OAuth error from Google:', oauthError);
-      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=${encodeURIComponent(oauthError)}`);
-    }
-
-    if (!code) {
-      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=No authorization code received`);
-    }
-
-    if (!userId) {
-      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=Invalid state parameter`);
-    }
-
-    // Get user's OAuth client
-    const oauth2Client = await getUserOAuth2Client(userId);
-
-    if (!oauth2Client) {
-      return res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=OAuth credentials not found`);
-    }
-
-    const { tokens } = await oauth2Client.getToken(code);
-
-    // Save tokens to settings
-    await query(
-      `UPDATE settings
-       SET google_calendar_connected = true, google_tokens = $1
-       WHERE user_id = $2`,
-      [JSON.stringify(tokens), userId]
-    );
-
-    res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=success`);
-  } catch (error) {
-    console.error('Calendar callback error:', error);
-    const errorMessage = error.message || 'Failed to connect calendar';
-    res.redirect(`${process.env.FRONTEND_URL}/settings?calendar=error&message=${encodeURIComponent(errorMessage)}`);
-  }
-});
-
 // GET /api/calendar/status - Check calendar connection status
 router.get('/status', async (req, res) => {
   try {
     const userId = req.user.id;
 
     const result = await query(
-      'SELECT google_calendar_connected, google_tokens, google_client_id, google_client_secret FROM settings WHERE user_id = $1',
+      `SELECT google_calendar_connected, google_tokens, google_client_id, google_client_secret, google_last_synced_at
+       FROM settings WHERE user_id = $1`,
       [userId]
     );
 
@@ -353,7 +347,8 @@ router.get('/status', async (req, res) => {
     res.json({
       connected: settings.google_calendar_connected,
       hasTokens: !!settings.google_tokens,
-      credentialsConfigured: !!(settings.google_client_id && settings.google_client_secret)
+      credentialsConfigured: !!(settings.google_client_id && settings.google_client_secret),
+      lastSyncedAt: settings.google_last_synced_at
     });
   } catch (error) {
     console.error('Get calendar status error:', error);
@@ -362,13 +357,13 @@ router.get('/status', async (req, res) => {
 });
 
 // POST /api/calendar/disconnect - Disconnect Google Calendar
-router.post('/disconnect', async (req, res) => {
+router.post('/disconnect', requireRole('manager'), auditSettingsChanges, async (req, res) => {
   try {
     const userId = req.user.id;
 
     await query(
       `UPDATE settings
-       SET google_calendar_connected = false, google_tokens = null
+       SET google_calendar_connected = false, google_tokens = null, google_sync_token = NULL
        WHERE user_id = $1`,
       [userId]
     );
@@ -380,20 +375,34 @@ router.post('/disconnect', async (req, res) => {
   }
 });
 
+// POST /api/calendar/sync - Pull calendar changes now instead of waiting for the job
+router.post('/sync', async (req, res) => {
+  try {
+    const result = await syncCalendar(req.user.id);
+
+    if (result.skipped) {
+      return res.status(400).json({ error: { message: result.skipped } });
+    }
+
+    res.json({ message: 'Calendar synced', ...result });
+  } catch (error) {
+    console.error('Calendar sync error:', error);
+    res.status(500).json({ error: { message: 'Failed to sync calendar' } });
+  }
+});
+
 // GET /api/calendar/events - Get calendar events
 router.get('/events', async (req, res) => {
   try {
     const userId = req.user.id;
     const { startDate, endDate } = req.query;
 
-    const { client: oauth2Client, error } = await getAuthenticatedClient(userId);
+    const { calendar, error } = await getCalendarClient(userId);
 
     if (error) {
       return res.status(400).json({ error: { message: error } });
     }
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
     const events = await calendar.events.list({
       calendarId: 'primary',
       timeMin: startDate || new Date().toISOString(),
@@ -438,24 +447,22 @@ router.post('/events', async (req, res) => {
       });
     }
 
-    const { client: oauth2Client, error } = await getAuthenticatedClient(userId);
+    const { calendar, error } = await getCalendarClient(userId);
 
     if (error) {
       return res.status(400).json({ error: { message: error } });
     }
 
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
     const event = {
       summary,
       description,
       start: {
         dateTime: startTime,
-        timeZone: req.user.timezone || 'Australia/Sydney'
+        timeZone: req.user.timezone || DEFAULT_TIMEZONE
       },
       end: {
         dateTime: endTime,
-        timeZone: req.user.timezone || 'Australia/Sydney'
+        timeZone: req.user.timezone || DEFAULT_TIMEZONE
       }
     };
 
@@ -492,10 +499,11 @@ router.post('/events', async (req, res) => {
 });
 
 // GET /api/calendar/availability - Get available time slots
-router.get('/availability', async (req, res) => {
+// ?locationId uses that location's hours and timezone
+router.get('/availability', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { date } = req.query;
+    const { date, locationId } = req.query;
 
     if (!date) {
       return res.status(400).json({ error: { message: 'Date is required' } });
@@ -511,7 +519,10 @@ router.get('/availability', async (req, res) => {
       return res.status(400).json({ error: { message: 'Settings not found' } });
     }
 
-    const settings = settingsResult.rows[0];
+    const settings = withLocation(
+      { ...settingsResult.rows[0], timezone: req.user.timezone },
+      await getLocation(userId, locationId)
+    );
     const businessHours = settings.business_hours;
     const dayOfWeek = new Date(date).toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
     const dayHours = businessHours?.[dayOfWeek];
@@ -545,15 +556,12 @@ router.get('/availability', async (req, res) => {
     // If calendar is connected, filter out booked slots
     if (settings.google_calendar_connected && settings.google_tokens) {
       try {
-        const { client: oauth2Client } = await getAuthenticatedClient(userId);
-        if (oauth2Client) {
-          const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
-
-          // Get events for the requested date
-          const startOfDay = new Date(date);
-          startOfDay.setHours(0, 0, 0, 0);
-          const endOfDay = new Date(date);
-          endOfDay.setHours(23, 59, 59, 999);
+        const { calendar } = await getCalendarClient(userId);
+        if (calendar) {
+          // Day bounds and slot times are wall-clock times in the practice's timezone
+          const timezone = settings.timezone || DEFAULT_TIMEZONE;
+          const startOfDay = zonedTimeToDate(date, 0, timezone);
+          const endOfDay = zonedTimeToDate(date, 24 * 60, timezone);
 
           const events = await calendar.events.list({
             calendarId: 'primary',
@@ -565,9 +573,8 @@ router.get('/availability', async (req, res) => {
 
           // Mark slots as unavailable if they overlap with events
           for (const slot of slots) {
-            const slotStart = new Date(date);
             const [slotHour, slotMinute] = slot.time.split(':').map(Number);
-            slotStart.setHours(slotHour, slotMinute, 0, 0);
+            const slotStart = zonedTimeToDate(date, slotHour * 60 + slotMinute, timezone);
             const slotEnd = new Date(slotStart.getTime() + 30 * 60 * 1000);
 
             for (const event of events.data.items || []) {
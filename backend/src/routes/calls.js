@@ -1,11 +1,99 @@
 const express = require('express');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRoleToWrite, generateMediaToken, verifyMediaToken } = require('../middleware/auth');
+const { openVoicemail } = require('../services/voicemails');
+const realtime = require('../services/realtime');
+const audit = require('../services/audit');
+const { validate, schemas } = require('../middleware/validate');
 
 const router = express.Router();
 
-// Apply authentication to all routes
+/**
+ * Requested byte range from a Range header, or null for the whole file
+ * Returns false when the range can't be satisfied.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (match[1]) {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  } else {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// GET /api/calls/:id/voicemail?token= - Stream a stored voicemail recording
+// Authenticated by the short-lived token from GET /api/calls/:id, as the
+// browser's <audio> element fetches it without our Authorization header
+router.get('/:id/voicemail', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = verifyMediaToken(req.query.token, `voicemail:${id}`);
+
+    if (!userId) {
+      return res.status(401).json({ error: { message: 'Invalid or expired voicemail link' } });
+    }
+
+    const result = await query(
+      `SELECT voicemail_storage_key, voicemail_content_type, voicemail_size
+       FROM calls
+       WHERE id = $1 AND user_id = $2 AND voicemail_status = 'stored' AND deleted_at IS NULL`,
+      [id, userId]
+    );
+
+    const call = result.rows[0];
+    if (!call) {
+      return res.status(404).json({ error: { message: 'Voicemail not found' } });
+    }
+
+    const range = parseRange(req.headers.range, call.voicemail_size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${call.voicemail_size}`);
+      return res.status(416).end();
+    }
+
+    const blob = await openVoicemail(call.voicemail_storage_key, range || {});
+    if (!blob) {
+      return res.status(404).json({ error: { message: 'Voicemail not found' } });
+    }
+
+    res.set({
+      'Content-Type': call.voicemail_content_type,
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store'
+    });
+
+    if (range) {
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${blob.size}`,
+        'Content-Length': range.end - range.start + 1
+      });
+    } else {
+      res.set('Content-Length', blob.size);
+    }
+
+    blob.stream.on('error', (error) => {
+      console.error('Voicemail stream error:', error);
+      res.destroy(error);
+    });
+    blob.stream.pipe(res);
+  } catch (error) {
+    console.error('Get voicemail error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch voicemail' } });
+  }
+});
+
+// Apply authentication to all other routes
 router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
 
 // Helper: Check if a timestamp falls within business hours
 function isDuringBusinessHours(timestamp, businessHours) {
@@ -32,45 +120,33 @@ function isDuringBusinessHours(timestamp, businessHours) {
   return callTime >= openTime && callTime < closeTime;
 }
 
+// Which of the patient's calls in the 7 days up to it this one is ("3rd call this week")
+const PATIENT_CALL_NUMBER = `(
+  SELECT COUNT(*) FROM calls pc
+  WHERE pc.patient_id = c.patient_id AND pc.deleted_at IS NULL
+    AND pc.created_at > c.created_at - INTERVAL '7 days' AND pc.created_at <= c.created_at
+)`;
+
+// Helper: A call as it is before a change (null when missing or deleted)
+async function findCall(id, userId) {
+  const result = await query(
+    'SELECT * FROM calls WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
 // GET /api/calls - Get all calls for user (legacy + new fields)
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20, status, search, startDate, endDate, recentOnly } = req.query;
+    const { page = 1, limit = 20, status, search, startDate, endDate, recentOnly, locationId } = req.query;
     const offset = (page - 1) * limit;
 
-    // Auto-flag calls as 'no_response' if they've been pending for 45+ minutes
-    await query(
-      `UPDATE calls
-       SET followup_status = 'no_response'
-       WHERE user_id = $1
-         AND followup_status IN ('pending', 'in_progress')
-         AND created_at < NOW() - INTERVAL '45 minutes'
-         AND id NOT IN (
-           SELECT DISTINCT c.id FROM calls c
-           JOIN conversations conv ON conv.call_id = c.id
-           JOIN messages m ON m.conversation_id = conv.id
-           WHERE m.sender = 'patient' AND c.user_id = $1
-         )`,
-      [userId]
-    );
-
-    // Also update leads to 'lost' for stale conversations
-    await query(
-      `UPDATE leads
-       SET status = 'lost'
-       WHERE user_id = $1
-         AND status = 'new'
-         AND created_at < NOW() - INTERVAL '45 minutes'
-         AND conversation_id NOT IN (
-           SELECT DISTINCT conv.id FROM conversations conv
-           JOIN messages m ON m.conversation_id = conv.id
-           WHERE m.sender = 'patient' AND conv.user_id = $1
-         )`,
-      [userId]
-    );
+    // Stale calls and leads are flagged by the scheduler's 'auto-flag' job,
+    // which tells open dashboards through the event stream
 
-    let whereClause = 'WHERE c.user_id = $1';
+    let whereClause = 'WHERE c.user_id = $1 AND c.deleted_at IS NULL';
     const params = [userId];
     let paramCount = 1;
 
@@ -102,6 +178,12 @@ router.get('/', async (req, res) => {
       params.push(endDate);
     }
 
+    if (locationId) {
+      paramCount++;
+      whereClause += ` AND c.location_id = $${paramCount}`;
+      params.push(locationId);
+    }
+
     // Get business hours for the user
     const settingsResult = await query(
       'SELECT business_hours FROM settings WHERE user_id = $1',
@@ -121,11 +203,17 @@ router.get('/', async (req, res) => {
       `SELECT c.id, c.twilio_call_sid, c.caller_phone, c.caller_name, c.call_reason, c.duration,
               c.recording_url, c.transcription, c.status, c.sentiment, c.ai_summary, c.created_at,
               c.followup_status, c.is_missed, c.callback_type, c.handled_by_ai,
-              c.receptionist_status, c.marked_done_at,
+              c.receptionist_status, c.marked_done_at, c.voicemail_status, c.transcription_status,
+              COALESCE(s.name, s.email) as marked_done_by_name,
               l.appointment_booked, l.appointment_time, l.preferred_time, l.reason as lead_reason,
-              l.status as lead_status
+              l.status as lead_status,
+              c.location_id, loc.name as location_name, loc.business_hours as location_business_hours,
+              c.patient_id, p.name as patient_name, ${PATIENT_CALL_NUMBER} as patient_call_number
        FROM calls c
        LEFT JOIN leads l ON l.call_id = c.id
+       LEFT JOIN staff s ON s.id = c.marked_done_by
+       LEFT JOIN locations loc ON loc.id = c.location_id
+       LEFT JOIN patients p ON p.id = c.patient_id
        ${whereClause}
        ORDER BY c.created_at DESC
        LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
@@ -137,7 +225,7 @@ router.get('/', async (req, res) => {
         id: call.id,
         twilioCallSid: call.twilio_call_sid,
         callerPhone: call.caller_phone,
-        callerName: call.caller_name,
+        callerName: call.caller_name || call.patient_name,
         callReason: call.call_reason || call.lead_reason,
         duration: call.duration,
         recordingUrl: call.recording_url,
@@ -148,12 +236,19 @@ router.get('/', async (req, res) => {
         createdAt: call.created_at,
         followupStatus: call.followup_status,
         isMissed: call.is_missed,
-        isDuringBusinessHours: isDuringBusinessHours(call.created_at, businessHours),
+        isDuringBusinessHours: isDuringBusinessHours(call.created_at, call.location_business_hours || businessHours),
+        locationId: call.location_id,
+        locationName: call.location_name,
+        patientId: call.patient_id,
+        patientCallNumber: parseInt(call.patient_call_number, 10) || 0,
         // New fields
         callbackType: call.callback_type,
         handledByAi: call.handled_by_ai || false,
         receptionistStatus: call.receptionist_status || 'pending',
         markedDoneAt: call.marked_done_at,
+        markedDoneBy: call.marked_done_by_name,
+        voicemailStatus: call.voicemail_status,
+        transcriptionStatus: call.transcription_status,
         // Lead/appointment data
         appointmentBooked: call.appointment_booked || false,
         appointmentTime: call.appointment_time,
@@ -174,10 +269,10 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/calls/active - Get active missed calls (receptionist_status = pending)
-router.get('/active', async (req, res) => {
+router.get('/active', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { search, limit = 100 } = req.query;
+    const { search, locationId, limit = 100 } = req.query;
 
     // Get business hours
     const settingsResult = await query(
@@ -187,6 +282,7 @@ router.get('/active', async (req, res) => {
     const businessHours = settingsResult.rows[0]?.business_hours || {};
 
     let whereClause = `WHERE c.user_id = $1
+      AND c.deleted_at IS NULL
       AND c.is_missed = true
       AND (c.receptionist_status = 'pending' OR c.receptionist_status IS NULL)
       AND c.created_at >= NOW() - INTERVAL '48 hours'`;
@@ -197,12 +293,21 @@ router.get('/active', async (req, res) => {
       params.push(`%${search}%`);
     }
 
+    if (locationId) {
+      params.push(locationId);
+      whereClause += ` AND c.location_id = $${params.length}`;
+    }
+
     const result = await query(
       `SELECT c.id, c.caller_phone, c.caller_name, c.created_at, c.callback_type,
               c.handled_by_ai, c.receptionist_status, c.followup_status,
-              l.status as lead_status
+              l.status as lead_status,
+              c.location_id, loc.name as location_name, loc.business_hours as location_business_hours,
+              c.patient_id, p.name as patient_name, ${PATIENT_CALL_NUMBER} as patient_call_number
        FROM calls c
        LEFT JOIN leads l ON l.call_id = c.id
+       LEFT JOIN locations loc ON loc.id = c.location_id
+       LEFT JOIN patients p ON p.id = c.patient_id
        ${whereClause}
        ORDER BY c.created_at DESC
        LIMIT $${params.length + 1}`,
@@ -217,6 +322,8 @@ router.get('/active', async (req, res) => {
         aiStatus = 'replied'; // Patient replied with 1 or 2
       } else if (call.followup_status === 'no_response') {
         aiStatus = 'no_response'; // 45+ min, no reply
+      } else if (call.followup_status === 'opted_out') {
+        aiStatus = 'opted_out'; // Caller opted out of SMS - nothing sent
       } else if (call.followup_status === 'in_progress') {
         aiStatus = 'waiting'; // SMS sent, waiting for reply
       }
@@ -224,11 +331,15 @@ router.get('/active', async (req, res) => {
       return {
         id: call.id,
         callerPhone: call.caller_phone,
-        callerName: call.caller_name,
+        callerName: call.caller_name || call.patient_name,
         createdAt: call.created_at,
         callbackType: call.callback_type,
         aiStatus,
-        isDuringBusinessHours: isDuringBusinessHours(call.created_at, businessHours)
+        isDuringBusinessHours: isDuringBusinessHours(call.created_at, call.location_business_hours || businessHours),
+        locationId: call.location_id,
+        locationName: call.location_name,
+        patientId: call.patient_id,
+        patientCallNumber: parseInt(call.patient_call_number, 10) || 0
       };
     });
 
@@ -240,13 +351,14 @@ router.get('/active', async (req, res) => {
 });
 
 // GET /api/calls/history - Get completed missed calls (receptionist_status = done)
-router.get('/history', async (req, res) => {
+router.get('/history', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { search, page = 1, limit = 50, days = 7 } = req.query;
+    const { search, locationId, page = 1, limit = 50, days = 7 } = req.query;
     const offset = (page - 1) * limit;
 
     let whereClause = `WHERE c.user_id = $1
+      AND c.deleted_at IS NULL
       AND c.is_missed = true
       AND c.receptionist_status = 'done'
       AND c.marked_done_at >= NOW() - INTERVAL '1 day' * $2`;
@@ -257,6 +369,11 @@ router.get('/history', async (req, res) => {
       params.push(`%${search}%`);
     }
 
+    if (locationId) {
+      params.push(locationId);
+      whereClause += ` AND c.location_id = $${params.length}`;
+    }
+
     // Get total count
     const countResult = await query(
       `SELECT COUNT(*) FROM calls c ${whereClause}`,
@@ -266,10 +383,12 @@ router.get('/history', async (req, res) => {
 
     const result = await query(
       `SELECT c.id, c.caller_phone, c.caller_name, c.created_at, c.callback_type,
-              c.handled_by_ai, c.marked_done_at,
-              l.appointment_booked, l.appointment_time
+              c.handled_by_ai, c.marked_done_at, COALESCE(s.name, s.email) as marked_done_by_name,
+              l.appointment_booked, l.appointment_time, c.location_id, loc.name as location_name
        FROM calls c
        LEFT JOIN leads l ON l.call_id = c.id
+       LEFT JOIN staff s ON s.id = c.marked_done_by
+       LEFT JOIN locations loc ON loc.id = c.location_id
        ${whereClause}
        ORDER BY c.marked_done_at DESC
        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
@@ -285,8 +404,11 @@ router.get('/history', async (req, res) => {
         callbackType: call.callback_type,
         handledByAi: call.handled_by_ai,
         markedDoneAt: call.marked_done_at,
+        markedDoneBy: call.marked_done_by_name,
         appointmentBooked: call.appointment_booked,
-        appointmentTime: call.appointment_time
+        appointmentTime: call.appointment_time,
+        locationId: call.location_id,
+        locationName: call.location_name
       })),
       pagination: {
         page: parseInt(page),
@@ -301,6 +423,36 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// GET /api/calls/deleted - Recently deleted calls, to restore
+router.get('/deleted', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT c.id, c.caller_phone, c.caller_name, c.created_at, c.deleted_at,
+              COALESCE(s.name, s.email) as deleted_by_name
+       FROM calls c
+       LEFT JOIN staff s ON s.id = c.deleted_by
+       WHERE c.user_id = $1 AND c.deleted_at IS NOT NULL
+       ORDER BY c.deleted_at DESC
+       LIMIT 100`,
+      [req.user.id]
+    );
+
+    res.json({
+      calls: result.rows.map(call => ({
+        id: call.id,
+        callerPhone: call.caller_phone,
+        callerName: call.caller_name,
+        createdAt: call.created_at,
+        deletedAt: call.deleted_at,
+        deletedBy: call.deleted_by_name
+      }))
+    });
+  } catch (error) {
+    console.error('Get deleted calls error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch deleted calls' } });
+  }
+});
+
 // GET /api/calls/:id - Get single call
 router.get('/:id', async (req, res) => {
   try {
@@ -309,10 +461,11 @@ router.get('/:id', async (req, res) => {
 
     const result = await query(
       `SELECT c.*, l.id as lead_id, l.name as lead_name, l.status as lead_status,
-              l.callback_type as lead_callback_type
+              l.callback_type as lead_callback_type, loc.name as location_name
        FROM calls c
        LEFT JOIN leads l ON l.call_id = c.id
-       WHERE c.id = $1 AND c.user_id = $2`,
+       LEFT JOIN locations loc ON loc.id = c.location_id
+       WHERE c.id = $1 AND c.user_id = $2 AND c.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -340,6 +493,17 @@ router.get('/:id', async (req, res) => {
         handledByAi: call.handled_by_ai,
         receptionistStatus: call.receptionist_status,
         markedDoneAt: call.marked_done_at,
+        locationId: call.location_id,
+        locationName: call.location_name,
+        patientId: call.patient_id,
+        voicemail: call.voicemail_status ? {
+          status: call.voicemail_status,
+          contentType: call.voicemail_content_type,
+          size: call.voicemail_size,
+          duration: call.voicemail_duration,
+          transcriptionStatus: call.transcription_status,
+          streamToken: call.voicemail_status === 'stored' ? generateMediaToken(userId, `voicemail:${call.id}`) : null
+        } : null,
         lead: call.lead_id ? {
           id: call.lead_id,
           name: call.lead_name,
@@ -364,6 +528,11 @@ router.put('/:id', async (req, res) => {
     // If marking as done, set the timestamp and user
     const isDone = receptionistStatus === 'done' || followupStatus === 'completed';
 
+    const before = await findCall(id, userId);
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Call not found' } });
+    }
+
     const result = await query(
       `UPDATE calls
        SET caller_name = COALESCE($1, caller_name),
@@ -373,9 +542,9 @@ router.put('/:id', async (req, res) => {
            receptionist_status = COALESCE($5, receptionist_status),
            marked_done_at = CASE WHEN $6 THEN NOW() ELSE marked_done_at END,
            marked_done_by = CASE WHEN $6 THEN $7 ELSE marked_done_by END
-       WHERE id = $8 AND user_id = $7
+       WHERE id = $8 AND user_id = $9 AND deleted_at IS NULL
        RETURNING *`,
-      [callerName, callReason, status, followupStatus, receptionistStatus, isDone, userId, id]
+      [callerName, callReason, status, followupStatus, receptionistStatus, isDone, req.staff.id, id, userId]
     );
 
     if (result.rows.length === 0) {
@@ -384,6 +553,10 @@ router.put('/:id', async (req, res) => {
 
     const call = result.rows[0];
 
+    await audit.recordRequest(req, {
+      action: 'call.updated', entityType: 'call', entityId: call.id, before, after: call
+    });
+
     // If marking as done, also update associated lead status to 'handled'
     if (isDone) {
       await query(
@@ -392,6 +565,8 @@ router.put('/:id', async (req, res) => {
       );
     }
 
+    realtime.publish(userId, 'call.updated', { callId: call.id, receptionistStatus: call.receptionist_status });
+
     res.json({
       call: {
         id: call.id,
@@ -424,21 +599,35 @@ router.post('/:id/done', async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
+    const before = await findCall(id, userId);
+    if (!before) {
+      return res.status(404).json({ error: { message: 'Call not found' } });
+    }
+
     const result = await query(
       `UPDATE calls
        SET receptionist_status = 'done',
            followup_status = 'completed',
            marked_done_at = NOW(),
            marked_done_by = $1
-       WHERE id = $2 AND user_id = $1
+       WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL
        RETURNING id, receptionist_status, marked_done_at`,
-      [userId, id]
+      [req.staff.id, id, userId]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: { message: 'Call not found' } });
     }
 
+    await audit.recordRequest(req, {
+      action: 'call.done',
+      entityType: 'call',
+      entityId: id,
+      changes: { receptionist_status: { from: before.receptionist_status, to: 'done' } }
+    });
+
+    realtime.publish(userId, 'call.updated', { callId: id, receptionistStatus: 'done' });
+
     res.json({
       success: true,
       call: result.rows[0]
@@ -464,7 +653,7 @@ router.post('/:id/undo', async (req, res) => {
            END,
            marked_done_at = NULL,
            marked_done_by = NULL
-       WHERE id = $1 AND user_id = $2
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
        RETURNING id, receptionist_status`,
       [id, userId]
     );
@@ -473,6 +662,15 @@ router.post('/:id/undo', async (req, res) => {
       return res.status(404).json({ error: { message: 'Call not found' } });
     }
 
+    await audit.recordRequest(req, {
+      action: 'call.undone',
+      entityType: 'call',
+      entityId: id,
+      changes: { receptionist_status: { from: 'done', to: 'pending' } }
+    });
+
+    realtime.publish(userId, 'call.updated', { callId: id, receptionistStatus: 'pending' });
+
     res.json({
       success: true,
       call: result.rows[0]
@@ -483,21 +681,31 @@ router.post('/:id/undo', async (req, res) => {
   }
 });
 
-// DELETE /api/calls/:id - Delete call
+// DELETE /api/calls/:id - Delete call (restorable)
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
     const result = await query(
-      'DELETE FROM calls WHERE id = $1 AND user_id = $2 RETURNING id',
-      [id, userId]
+      `UPDATE calls
+       SET deleted_at = NOW(), deleted_by = $3
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, userId, req.staff.id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: { message: 'Call not found' } });
     }
 
+    const { deleted_at: deletedAt, deleted_by: deletedBy, ...call } = result.rows[0];
+    await audit.recordRequest(req, {
+      action: 'call.deleted', entityType: 'call', entityId: id, before: call
+    });
+
+    realtime.publish(userId, 'call.deleted', { callId: id });
+
     res.json({ message: 'Call deleted successfully' });
   } catch (error) {
     console.error('Delete call error:', error);
@@ -505,4 +713,33 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/calls/:id/restore - Bring back a deleted call
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await query(
+      `UPDATE calls
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING id, receptionist_status`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Deleted call not found' } });
+    }
+
+    await audit.recordRequest(req, { action: 'call.restored', entityType: 'call', entityId: id });
+
+    realtime.publish(userId, 'call.updated', { callId: id, receptionistStatus: result.rows[0].receptionist_status });
+
+    res.json({ message: 'Call restored' });
+  } catch (error) {
+    console.error('Restore call error:', error);
+    res.status(500).json({ error: { message: 'Failed to restore call' } });
+  }
+});
+
 module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const patients = require('../services/patients');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
 
 // GET /api/conversations - Get all conversations
 router.get('/', async (req, res) => {
@@ -153,11 +155,13 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: { message: 'Caller phone is required' } });
     }
 
+    const patient = await patients.findOrCreatePatient(userId, callerPhone);
+
     const result = await query(
-      `INSERT INTO conversations (user_id, caller_phone, channel, direction, call_id, lead_id)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO conversations (user_id, caller_phone, channel, direction, call_id, lead_id, patient_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [userId, callerPhone, channel, direction, callId || null, leadId || null]
+      [userId, callerPhone, channel, direction, callId || null, leadId || null, patient?.id || null]
     );
 
     const conv = result.rows[0];
@@ -0,0 +1,87 @@
+/**
+ * Emergency Routes
+ * Dental emergencies reported by SMS (services/emergencyTriage.js) and
+ * acknowledging their on-call alerts (services/emergencyAlerts.js)
+ */
+
+const express = require('express');
+const { query } = require('../db/config');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const emergencyAlerts = require('../services/emergencyAlerts');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
+
+function formatAlert(alert) {
+  return {
+    id: alert.id,
+    conversationId: alert.conversation_id,
+    leadId: alert.lead_id,
+    callerPhone: alert.caller_phone,
+    callerName: alert.caller_name,
+    message: alert.message,
+    signs: alert.signs || [],
+    status: alert.status,
+    escalationLevel: alert.escalation_level,
+    notified: alert.notified || [],
+    nextEscalationAt: alert.next_escalation_at,
+    acknowledgedAt: alert.acknowledged_at,
+    acknowledgedBy: alert.acknowledged_by,
+    createdAt: alert.created_at
+  };
+}
+
+// GET /api/emergencies - Emergency alerts, open ones by default
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status = 'open', limit = 50 } = req.query;
+
+    const params = [userId];
+    let whereClause = 'WHERE user_id = $1';
+
+    if (status !== 'all') {
+      params.push(status);
+      whereClause += ` AND status = $${params.length}`;
+    }
+
+    params.push(Math.min(parseInt(limit, 10) || 50, 200));
+
+    const result = await query(
+      `SELECT * FROM emergency_alerts
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.json({ alerts: result.rows.map(formatAlert) });
+  } catch (error) {
+    console.error('Get emergency alerts error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch emergency alerts' } });
+  }
+});
+
+// POST /api/emergencies/:id/acknowledge - Stop the alert escalating
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const alert = await emergencyAlerts.acknowledgeAlert(userId, id, req.staff.name || req.staff.email);
+
+    if (!alert) {
+      return res.status(404).json({ error: { message: 'Open emergency alert not found' } });
+    }
+
+    res.json({ message: 'Emergency acknowledged', alert: formatAlert(alert) });
+  } catch (error) {
+    console.error('Acknowledge emergency alert error:', error);
+    res.status(500).json({ error: { message: 'Failed to acknowledge emergency alert' } });
+  }
+});
+
+module.exports = router;
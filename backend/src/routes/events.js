@@ -0,0 +1,65 @@
+/**
+ * Event Stream Routes
+ * Server-Sent Events for live dashboards (services/realtime.js)
+ *
+ * EventSource can't send the Authorization header, so the dashboard asks
+ * for a short-lived stream token first (like voicemail playback) and opens
+ * GET /api/events?token=... with it. When the stream drops the browser
+ * reconnects with the same URL; once the token has expired that gets a 401
+ * and the dashboard fetches a new token.
+ */
+
+const express = require('express');
+const { authenticate, generateMediaToken, verifyMediaToken } = require('../middleware/auth');
+const realtime = require('../services/realtime');
+
+const router = express.Router();
+
+const STREAM_RESOURCE = 'events';
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+// GET /api/events/token - Token for opening the event stream
+router.get('/token', authenticate, (req, res) => {
+  res.json({ token: generateMediaToken(req.user.id, STREAM_RESOURCE) });
+});
+
+// GET /api/events - Server-Sent Events stream for the practice
+router.get('/', (req, res) => {
+  const userId = verifyMediaToken(req.query.token, STREAM_RESOURCE);
+
+  if (!userId) {
+    return res.status(401).json({ error: { message: 'Invalid or expired stream token' } });
+  }
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+  };
+  send.close = () => res.end();
+
+  const unsubscribe = realtime.subscribe(userId, send);
+
+  if (!unsubscribe) {
+    return res.status(429).json({ error: { message: 'Too many open event streams' } });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx-style proxies buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  send({ type: 'ready', data: {}, at: new Date().toISOString() });
+
+  // Comments keep proxies and load balancers from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -1,35 +1,50 @@
 const express = require('express');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const audit = require('../services/audit');
+const patients = require('../services/patients');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
 
 // GET /api/leads - Get all leads for user
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20, status, search, priority } = req.query;
+    const { page = 1, limit = 20, status, search, priority, locationId } = req.query;
     const offset = (page - 1) * limit;
 
     // Auto-flag leads as 'lost' (No Response) if they've been 'new' for 45+ minutes with no reply
-    await query(
+    const flagged = await query(
       `UPDATE leads
        SET status = 'lost'
        WHERE user_id = $1
+         AND deleted_at IS NULL
          AND status = 'new'
          AND created_at < NOW() - INTERVAL '45 minutes'
          AND conversation_id NOT IN (
            SELECT DISTINCT conv.id FROM conversations conv
            JOIN messages m ON m.conversation_id = conv.id
            WHERE m.sender = 'patient' AND conv.user_id = $1
-         )`,
+         )
+       RETURNING id`,
       [userId]
     );
 
-    let whereClause = 'WHERE l.user_id = $1';
+    for (const { id } of flagged.rows) {
+      await audit.recordSystem(userId, {
+        action: 'lead.updated',
+        entityType: 'lead',
+        entityId: id,
+        changes: { status: { from: 'new', to: 'lost' } }
+      });
+    }
+
+    let whereClause = 'WHERE l.user_id = $1 AND l.deleted_at IS NULL';
     const params = [userId];
     let paramCount = 1;
 
@@ -51,6 +66,12 @@ router.get('/', async (req, res) => {
       params.push(`%${search}%`);
     }
 
+    if (locationId) {
+      paramCount++;
+      whereClause += ` AND l.location_id = $${paramCount}`;
+      params.push(locationId);
+    }
+
     // Get total count
     const countResult = await query(
       `SELECT COUNT(*) FROM leads l ${whereClause}`,
@@ -60,9 +81,10 @@ router.get('/', async (req, res) => {
 
     // Get leads
     const result = await query(
-      `SELECT l.*, c.caller_phone, c.call_reason as original_call_reason
+      `SELECT l.*, c.caller_phone, c.call_reason as original_call_reason, loc.name as location_name
        FROM leads l
        LEFT JOIN calls c ON l.call_id = c.id
+       LEFT JOIN locations loc ON loc.id = l.location_id
        ${whereClause}
        ORDER BY
          CASE l.priority
@@ -79,6 +101,7 @@ router.get('/', async (req, res) => {
       leads: result.rows.map(lead => ({
         id: lead.id,
         callId: lead.call_id,
+        patientId: lead.patient_id,
         name: lead.name,
         phone: lead.phone,
         email: lead.email,
@@ -89,6 +112,8 @@ router.get('/', async (req, res) => {
         notes: lead.notes,
         status: lead.status,
         priority: lead.priority,
+        locationId: lead.location_id,
+        locationName: lead.location_name,
         createdAt: lead.created_at,
         updatedAt: lead.updated_at
       })),
@@ -106,7 +131,8 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/leads/stats - Get lead statistics by status
-router.get('/stats', async (req, res) => {
+// ?locationId narrows them to one location
+router.get('/stats', validate(schemas.locationFilter, 'query'), async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -116,8 +142,10 @@ router.get('/stats', async (req, res) => {
         COUNT(*) as count
        FROM leads
        WHERE user_id = $1
+         AND deleted_at IS NULL
+         AND ($2::uuid IS NULL OR location_id = $2)
        GROUP BY status`,
-      [userId]
+      [userId, req.query.locationId || null]
     );
 
     const stats = {
@@ -145,6 +173,37 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /api/leads/deleted - Recently deleted leads, to restore
+router.get('/deleted', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT l.id, l.name, l.phone, l.status, l.created_at, l.deleted_at,
+              COALESCE(s.name, s.email) as deleted_by_name
+       FROM leads l
+       LEFT JOIN staff s ON s.id = l.deleted_by
+       WHERE l.user_id = $1 AND l.deleted_at IS NOT NULL
+       ORDER BY l.deleted_at DESC
+       LIMIT 100`,
+      [req.user.id]
+    );
+
+    res.json({
+      leads: result.rows.map(lead => ({
+        id: lead.id,
+        name: lead.name,
+        phone: lead.phone,
+        status: lead.status,
+        createdAt: lead.created_at,
+        deletedAt: lead.deleted_at,
+        deletedBy: lead.deleted_by_name
+      }))
+    });
+  } catch (error) {
+    console.error('Get deleted leads error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch deleted leads' } });
+  }
+});
+
 // GET /api/leads/:id - Get single lead
 router.get('/:id', async (req, res) => {
   try {
@@ -155,7 +214,7 @@ router.get('/:id', async (req, res) => {
       `SELECT l.*, c.transcription, c.recording_url, c.ai_summary
        FROM leads l
        LEFT JOIN calls c ON l.call_id = c.id
-       WHERE l.id = $1 AND l.user_id = $2`,
+       WHERE l.id = $1 AND l.user_id = $2 AND l.deleted_at IS NULL`,
       [id, userId]
     );
 
@@ -169,6 +228,7 @@ router.get('/:id', async (req, res) => {
       lead: {
         id: lead.id,
         callId: lead.call_id,
+        patientId: lead.patient_id,
         name: lead.name,
         phone: lead.phone,
         email: lead.email,
@@ -206,19 +266,26 @@ router.post('/', async (req, res) => {
       });
     }
 
+    const patient = await patients.findOrCreatePatient(userId, phone, { name, email });
+
     const result = await query(
-      `INSERT INTO leads (user_id, call_id, name, phone, email, reason, preferred_time, notes, priority)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO leads (user_id, call_id, name, phone, email, reason, preferred_time, notes, priority, updated_by, patient_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING *`,
-      [userId, callId || null, name, phone, email || null, reason || null, preferredTime || null, notes || null, priority || 'medium']
+      [userId, callId || null, name, phone, email || null, reason || null, preferredTime || null, notes || null, priority || 'medium', req.staff.id, patient?.id || null]
     );
 
     const lead = result.rows[0];
 
+    await audit.recordRequest(req, {
+      action: 'lead.created', entityType: 'lead', entityId: lead.id, after: lead
+    });
+
     res.status(201).json({
       lead: {
         id: lead.id,
         callId: lead.call_id,
+        patientId: lead.patient_id,
         name: lead.name,
         phone: lead.phone,
         email: lead.email,
@@ -245,6 +312,20 @@ router.put('/:id', async (req, res) => {
     const userId = req.user.id;
     const { name, phone, email, reason, preferredTime, appointmentBooked, appointmentTime, notes, status, priority } = req.body;
 
+    const existing = await query(
+      'SELECT * FROM leads WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Lead not found' } });
+    }
+
+    // A new number is a different patient
+    const patient = phone && phone !== existing.rows[0].phone
+      ? await patients.findOrCreatePatient(userId, phone)
+      : null;
+
     const result = await query(
       `UPDATE leads
        SET name = COALESCE($1, name),
@@ -256,10 +337,12 @@ router.put('/:id', async (req, res) => {
            appointment_time = $7,
            notes = COALESCE($8, notes),
            status = COALESCE($9, status),
-           priority = COALESCE($10, priority)
-       WHERE id = $11 AND user_id = $12
+           priority = COALESCE($10, priority),
+           updated_by = $13,
+           patient_id = COALESCE($14, patient_id)
+       WHERE id = $11 AND user_id = $12 AND deleted_at IS NULL
        RETURNING *`,
-      [name, phone, email, reason, preferredTime, appointmentBooked, appointmentTime || null, notes, status, priority, id, userId]
+      [name, phone, email, reason, preferredTime, appointmentBooked, appointmentTime || null, notes, status, priority, id, userId, req.staff.id, patient?.id || null]
     );
 
     if (result.rows.length === 0) {
@@ -268,10 +351,20 @@ router.put('/:id', async (req, res) => {
 
     const lead = result.rows[0];
 
+    // Staff know best - their spelling is the patient's name from now on
+    if (name) {
+      await patients.rememberName(lead.patient_id, name, { replace: true });
+    }
+
+    await audit.recordRequest(req, {
+      action: 'lead.updated', entityType: 'lead', entityId: lead.id, before: existing.rows[0], after: lead
+    });
+
     res.json({
       lead: {
         id: lead.id,
         callId: lead.call_id,
+        patientId: lead.patient_id,
         name: lead.name,
         phone: lead.phone,
         email: lead.email,
@@ -292,21 +385,29 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// DELETE /api/leads/:id - Delete lead
+// DELETE /api/leads/:id - Delete lead (restorable)
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
     const result = await query(
-      'DELETE FROM leads WHERE id = $1 AND user_id = $2 RETURNING id',
-      [id, userId]
+      `UPDATE leads
+       SET deleted_at = NOW(), deleted_by = $3
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING *`,
+      [id, userId, req.staff.id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: { message: 'Lead not found' } });
     }
 
+    const { deleted_at: deletedAt, deleted_by: deletedBy, ...lead } = result.rows[0];
+    await audit.recordRequest(req, {
+      action: 'lead.deleted', entityType: 'lead', entityId: id, before: lead
+    });
+
     res.json({ message: 'Lead deleted successfully' });
   } catch (error) {
     console.error('Delete lead error:', error);
@@ -314,4 +415,31 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/leads/:id/restore - Bring back a deleted lead
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const result = await query(
+      `UPDATE leads
+       SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING id`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Deleted lead not found' } });
+    }
+
+    await audit.recordRequest(req, { action: 'lead.restored', entityType: 'lead', entityId: id });
+
+    res.json({ message: 'Lead restored' });
+  } catch (error) {
+    console.error('Restore lead error:', error);
+    res.status(500).json({ error: { message: 'Failed to restore lead' } });
+  }
+});
+
 module.exports = router;
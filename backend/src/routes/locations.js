@@ -0,0 +1,211 @@
+/**
+ * Location Routes
+ * Clinics of a multi-location practice (services/locations.js)
+ *
+ * Everyone can list the practice's locations (to filter calls and leads by
+ * them); managers add and change them. Deleting a location keeps its calls,
+ * leads and appointments - they fall back to the practice as a whole - so
+ * deactivating is usually what a practice wants.
+ */
+
+const express = require('express');
+const { query } = require('../db/config');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRoleToWrite('manager'));
+
+// camelCase body field -> locations column
+const COLUMNS = {
+  name: 'name',
+  address: 'address',
+  phone: 'phone',
+  forwardingPhone: 'forwarding_phone',
+  smsReplyNumber: 'sms_reply_number',
+  timezone: 'timezone',
+  businessHours: 'business_hours',
+  aiGreeting: 'ai_greeting',
+  isActive: 'is_active'
+};
+
+function formatLocation(location) {
+  return {
+    id: location.id,
+    name: location.name,
+    address: location.address,
+    phone: location.phone,
+    forwardingPhone: location.forwarding_phone,
+    smsReplyNumber: location.sms_reply_number,
+    timezone: location.timezone,
+    businessHours: location.business_hours,
+    aiGreeting: location.ai_greeting,
+    isActive: location.is_active,
+    createdAt: location.created_at,
+    updatedAt: location.updated_at
+  };
+}
+
+// '' clears a field back to the practice's value
+function columnValue(field, value) {
+  if (value === '') return null;
+  if (field === 'businessHours' && value) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Another practice already sends from this SMS number - inbound replies
+ * couldn't be told apart
+ */
+async function smsNumberTaken(userId, smsReplyNumber, locationId = null) {
+  if (!smsReplyNumber) return false;
+
+  const digits = smsReplyNumber.replace(/\D/g, '').slice(-9);
+  const result = await query(
+    `SELECT 1 FROM locations
+     WHERE RIGHT(REGEXP_REPLACE(COALESCE(sms_reply_number, ''), '\\D', '', 'g'), 9) = $1
+       AND (user_id <> $2 OR id <> COALESCE($3, '00000000-0000-0000-0000-000000000000'::uuid))
+       AND is_active = true
+     UNION ALL
+     SELECT 1 FROM settings
+     WHERE RIGHT(REGEXP_REPLACE(COALESCE(sms_reply_number, ''), '\\D', '', 'g'), 9) = $1
+       AND user_id <> $2
+     LIMIT 1`,
+    [digits, userId, locationId]
+  );
+  return result.rows.length > 0;
+}
+
+// GET /api/locations - The practice's locations
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM locations
+       WHERE user_id = $1
+       ORDER BY is_active DESC, name`,
+      [req.user.id]
+    );
+
+    res.json({ locations: result.rows.map(formatLocation) });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch locations' } });
+  }
+});
+
+// POST /api/locations - Add a location
+router.post('/', validate(schemas.createLocation), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (await smsNumberTaken(userId, req.body.smsReplyNumber)) {
+      return res.status(409).json({ error: { message: 'That SMS number is already in use' } });
+    }
+
+    const fields = Object.keys(COLUMNS).filter(field => req.body[field] !== undefined);
+    const result = await query(
+      `INSERT INTO locations (user_id, ${fields.map(field => COLUMNS[field]).join(', ')})
+       VALUES ($1, ${fields.map((field, i) => `$${i + 2}`).join(', ')})
+       RETURNING *`,
+      [userId, ...fields.map(field => columnValue(field, req.body[field]))]
+    );
+    const location = result.rows[0];
+
+    await audit.recordRequest(req, {
+      action: 'location.created',
+      entityType: 'location',
+      entityId: location.id,
+      after: location
+    });
+
+    res.status(201).json({ location: formatLocation(location) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: { message: 'A location with this name already exists' } });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({ error: { message: 'Failed to create location' } });
+  }
+});
+
+// PUT /api/locations/:id - Change a location
+router.put('/:id', validate(schemas.updateLocation), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    if (await smsNumberTaken(userId, req.body.smsReplyNumber, id)) {
+      return res.status(409).json({ error: { message: 'That SMS number is already in use' } });
+    }
+
+    const existing = await query(
+      'SELECT * FROM locations WHERE id = $1 AND user_id = $2',
+      [id, userId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Location not found' } });
+    }
+
+    const fields = Object.keys(COLUMNS).filter(field => req.body[field] !== undefined);
+    const result = await query(
+      `UPDATE locations
+       SET ${fields.map((field, i) => `${COLUMNS[field]} = $${i + 3}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [id, userId, ...fields.map(field => columnValue(field, req.body[field]))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Location not found' } });
+    }
+    const location = result.rows[0];
+
+    await audit.recordRequest(req, {
+      action: 'location.updated',
+      entityType: 'location',
+      entityId: location.id,
+      before: existing.rows[0],
+      after: location
+    });
+
+    res.json({ location: formatLocation(location) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: { message: 'A location with this name already exists' } });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({ error: { message: 'Failed to update location' } });
+  }
+});
+
+// DELETE /api/locations/:id - Remove a location (its calls and leads stay, practice-wide)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM locations WHERE id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Location not found' } });
+    }
+
+    await audit.recordRequest(req, {
+      action: 'location.deleted',
+      entityType: 'location',
+      entityId: req.params.id,
+      before: result.rows[0]
+    });
+
+    res.json({ message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({ error: { message: 'Failed to delete location' } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * SMS Opt-out Routes
+ * The practice's SMS suppression list (services/optOuts.js)
+ *
+ * Patients join it by texting STOP and leave by texting START; staff can
+ * add a number (a patient who asked over the phone) or take one off. The
+ * export is the whole history, for Spam Act compliance checks.
+ */
+
+const express = require('express');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const optOuts = require('../services/optOuts');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
+
+const EXPORT_COLUMNS = [
+  ['Phone', e => e.phone],
+  ['Patient', e => e.patientName],
+  ['Status', e => (e.active ? 'Opted out' : 'Opted back in')],
+  ['Opted out at', e => e.optedOutAt && new Date(e.optedOutAt).toISOString()],
+  ['Opted out via', e => e.optedOutVia],
+  ['Message', e => e.keyword],
+  ['Added by', e => e.optedOutBy],
+  ['Reason', e => e.reason],
+  ['Opted back in at', e => e.optedInAt && new Date(e.optedInAt).toISOString()],
+  ['Opted back in via', e => e.optedInVia],
+  ['Removed by', e => e.optedInBy]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// GET /api/opt-outs - Numbers on the list, most recent first
+// ?includeOptedIn=true adds numbers that have opted back in
+router.get('/', validate(schemas.optOutQuery, 'query'), async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { entries, total } = await optOuts.listOptOuts(req.user.id, req.query);
+
+    res.json({
+      optOuts: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get opt-outs error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch opt-outs' } });
+  }
+});
+
+// GET /api/opt-outs/export - Every opt-out and opt-in as CSV
+router.get('/export', async (req, res) => {
+  try {
+    const { entries } = await optOuts.listOptOuts(req.user.id, { includeOptedIn: true });
+
+    const csv = [
+      EXPORT_COLUMNS.map(([header]) => csvCell(header)).join(','),
+      ...entries.map(entry => EXPORT_COLUMNS.map(([, value]) => csvCell(value(entry))).join(','))
+    ].join('\r\n');
+
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="sms-opt-outs-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export opt-outs error:', error);
+    res.status(500).json({ error: { message: 'Failed to export opt-outs' } });
+  }
+});
+
+// POST /api/opt-outs - Stop texting a number
+router.post('/', validate(schemas.createOptOut), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { phone, reason } = req.body;
+
+    const result = await optOuts.optOut(userId, phone, {
+      via: 'staff',
+      by: req.staff.name || req.staff.email,
+      reason: reason || null
+    });
+
+    if (!result) {
+      return res.status(400).json({ error: { message: 'Please provide a valid phone number' } });
+    }
+
+    if (!result.added) {
+      return res.status(409).json({ error: { message: 'This number has already opted out' } });
+    }
+
+    await audit.recordRequest(req, {
+      action: 'opt_out.added',
+      entityType: 'opt_out',
+      entityId: result.entry.id,
+      changes: { phone: { from: null, to: phone }, reason: { from: null, to: reason || null } }
+    });
+
+    res.status(201).json({
+      optOut: optOuts.formatEntry(result.entry),
+      message: `${phone} won't be sent any more SMS`
+    });
+  } catch (error) {
+    console.error('Create opt-out error:', error);
+    res.status(500).json({ error: { message: 'Failed to add opt-out' } });
+  }
+});
+
+// DELETE /api/opt-outs/:id - Take a number off the list (kept in the export)
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const existing = await optOuts.getOptOut(userId, req.params.id);
+
+    if (!existing || existing.opted_in_at) {
+      return res.status(404).json({ error: { message: 'Opt-out not found' } });
+    }
+
+    const entry = await optOuts.optIn(userId, existing.phone, {
+      via: 'staff',
+      by: req.staff.name || req.staff.email
+    });
+
+    await audit.recordRequest(req, {
+      action: 'opt_out.removed',
+      entityType: 'opt_out',
+      entityId: existing.id,
+      changes: { phone: { from: existing.phone, to: null } }
+    });
+
+    res.json({
+      optOut: optOuts.formatEntry(entry || existing),
+      message: `${existing.phone} can be sent SMS again`
+    });
+  } catch (error) {
+    console.error('Delete opt-out error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove opt-out' } });
+  }
+});
+
+module.exports = router;
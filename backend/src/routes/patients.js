@@ -0,0 +1,177 @@
+/**
+ * Patient Routes
+ * One record per caller (services/patients.js) with everything that
+ * happened with them - calls, SMS conversations, leads and appointments
+ *
+ * Patients are created as people call, text and book; staff can correct
+ * the name, add an email and keep notes.
+ */
+
+const express = require('express');
+const { query } = require('../db/config');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const patients = require('../services/patients');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
+
+function formatPatient(patient) {
+  return {
+    id: patient.id,
+    name: patient.name,
+    phone: patient.phone,
+    email: patient.email,
+    notes: patient.notes,
+    firstSeenAt: patient.first_seen_at,
+    lastSeenAt: patient.last_seen_at,
+    callCount: patient.call_count !== undefined ? parseInt(patient.call_count, 10) : undefined,
+    appointmentCount: patient.appointment_count !== undefined ? parseInt(patient.appointment_count, 10) : undefined,
+    createdAt: patient.created_at
+  };
+}
+
+// Calls and appointments per patient, for lists and the patient header
+const COUNTS = `
+  (SELECT COUNT(*) FROM calls c WHERE c.patient_id = p.id AND c.deleted_at IS NULL) as call_count,
+  (SELECT COUNT(*) FROM appointments a WHERE a.patient_id = p.id) as appointment_count`;
+
+// GET /api/patients - Patients, most recently in touch first
+router.get('/', validate(schemas.patientQuery, 'query'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { search, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE p.user_id = $1';
+    const params = [userId];
+
+    if (search) {
+      const digits = search.replace(/\D/g, '');
+      params.push(`%${search}%`);
+      whereClause += ` AND (p.name ILIKE $${params.length} OR p.email ILIKE $${params.length}`;
+      // '0412 345' finds +61412345678
+      if (digits.length >= 3) {
+        params.push(`%${digits.replace(/^0/, '')}%`);
+        whereClause += ` OR p.phone_key LIKE $${params.length}`;
+      }
+      whereClause += ')';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM patients p ${whereClause}`, params);
+    const total = parseInt(countResult.rows[0].count);
+
+    const result = await query(
+      `SELECT p.*, ${COUNTS}
+       FROM patients p
+       ${whereClause}
+       ORDER BY p.last_seen_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      patients: result.rows.map(formatPatient),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get patients error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch patients' } });
+  }
+});
+
+// GET /api/patients/:id - One patient
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT p.*, ${COUNTS}
+       FROM patients p
+       WHERE p.id = $1 AND p.user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Patient not found' } });
+    }
+
+    res.json({ patient: formatPatient(result.rows[0]) });
+  } catch (error) {
+    console.error('Get patient error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch patient' } });
+  }
+});
+
+// GET /api/patients/:id/timeline - Calls, conversations, leads and appointments, newest first
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const patient = await patients.getPatient(userId, req.params.id);
+
+    if (!patient) {
+      return res.status(404).json({ error: { message: 'Patient not found' } });
+    }
+
+    const timeline = await patients.getTimeline(userId, patient.id);
+
+    res.json({ patient: formatPatient(patient), timeline });
+  } catch (error) {
+    console.error('Get patient timeline error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch patient timeline' } });
+  }
+});
+
+// PUT /api/patients/:id - Correct the name, add an email or notes
+router.put('/:id', validate(schemas.updatePatient), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const existing = await patients.getPatient(userId, req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: { message: 'Patient not found' } });
+    }
+
+    const { name, email, notes } = req.body;
+
+    // '' clears a field
+    const result = await query(
+      `UPDATE patients
+       SET name = CASE WHEN $1::boolean THEN NULLIF($2, '') ELSE name END,
+           email = CASE WHEN $3::boolean THEN NULLIF($4, '') ELSE email END,
+           notes = CASE WHEN $5::boolean THEN NULLIF($6, '') ELSE notes END,
+           updated_at = NOW()
+       WHERE id = $7 AND user_id = $8
+       RETURNING *`,
+      [
+        name !== undefined, name || null,
+        email !== undefined, email || null,
+        notes !== undefined, notes || null,
+        existing.id, userId
+      ]
+    );
+    const patient = result.rows[0];
+
+    await audit.recordRequest(req, {
+      action: 'patient.updated',
+      entityType: 'patient',
+      entityId: patient.id,
+      before: existing,
+      after: patient
+    });
+
+    res.json({ patient: formatPatient(patient) });
+  } catch (error) {
+    console.error('Update patient error:', error);
+    res.status(500).json({ error: { message: 'Failed to update patient' } });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,28 @@
 const express = require('express');
 const { query } = require('../db/config');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validate');
-const notifyre = require('../services/notifyre');
+const { auditSettingsChanges } = require('../middleware/audit');
+const smsProvider = require('../services/smsProvider');
+const conversationFlow = require('../services/conversationFlow');
+const { DEFAULT_REMINDER_SCHEDULE } = require('../services/appointmentReminders');
+const { generateWebhookSecret } = require('../middleware/pbxWebhook');
+const pbxAdapters = require('../services/pbxAdapters');
+const asteriskAmi = require('../services/asteriskAmi');
+const pbxEmailTemplates = require('../services/pbxEmailTemplates');
+const { inboundEmailAddress } = require('../services/emailIngestion');
+const emergencyTriage = require('../services/emergencyTriage');
+const { DEFAULT_ESCALATION_MINUTES } = require('../services/emergencyAlerts');
+const mailer = require('../services/mailer');
+const optOuts = require('../services/optOuts');
+const { encrypt } = require('../utils/crypto');
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// Apply authentication to all routes; changing settings is a manager's job
 router.use(authenticate);
+router.use(requireRoleToWrite('manager'));
+router.use(auditSettingsChanges);
 
 // GET /api/settings - Get user settings
 router.get('/', async (req, res) => {
@@ -107,6 +122,44 @@ router.put('/forwarding', async (req, res) => {
   }
 });
 
+// GET /api/settings/sms/providers - List available SMS providers with health
+router.get('/sms/providers', (req, res) => {
+  res.json({ providers: smsProvider.getProviderHealth() });
+});
+
+// PUT /api/settings/sms-provider - Switch the practice's SMS carrier and failover order
+router.put('/sms-provider', validate(schemas.smsProvider), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { smsProvider: providerName, failoverProviders } = req.body;
+
+    // The primary carrier never doubles as its own backup
+    const failover = failoverProviders
+      ? failoverProviders
+        .filter(entry => entry.provider !== providerName)
+        .map(entry => ({ provider: entry.provider, fromNumber: entry.fromNumber || null }))
+      : null;
+
+    const result = await query(
+      `UPDATE settings
+       SET sms_provider = $1,
+           sms_failover_providers = COALESCE($2::jsonb, sms_failover_providers)
+       WHERE user_id = $3
+       RETURNING *`,
+      [providerName, failover ? JSON.stringify(failover) : null, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json({ settings: formatSettings(result.rows[0]) });
+  } catch (error) {
+    console.error('Update SMS provider error:', error);
+    res.status(500).json({ error: { message: 'Failed to update SMS provider' } });
+  }
+});
+
 // PUT /api/settings/notifications - Update notification settings
 router.put('/notifications', async (req, res) => {
   try {
@@ -177,7 +230,384 @@ router.put('/ai-greeting', async (req, res) => {
   }
 });
 
-// POST /api/settings/sms/test - Test Notifyre SMS configuration
+// PUT /api/settings/reminders - Set the appointment reminder schedule
+router.put('/reminders', validate(schemas.reminderSchedule), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { reminderSchedule } = req.body;
+
+    const schedule = [...reminderSchedule].sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+    const result = await query(
+      `UPDATE settings
+       SET reminder_schedule = $1
+       WHERE user_id = $2
+       RETURNING *`,
+      [JSON.stringify(schedule), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json({ settings: formatSettings(result.rows[0]) });
+  } catch (error) {
+    console.error('Update reminder schedule error:', error);
+    res.status(500).json({ error: { message: 'Failed to update reminder schedule' } });
+  }
+});
+
+function apiBaseUrl(req) {
+  return (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * Missed-call webhook URL for each PBX system, with the practice's token
+ */
+function pbxWebhookUrls(req, token) {
+  const base = apiBaseUrl(req);
+
+  return Object.fromEntries(pbxAdapters.listAdapters().map(adapter => [
+    adapter.id,
+    `${base}${pbxAdapters.webhookPath(adapter.id)}?token=${token}`
+  ]));
+}
+
+// Columns formatPbxSettings needs
+const PBX_SETTINGS_COLUMNS = `pbx_webhook_secret, pbx_signing_secret, pbx_webhook_secret_rotated_at,
+       pbx_ami_enabled, pbx_ami_config, pbx_email_template`;
+
+function formatAmiSettings(userId, settings) {
+  const config = settings?.pbx_ami_config || {};
+
+  return {
+    enabled: !!settings?.pbx_ami_enabled,
+    host: config.host || '',
+    port: config.port || asteriskAmi.DEFAULT_PORT,
+    username: config.username || '',
+    hasSecret: !!config.secret,
+    inboundContexts: config.inboundContexts?.length ? config.inboundContexts : asteriskAmi.DEFAULT_INBOUND_CONTEXTS,
+    ...asteriskAmi.getAmiStatus(userId)
+  };
+}
+
+/**
+ * Where an email-only PBX sends missed-call notifications (same token as the webhooks)
+ */
+function formatEmailSettings(req, settings) {
+  const token = settings?.pbx_webhook_secret;
+
+  return {
+    address: inboundEmailAddress(token),
+    relayUrl: token ? `${apiBaseUrl(req)}/api/pbx/email?token=${token}` : null,
+    template: settings?.pbx_email_template || 'auto',
+    templates: pbxEmailTemplates.listTemplates().map(template => ({
+      id: template.id,
+      name: template.name
+    }))
+  };
+}
+
+function formatPbxSettings(req, settings) {
+  const token = settings?.pbx_webhook_secret;
+
+  return {
+    enabled: !!token,
+    webhookUrls: token ? pbxWebhookUrls(req, token) : null,
+    hasSigningSecret: !!settings?.pbx_signing_secret,
+    systems: pbxAdapters.listAdapters().map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      signed: !!adapter.verifySignature
+    })),
+    rotatedAt: settings?.pbx_webhook_secret_rotated_at || null,
+    ami: formatAmiSettings(req.user.id, settings),
+    email: formatEmailSettings(req, settings)
+  };
+}
+
+// GET /api/settings/pbx - PBX webhook URLs for this practice
+router.get('/pbx', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `SELECT ${PBX_SETTINGS_COLUMNS}
+       FROM settings WHERE user_id = $1`,
+      [userId]
+    );
+
+    res.json(formatPbxSettings(req, result.rows[0]));
+  } catch (error) {
+    console.error('Get PBX settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch PBX settings' } });
+  }
+});
+
+// POST /api/settings/pbx/webhook-secret - Create or rotate the webhook token
+// The old token stops working immediately, so the PBX must be updated with the new URLs
+router.post('/pbx/webhook-secret', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `UPDATE settings
+       SET pbx_webhook_secret = $1, pbx_webhook_secret_rotated_at = NOW()
+       WHERE user_id = $2
+       RETURNING ${PBX_SETTINGS_COLUMNS}`,
+      [generateWebhookSecret(), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json({ message: 'PBX webhook token rotated', ...formatPbxSettings(req, result.rows[0]) });
+  } catch (error) {
+    console.error('Rotate PBX webhook secret error:', error);
+    res.status(500).json({ error: { message: 'Failed to rotate PBX webhook token' } });
+  }
+});
+
+// DELETE /api/settings/pbx/webhook-secret - Turn PBX webhooks off
+router.delete('/pbx/webhook-secret', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `UPDATE settings
+       SET pbx_webhook_secret = NULL, pbx_webhook_secret_rotated_at = NOW()
+       WHERE user_id = $1
+       RETURNING ${PBX_SETTINGS_COLUMNS}`,
+      [userId]
+    );
+
+    res.json({ message: 'PBX webhooks disabled', ...formatPbxSettings(req, result.rows[0]) });
+  } catch (error) {
+    console.error('Disable PBX webhooks error:', error);
+    res.status(500).json({ error: { message: 'Failed to disable PBX webhooks' } });
+  }
+});
+
+// PUT /api/settings/pbx/signing-secret - Save (or clear) the PBX vendor's signing secret
+router.put('/pbx/signing-secret', validate(schemas.pbxSigningSecret), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { signingSecret } = req.body;
+
+    const result = await query(
+      `UPDATE settings
+       SET pbx_signing_secret = $1
+       WHERE user_id = $2
+       RETURNING ${PBX_SETTINGS_COLUMNS}`,
+      [signingSecret ? encrypt(signingSecret) : null, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json(formatPbxSettings(req, result.rows[0]));
+  } catch (error) {
+    console.error('Update PBX signing secret error:', error);
+    res.status(500).json({ error: { message: 'Failed to update PBX signing secret' } });
+  }
+});
+
+// PUT /api/settings/pbx/ami - Asterisk / FreePBX direct (AMI) connection
+router.put('/pbx/ami', validate(schemas.pbxAmi), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { enabled, host, port, username, secret, inboundContexts } = req.body;
+
+    const current = await query(
+      'SELECT pbx_ami_config FROM settings WHERE user_id = $1',
+      [userId]
+    );
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    // Keep the saved secret unless a new one is sent
+    const savedSecret = current.rows[0].pbx_ami_config?.secret || null;
+    const encryptedSecret = secret ? encrypt(secret) : savedSecret;
+
+    if (enabled && !encryptedSecret) {
+      return res.status(400).json({ error: { message: 'AMI secret is required' } });
+    }
+
+    const config = {
+      host: host || null,
+      port,
+      username: username || null,
+      secret: encryptedSecret,
+      inboundContexts
+    };
+
+    const result = await query(
+      `UPDATE settings
+       SET pbx_ami_enabled = $1, pbx_ami_config = $2
+       WHERE user_id = $3
+       RETURNING ${PBX_SETTINGS_COLUMNS}`,
+      [enabled, JSON.stringify(config), userId]
+    );
+
+    await asteriskAmi.reloadAmiConnector(userId);
+
+    res.json(formatPbxSettings(req, result.rows[0]));
+  } catch (error) {
+    console.error('Update PBX AMI settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to update Asterisk connection' } });
+  }
+});
+
+// PUT /api/settings/pbx/email-template - How to read the PBX's missed-call emails
+router.put('/pbx/email-template', validate(schemas.pbxEmailTemplate), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { template } = req.body;
+
+    if (template !== 'auto' && !pbxEmailTemplates.getTemplate(template)) {
+      return res.status(400).json({ error: { message: 'Unknown email template' } });
+    }
+
+    const result = await query(
+      `UPDATE settings
+       SET pbx_email_template = $1
+       WHERE user_id = $2
+       RETURNING ${PBX_SETTINGS_COLUMNS}`,
+      [template, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json(formatPbxSettings(req, result.rows[0]));
+  } catch (error) {
+    console.error('Update PBX email template error:', error);
+    res.status(500).json({ error: { message: 'Failed to update email template' } });
+  }
+});
+
+// GET /api/settings/conversation-flow - The practice's SMS conversation flow
+router.get('/conversation-flow', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      'SELECT conversation_flow FROM settings WHERE user_id = $1',
+      [userId]
+    );
+
+    const { flow, isDefault } = conversationFlow.getFlowForSettings(result.rows[0]);
+
+    res.json({ flow, isDefault });
+  } catch (error) {
+    console.error('Get conversation flow error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch conversation flow' } });
+  }
+});
+
+// PUT /api/settings/conversation-flow - Replace the practice's conversation flow
+router.put('/conversation-flow', validate(schemas.conversationFlow), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { flow } = req.body;
+
+    const result = await query(
+      `UPDATE settings
+       SET conversation_flow = $1
+       WHERE user_id = $2
+       RETURNING conversation_flow`,
+      [JSON.stringify(flow), userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json({ message: 'Conversation flow updated', flow: result.rows[0].conversation_flow, isDefault: false });
+  } catch (error) {
+    console.error('Update conversation flow error:', error);
+    res.status(500).json({ error: { message: 'Failed to update conversation flow' } });
+  }
+});
+
+// DELETE /api/settings/conversation-flow - Go back to the default 1/2 flow
+router.delete('/conversation-flow', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    await query(
+      'UPDATE settings SET conversation_flow = NULL WHERE user_id = $1',
+      [userId]
+    );
+
+    res.json({ message: 'Conversation flow reset to default', flow: conversationFlow.DEFAULT_FLOW, isDefault: true });
+  } catch (error) {
+    console.error('Reset conversation flow error:', error);
+    res.status(500).json({ error: { message: 'Failed to reset conversation flow' } });
+  }
+});
+
+// Columns formatEmergencySettings needs
+const EMERGENCY_SETTINGS_COLUMNS = 'emergency_instructions, emergency_contacts, emergency_escalation_minutes';
+
+function formatEmergencySettings(settings) {
+  return {
+    instructions: settings?.emergency_instructions || null,
+    defaultInstructions: emergencyTriage.DEFAULT_INSTRUCTIONS,
+    contacts: settings?.emergency_contacts || [],
+    escalationMinutes: settings?.emergency_escalation_minutes || DEFAULT_ESCALATION_MINUTES,
+    emailEnabled: mailer.isConfigured()
+  };
+}
+
+// GET /api/settings/emergency - Emergency instructions and on-call contacts
+router.get('/emergency', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `SELECT ${EMERGENCY_SETTINGS_COLUMNS} FROM settings WHERE user_id = $1`,
+      [userId]
+    );
+
+    res.json(formatEmergencySettings(result.rows[0]));
+  } catch (error) {
+    console.error('Get emergency settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch emergency settings' } });
+  }
+});
+
+// PUT /api/settings/emergency - Save emergency instructions and the on-call escalation list
+router.put('/emergency', validate(schemas.emergencySettings), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { instructions, contacts, escalationMinutes } = req.body;
+
+    const result = await query(
+      `UPDATE settings
+       SET emergency_instructions = $1, emergency_contacts = $2, emergency_escalation_minutes = $3
+       WHERE user_id = $4
+       RETURNING ${EMERGENCY_SETTINGS_COLUMNS}`,
+      [instructions || null, JSON.stringify(contacts), escalationMinutes, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Settings not found' } });
+    }
+
+    res.json(formatEmergencySettings(result.rows[0]));
+  } catch (error) {
+    console.error('Update emergency settings error:', error);
+    res.status(500).json({ error: { message: 'Failed to update emergency settings' } });
+  }
+});
+
+// POST /api/settings/sms/test - Test the practice's SMS configuration
 router.post('/sms/test', async (req, res) => {
   try {
     const userId = req.user.id;
@@ -187,34 +617,38 @@ router.post('/sms/test', async (req, res) => {
       return res.status(400).json({ error: { message: 'Test phone number is required' } });
     }
 
-    // Check if Notifyre credentials are configured in environment
-    if (!process.env.NOTIFYRE_ACCOUNT_ID || !process.env.NOTIFYRE_API_TOKEN) {
-      return res.status(400).json({ error: { message: 'Notifyre credentials not configured' } });
+    if (await optOuts.isOptedOut(userId, testPhone)) {
+      return res.status(400).json({ error: { message: 'This number has opted out of SMS from your practice' } });
     }
 
-    // Get settings for user's SMS reply number
+    // Get settings for user's SMS provider and reply number
     const settingsResult = await query(
-      'SELECT sms_reply_number FROM settings WHERE user_id = $1',
+      'SELECT sms_provider, sms_reply_number FROM settings WHERE user_id = $1',
       [userId]
     );
 
-    const fromNumber = settingsResult.rows[0]?.sms_reply_number || process.env.NOTIFYRE_FROM_NUMBER;
+    const provider = smsProvider.getProviderForSettings(settingsResult.rows[0]);
+
+    // Check if provider credentials are configured in environment
+    if (!provider.isConfigured()) {
+      return res.status(400).json({ error: { message: `${provider.name} credentials not configured` } });
+    }
+
+    const fromNumber = smsProvider.getFromNumber(settingsResult.rows[0], provider);
 
     if (!fromNumber) {
       return res.status(400).json({ error: { message: 'No SMS reply number configured' } });
     }
 
-    // Send test SMS using Notifyre
-    const result = await notifyre.sendSMS(
-      process.env.NOTIFYRE_ACCOUNT_ID,
-      process.env.NOTIFYRE_API_TOKEN,
+    // Send test SMS using the practice's provider
+    const result = await provider.sendSMS(
       testPhone,
       'This is a test message from SmileDesk. Your SMS configuration is working!',
       fromNumber
     );
 
     if (result.success) {
-      res.json({ success: true, message: 'Test SMS sent successfully' });
+      res.json({ success: true, message: 'Test SMS sent successfully', provider: provider.name });
     } else {
       res.status(400).json({ error: { message: result.error || 'Failed to send test SMS' } });
     }
@@ -230,6 +664,8 @@ function formatSettings(settings) {
     id: settings.id,
     // SMS number (admin sets this in Supabase)
     smsReplyNumber: settings.sms_reply_number,
+    smsProvider: settings.sms_provider || smsProvider.getDefaultProviderName(),
+    smsFailoverProviders: settings.sms_failover_providers || [],
     // Call forwarding (dentist sets this)
     forwardingPhone: settings.forwarding_phone,
     // Notifications
@@ -239,6 +675,8 @@ function formatSettings(settings) {
     bookingMode: settings.booking_mode,
     businessHours: settings.business_hours,
     aiGreeting: settings.ai_greeting,
+    // Appointment reminders
+    reminderSchedule: settings.reminder_schedule || DEFAULT_REMINDER_SCHEDULE,
     // Timestamps
     createdAt: settings.created_at,
     updatedAt: settings.updated_at
@@ -1,24 +1,59 @@
 /**
- * SMS Routes - Notifyre Two-Way SMS Integration
+ * SMS Routes - Two-Way SMS Integration
  * Handles inbound SMS webhooks and callback classification flow
  *
- * SIMPLIFIED FLOW (V2):
- * - Reply 1 = Appointment request callback
- * - Reply 2 = Other/general callback
- * - Both result in callbacks - we're just classifying intent for reporting
+ * Providers (see services/smsProvider.js):
+ * - Notifyre   POST /api/sms/incoming          (default)
+ * - Vonage     POST /api/sms/incoming/vonage
+ * - Sandbox    POST /api/sms/incoming/sandbox  (offline testing)
+ *
+ * CONVERSATION FLOWS:
+ * - Each practice can define its own multi-step flow (settings.conversation_flow)
+ * - Default flow: Reply 1 = Appointment request, Reply 2 = Other/general callback
+ * - Every flow ends in a callback - we're just collecting details for reception
+ *
+ * DENTAL EMERGENCIES:
+ * - Replies that read as an emergency get the practice's emergency
+ *   instructions and alert the on-call staff (services/emergencyTriage.js)
+ * - On-call staff reply ACK to stop the alert escalating (services/emergencyAlerts.js)
+ *
+ * APPOINTMENT REMINDERS:
+ * - C/Y or X/N replies to a reminder confirm or cancel the appointment
+ *   (services/appointmentReminders.js) before any conversation is touched
+ * - YES/NO replies to a waitlist offer book the freed slot or decline it
+ *   (services/waitlist.js)
+ *
+ * OPT-OUTS:
+ * - STOP / UNSUBSCRIBE puts the number on the practice's opt-out list and
+ *   START takes it off (services/optOuts.js); nothing but the confirmation
+ *   is texted to a number on the list
+ *
+ * Replies are queued in the SMS outbox (services/smsOutbox.js), so the
+ * webhook returns without waiting on the carrier.
  *
  * Security Features:
  * - Signature validation (HMAC-SHA256)
  * - Per-phone rate limiting
  * - Idempotency protection
  * - Input sanitization
+ * - Every webhook stored with its outcome (middleware/webhookCapture.js)
  */
 
 const express = require('express');
 const { query, getClient } = require('../db/config');
-const notifyre = require('../services/notifyre');
+const smsProvider = require('../services/smsProvider');
+const { enqueueSMS } = require('../services/smsOutbox');
+const conversationFlow = require('../services/conversationFlow');
+const appointmentReminders = require('../services/appointmentReminders');
+const waitlist = require('../services/waitlist');
+const emergencyTriage = require('../services/emergencyTriage');
+const emergencyAlerts = require('../services/emergencyAlerts');
+const realtime = require('../services/realtime');
+const locations = require('../services/locations');
+const patients = require('../services/patients');
+const optOuts = require('../services/optOuts');
+const { updateConversationStatus } = conversationFlow;
 const { sms: log } = require('../utils/logger');
-const { withSMSRetry } = require('../utils/retry');
 const { captureException } = require('../utils/sentry');
 const {
   validateNotifyreSignature,
@@ -27,12 +62,34 @@ const {
   idempotencyCheck,
   rollbackIdempotency
 } = require('../middleware/notifyreWebhook');
+const { validateVonageSignature } = require('../middleware/vonageWebhook');
+const { captureWebhook } = require('../middleware/webhookCapture');
 
 const router = express.Router();
 
 // SMS cooldown in minutes - prevent spam to same number
 const SMS_COOLDOWN_MINUTES = 30;
 
+/**
+ * Tag the request with the provider whose webhook format it uses
+ */
+function useProvider(name) {
+  return (req, res, next) => {
+    req.smsProvider = smsProvider.getProvider(name);
+    next();
+  };
+}
+
+/**
+ * Only accept sandbox webhooks outside production, unless explicitly enabled (staging)
+ */
+function sandboxEnabled(req, res, next) {
+  if (process.env.NODE_ENV === 'production' && process.env.SMS_SANDBOX_ENABLED !== 'true') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
 /**
  * Inbound SMS Webhook Handler
  * POST /api/sms/incoming (primary)
@@ -42,11 +99,12 @@ async function handleInboundSMS(req, res) {
   const startTime = Date.now();
 
   try {
-    // Parse webhook data (Notifyre sends POST with JSON body)
+    // Parse webhook data (providers send POST with JSON body)
     const webhookData = req.method === 'GET' ? req.query : req.body;
 
-    // Parse using Notifyre service
-    const parsed = notifyre.parseInboundWebhook(webhookData);
+    // Parse using the provider that owns this webhook
+    const inboundProvider = req.smsProvider || smsProvider.getProvider('notifyre');
+    const parsed = inboundProvider.parseInboundWebhook(webhookData);
 
     const { from: callerPhone, to: notifyreNumber, message: messageBody, messageId } = parsed;
 
@@ -54,17 +112,18 @@ async function handleInboundSMS(req, res) {
       from: callerPhone,
       to: notifyreNumber,
       messageId,
+      provider: inboundProvider.name,
       bodyLength: messageBody?.length
     }, 'Inbound SMS received');
 
     // Validate required fields
-    if (!callerPhone || !messageBody) {
+    if (!callerPhone || !messageBody || !notifyreNumber) {
       log.warn({ webhookData }, 'Invalid webhook: missing phone or message');
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
     // Normalize the Notifyre number for comparison
-    const normalizedNotifyre = notifyre.normalizePhoneNumber(notifyreNumber);
+    const normalizedNotifyre = inboundProvider.normalizePhoneNumber(notifyreNumber);
     // Extract just digits for flexible matching
     const notifyreDigits = notifyreNumber.replace(/\D/g, '');
 
@@ -83,6 +142,31 @@ async function handleInboundSMS(req, res) {
     );
 
     let settings = userResult.rows[0];
+    // Location whose number was texted (multi-location practices)
+    let location = null;
+
+    if (!settings) {
+      const locationMatch = await locations.findBySmsNumber(notifyreNumber);
+      if (locationMatch) {
+        ({ settings, location } = locationMatch);
+      }
+    }
+
+    // Replies sent via a failover provider come back to that provider's number
+    if (!settings) {
+      const failoverResult = await query(
+        `SELECT s.*, u.id as user_id, u.practice_name
+         FROM settings s
+         JOIN users u ON s.user_id = u.id
+         WHERE EXISTS (
+           SELECT 1 FROM jsonb_array_elements(COALESCE(s.sms_failover_providers, '[]'::jsonb)) AS f
+           WHERE REPLACE(REPLACE(f->>'fromNumber', '+', ''), ' ', '') = $1
+         )
+         LIMIT 1`,
+        [notifyreDigits]
+      );
+      settings = failoverResult.rows[0];
+    }
 
     // If still no match, try forwarding_phone as fallback
     if (!settings) {
@@ -103,8 +187,58 @@ async function handleInboundSMS(req, res) {
     }
 
     const userId = settings.user_id;
+    req.webhookUserId = userId;
     const practiceName = settings.practice_name || 'Our Practice';
 
+    // Idempotency: skip provider retries of a message we already stored
+    if (messageId) {
+      const existingMsg = await query(
+        `SELECT id FROM messages WHERE external_message_id = $1`,
+        [messageId]
+      );
+      if (existingMsg.rows.length > 0) {
+        log.info({ messageId }, 'Duplicate message, skipping');
+        return res.json({ status: 'ok', action: 'duplicate_skipped' });
+      }
+    }
+
+    // ACK from on-call staff answering an emergency alert - never starts a conversation
+    const acknowledgement = await emergencyAlerts.handleAcknowledgementReply({ userId, callerPhone, messageBody });
+
+    if (acknowledgement) {
+      log.info({ userId, callerPhone, ...acknowledgement, durationMs: Date.now() - startTime }, 'Inbound SMS handled as emergency acknowledgement');
+      return res.json({ status: 'ok', ...acknowledgement });
+    }
+
+    // C/Y or X/N answering an appointment reminder - never starts a conversation
+    const reminderReply = await appointmentReminders.handleReminderReply({
+      userId,
+      callerPhone,
+      messageBody,
+      messageId,
+      provider: inboundProvider.name
+    });
+
+    if (reminderReply) {
+      log.info({ userId, callerPhone, ...reminderReply, durationMs: Date.now() - startTime }, 'Inbound SMS handled as reminder reply');
+      return res.json({ status: 'ok', ...reminderReply });
+    }
+
+    // YES/NO to a cancelled slot offered from the waitlist
+    const offerReply = await waitlist.handleOfferReply({ userId, callerPhone, messageBody });
+
+    if (offerReply) {
+      log.info({ userId, callerPhone, ...offerReply, durationMs: Date.now() - startTime }, 'Inbound SMS handled as waitlist reply');
+      return res.json({ status: 'ok', ...offerReply });
+    }
+
+    // STOP / START update the opt-out list; the conversation still closes or restarts below
+    const keywordReply = await optOuts.handleKeywordReply({ userId, callerPhone, messageBody });
+
+    if (keywordReply) {
+      log.info({ userId, callerPhone, ...keywordReply }, 'Opt-out keyword received');
+    }
+
     // Find or create active conversation
     let conversationResult = await query(
       `SELECT * FROM conversations
@@ -118,44 +252,44 @@ async function handleInboundSMS(req, res) {
     let conversationId;
 
     if (!conversation) {
+      const patient = await patients.findOrCreatePatient(userId, callerPhone);
+
       // Create new conversation
       const newConv = await query(
-        `INSERT INTO conversations (user_id, caller_phone, channel, direction, status, state_data, last_activity_at)
-         VALUES ($1, $2, 'sms', 'inbound', 'awaiting_initial_choice', '{}', NOW())
+        `INSERT INTO conversations (user_id, caller_phone, channel, direction, status, state_data, location_id, patient_id, last_activity_at)
+         VALUES ($1, $2, 'sms', 'inbound', 'awaiting_initial_choice', '{}', $3, $4, NOW())
          RETURNING *`,
-        [userId, callerPhone]
+        [userId, callerPhone, location?.id || null, patient?.id || null]
       );
       conversation = newConv.rows[0];
       conversationId = conversation.id;
 
-      // Create lead for new conversation
+      // Create lead for new conversation (named, if they've been in touch before)
       await query(
-        `INSERT INTO leads (user_id, conversation_id, name, phone, status, source)
-         VALUES ($1, $2, 'SMS Contact', $3, 'new', 'sms')`,
-        [userId, conversationId, callerPhone]
+        `INSERT INTO leads (user_id, conversation_id, name, phone, status, source, location_id, patient_id)
+         VALUES ($1, $2, COALESCE($3, 'SMS Contact'), $4, 'new', 'sms', $5, $6)`,
+        [userId, conversationId, patient?.name || null, callerPhone, location?.id || null, patient?.id || null]
       );
 
-      log.info({ userId, conversationId, callerPhone }, 'New conversation created');
+      log.info({ userId, conversationId, callerPhone, locationId: location?.id }, 'New conversation created');
     } else {
       conversationId = conversation.id;
-    }
 
-    // Store inbound message with idempotency
-    if (messageId) {
-      const existingMsg = await query(
-        `SELECT id FROM messages WHERE external_message_id = $1`,
-        [messageId]
-      );
-      if (existingMsg.rows.length > 0) {
-        log.info({ messageId }, 'Duplicate message, skipping');
-        return res.json({ status: 'ok', action: 'duplicate_skipped' });
+      // A conversation stays with the location it started at (replies to a
+      // missed-call SMS sent from the practice number still book there)
+      if (conversation.location_id) {
+        location = await locations.getLocation(userId, conversation.location_id) || location;
       }
     }
 
+    // The location's greeting, slots and timezone drive the flow
+    settings = locations.withLocation(settings, location);
+
+    // Store inbound message
     await query(
       `INSERT INTO messages (conversation_id, sender, content, message_type, external_message_id, delivery_status, provider)
-       VALUES ($1, 'patient', $2, 'text', $3, 'delivered', 'notifyre')`,
-      [conversationId, messageBody, messageId]
+       VALUES ($1, 'patient', $2, 'text', $3, 'delivered', $4)`,
+      [conversationId, messageBody, messageId, inboundProvider.name]
     );
 
     // Update conversation activity
@@ -174,30 +308,24 @@ async function handleInboundSMS(req, res) {
     // Process conversation and generate response
     const aiResponse = await handleConversation(conversationId, messageBody, settings, conversation);
 
-    // Send response with retry using Notifyre
-    const sendResult = await withSMSRetry(
-      () => notifyre.sendSMS(
-        process.env.NOTIFYRE_ACCOUNT_ID,
-        process.env.NOTIFYRE_API_TOKEN,
-        callerPhone,
-        aiResponse,
-        settings.sms_reply_number || process.env.NOTIFYRE_FROM_NUMBER
-      ),
-      { context: `sms-reply-${conversationId}` }
-    );
-
-    // Store outbound message
-    await query(
-      `INSERT INTO messages (conversation_id, sender, content, message_type, external_message_id, delivery_status, provider)
-       VALUES ($1, 'ai', $2, 'text', $3, $4, 'notifyre')`,
-      [conversationId, aiResponse, sendResult.messageId || null, sendResult.success ? 'sent' : 'failed']
-    );
+    // Queue the response - the outbox worker sends it (with failover and retries).
+    // Numbers on the opt-out list only ever get the STOP confirmation.
+    const { outboxId, suppressed } = await enqueueSMS({
+      userId,
+      to: callerPhone,
+      content: aiResponse,
+      conversationId,
+      context: `sms-reply-${conversationId}`,
+      ignoreOptOut: keywordReply?.action === 'opted_out'
+    });
 
     // Update last SMS timestamp for cooldown tracking
-    await query(
-      `UPDATE conversations SET last_sms_at = NOW() WHERE id = $1`,
-      [conversationId]
-    );
+    if (!suppressed) {
+      await query(
+        `UPDATE conversations SET last_sms_at = NOW() WHERE id = $1`,
+        [conversationId]
+      );
+    }
 
     const duration = Date.now() - startTime;
     log.info({
@@ -205,9 +333,12 @@ async function handleInboundSMS(req, res) {
       callerPhone,
       responseLength: aiResponse.length,
       durationMs: duration,
-      smsSent: sendResult.success
+      outboxId,
+      suppressed
     }, 'Inbound SMS processed');
 
+    realtime.publish(userId, 'message.received', { conversationId, callId: conversation.call_id || null });
+
     return res.json({ status: 'ok', conversationId });
 
   } catch (error) {
@@ -222,99 +353,147 @@ async function handleInboundSMS(req, res) {
   }
 }
 
+// Keep a copy of every inbound / status webhook for support (Admin > Webhook Log)
+router.use(['/incoming', '/status'], captureWebhook('sms'));
+
 // Apply middleware and route handlers
 router.post('/incoming',
   webhookIPLimiter,
   webhookPhoneLimiter,
   validateNotifyreSignature,
   idempotencyCheck,
+  useProvider('notifyre'),
+  handleInboundSMS
+);
+
+router.post('/incoming/vonage',
+  webhookIPLimiter,
+  webhookPhoneLimiter,
+  validateVonageSignature,
+  idempotencyCheck,
+  useProvider('vonage'),
+  handleInboundSMS
+);
+
+router.post('/incoming/sandbox',
+  sandboxEnabled,
+  webhookIPLimiter,
+  useProvider('sandbox'),
   handleInboundSMS
 );
 
 // GET support for initial webhook verification (not recommended for production)
-router.get('/incoming', handleInboundSMS);
+router.get('/incoming', useProvider('notifyre'), handleInboundSMS);
 
 /**
  * SMS Delivery Status Webhook
- * POST /api/sms/status
+ * POST /api/sms/status (Notifyre)
+ * POST /api/sms/status/:provider (vonage, sandbox)
  */
-router.post('/status', webhookIPLimiter, async (req, res) => {
+async function handleDeliveryStatus(req, res) {
   try {
+    const provider = smsProvider.getProvider(req.params.provider || 'notifyre');
     const {
-      message_id: messageId,
-      'message-id': messageIdAlt,
+      messageId: msgId,
       status,
-      'error-code': errorCode,
-      'error-text': errorText
-    } = req.body;
-
-    const msgId = messageId || messageIdAlt;
+      errorCode,
+      errorMessage: errorText
+    } = provider.parseStatusWebhook(req.body);
 
-    log.info({ messageId: msgId, status, errorCode }, 'SMS delivery status received');
+    log.info({ messageId: msgId, status, errorCode, provider: provider.name }, 'SMS delivery status received');
 
     if (!msgId) {
       return res.json({ status: 'ok' });
     }
 
-    // Map Vonage status to our status
+    // Map provider status to our status
+    const normalizedStatus = String(status || '').toLowerCase();
     let deliveryStatus = 'unknown';
-    if (status === 'delivered') deliveryStatus = 'delivered';
-    else if (status === 'accepted' || status === 'buffered') deliveryStatus = 'sent';
-    else if (status === 'failed' || status === 'rejected') deliveryStatus = 'failed';
-    else if (status === 'expired') deliveryStatus = 'expired';
+    if (normalizedStatus === 'delivered') deliveryStatus = 'delivered';
+    else if (['accepted', 'buffered', 'sent', 'queued'].includes(normalizedStatus)) deliveryStatus = 'sent';
+    else if (['failed', 'rejected', 'undelivered'].includes(normalizedStatus)) deliveryStatus = 'failed';
+    else if (normalizedStatus === 'expired') deliveryStatus = 'expired';
 
     // Update message delivery status
-    await query(
-      `UPDATE messages
-       SET delivery_status = $1,
-           delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() ELSE delivered_at END,
-           delivery_error = $2
-       WHERE external_message_id = $3`,
+    const updated = await query(
+      `WITH updated AS (
+         UPDATE messages
+         SET delivery_status = $1,
+             delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() ELSE delivered_at END,
+             delivery_error = $2
+         WHERE external_message_id = $3
+         RETURNING id, conversation_id
+       )
+       SELECT u.id, u.conversation_id, c.user_id, c.call_id
+       FROM updated u
+       JOIN conversations c ON c.id = u.conversation_id`,
       [deliveryStatus, errorCode ? `${errorCode}: ${errorText}` : null, msgId]
     );
 
+    for (const message of updated.rows) {
+      realtime.publish(message.user_id, 'message.status', {
+        messageId: message.id,
+        conversationId: message.conversation_id,
+        callId: message.call_id,
+        deliveryStatus
+      });
+    }
+
     return res.json({ status: 'ok' });
   } catch (error) {
     log.error({ error: error.message }, 'Delivery status processing failed');
     return res.json({ status: 'ok' }); // Don't retry status webhooks
   }
-});
+}
+
+router.post('/status', webhookIPLimiter, handleDeliveryStatus);
+router.post('/status/:provider(vonage)', webhookIPLimiter, handleDeliveryStatus);
+router.post('/status/:provider(sandbox)', sandboxEnabled, webhookIPLimiter, handleDeliveryStatus);
 
 /**
  * Health check endpoint
+ * Reports each provider's circuit breaker state and send counters
  */
 router.get('/health', (req, res) => {
+  const defaultProvider = smsProvider.getProvider();
+  const providers = smsProvider.getProviderHealth();
+  const degraded = providers.some(p => p.configured && p.circuit.state === 'open');
+
   res.json({
-    status: 'ok',
-    provider: 'notifyre',
-    configured: !!(process.env.NOTIFYRE_ACCOUNT_ID && process.env.NOTIFYRE_API_TOKEN)
+    status: degraded ? 'degraded' : 'ok',
+    provider: defaultProvider.name,
+    configured: defaultProvider.isConfigured(),
+    providers
   });
 });
 
 // ============================================
-// SIMPLIFIED CONVERSATION STATE MACHINE
+// CONVERSATION HANDLING
 // ============================================
 
 /**
- * Main conversation handler - SIMPLIFIED for callback classification only
+ * Main conversation handler
+ * Keywords (STOP / START / HELP) are handled here, then dental emergencies
+ * (services/emergencyTriage.js); everything else runs through the
+ * practice's conversation flow (services/conversationFlow.js).
  *
  * States:
- * - awaiting_initial_choice: User picks 1 (appointment callback) or 2 (other callback)
- * - callback_pending: Intent classified, waiting for receptionist to call back
- * - callback_confirmed: Flow complete - receptionist marked as done
- *
- * NO APPOINTMENT BOOKING - both options result in callbacks
+ * - awaiting_initial_choice / active: Patient is answering flow steps
+ * - awaiting_slot_choice: Auto-booking practice offered slots, waiting for a pick
+ * - appointment_booked: Patient booked a slot by SMS
+ * - callback_pending: Flow complete, waiting for receptionist to call back
+ * - callback_confirmed: Receptionist marked as done
  */
 async function handleConversation(conversationId, incomingMessage, settings, conversation) {
   const practiceName = settings.practice_name || 'Our Practice';
   const currentStatus = conversation.status;
-  const stateData = conversation.state_data || {};
 
   const trimmed = incomingMessage.trim();
   const input = trimmed.toLowerCase();
 
-  // Handle opt-out keywords
-  if (['stop', 'unsubscribe', 'cancel', 'quit'].includes(input)) {
+  // Handle opt-out keywords (the number is already on the opt-out list)
+  const keyword = optOuts.parseKeyword(input);
+  if (keyword === 'opt_out') {
     await updateConversationStatus(conversationId, 'completed', {});
     await query(
       `UPDATE leads SET status = 'lost', notes = 'Opted out via SMS' WHERE conversation_id = $1`,
@@ -324,54 +503,36 @@ async function handleConversation(conversationId, incomingMessage, settings, con
   }
 
   // Handle opt-in / restart
-  if (['start', 'subscribe', 'hi', 'hello'].includes(input)) {
-    await updateConversationStatus(conversationId, 'awaiting_initial_choice', {});
-    return `Hi! This is ${practiceName}. We missed your call and want to make sure we help you.\n\nReply 1 if this is about an appointment, or 2 for another reason. We'll call you back shortly.`;
+  if (keyword === 'opt_in' || ['hi', 'hello'].includes(input)) {
+    return conversationFlow.startFlow(conversationId, settings);
   }
 
   // Handle help
   if (['help', 'info', '?'].includes(input)) {
-    return `${practiceName} Missed Call Follow-up:\n\nReply 1 - Appointment request\nReply 2 - Other enquiry\n\nWe'll call you back shortly.\n\nReply STOP to opt out.`;
+    return conversationFlow.getHelpMessage(settings, conversation);
+  }
+
+  // Emergencies skip the flow in any state: high priority, instructions, on-call alert
+  const triage = emergencyTriage.classifyEmergency(trimmed);
+  if (triage.emergency) {
+    return emergencyTriage.handleEmergency(conversationId, trimmed, settings, conversation, triage.signs);
   }
 
   // Process based on current state
   switch (currentStatus) {
     case 'active':
-    case 'awaiting_initial_choice': {
-      // Reply 1 = Appointment request callback
-      if (trimmed === '1' || input === 'one' || input.includes('appointment') || input.includes('book')) {
-        await classifyCallbackType(conversationId, 'appointment_request');
-        return `Thank you! We received your request and will be in contact shortly. - ${practiceName}`;
-      }
-
-      // Reply 2 = General/other callback
-      if (trimmed === '2' || input === 'two' || input.includes('other') || input.includes('question')) {
-        await classifyCallbackType(conversationId, 'general_callback');
-        return `Thank you! We received your request and will be in contact shortly. - ${practiceName}`;
-      }
+    case 'awaiting_initial_choice':
+      return conversationFlow.advanceFlow(conversationId, incomingMessage, settings, conversation);
 
-      // Handle any number as a valid response - classify as general
-      const numericInput = parseInt(trimmed);
-      if (!isNaN(numericInput)) {
-        await classifyCallbackType(conversationId, 'general_callback');
-        return `Thank you! We received your request and will be in contact shortly. - ${practiceName}`;
-      }
-
-      // If they send any text message, just classify as general and confirm
-      if (trimmed.length > 0) {
-        // Store their message as a note
-        await query(
-          `UPDATE leads SET notes = $1 WHERE conversation_id = $2`,
-          [incomingMessage, conversationId]
-        );
-        await classifyCallbackType(conversationId, 'general_callback');
-        return `Thank you! We received your request and will be in contact shortly. - ${practiceName}`;
-      }
-
-      return `Please reply 1 for appointment or 2 for other. We'll call you back shortly.`;
-    }
+    case 'awaiting_slot_choice':
+      return conversationFlow.handleSlotChoice(conversationId, incomingMessage, settings, conversation);
 
     case 'callback_pending':
+      // Follow-up details ("actually I'm free Tuesday after 3") still update the lead
+      await conversationFlow.understandReply(conversationId, trimmed);
+      return `Thanks for your message! We'll be in contact shortly. - ${practiceName}`;
+
+    case 'appointment_booked':
     case 'callback_confirmed':
     case 'completed': {
       // Already handled - simple acknowledgment
@@ -380,56 +541,8 @@ async function handleConversation(conversationId, incomingMessage, settings, con
 
     default:
       // Unknown state - reset to initial
-      await updateConversationStatus(conversationId, 'awaiting_initial_choice', {});
-      return `Hi! This is ${practiceName}. We missed your call.\n\nReply 1 for appointment or 2 for other. We'll call you back shortly.`;
+      return conversationFlow.startFlow(conversationId, settings);
   }
 }
 
-/**
- * Classify the callback type and update all relevant records
- */
-async function classifyCallbackType(conversationId, callbackType) {
-  // Update conversation status
-  await updateConversationStatus(conversationId, 'callback_pending', {
-    callbackType,
-    classifiedAt: new Date().toISOString()
-  });
-
-  // Update the call record with callback_type
-  await query(
-    `UPDATE calls
-     SET callback_type = $1, handled_by_ai = true
-     WHERE id = (SELECT call_id FROM conversations WHERE id = $2)`,
-    [callbackType, conversationId]
-  );
-
-  // Update lead with callback type and status
-  const preferredTime = callbackType === 'appointment_request'
-    ? 'Callback requested (appointment)'
-    : 'Callback requested (other)';
-
-  await query(
-    `UPDATE leads
-     SET status = 'qualified',
-         callback_type = $1,
-         preferred_time = $2
-     WHERE conversation_id = $3`,
-    [callbackType, preferredTime, conversationId]
-  );
-
-  log.info({ conversationId, callbackType }, 'Callback classified');
-}
-
-/**
- * Update conversation status and state data
- */
-async function updateConversationStatus(conversationId, status, stateData) {
-  await query(
-    `UPDATE conversations
-     SET status = $1, state_data = $2, last_activity_at = NOW()
-     WHERE id = $3`,
-    [status, JSON.stringify(stateData), conversationId]
-  );
-}
-
 module.exports = router;
@@ -0,0 +1,276 @@
+/**
+ * Staff Routes
+ * Staff logins of the practice: invite, change roles, deactivate
+ *
+ * Managers can see the team; only owners change it. A practice always
+ * keeps at least one active owner, and nobody can change their own role or
+ * deactivate themselves.
+ */
+
+const express = require('express');
+const { query } = require('../db/config');
+const { authenticate, requireRole, revokeRefreshToken } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const staffInvites = require('../services/staffInvites');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+function formatStaff(staff) {
+  return {
+    id: staff.id,
+    name: staff.name,
+    email: staff.email,
+    phone: staff.phone,
+    role: staff.role,
+    status: staff.status,
+    inviteExpiresAt: staff.status === 'invited' ? staff.invite_expires_at : null,
+    lastLoginAt: staff.last_login_at,
+    deactivatedAt: staff.deactivated_at,
+    createdAt: staff.created_at
+  };
+}
+
+async function findStaff(userId, id) {
+  const result = await query(
+    'SELECT * FROM staff WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Would the practice be left without an active owner if this one went?
+ */
+async function isLastOwner(userId, staffId) {
+  const result = await query(
+    `SELECT COUNT(*) AS owners FROM staff
+     WHERE user_id = $1 AND role = 'owner' AND status = 'active' AND id <> $2`,
+    [userId, staffId]
+  );
+  return parseInt(result.rows[0].owners, 10) === 0;
+}
+
+// GET /api/staff - Everyone with a login to the practice
+router.get('/', requireRole('manager'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT * FROM staff
+       WHERE user_id = $1
+       ORDER BY (status = 'deactivated'), created_at`,
+      [req.user.id]
+    );
+
+    res.json({ staff: result.rows.map(formatStaff) });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch staff' } });
+  }
+});
+
+// POST /api/staff/invite - Invite a staff member by email or SMS
+router.post('/invite', requireRole('owner'), validate(schemas.inviteStaff), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, email, phone, role, via } = req.body;
+
+    const existing = await query('SELECT user_id FROM staff WHERE email = $1', [email.toLowerCase()]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: {
+          message: existing.rows[0].user_id === userId
+            ? 'This person is already on your team'
+            : 'An account with this email already exists'
+        }
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO staff (user_id, email, name, phone, role, status, invited_by)
+       VALUES ($1, $2, $3, $4, $5, 'invited', $6)
+       RETURNING *`,
+      [userId, email.toLowerCase(), name, phone || null, role, req.staff.id]
+    );
+    const staff = result.rows[0];
+
+    const invite = await staffInvites.sendInvite(staff, {
+      practiceName: req.user.practice_name,
+      invitedBy: req.staff.name || req.staff.email,
+      via
+    });
+
+    await audit.recordRequest(req, {
+      action: 'staff.invited',
+      entityType: 'staff',
+      entityId: staff.id,
+      after: staff
+    });
+
+    res.status(201).json({
+      message: invite.sent ? 'Invite sent' : 'Invite created but not sent - share the link yourself',
+      staff: formatStaff(staff),
+      invite
+    });
+  } catch (error) {
+    console.error('Invite staff error:', error);
+    res.status(500).json({ error: { message: 'Failed to invite staff member' } });
+  }
+});
+
+// POST /api/staff/:id/resend-invite - New invite link for someone who hasn't accepted
+router.post('/:id/resend-invite', requireRole('owner'), validate(schemas.resendInvite), async (req, res) => {
+  try {
+    const staff = await findStaff(req.user.id, req.params.id);
+
+    if (!staff || staff.status !== 'invited') {
+      return res.status(404).json({ error: { message: 'Pending invite not found' } });
+    }
+
+    const invite = await staffInvites.sendInvite(staff, {
+      practiceName: req.user.practice_name,
+      invitedBy: req.staff.name || req.staff.email,
+      via: req.body.via
+    });
+
+    res.json({
+      message: invite.sent ? 'Invite sent' : 'Invite created but not sent - share the link yourself',
+      invite
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ error: { message: 'Failed to resend invite' } });
+  }
+});
+
+// PUT /api/staff/:id - Change a staff member's name, phone or role
+router.put('/:id', requireRole('owner'), validate(schemas.updateStaff), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, phone, role } = req.body;
+
+    const staff = await findStaff(userId, req.params.id);
+    if (!staff) {
+      return res.status(404).json({ error: { message: 'Staff member not found' } });
+    }
+
+    if (role && role !== staff.role) {
+      if (staff.id === req.staff.id) {
+        return res.status(400).json({ error: { message: 'You can\'t change your own role' } });
+      }
+      if (staff.role === 'owner' && staff.status === 'active' && await isLastOwner(userId, staff.id)) {
+        return res.status(400).json({ error: { message: 'The practice needs at least one owner' } });
+      }
+    }
+
+    const result = await query(
+      `UPDATE staff
+       SET name = COALESCE($1, name),
+           phone = CASE WHEN $2::boolean THEN $3 ELSE phone END,
+           role = COALESCE($4, role),
+           updated_at = NOW()
+       WHERE id = $5 AND user_id = $6
+       RETURNING *`,
+      [name, phone !== undefined, phone || null, role, staff.id, userId]
+    );
+
+    await audit.recordRequest(req, {
+      action: 'staff.updated',
+      entityType: 'staff',
+      entityId: staff.id,
+      before: staff,
+      after: result.rows[0]
+    });
+
+    res.json({ staff: formatStaff(result.rows[0]) });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({ error: { message: 'Failed to update staff member' } });
+  }
+});
+
+// POST /api/staff/:id/deactivate - Revoke a staff member's access
+router.post('/:id/deactivate', requireRole('owner'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const staff = await findStaff(userId, req.params.id);
+    if (!staff || staff.status === 'deactivated') {
+      return res.status(404).json({ error: { message: 'Staff member not found' } });
+    }
+
+    if (staff.id === req.staff.id) {
+      return res.status(400).json({ error: { message: 'You can\'t deactivate yourself' } });
+    }
+
+    if (staff.role === 'owner' && staff.status === 'active' && await isLastOwner(userId, staff.id)) {
+      return res.status(400).json({ error: { message: 'The practice needs at least one owner' } });
+    }
+
+    // An unaccepted invite link dies with the account
+    const result = await query(
+      `UPDATE staff
+       SET status = 'deactivated', deactivated_at = NOW(),
+           invite_token_hash = NULL, invite_expires_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [staff.id, userId]
+    );
+
+    // Their access token stops working on the next request (authenticate
+    // checks the status); the refresh token goes now
+    await revokeRefreshToken(staff.id);
+
+    await audit.recordRequest(req, {
+      action: 'staff.deactivated',
+      entityType: 'staff',
+      entityId: staff.id,
+      before: staff,
+      after: result.rows[0]
+    });
+
+    res.json({ message: 'Staff member deactivated', staff: formatStaff(result.rows[0]) });
+  } catch (error) {
+    console.error('Deactivate staff error:', error);
+    res.status(500).json({ error: { message: 'Failed to deactivate staff member' } });
+  }
+});
+
+// POST /api/staff/:id/reactivate - Restore a deactivated staff member
+router.post('/:id/reactivate', requireRole('owner'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const staff = await findStaff(userId, req.params.id);
+    if (!staff || staff.status !== 'deactivated') {
+      return res.status(404).json({ error: { message: 'Deactivated staff member not found' } });
+    }
+
+    // Someone who never accepted their invite needs a new one
+    const result = await query(
+      `UPDATE staff
+       SET status = CASE WHEN password_hash IS NULL THEN 'invited' ELSE 'active' END,
+           deactivated_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [staff.id, userId]
+    );
+
+    await audit.recordRequest(req, {
+      action: 'staff.reactivated',
+      entityType: 'staff',
+      entityId: staff.id,
+      before: staff,
+      after: result.rows[0]
+    });
+
+    res.json({ message: 'Staff member reactivated', staff: formatStaff(result.rows[0]) });
+  } catch (error) {
+    console.error('Reactivate staff error:', error);
+    res.status(500).json({ error: { message: 'Failed to reactivate staff member' } });
+  }
+});
+
+module.exports = router;
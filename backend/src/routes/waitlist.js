@@ -0,0 +1,238 @@
+/**
+ * Waitlist Routes
+ * Patients waiting for an earlier appointment (see services/waitlist.js for
+ * how cancelled slots are offered to them)
+ */
+
+const express = require('express');
+const { query } = require('../db/config');
+const { authenticate, requireRoleToWrite } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validate');
+const { formatDate } = require('../services/googleCalendar');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+router.use(requireRoleToWrite('receptionist'));
+
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    leadId: entry.lead_id,
+    patientName: entry.patient_name,
+    patientPhone: entry.patient_phone,
+    patientEmail: entry.patient_email,
+    reason: entry.reason,
+    notes: entry.notes,
+    preferredDays: entry.preferred_days || [],
+    preferredTimeFrom: entry.preferred_time_from,
+    preferredTimeTo: entry.preferred_time_to,
+    priority: entry.priority,
+    status: entry.status,
+    appointmentId: entry.appointment_id,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+  };
+}
+
+// GET /api/waitlist - Waitlist in offer order
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status = 'waiting' } = req.query;
+
+    const params = [userId];
+    let whereClause = 'WHERE user_id = $1';
+
+    if (status !== 'all') {
+      params.push(status);
+      whereClause += ` AND status = $${params.length}`;
+    }
+
+    const result = await query(
+      `SELECT * FROM waitlist_entries
+       ${whereClause}
+       ORDER BY priority DESC, created_at ASC`,
+      params
+    );
+
+    res.json({ entries: result.rows.map(formatEntry) });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch waitlist' } });
+  }
+});
+
+// GET /api/waitlist/offers - Recent cancelled slots offered to the waitlist
+router.get('/offers', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `SELECT o.*, a.patient_name AS filled_by_name,
+              COUNT(r.id) AS recipients,
+              COUNT(r.id) FILTER (WHERE r.response = 'taken') AS too_late
+       FROM waitlist_offers o
+       LEFT JOIN appointments a ON a.id = o.appointment_id
+       LEFT JOIN waitlist_offer_recipients r ON r.offer_id = o.id
+       WHERE o.user_id = $1
+       GROUP BY o.id, a.patient_name
+       ORDER BY o.created_at DESC
+       LIMIT 20`,
+      [userId]
+    );
+
+    res.json({
+      offers: result.rows.map(offer => ({
+        id: offer.id,
+        slotDate: formatDate(offer.slot_date),
+        slotTime: offer.slot_time,
+        status: offer.status === 'open' && new Date(offer.expires_at) <= new Date() ? 'expired' : offer.status,
+        recipients: parseInt(offer.recipients),
+        tooLate: parseInt(offer.too_late),
+        filledBy: offer.filled_by_name,
+        appointmentId: offer.appointment_id,
+        createdAt: offer.created_at,
+        filledAt: offer.filled_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get waitlist offers error:', error);
+    res.status(500).json({ error: { message: 'Failed to fetch waitlist offers' } });
+  }
+});
+
+// POST /api/waitlist - Add a patient (or an existing lead) to the waitlist
+router.post('/', validate(schemas.createWaitlistEntry), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { leadId, preferredDays, preferredTimeFrom, preferredTimeTo, priority, notes } = req.body;
+    let { patientName, patientPhone, patientEmail, reason } = req.body;
+
+    if (leadId) {
+      const leadResult = await query(
+        'SELECT name, phone, email, reason FROM leads WHERE id = $1 AND user_id = $2',
+        [leadId, userId]
+      );
+
+      const lead = leadResult.rows[0];
+      if (!lead) {
+        return res.status(404).json({ error: { message: 'Lead not found' } });
+      }
+
+      patientName = patientName || lead.name;
+      patientPhone = patientPhone || lead.phone;
+      patientEmail = patientEmail || lead.email;
+      reason = reason || lead.reason;
+    }
+
+    if (!patientName || !patientPhone) {
+      return res.status(400).json({
+        error: { message: 'Patient name and phone are required' }
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO waitlist_entries (
+        user_id, lead_id, patient_name, patient_phone, patient_email, reason, notes,
+        preferred_days, preferred_time_from, preferred_time_to, priority
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        userId, leadId || null, patientName, patientPhone, patientEmail || null,
+        reason || null, notes || null, JSON.stringify(preferredDays),
+        preferredTimeFrom || null, preferredTimeTo || null, priority
+      ]
+    );
+
+    res.status(201).json({ entry: formatEntry(result.rows[0]) });
+  } catch (error) {
+    console.error('Create waitlist entry error:', error);
+    res.status(500).json({ error: { message: 'Failed to add to waitlist' } });
+  }
+});
+
+// PUT /api/waitlist/:id - Update preferences / priority
+router.put('/:id', validate(schemas.updateWaitlistEntry), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const {
+      patientName,
+      patientPhone,
+      patientEmail,
+      reason,
+      notes,
+      preferredDays,
+      preferredTimeFrom,
+      preferredTimeTo,
+      priority,
+      status
+    } = req.body;
+
+    // Time window fields are set explicitly (null clears them)
+    const hasTimeFrom = preferredTimeFrom !== undefined;
+    const hasTimeTo = preferredTimeTo !== undefined;
+
+    const result = await query(
+      `UPDATE waitlist_entries
+       SET patient_name = COALESCE($1, patient_name),
+           patient_phone = COALESCE($2, patient_phone),
+           patient_email = COALESCE($3, patient_email),
+           reason = COALESCE($4, reason),
+           notes = COALESCE($5, notes),
+           preferred_days = COALESCE($6::jsonb, preferred_days),
+           preferred_time_from = CASE WHEN $7 THEN $8 ELSE preferred_time_from END,
+           preferred_time_to = CASE WHEN $9 THEN $10 ELSE preferred_time_to END,
+           priority = COALESCE($11, priority),
+           status = COALESCE($12, status),
+           updated_at = NOW()
+       WHERE id = $13 AND user_id = $14
+       RETURNING *`,
+      [
+        patientName, patientPhone, patientEmail, reason, notes,
+        preferredDays ? JSON.stringify(preferredDays) : null,
+        hasTimeFrom, preferredTimeFrom || null,
+        hasTimeTo, preferredTimeTo || null,
+        priority, status, id, userId
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Waitlist entry not found' } });
+    }
+
+    res.json({ entry: formatEntry(result.rows[0]) });
+  } catch (error) {
+    console.error('Update waitlist entry error:', error);
+    res.status(500).json({ error: { message: 'Failed to update waitlist entry' } });
+  }
+});
+
+// DELETE /api/waitlist/:id - Take a patient off the waitlist
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const result = await query(
+      `UPDATE waitlist_entries
+       SET status = 'removed', updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: { message: 'Waitlist entry not found' } });
+    }
+
+    res.json({ message: 'Removed from waitlist' });
+  } catch (error) {
+    console.error('Delete waitlist entry error:', error);
+    res.status(500).json({ error: { message: 'Failed to remove from waitlist' } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,321 @@
+/**
+ * Appointment Reminders
+ * Reminder SMS ahead of each appointment and the patient's confirm/cancel reply
+ *
+ * Each practice sets its own schedule (settings.reminder_schedule, default
+ * 48h and 2h before). The appointment-reminders job sends whichever reminder
+ * is due, in the timezone of the appointment's location (the practice's
+ * users.timezone when it has no location or the location doesn't set one):
+ * - Only the latest due offset is sent, so an appointment booked 10 hours
+ *   ahead gets the 2h reminder rather than a late 48h one
+ * - Offsets that had already passed when the appointment was booked are skipped
+ * - Cancelled / completed appointments are never reminded
+ * - Patients on the practice's opt-out list (services/optOuts.js) aren't texted
+ *
+ * Every reminder is claimed with an INSERT into appointment_reminders in the
+ * same transaction that queues the SMS; the unique key means overlapping job
+ * runs or restarts can't send it twice.
+ *
+ * Replies (routed here from handleInboundSMS):
+ * - C / Y / YES / CONFIRM  -> appointments.status = 'confirmed'
+ * - X / N / NO / CANCEL    -> appointments.status = 'cancelled'
+ * Only when the number has an unanswered reminder for an upcoming appointment;
+ * anything else falls through to the normal conversation flow.
+ */
+
+const { query, getClient } = require('../db/config');
+const { enqueueSMS } = require('./smsOutbox');
+const googleCalendar = require('./googleCalendar');
+const waitlist = require('./waitlist');
+const { parseSlotTime } = require('./booking');
+const { zonedTimeToDate, formatShortDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('reminders');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_REMINDER_SCHEDULE = [{ hoursBefore: 48 }, { hoursBefore: 2 }];
+
+// Upper bound for hoursBefore (also enforced by the settings validator)
+const MAX_HOURS_BEFORE = 14 * 24;
+
+const CONFIRM_REPLIES = ['c', 'y', 'yes', 'confirm', 'confirmed'];
+const CANCEL_REPLIES = ['x', 'n', 'no', 'cancel', 'cancelled'];
+
+/**
+ * Offsets in hours, largest first, from a settings.reminder_schedule value
+ */
+function getScheduleHours(schedule) {
+  const entries = Array.isArray(schedule) ? schedule : DEFAULT_REMINDER_SCHEDULE;
+
+  const hours = entries
+    .map(entry => Number(entry?.hoursBefore))
+    .filter(h => Number.isInteger(h) && h > 0 && h <= MAX_HOURS_BEFORE);
+
+  return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+/**
+ * The reminder offset due for an appointment right now, or null
+ *
+ * @param {Date} startsAt - Appointment start
+ * @param {Date} createdAt - When the appointment was booked
+ * @param {number[]} hours - Schedule offsets
+ * @param {Date} now
+ * @returns {number|null}
+ */
+function dueReminderHours(startsAt, createdAt, hours, now = new Date()) {
+  if (now >= startsAt) return null;
+
+  const due = hours.filter(h => {
+    const sendAt = startsAt.getTime() - h * HOUR_MS;
+    return now.getTime() >= sendAt && createdAt.getTime() <= sendAt;
+  });
+
+  return due.length > 0 ? Math.min(...due) : null;
+}
+
+function buildReminderMessage(apt, practiceName, date) {
+  const firstName = (apt.patient_name || '').split(' ')[0];
+  const greeting = firstName ? `Hi ${firstName}, this` : 'This';
+
+  return `${greeting} is a reminder of your appointment at ${practiceName} on ${formatShortDate(date)} at ${apt.appointment_time}. ` +
+    'Reply C to confirm or X to cancel.';
+}
+
+/**
+ * Claim and queue one reminder
+ *
+ * @returns {Promise<boolean>} - false if it had already been sent
+ */
+async function sendReminder(apt, hoursBefore, startsAt, date) {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const claim = await client.query(
+      `INSERT INTO appointment_reminders (user_id, appointment_id, hours_before, appointment_starts_at, to_phone)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (appointment_id, hours_before, appointment_starts_at) DO NOTHING
+       RETURNING id`,
+      [apt.user_id, apt.id, hoursBefore, startsAt, apt.patient_phone]
+    );
+
+    if (claim.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const { outboxId } = await enqueueSMS({
+      userId: apt.user_id,
+      to: apt.patient_phone,
+      content: buildReminderMessage(apt, apt.practice_name || 'our practice', date),
+      conversationId: apt.conversation_id,
+      context: `appointment-reminder-${apt.id}`
+    }, client);
+
+    await client.query(
+      'UPDATE appointment_reminders SET outbox_id = $1 WHERE id = $2',
+      [outboxId, claim.rows[0].id]
+    );
+
+    await client.query(
+      'UPDATE appointments SET reminder_sent = true WHERE id = $1',
+      [apt.id]
+    );
+
+    await client.query('COMMIT');
+
+    log.info({ appointmentId: apt.id, hoursBefore, outboxId }, 'Appointment reminder queued');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send every reminder that is due (the appointment-reminders job)
+ *
+ * @returns {Promise<{checked: number, sent: number, failed: number}>}
+ */
+async function sendDueReminders() {
+  const startTime = Date.now();
+  const now = new Date();
+
+  // Date range wide enough for the largest offset in any timezone
+  const result = await query(
+    `SELECT a.*, u.practice_name, COALESCE(l.timezone, u.timezone) AS timezone, s.reminder_schedule
+     FROM appointments a
+     JOIN users u ON u.id = a.user_id
+     JOIN settings s ON s.user_id = a.user_id
+     LEFT JOIN locations l ON l.id = a.location_id
+     WHERE a.status IN ('scheduled', 'confirmed')
+       AND a.appointment_date BETWEEN CURRENT_DATE - 1 AND CURRENT_DATE + $1::int
+       AND jsonb_array_length(COALESCE(s.reminder_schedule, '[]'::jsonb)) > 0
+       AND NOT EXISTS (
+         SELECT 1 FROM sms_opt_outs o
+         WHERE o.user_id = a.user_id AND o.opted_in_at IS NULL
+           AND o.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(a.patient_phone, ''), '\\D', '', 'g'), 9)
+       )`,
+    [Math.ceil(MAX_HOURS_BEFORE / 24) + 1]
+  );
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const apt of result.rows) {
+    const minutes = parseSlotTime(apt.appointment_time);
+    if (minutes === null) continue;
+
+    const date = googleCalendar.formatDate(apt.appointment_date);
+    const startsAt = zonedTimeToDate(date, minutes, apt.timezone || DEFAULT_TIMEZONE);
+    const hoursBefore = dueReminderHours(
+      startsAt,
+      new Date(apt.created_at || 0),
+      getScheduleHours(apt.reminder_schedule),
+      now
+    );
+
+    if (hoursBefore === null) continue;
+
+    try {
+      if (await sendReminder(apt, hoursBefore, startsAt, date)) sent++;
+    } catch (error) {
+      failed++;
+      log.error({ appointmentId: apt.id, hoursBefore, error: error.message }, 'Appointment reminder failed');
+    }
+  }
+
+  const duration = Date.now() - startTime;
+  log.info({ checked: result.rows.length, sent, failed, durationMs: duration }, 'Appointment reminders completed');
+
+  return { checked: result.rows.length, sent, failed };
+}
+
+/**
+ * 'confirm' / 'cancel' for a reminder reply, or null
+ */
+function parseReminderReply(messageBody) {
+  const reply = String(messageBody || '').trim().toLowerCase().replace(/[.!\s]+$/, '');
+
+  if (CONFIRM_REPLIES.includes(reply)) return 'confirm';
+  if (CANCEL_REPLIES.includes(reply)) return 'cancel';
+  return null;
+}
+
+/**
+ * Handle an inbound SMS that answers an appointment reminder
+ *
+ * @param {object} params
+ * @param {string} params.userId - Practice the SMS was sent to
+ * @param {string} params.callerPhone - Patient's number
+ * @param {string} params.messageBody
+ * @param {string} [params.messageId] - Provider message ID
+ * @param {string} [params.provider] - Inbound provider name
+ * @returns {Promise<{action: string, appointmentId: string}|null>} - null if it isn't a reminder reply
+ */
+async function handleReminderReply({ userId, callerPhone, messageBody, messageId = null, provider = null }) {
+  const intent = parseReminderReply(messageBody);
+  if (!intent) return null;
+
+  const digits = String(callerPhone || '').replace(/\D/g, '');
+  if (digits.length < 8) return null;
+
+  // Latest unanswered reminder to this number for an upcoming appointment
+  const reminderResult = await query(
+    `SELECT r.id AS reminder_id, a.*, u.practice_name, u.phone AS practice_phone
+     FROM appointment_reminders r
+     JOIN appointments a ON a.id = r.appointment_id
+     JOIN users u ON u.id = a.user_id
+     WHERE r.user_id = $1
+       AND r.replied_at IS NULL
+       AND r.appointment_starts_at > NOW()
+       AND a.status IN ('scheduled', 'confirmed')
+       AND RIGHT(REGEXP_REPLACE(r.to_phone, '\\D', '', 'g'), 9) = $2
+     ORDER BY r.sent_at DESC
+     LIMIT 1`,
+    [userId, digits.slice(-9)]
+  );
+
+  const reminder = reminderResult.rows[0];
+  if (!reminder) return null;
+
+  const status = intent === 'confirm' ? 'confirmed' : 'cancelled';
+
+  const updateResult = await query(
+    `UPDATE appointments
+     SET status = $1,
+         confirmed_at = CASE WHEN $1 = 'confirmed' THEN CURRENT_TIMESTAMP ELSE confirmed_at END
+     WHERE id = $2 AND status IN ('scheduled', 'confirmed')
+     RETURNING *`,
+    [status, reminder.id]
+  );
+
+  const apt = updateResult.rows[0];
+  if (!apt) return null;
+
+  await query(
+    `UPDATE appointment_reminders
+     SET reply = $1, replied_at = NOW()
+     WHERE appointment_id = $2 AND replied_at IS NULL`,
+    [status, apt.id]
+  );
+
+  if (status === 'cancelled' && apt.lead_id) {
+    // Same lead reset as DELETE /api/appointments/:id
+    await query(
+      `UPDATE leads
+       SET status = 'new', appointment_booked = false, appointment_id = NULL
+       WHERE id = $1`,
+      [apt.lead_id]
+    );
+  }
+
+  googleCalendar.syncAppointment(userId, apt);
+
+  if (status === 'cancelled') {
+    waitlist.backfillCancelledSlot(userId, apt);
+  }
+
+  if (apt.conversation_id) {
+    await query(
+      `INSERT INTO messages (conversation_id, sender, content, message_type, external_message_id, delivery_status, provider)
+       VALUES ($1, 'patient', $2, 'text', $3, 'delivered', $4)`,
+      [apt.conversation_id, messageBody, messageId, provider]
+    );
+  }
+
+  const practiceName = reminder.practice_name || 'our practice';
+  const when = `${formatShortDate(googleCalendar.formatDate(apt.appointment_date))} at ${apt.appointment_time}`;
+  const content = status === 'confirmed'
+    ? `Thanks, your appointment at ${practiceName} on ${when} is confirmed. See you then!`
+    : `Your appointment at ${practiceName} on ${when} has been cancelled. ` +
+      (reminder.practice_phone ? `Call us on ${reminder.practice_phone} to rebook.` : 'Reply or call us to rebook.');
+
+  await enqueueSMS({
+    userId,
+    to: callerPhone,
+    content,
+    conversationId: apt.conversation_id,
+    context: `reminder-reply-${apt.id}`
+  });
+
+  log.info({ userId, appointmentId: apt.id, status }, 'Reminder reply processed');
+
+  return { action: status === 'confirmed' ? 'appointment_confirmed' : 'appointment_cancelled', appointmentId: apt.id };
+}
+
+module.exports = {
+  DEFAULT_REMINDER_SCHEDULE,
+  MAX_HOURS_BEFORE,
+  getScheduleHours,
+  dueReminderHours,
+  parseReminderReply,
+  sendDueReminders,
+  handleReminderReply
+};
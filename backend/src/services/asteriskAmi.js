@@ -0,0 +1,466 @@
+/**
+ * Asterisk AMI Connector
+ * Missed calls straight from an Asterisk / FreePBX server, for practices
+ * that can't add an HTTP callback (/api/pbx/missed-call/freepbx) to their dialplan
+ *
+ * For every practice with settings.pbx_ami_enabled we hold a TCP connection
+ * to its Asterisk Manager Interface (default port 5038), log in with a
+ * manager user that can read 'call' events and follow each inbound call:
+ *
+ *   Newchannel in an inbound context (first channel of the call)  -> track it
+ *   DialEnd DialStatus=ANSWER, or BridgeEnter with 2+ channels     -> answered
+ *   Newexten Application=VoiceMail                                 -> voicemail left
+ *   Hangup of the first channel, never answered                    -> processMissedCall()
+ *
+ * Connections reconnect with backoff (1s doubling to 60s) and send a Ping
+ * every 30s; one that goes quiet for 90s is dropped and redialled.
+ *
+ * Only one app instance should run connectors (AMI_CONNECTOR_ENABLED=true),
+ * otherwise every instance would text the caller.
+ *
+ * `npm run fake-ami` starts a local fake AMI server to try it against;
+ * test/asteriskAmi.test.js runs the connector against the same server.
+ */
+
+const net = require('net');
+const dns = require('dns').promises;
+const { query } = require('../db/config');
+const notifyre = require('./notifyre');
+const { processMissedCall } = require('./missedCalls');
+const locations = require('./locations');
+const { decrypt } = require('../utils/crypto');
+const { createModuleLogger } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+const log = createModuleLogger('asterisk-ami');
+
+const DEFAULT_PORT = 5038;
+
+// FreePBX / Asterisk contexts inbound trunk calls start in
+const DEFAULT_INBOUND_CONTEXTS = ['from-trunk', 'from-pstn', 'from-external', 'from-did-direct'];
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const CONNECT_TIMEOUT_MS = 10 * 1000;
+const PING_INTERVAL_MS = 30 * 1000;
+const IDLE_TIMEOUT_MS = 90 * 1000;
+
+// Calls whose Hangup we never saw are forgotten after this
+const MAX_CALL_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Guards against a server that never ends a message
+const MAX_BUFFER_LENGTH = 1024 * 1024;
+
+// userId -> { client, tracker }
+const connectors = new Map();
+
+function isConnectorEnabled() {
+  return process.env.AMI_CONNECTOR_ENABLED === 'true';
+}
+
+/**
+ * Parse one AMI message ("Key: Value" lines) into an object
+ */
+function parseMessage(raw) {
+  const message = {};
+
+  for (const line of raw.split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+    message[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+
+  return message;
+}
+
+/**
+ * Loopback / link-local / unspecified addresses are never valid AMI hosts in production
+ */
+function isBlockedAddress(address) {
+  return /^(127\.|169\.254\.|0\.)/.test(address) ||
+    ['::1', '::'].includes(address) ||
+    address.toLowerCase().startsWith('fe80:');
+}
+
+/**
+ * Follow AMI call events and report inbound calls that were never answered
+ *
+ * @param {object} options
+ * @param {string[]} options.inboundContexts - Dialplan contexts inbound calls start in
+ * @param {Function} options.onMissedCall - ({callerPhone, calledPhone, callId, hasVoicemail}) => void
+ */
+function createCallTracker({ inboundContexts = DEFAULT_INBOUND_CONTEXTS, onMissedCall }) {
+  const calls = new Map();
+
+  function prune(now) {
+    for (const [callId, call] of calls) {
+      if (now - call.startedAt > MAX_CALL_AGE_MS) calls.delete(callId);
+    }
+  }
+
+  function handleEvent(event) {
+    const callId = event.Linkedid || event.Uniqueid;
+    const call = calls.get(callId);
+
+    switch (event.Event) {
+      case 'Newchannel': {
+        const isFirstChannel = !event.Linkedid || event.Linkedid === event.Uniqueid;
+        if (!isFirstChannel || !inboundContexts.includes(event.Context)) return;
+
+        prune(Date.now());
+        calls.set(callId, {
+          callerPhone: event.CallerIDNum,
+          calledPhone: event.Exten,
+          answered: false,
+          hasVoicemail: false,
+          startedAt: Date.now()
+        });
+        return;
+      }
+
+      case 'DialEnd':
+        if (call && event.DialStatus === 'ANSWER') call.answered = true;
+        return;
+
+      case 'BridgeEnter':
+        if (call && parseInt(event.BridgeNumChannels, 10) >= 2) call.answered = true;
+        return;
+
+      case 'Newexten':
+        if (call && event.Application === 'VoiceMail') call.hasVoicemail = true;
+        return;
+
+      case 'Hangup':
+        // Only the caller's channel hanging up ends the call
+        if (!call || event.Uniqueid !== callId) return;
+
+        calls.delete(callId);
+        if (!call.answered) {
+          onMissedCall({
+            callerPhone: call.callerPhone,
+            calledPhone: call.calledPhone,
+            callId,
+            hasVoicemail: call.hasVoicemail
+          });
+        }
+        return;
+
+      default:
+    }
+  }
+
+  return {
+    handleEvent,
+    reset: () => calls.clear(),
+    size: () => calls.size
+  };
+}
+
+/**
+ * Connect and stay connected to an AMI server
+ *
+ * @param {object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {string} options.username
+ * @param {string} options.secret
+ * @param {Function} options.onEvent - Called with each AMI event once logged in
+ * @param {Function} options.onStatusChange - (status, error) => void
+ * @returns {{stop: Function, getStatus: Function}}
+ */
+function createAmiClient({ host, port = DEFAULT_PORT, username, secret, onEvent, onStatusChange }) {
+  let socket = null;
+  let stopped = false;
+  let buffer = '';
+  let backoffMs = MIN_BACKOFF_MS;
+  let reconnectTimer = null;
+  let pingTimer = null;
+  let lastDataAt = 0;
+  let status = 'connecting';
+  let lastError = null;
+
+  function setStatus(next, error = null) {
+    if (next === status && error === lastError) return;
+    status = next;
+    lastError = error;
+    if (onStatusChange) onStatusChange(status, lastError);
+  }
+
+  function send(action, fields = {}) {
+    const lines = [`Action: ${action}`, ...Object.entries(fields).map(([key, value]) => `${key}: ${value}`)];
+    socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+  }
+
+  function handleMessage(message) {
+    if (message.Event) {
+      if (status === 'connected') onEvent(message);
+      return;
+    }
+
+    if (message.ActionID === 'login') {
+      if (message.Response === 'Success') {
+        backoffMs = MIN_BACKOFF_MS;
+        setStatus('connected');
+      } else {
+        // Wrong credentials won't fix themselves - retry slowly
+        backoffMs = MAX_BACKOFF_MS;
+        setStatus('auth_failed', message.Message || 'Authentication failed');
+        socket.destroy();
+      }
+    }
+  }
+
+  function handleData(chunk) {
+    lastDataAt = Date.now();
+    buffer = (buffer + chunk.toString('utf8')).replace(/\r\n/g, '\n');
+
+    // "Asterisk Call Manager/5.0.1" greeting is a single line
+    if (buffer.startsWith('Asterisk Call Manager')) {
+      const endOfLine = buffer.indexOf('\n');
+      if (endOfLine === -1) return;
+      buffer = buffer.slice(endOfLine + 1);
+    }
+
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const message = parseMessage(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+      if (Object.keys(message).length > 0) handleMessage(message);
+    }
+
+    if (buffer.length > MAX_BUFFER_LENGTH) {
+      socket.destroy(new Error('AMI message too large'));
+    }
+  }
+
+  function ping() {
+    if (Date.now() - lastDataAt > IDLE_TIMEOUT_MS) {
+      socket.destroy(new Error('AMI connection idle'));
+      return;
+    }
+    if (status === 'connected') send('Ping', { ActionID: 'ping' });
+  }
+
+  function scheduleReconnect() {
+    clearInterval(pingTimer);
+    if (stopped) return;
+
+    reconnectTimer = setTimeout(connect, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+  }
+
+  async function connect() {
+    if (stopped) return;
+    buffer = '';
+    if (status !== 'auth_failed') setStatus('connecting', lastError);
+
+    let address;
+    try {
+      ({ address } = await dns.lookup(host));
+    } catch (error) {
+      setStatus('error', `Cannot resolve ${host}`);
+      scheduleReconnect();
+      return;
+    }
+
+    if (process.env.NODE_ENV === 'production' && isBlockedAddress(address)) {
+      setStatus('error', `${host} is not a reachable AMI host`);
+      scheduleReconnect();
+      return;
+    }
+
+    if (stopped) return;
+
+    socket = net.createConnection({ host: address, port });
+    socket.setTimeout(CONNECT_TIMEOUT_MS);
+    socket.setKeepAlive(true, PING_INTERVAL_MS);
+
+    socket.on('connect', () => {
+      socket.setTimeout(0);
+      lastDataAt = Date.now();
+      send('Login', { ActionID: 'login', Username: username, Secret: secret, Events: 'call' });
+      pingTimer = setInterval(ping, PING_INTERVAL_MS);
+    });
+
+    socket.on('timeout', () => socket.destroy(new Error('Connection timed out')));
+    socket.on('data', handleData);
+    socket.on('error', (error) => {
+      lastError = error.message;
+    });
+
+    socket.on('close', () => {
+      if (status === 'connected') {
+        setStatus('disconnected', lastError);
+      } else if (status === 'connecting') {
+        setStatus('error', lastError || 'Connection closed');
+      }
+      scheduleReconnect();
+    });
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    clearInterval(pingTimer);
+    if (socket) socket.destroy();
+    setStatus('stopped');
+  }
+
+  connect();
+
+  return {
+    stop,
+    getStatus: () => ({ status, lastError })
+  };
+}
+
+/**
+ * Feed a missed call from AMI into the same flow as PBX webhooks
+ */
+async function handleMissedCall(userId, call) {
+  // Withheld / internal numbers can't be texted
+  if (String(call.callerPhone || '').replace(/\D/g, '').length < 8) {
+    log.info({ userId, callId: call.callId, callerPhone: call.callerPhone }, 'AMI missed call without a textable number, skipping');
+    return;
+  }
+
+  const settingsResult = await query(
+    `SELECT s.*, u.id as user_id, u.practice_name
+     FROM settings s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.user_id = $1`,
+    [userId]
+  );
+
+  if (!settingsResult.rows[0]) return;
+
+  // The extension dialled picks the location, if it's one of theirs
+  const settings = await locations.resolveForCall(settingsResult.rows[0], call.calledPhone);
+
+  const result = await processMissedCall(
+    userId,
+    notifyre.normalizePhoneNumber(call.callerPhone),
+    settings,
+    `ami-${call.callId}`,
+    call.hasVoicemail
+  );
+
+  log.info({ userId, callId: call.callId, calledPhone: call.calledPhone, ...result }, 'AMI missed call processed');
+}
+
+function startConnector(settings) {
+  const userId = settings.user_id;
+  const config = settings.pbx_ami_config || {};
+
+  if (!config.host || !config.username || !config.secret) {
+    log.warn({ userId }, 'AMI connector enabled without host/username/secret, skipping');
+    return;
+  }
+
+  const tracker = createCallTracker({
+    inboundContexts: config.inboundContexts?.length ? config.inboundContexts : DEFAULT_INBOUND_CONTEXTS,
+    onMissedCall: (call) => {
+      handleMissedCall(userId, call).catch(error => {
+        log.error({ userId, callId: call.callId, error: error.message }, 'AMI missed call failed');
+        captureException(error, { context: 'ami_missed_call', userId });
+      });
+    }
+  });
+
+  const client = createAmiClient({
+    host: config.host,
+    port: config.port || DEFAULT_PORT,
+    username: config.username,
+    secret: decrypt(config.secret),
+    onEvent: tracker.handleEvent,
+    onStatusChange: (status, error) => {
+      // Events were lost while we weren't connected
+      if (status !== 'connected') tracker.reset();
+
+      const level = ['error', 'auth_failed', 'disconnected'].includes(status) ? 'warn' : 'info';
+      log[level]({ userId, host: config.host, status, error }, 'AMI connection status');
+    }
+  });
+
+  connectors.set(userId, { client, tracker });
+}
+
+function stopConnector(userId) {
+  const connector = connectors.get(userId);
+  if (connector) {
+    connector.client.stop();
+    connectors.delete(userId);
+  }
+}
+
+/**
+ * Connect to every practice with AMI enabled (server start)
+ */
+async function startAmiConnectors() {
+  if (!isConnectorEnabled()) return;
+
+  const result = await query(
+    `SELECT s.*, u.id as user_id
+     FROM settings s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.pbx_ami_enabled = true`
+  );
+
+  for (const settings of result.rows) {
+    startConnector(settings);
+  }
+
+  log.info({ connectors: connectors.size }, 'AMI connectors started');
+}
+
+/**
+ * Pick up a practice's changed AMI settings
+ */
+async function reloadAmiConnector(userId) {
+  stopConnector(userId);
+  if (!isConnectorEnabled()) return;
+
+  const result = await query(
+    `SELECT s.*, u.id as user_id
+     FROM settings s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.user_id = $1 AND s.pbx_ami_enabled = true`,
+    [userId]
+  );
+
+  if (result.rows[0]) startConnector(result.rows[0]);
+}
+
+/**
+ * Disconnect everything (graceful shutdown)
+ */
+function stopAmiConnectors() {
+  for (const userId of [...connectors.keys()]) {
+    stopConnector(userId);
+  }
+}
+
+/**
+ * Connection status for a practice
+ *
+ * @returns {{status: string, lastError: string|null}} - status is 'unavailable' when
+ *   this server doesn't run connectors, 'stopped' when the practice has none
+ */
+function getAmiStatus(userId) {
+  if (!isConnectorEnabled()) return { status: 'unavailable', lastError: null };
+
+  const connector = connectors.get(userId);
+  return connector ? connector.client.getStatus() : { status: 'stopped', lastError: null };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_INBOUND_CONTEXTS,
+  parseMessage,
+  createCallTracker,
+  createAmiClient,
+  startAmiConnectors,
+  reloadAmiConnector,
+  stopAmiConnectors,
+  getAmiStatus
+};
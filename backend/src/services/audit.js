@@ -0,0 +1,270 @@
+/**
+ * Audit Log
+ * Append-only record of who did what (audit_log, migration v30), viewed at
+ * GET /api/audit (owners) and GET /api/admin/audit
+ *
+ *   call.updated / call.done / call.undone / call.deleted / call.restored
+ *   lead.created / lead.updated / lead.deleted / lead.restored
+ *   appointment.created / appointment.updated / appointment.cancelled
+ *   patient.updated
+ *   opt_out.added / opt_out.removed
+ *   settings.updated          routes/settings.js, calendar connections and
+ *                             the practice profile (PUT /api/auth/profile)
+ *   location.created / location.updated / location.deleted
+ *   staff.invited / staff.updated / staff.deactivated / staff.reactivated
+ *   auth.login / auth.login_failed / auth.logout / auth.password_changed /
+ *   auth.password_reset / auth.invite_accepted
+ *   system actions            calls recorded from the PBX, calls and leads
+ *                             the scheduler flags as unanswered, appointments
+ *                             booked by SMS, STOP / START texted by patients
+ *
+ * Each entry keeps only the fields that changed, as { field: { from, to } }.
+ * Password hashes, tokens and secrets are never written - their change shows
+ * as '[redacted]'. Writing an entry never fails the action being audited:
+ * errors are logged and the request carries on.
+ */
+
+const { query } = require('../db/config');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('audit');
+
+// Columns that change on every write or identify the row - not worth a diff
+const IGNORED_FIELDS = new Set(['id', 'user_id', 'created_at', 'updated_at']);
+
+// Columns whose values must not leave the table they're in
+const SECRET_FIELD = /password|token|secret|otp|encrypted|api_key/i;
+
+const MAX_VALUE_LENGTH = 500;
+
+// JSON columns (pbx_ami_config, business_hours) get the same treatment per key
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+      key,
+      SECRET_FIELD.test(key) && inner !== null && inner !== undefined ? '[redacted]' : normalize(inner)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Changed fields between two versions of a row
+ * Either side may be null (created / deleted), giving every non-empty field.
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {object} - { field: { from, to } }
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    // Compared before redacting, so a changed secret still shows up
+    if (JSON.stringify(before?.[field] ?? null) === JSON.stringify(after?.[field] ?? null)) continue;
+
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+
+    changes[field] = SECRET_FIELD.test(field)
+      ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+/**
+ * Who is acting in a request - the logged-in staff member, their IP and browser
+ */
+function actorFrom(req) {
+  return {
+    userId: req.user?.id || null,
+    actorType: 'staff',
+    actorId: req.staff?.id || null,
+    actorName: req.staff?.name || req.staff?.email || null,
+    ipAddress: req.ip || null,
+    userAgent: (req.get?.('user-agent') || '').slice(0, 255) || null
+  };
+}
+
+// Postgres allows 65535 parameters per statement, ten per entry
+const MAX_ENTRIES_PER_INSERT = 1000;
+
+function toRow({
+  userId = null,
+  actorType = 'staff',
+  actorId = null,
+  actorName = null,
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  changes = null,
+  ipAddress = null,
+  userAgent = null
+}) {
+  return [
+    userId, actorType, actorId, actorName, action, entityType, entityId,
+    JSON.stringify(changes || diff(before, after)), ipAddress, userAgent
+  ];
+}
+
+async function insertEntries(entries) {
+  for (let i = 0; i < entries.length; i += MAX_ENTRIES_PER_INSERT) {
+    const rows = entries.slice(i, i + MAX_ENTRIES_PER_INSERT).map(toRow);
+    const placeholders = rows.map((row, r) =>
+      `(${row.map((_, c) => `$${r * row.length + c + 1}`).join(', ')})`
+    );
+
+    await query(
+      `INSERT INTO audit_log
+        (user_id, actor_type, actor_id, actor_name, action, entity_type, entity_id,
+         changes, ip_address, user_agent)
+       VALUES ${placeholders.join(', ')}`,
+      rows.flat()
+    );
+  }
+}
+
+/**
+ * Append an entry
+ *
+ * @param {object} entry
+ * @param {string} entry.userId - Practice
+ * @param {string} entry.actorType - 'staff' or 'system'
+ * @param {string} entry.action - e.g. 'call.deleted'
+ * @param {string} entry.entityType - 'call', 'lead', 'appointment', 'patient', 'opt_out', 'settings', 'location', 'staff', 'auth'
+ * @param {string} entry.entityId
+ * @param {object} entry.before - Row before the change (omit for creations)
+ * @param {object} entry.after - Row after the change (omit for deletions)
+ * @param {object} entry.changes - Ready-made changes instead of before/after
+ */
+async function record(entry) {
+  try {
+    await insertEntries([entry]);
+  } catch (error) {
+    const { userId, action, entityType, entityId } = entry;
+    log.error({ err: error, userId, action, entityType, entityId }, 'Failed to write audit entry');
+  }
+}
+
+/**
+ * Append an entry for a logged-in staff member's request
+ * Updates that changed nothing aren't recorded.
+ */
+async function recordRequest(req, entry) {
+  const changes = entry.changes || diff(entry.before, entry.after);
+  if (entry.action.endsWith('.updated') && Object.keys(changes).length === 0) return;
+
+  await record({ ...actorFrom(req), ...entry, changes });
+}
+
+/**
+ * Append an entry for something the system did (jobs, webhooks, patient SMS)
+ */
+async function recordSystem(userId, entry) {
+  await record({ userId, actorType: 'system', actorName: 'System', ...entry });
+}
+
+/**
+ * Append entries for many rows the system changed at once, in one insert
+ * (scheduled jobs), each entry carrying its practice's userId
+ */
+async function recordSystemBatch(entries) {
+  if (entries.length === 0) return;
+
+  try {
+    await insertEntries(entries.map(entry => ({ actorType: 'system', actorName: 'System', ...entry })));
+  } catch (error) {
+    log.error({ err: error, action: entries[0].action, count: entries.length }, 'Failed to write audit entries');
+  }
+}
+
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    userId: entry.user_id,
+    practiceName: entry.practice_name,
+    actorType: entry.actor_type,
+    actorId: entry.actor_id,
+    actorName: entry.actor_name,
+    action: entry.action,
+    entityType: entry.entity_type,
+    entityId: entry.entity_id,
+    changes: entry.changes,
+    ipAddress: entry.ip_address,
+    userAgent: entry.user_agent,
+    createdAt: entry.created_at
+  };
+}
+
+/**
+ * A page of entries, newest first
+ *
+ * @param {object} filters - userId (omit for every practice), entityType,
+ *   entityId, action ('call' matches every call.* action), actorId,
+ *   actorType, from, to, page, limit
+ * @returns {Promise<{entries: object[], total: number}>}
+ */
+async function listEntries({
+  userId, entityType, entityId, action, actorId, actorType, from, to, page = 1, limit = 50
+}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (userId) add('a.user_id = ?', userId);
+  if (entityType) add('a.entity_type = ?', entityType);
+  if (entityId) add('a.entity_id = ?', entityId);
+  if (action) {
+    if (action.includes('.')) add('a.action = ?', action);
+    else add('a.action LIKE ?', `${action}.%`);
+  }
+  if (actorId) add('a.actor_id = ?', actorId);
+  if (actorType) add('a.actor_type = ?', actorType);
+  if (from) add('a.created_at >= ?', from);
+  if (to) add('a.created_at <= ?', to);
+
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(`SELECT COUNT(*) FROM audit_log a ${whereClause}`, params);
+
+  const result = await query(
+    `SELECT a.*, u.practice_name
+     FROM audit_log a
+     LEFT JOIN users u ON u.id = a.user_id
+     ${whereClause}
+     ORDER BY a.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    entries: result.rows.map(formatEntry),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+module.exports = {
+  diff,
+  actorFrom,
+  record,
+  recordRequest,
+  recordSystem,
+  recordSystemBatch,
+  listEntries
+};
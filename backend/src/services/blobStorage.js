@@ -0,0 +1,104 @@
+/**
+ * Blob Storage Registry
+ * Where we keep binary files we hold on to (voicemail recordings)
+ *
+ * Each store exposes:
+ * - name
+ * - isConfigured()                 Whether it can be used
+ * - put(key, content, {contentType})  Resolves once written
+ * - get(key, {start, end})         Resolves {stream, size} (byte range inclusive), or null if missing
+ * - remove(key)                    Resolves; a missing key isn't an error
+ *
+ * BLOB_STORAGE picks the store (default: local). The local store writes under
+ * BLOB_STORAGE_DIR (default: backend/storage). A cloud store (S3, GCS) is an
+ * object with the same shape passed to registerStore().
+ *
+ * Keys are paths like voicemails/<userId>/<callId>.wav - callers build them,
+ * never from user input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('blob-storage');
+
+const KEY_PATTERN = /^[a-zA-Z0-9_-][a-zA-Z0-9_.\/-]*$/;
+
+function assertKey(key) {
+  if (!KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+}
+
+function localRoot() {
+  return path.resolve(process.env.BLOB_STORAGE_DIR || path.join(__dirname, '../../storage'));
+}
+
+function localPath(key) {
+  assertKey(key);
+  return path.join(localRoot(), key);
+}
+
+const local = {
+  name: 'local',
+  isConfigured: () => true,
+
+  async put(key, content) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename, so a reader never sees half a file
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, filePath);
+  },
+
+  async get(key, { start, end } = {}) {
+    const filePath = localPath(key);
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    return { stream: fs.createReadStream(filePath, { start, end }), size: stat.size };
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const stores = new Map([[local.name, local]]);
+
+/**
+ * Add a store (selected with BLOB_STORAGE=<name>)
+ */
+function registerStore(store) {
+  stores.set(store.name, store);
+}
+
+/**
+ * The configured store, falling back to local disk
+ */
+function getStore() {
+  const name = process.env.BLOB_STORAGE || 'local';
+  const store = stores.get(name);
+
+  if (!store || !store.isConfigured()) {
+    if (name !== 'local') log.warn({ store: name }, 'Blob store unavailable, using local disk');
+    return local;
+  }
+  return store;
+}
+
+module.exports = {
+  registerStore,
+  getStore,
+  assertKey
+};
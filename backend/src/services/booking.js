@@ -0,0 +1,333 @@
+/**
+ * Booking Service
+ * Availability from booking_slots and the appointment booking transaction
+ *
+ * Shared by POST /api/appointments, GET /api/booking-slots/available and
+ * SMS self-booking, so every path books through the same conflict check.
+ *
+ * booking_slots.time_slot and appointments.appointment_time are free-form
+ * strings ('10:00 AM', '14:30'); a slot is free when no non-cancelled
+ * appointment on that date has the same time string and, if the practice
+ * has connected Google Calendar, it doesn't overlap busy calendar time.
+ */
+
+const { query, getClient } = require('../db/config');
+const { nowInTimezone, addDays, zonedTimeToDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const googleCalendar = require('./googleCalendar');
+const audit = require('./audit');
+const patients = require('./patients');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('booking');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Day name for a YYYY-MM-DD date (independent of server timezone)
+ */
+function dayOfWeekFor(date) {
+  return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Minutes since midnight for a slot time ('9:00 AM', '14:30', '09:00:00')
+ *
+ * @returns {number|null}
+ */
+function parseSlotTime(timeSlot) {
+  const match = /^\s*(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?\s*$/i.exec(timeSlot || '');
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3]?.toLowerCase().replace(/\./g, '');
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as a slot time, matching an existing
+ * time string's style ('10:00 AM' stays 12-hour, '14:30' stays 24-hour)
+ *
+ * @param {number} minutes
+ * @param {string} like - Existing time string to match (optional)
+ * @returns {string}
+ */
+function formatSlotTime(minutes, like) {
+  const hours = Math.floor(minutes / 60);
+  const mins = String(minutes % 60).padStart(2, '0');
+
+  if (/[ap]\.?m/i.test(like || '')) {
+    const meridiem = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${mins} ${meridiem}`;
+  }
+
+  return `${String(hours).padStart(2, '0')}:${mins}`;
+}
+
+/**
+ * Busy calendar time for one date in the practice's timezone
+ * Calendar errors are logged and treated as no busy time.
+ */
+async function getBusyIntervalsForDate(userId, date, timezone) {
+  try {
+    return await googleCalendar.getBusyIntervals(
+      userId,
+      zonedTimeToDate(date, 0, timezone),
+      zonedTimeToDate(addDays(date, 1), 0, timezone)
+    );
+  } catch (error) {
+    log.warn({ userId, date, error: error.message }, 'Calendar busy lookup failed, using booking slots only');
+    return [];
+  }
+}
+
+/**
+ * Free slots for one date
+ *
+ * With a location, only that location's slots (and the shared ones) are
+ * offered, and only its appointments (and ones without a location) take
+ * them. Without one, every slot and appointment of the practice counts.
+ *
+ * @param {string} userId
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} options
+ * @param {string} options.timezone - Practice timezone (looked up when omitted)
+ * @param {string} options.locationId - Location to book at (optional)
+ * @returns {Promise<{dayOfWeek: string, slots: Array}>}
+ */
+async function getAvailableSlots(userId, date, { timezone, locationId = null } = {}) {
+  const dayOfWeek = dayOfWeekFor(date);
+
+  // Get slots for the day
+  const slotsResult = await query(
+    `SELECT id, time_slot, duration_minutes
+     FROM booking_slots
+     WHERE user_id = $1 AND day_of_week = $2 AND is_active = true
+       AND ($3::uuid IS NULL OR location_id IS NULL OR location_id = $3)
+     ORDER BY time_slot`,
+    [userId, dayOfWeek, locationId]
+  );
+
+  // Get booked appointments for the date
+  const appointmentsResult = await query(
+    `SELECT appointment_time
+     FROM appointments
+     WHERE user_id = $1 AND appointment_date = $2 AND status != 'cancelled'
+       AND ($3::uuid IS NULL OR location_id IS NULL OR location_id = $3)`,
+    [userId, date, locationId]
+  );
+
+  const bookedTimes = appointmentsResult.rows.map(a => a.appointment_time);
+
+  let openSlots = slotsResult.rows.filter(slot => !bookedTimes.includes(slot.time_slot));
+
+  if (openSlots.length > 0) {
+    if (!timezone) {
+      const userResult = await query(
+        `SELECT COALESCE(l.timezone, u.timezone) AS timezone
+         FROM users u
+         LEFT JOIN locations l ON l.id = $2 AND l.user_id = u.id
+         WHERE u.id = $1`,
+        [userId, locationId]
+      );
+      timezone = userResult.rows[0]?.timezone || DEFAULT_TIMEZONE;
+    }
+
+    const busy = await getBusyIntervalsForDate(userId, date, timezone);
+
+    if (busy.length > 0) {
+      openSlots = openSlots.filter(slot => {
+        const minutes = parseSlotTime(slot.time_slot);
+        if (minutes === null) return true;
+
+        const start = zonedTimeToDate(date, minutes, timezone);
+        const end = new Date(start.getTime() + (slot.duration_minutes || 30) * 60 * 1000);
+        return !busy.some(interval => start < interval.end && end > interval.start);
+      });
+    }
+  }
+
+  const slots = openSlots
+    .sort((a, b) => (parseSlotTime(a.time_slot) ?? 0) - (parseSlotTime(b.time_slot) ?? 0))
+    .map(slot => ({
+      id: slot.id,
+      timeSlot: slot.time_slot,
+      durationMinutes: slot.duration_minutes,
+      available: true
+    }));
+
+  return { dayOfWeek, slots };
+}
+
+/**
+ * The next free slots from now, in the practice's timezone
+ *
+ * @param {string} userId
+ * @param {object} options
+ * @param {number} options.count - How many slots to return (default: 3)
+ * @param {number} options.days - How far ahead to look (default: 14)
+ * @param {string} options.timezone - Practice (or location) timezone
+ * @param {string} options.locationId - Location to book at (optional)
+ * @returns {Promise<Array<{date: string, time: string, durationMinutes: number}>>}
+ */
+async function getNextAvailableSlots(userId, { count = 3, days = 14, timezone, locationId = null } = {}) {
+  const now = nowInTimezone(timezone);
+  const found = [];
+
+  for (let offset = 0; offset < days && found.length < count; offset++) {
+    const date = addDays(now.date, offset);
+    const { slots } = await getAvailableSlots(userId, date, { timezone, locationId });
+
+    for (const slot of slots) {
+      // Skip times that have already passed today
+      if (offset === 0) {
+        const minutes = parseSlotTime(slot.timeSlot);
+        if (minutes === null || minutes <= now.minutes) continue;
+      }
+
+      found.push({ date, time: slot.timeSlot, durationMinutes: slot.durationMinutes });
+      if (found.length === count) break;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Book an appointment inside a SERIALIZABLE transaction
+ *
+ * Rejects with error.status = 409 when the slot is already taken,
+ * including when a concurrent booking wins the race (serialization failure).
+ * The new appointment is pushed to Google Calendar after commit.
+ *
+ * @param {string} userId
+ * @param {object} appointment
+ * @param {string} appointment.bookedBy - Staff member booking it (none when the SMS flow books)
+ * @param {string} appointment.locationId - Location it's at (none for the practice as a whole)
+ * @returns {Promise<object>} - The appointments row
+ */
+async function bookAppointment(userId, appointment) {
+  const {
+    patientName,
+    patientPhone,
+    patientEmail,
+    appointmentDate,
+    appointmentTime,
+    durationMinutes = 30,
+    reason,
+    notes,
+    leadId,
+    conversationId,
+    bookedBy = null,
+    locationId = null
+  } = appointment;
+
+  // Outside the transaction - a retried booking finds the same patient
+  const patient = await patients.findOrCreatePatient(userId, patientPhone, { name: patientName, email: patientEmail });
+
+  const client = await getClient();
+
+  try {
+    // Start transaction with SERIALIZABLE isolation to prevent race conditions
+    await client.query('BEGIN');
+    await client.query('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE');
+
+    // Check for conflicting appointment with row lock (other locations'
+    // chairs don't conflict)
+    const conflict = await client.query(
+      `SELECT id FROM appointments
+       WHERE user_id = $1
+         AND appointment_date = $2
+         AND appointment_time = $3
+         AND status != 'cancelled'
+         AND ($4::uuid IS NULL OR location_id IS NULL OR location_id = $4)
+       FOR UPDATE`,
+      [userId, appointmentDate, appointmentTime, locationId]
+    );
+
+    if (conflict.rows.length > 0) {
+      const error = new Error('This time slot is already booked');
+      error.status = 409;
+      throw error;
+    }
+
+    const result = await client.query(
+      `INSERT INTO appointments (
+        user_id, patient_name, patient_phone, patient_email,
+        appointment_date, appointment_time, duration_minutes,
+        reason, notes, lead_id, conversation_id, updated_by, location_id, patient_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *`,
+      [
+        userId, patientName, patientPhone, patientEmail || null,
+        appointmentDate, appointmentTime, durationMinutes,
+        reason || null, notes || null, leadId || null, conversationId || null, bookedBy,
+        locationId, patient?.id || null
+      ]
+    );
+
+    // If linked to a lead, update lead status
+    if (leadId) {
+      await client.query(
+        `UPDATE leads
+         SET status = 'converted',
+             appointment_booked = true,
+             appointment_time = $1,
+             appointment_id = $2
+         WHERE id = $3`,
+        [`${appointmentDate} ${appointmentTime}`, result.rows[0].id, leadId]
+      );
+    }
+
+    // If linked to a conversation, update conversation status
+    if (conversationId) {
+      await client.query(
+        `UPDATE conversations SET status = 'appointment_booked' WHERE id = $1`,
+        [conversationId]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    // Staff bookings are audited by the route, with who booked them
+    if (!bookedBy) {
+      await audit.recordSystem(userId, {
+        action: 'appointment.created',
+        entityType: 'appointment',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      });
+    }
+
+    // Mirror to the practice's calendar once committed (best-effort, in the background)
+    googleCalendar.syncAppointment(userId, result.rows[0]);
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    // Handle serialization failure (concurrent transaction conflict)
+    if (error.code === '40001') {
+      const conflictError = new Error('This time slot was just booked. Please try another time.');
+      conflictError.status = 409;
+      throw conflictError;
+    }
+
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  dayOfWeekFor,
+  parseSlotTime,
+  formatSlotTime,
+  getAvailableSlots,
+  getNextAvailableSlots,
+  bookAppointment
+};
@@ -0,0 +1,425 @@
+/**
+ * Calendar Sync
+ * Pulls changes made directly in a practice's Google Calendar back into SmileDesk
+ *
+ * googleCalendar.js pushes appointments out; this is the other direction.
+ * The 'calendar-sync' scheduler job calls syncAllCalendars(), which for
+ * each connected practice:
+ *
+ * 1. Lists changed events with the stored sync token (settings.google_sync_token).
+ *    No token (first sync) or an expired one (410) means a full sync from yesterday.
+ * 2. Applies each event:
+ *    - event for an appointment, moved     -> appointment date/time/duration updated
+ *    - event for an appointment, deleted   -> appointment cancelled
+ *    - any other event                     -> calendar_blocks (busy time)
+ * 3. Recomputes overlaps between upcoming appointments and blocks into
+ *    appointments.conflict_with, surfaced via GET /api/appointments.
+ *
+ * Appointment times are read in the timezone of the appointment's location
+ * (the practice's when it has none); other events use the practice's.
+ *
+ * Changes pulled from the calendar are not pushed back, so nothing echoes.
+ */
+
+const { query } = require('../db/config');
+const googleCalendar = require('./googleCalendar');
+const { parseSlotTime, formatSlotTime } = require('./booking');
+const { dateToZonedTime, zonedTimeToDate, nowInTimezone } = require('../utils/timezone');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('calendar-sync');
+
+// How far back a full sync looks
+const FULL_SYNC_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Prevent overlapping runs within this process
+let running = false;
+
+/**
+ * List changed events, following pagination
+ *
+ * @returns {Promise<{items: Array, nextSyncToken: string}>}
+ */
+async function fetchChanges(calendar, syncToken, timeMin) {
+  const items = [];
+  let pageToken;
+  let nextSyncToken;
+
+  do {
+    const params = syncToken
+      ? { calendarId: googleCalendar.CALENDAR_ID, syncToken, singleEvents: true, pageToken }
+      : { calendarId: googleCalendar.CALENDAR_ID, timeMin: timeMin.toISOString(), singleEvents: true, pageToken };
+
+    const response = await calendar.events.list(params);
+
+    items.push(...(response.data.items || []));
+    pageToken = response.data.nextPageToken;
+    nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+
+  return { items, nextSyncToken };
+}
+
+/**
+ * Find the appointment an event mirrors (by event id, or the id we stamped on it)
+ */
+async function findAppointment(userId, event) {
+  const appointmentId = event.extendedProperties?.private?.smiledeskAppointmentId || null;
+
+  const result = await query(
+    `SELECT a.*, COALESCE(l.timezone, u.timezone) AS timezone
+     FROM appointments a
+     JOIN users u ON u.id = a.user_id
+     LEFT JOIN locations l ON l.id = a.location_id
+     WHERE a.user_id = $1 AND (a.google_event_id = $2 OR a.id::text = $3)
+     LIMIT 1`,
+    [userId, event.id, appointmentId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Cancel an appointment whose event was deleted from the calendar
+ */
+async function cancelAppointment(apt) {
+  await query(
+    `UPDATE appointments
+     SET status = 'cancelled', google_event_id = NULL,
+         conflict_with = '[]'::jsonb, conflict_detected_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [apt.id]
+  );
+
+  // Same lead reset as DELETE /api/appointments/:id
+  if (apt.lead_id) {
+    await query(
+      `UPDATE leads
+       SET status = 'new', appointment_booked = false, appointment_id = NULL
+       WHERE id = $1`,
+      [apt.lead_id]
+    );
+  }
+}
+
+/**
+ * Apply a calendar event to the appointment it mirrors
+ *
+ * @returns {Promise<'moved'|'cancelled'|null>}
+ */
+async function applyToAppointment(apt, event, timezone) {
+  if (event.status === 'cancelled') {
+    if (apt.status === 'cancelled') return null;
+    await cancelAppointment(apt);
+    return 'cancelled';
+  }
+
+  // Cancelled here but still on the calendar, or turned into an all-day event: leave it
+  if (apt.status === 'cancelled' || !event.start?.dateTime || !event.end?.dateTime) {
+    return null;
+  }
+
+  const start = new Date(event.start.dateTime);
+  const duration = Math.round((new Date(event.end.dateTime) - start) / 60000);
+  const local = dateToZonedTime(start, apt.timezone || timezone);
+
+  const unchanged = googleCalendar.formatDate(apt.appointment_date) === local.date &&
+    parseSlotTime(apt.appointment_time) === local.minutes &&
+    apt.duration_minutes === duration &&
+    apt.google_event_id === event.id;
+
+  if (unchanged) return null;
+
+  const appointmentTime = formatSlotTime(local.minutes, apt.appointment_time);
+
+  await query(
+    `UPDATE appointments
+     SET appointment_date = $1, appointment_time = $2, duration_minutes = $3,
+         google_event_id = $4, updated_at = NOW()
+     WHERE id = $5`,
+    [local.date, appointmentTime, duration, event.id, apt.id]
+  );
+
+  if (apt.lead_id) {
+    await query(
+      `UPDATE leads SET appointment_time = $1 WHERE id = $2 AND appointment_id = $3`,
+      [`${local.date} ${appointmentTime}`, apt.lead_id, apt.id]
+    );
+  }
+
+  return 'moved';
+}
+
+/**
+ * Store (or drop) an event that isn't a SmileDesk appointment as blocked time
+ *
+ * @returns {Promise<'blocked'|'unblocked'>}
+ */
+async function applyToBlocks(userId, event, timezone) {
+  if (event.status === 'cancelled' || event.transparency === 'transparent') {
+    await query(
+      'DELETE FROM calendar_blocks WHERE user_id = $1 AND google_event_id = $2',
+      [userId, event.id]
+    );
+    return 'unblocked';
+  }
+
+  const allDay = !event.start?.dateTime;
+  const startsAt = allDay ? zonedTimeToDate(event.start.date, 0, timezone) : new Date(event.start.dateTime);
+  const endsAt = allDay ? zonedTimeToDate(event.end.date, 0, timezone) : new Date(event.end.dateTime);
+
+  await query(
+    `INSERT INTO calendar_blocks (user_id, google_event_id, summary, starts_at, ends_at, all_day)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, google_event_id) DO UPDATE
+     SET summary = EXCLUDED.summary, starts_at = EXCLUDED.starts_at,
+         ends_at = EXCLUDED.ends_at, all_day = EXCLUDED.all_day, updated_at = NOW()`,
+    [userId, event.id, event.summary?.slice(0, 255) || null, startsAt, endsAt, allDay]
+  );
+  return 'blocked';
+}
+
+/**
+ * After a full sync, reconcile anything we know about that the calendar no longer has
+ *
+ * When the full sync replaces an expired token (same calendar), missing events
+ * were deleted there, so their appointments are cancelled. On a first sync
+ * (calendar just connected, possibly a different account) they are pushed again.
+ *
+ * @returns {Promise<{cancelled: number, repushed: number}>}
+ */
+async function reconcileFullSync(userId, seenEventIds, timeMin, timezone, { cancelMissing }) {
+  const result = await query(
+    `SELECT * FROM appointments
+     WHERE user_id = $1 AND google_event_id IS NOT NULL
+       AND status != 'cancelled' AND appointment_date >= $2
+       AND NOT (google_event_id = ANY($3))`,
+    [userId, nowInTimezone(timezone).date, seenEventIds]
+  );
+
+  for (const apt of result.rows) {
+    if (cancelMissing) {
+      await cancelAppointment(apt);
+    } else {
+      await query('UPDATE appointments SET google_event_id = NULL WHERE id = $1', [apt.id]);
+      googleCalendar.syncAppointment(userId, { ...apt, google_event_id: null });
+    }
+  }
+
+  await query(
+    `DELETE FROM calendar_blocks
+     WHERE user_id = $1 AND ends_at >= $2 AND NOT (google_event_id = ANY($3))`,
+    [userId, timeMin, seenEventIds]
+  );
+
+  return cancelMissing
+    ? { cancelled: result.rows.length, repushed: 0 }
+    : { cancelled: 0, repushed: result.rows.length };
+}
+
+/**
+ * Recompute overlaps between upcoming appointments and calendar blocks
+ *
+ * @param {string} userId
+ * @param {string} timezone - Practice timezone (appointments use their location's)
+ * @returns {Promise<number>} - Appointments currently in conflict
+ */
+async function detectConflicts(userId, timezone) {
+  const today = nowInTimezone(timezone).date;
+
+  // Conflicts only matter for appointments that are still going ahead
+  await query(
+    `UPDATE appointments
+     SET conflict_with = '[]'::jsonb, conflict_detected_at = NULL
+     WHERE user_id = $1 AND conflict_with <> '[]'::jsonb
+       AND (status = 'cancelled' OR appointment_date < $2)`,
+    [userId, today]
+  );
+
+  const appointmentsResult = await query(
+    `SELECT a.id, a.patient_name, a.appointment_date, a.appointment_time, a.duration_minutes, a.conflict_with,
+            l.timezone
+     FROM appointments a
+     LEFT JOIN locations l ON l.id = a.location_id
+     WHERE a.user_id = $1 AND a.status != 'cancelled' AND a.appointment_date >= $2`,
+    [userId, today]
+  );
+
+  const blocksResult = await query(
+    `SELECT id, summary, starts_at, ends_at
+     FROM calendar_blocks
+     WHERE user_id = $1 AND ends_at > $2`,
+    [userId, zonedTimeToDate(today, 0, timezone)]
+  );
+
+  const intervals = [];
+
+  for (const apt of appointmentsResult.rows) {
+    const minutes = parseSlotTime(apt.appointment_time);
+    if (minutes === null) continue;
+
+    const start = zonedTimeToDate(googleCalendar.formatDate(apt.appointment_date), minutes, apt.timezone || timezone);
+    intervals.push({
+      type: 'appointment',
+      id: apt.id,
+      label: `${apt.patient_name} ${apt.appointment_time}`,
+      start,
+      end: new Date(start.getTime() + (apt.duration_minutes || 30) * 60 * 1000),
+      row: apt
+    });
+  }
+
+  for (const block of blocksResult.rows) {
+    intervals.push({
+      type: 'block',
+      id: block.id,
+      label: block.summary || 'Busy',
+      start: new Date(block.starts_at),
+      end: new Date(block.ends_at)
+    });
+  }
+
+  intervals.sort((a, b) => a.start - b.start);
+
+  const conflicts = new Map();
+  for (let i = 0; i < intervals.length; i++) {
+    for (let j = i + 1; j < intervals.length && intervals[j].start < intervals[i].end; j++) {
+      const [a, b] = [intervals[i], intervals[j]];
+      if (a.type === 'block' && b.type === 'block') continue;
+
+      for (const [self, other] of [[a, b], [b, a]]) {
+        if (self.type !== 'appointment') continue;
+        if (!conflicts.has(self.id)) conflicts.set(self.id, []);
+        conflicts.get(self.id).push({ type: other.type, id: other.id, label: other.label });
+      }
+    }
+  }
+
+  let inConflict = 0;
+
+  for (const interval of intervals) {
+    if (interval.type !== 'appointment') continue;
+
+    const found = conflicts.get(interval.id) || [];
+    if (found.length > 0) inConflict++;
+
+    if (JSON.stringify(found) === JSON.stringify(interval.row.conflict_with || [])) continue;
+
+    await query(
+      `UPDATE appointments
+       SET conflict_with = $1::jsonb,
+           conflict_detected_at = CASE WHEN $1::jsonb = '[]'::jsonb THEN NULL ELSE COALESCE(conflict_detected_at, NOW()) END
+       WHERE id = $2`,
+      [JSON.stringify(found), interval.id]
+    );
+
+    if (found.length > 0) {
+      log.warn({ userId, appointmentId: interval.id, conflictWith: found }, 'Appointment conflict detected');
+    }
+  }
+
+  return inConflict;
+}
+
+/**
+ * Sync one practice's calendar into SmileDesk
+ *
+ * @param {string} userId
+ * @returns {Promise<object>} - Counts of what changed
+ */
+async function syncCalendar(userId) {
+  const { calendar, error } = await googleCalendar.getCalendarClient(userId);
+  if (error) return { skipped: error };
+
+  const settingsResult = await query(
+    'SELECT google_sync_token FROM settings WHERE user_id = $1',
+    [userId]
+  );
+  const syncToken = settingsResult.rows[0]?.google_sync_token || null;
+  const timezone = await googleCalendar.getTimezone(userId);
+  const timeMin = new Date(Date.now() - FULL_SYNC_LOOKBACK_MS);
+
+  let fullSync = !syncToken;
+  let changes;
+
+  try {
+    changes = await fetchChanges(calendar, syncToken, timeMin);
+  } catch (fetchError) {
+    const status = fetchError.code || fetchError.response?.status;
+    if (!syncToken || status !== 410) throw fetchError;
+
+    // Sync token expired: start over with a full sync
+    log.warn({ userId }, 'Calendar sync token expired, running full sync');
+    fullSync = true;
+    changes = await fetchChanges(calendar, null, timeMin);
+  }
+
+  const counts = { moved: 0, cancelled: 0, blocked: 0, unblocked: 0 };
+
+  for (const event of changes.items) {
+    const apt = await findAppointment(userId, event);
+    const outcome = apt
+      ? await applyToAppointment(apt, event, timezone)
+      : await applyToBlocks(userId, event, timezone);
+
+    if (outcome) counts[outcome]++;
+  }
+
+  if (fullSync) {
+    const seen = changes.items.filter(event => event.status !== 'cancelled').map(event => event.id);
+    const reconciled = await reconcileFullSync(userId, seen, timeMin, timezone, { cancelMissing: !!syncToken });
+    counts.cancelled += reconciled.cancelled;
+    counts.repushed = reconciled.repushed;
+  }
+
+  const conflicts = await detectConflicts(userId, timezone);
+
+  await query(
+    `UPDATE settings SET google_sync_token = $1, google_last_synced_at = NOW() WHERE user_id = $2`,
+    [changes.nextSyncToken || null, userId]
+  );
+
+  const summary = { ...counts, conflicts, fullSync, events: changes.items.length };
+  log.info({ userId, ...summary }, 'Calendar synced');
+
+  return summary;
+}
+
+/**
+ * Sync every connected practice
+ * Registered with the scheduler as 'calendar-sync'
+ */
+async function syncAllCalendars() {
+  if (running) return { skipped: true };
+  running = true;
+
+  try {
+    const practices = await query(
+      googleCalendar.isMocked()
+        ? 'SELECT user_id FROM settings'
+        : 'SELECT user_id FROM settings WHERE google_calendar_connected = true'
+    );
+
+    let synced = 0;
+    let failed = 0;
+
+    for (const { user_id: userId } of practices.rows) {
+      try {
+        const result = await syncCalendar(userId);
+        if (!result.skipped) synced++;
+      } catch (error) {
+        failed++;
+        log.error({ userId, error: error.message }, 'Calendar sync failed');
+      }
+    }
+
+    return { synced, failed };
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  syncCalendar,
+  syncAllCalendars,
+  detectConflicts
+};
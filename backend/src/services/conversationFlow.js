@@ -0,0 +1,536 @@
+/**
+ * Conversation Flow Engine
+ * Runs a practice's multi-step SMS flow (settings.conversation_flow)
+ *
+ * A flow is a set of steps. Each step sends a message, matches the
+ * patient's reply against its options (or accepts free text), stores the
+ * answer under step.answerKey and moves to the option's `next` step.
+ * A `next` of null completes the flow: the lead is qualified and the
+ * conversation waits for a callback (callback_pending).
+ *
+ * Progress lives in conversations.state_data:
+ *   { "step": "fund", "answers": { "patientType": "new", "preferredDay": "Monday" } }
+ *
+ * Practices without a custom flow get DEFAULT_FLOW - the original
+ * "reply 1 for appointment, 2 for other" classification. Flow definitions
+ * are validated by schemas.conversationFlow in middleware/validate.js.
+ * Messages may use {practiceName}, and {locationName} for the clinic called.
+ *
+ * Free-text replies go through the reply extractor (services/nlu) too: the
+ * patient's name, reason, urgency and preferred time land on the lead, and
+ * on the flow's callback-type step the understood intent replaces the
+ * freeText fallback value.
+ *
+ * Self-booking: with settings.booking_mode = 'auto', a flow that ends in
+ * an appointment request offers the next free booking slots instead of a
+ * callback (status awaiting_slot_choice). The patient replies with a slot
+ * number and the appointment is booked via services/booking.js.
+ */
+
+const { query } = require('../db/config');
+const { schemas } = require('../middleware/validate');
+const { getNextAvailableSlots, bookAppointment } = require('./booking');
+const nlu = require('./nlu');
+const patients = require('./patients');
+const { sms: log } = require('../utils/logger');
+
+const CALLBACK_TYPES = ['appointment_request', 'general_callback'];
+
+// How many slots to offer, and how far ahead to look for them
+const SLOT_OFFER_COUNT = 3;
+const SLOT_LOOKAHEAD_DAYS = 14;
+
+const DEFAULT_FLOW = {
+  name: 'Callback classification',
+  startStep: 'intent',
+  steps: {
+    intent: {
+      message: "Hi! This is {practiceName}. We missed your call.\n\nReply 1 for appointment or 2 for other. We'll call you back shortly.",
+      answerKey: 'callbackType',
+      options: [
+        { replies: ['1', 'one'], keywords: ['appointment', 'book'], value: 'appointment_request', next: null },
+        { replies: ['2', 'two'], keywords: ['other', 'question'], value: 'general_callback', next: null }
+      ],
+      // Any other reply is a general enquiry; keep what they wrote
+      freeText: { value: 'general_callback', saveTextTo: 'notes', next: null },
+      invalidMessage: "Please reply 1 for appointment or 2 for other. We'll call you back shortly."
+    }
+  },
+  completeMessage: 'Thank you! We received your request and will be in contact shortly. - {practiceName}',
+  callbackTypeFrom: 'callbackType'
+};
+
+/**
+ * Get the flow a practice runs, falling back to the default
+ *
+ * @param {object} settings - Row from the settings table
+ * @returns {{flow: object, isDefault: boolean}}
+ */
+function getFlowForSettings(settings) {
+  let stored = settings?.conversation_flow;
+
+  if (typeof stored === 'string') {
+    try {
+      stored = JSON.parse(stored);
+    } catch (e) {
+      stored = null;
+    }
+  }
+
+  if (!stored) {
+    return { flow: DEFAULT_FLOW, isDefault: true };
+  }
+
+  // Re-validate: the column may have been edited by hand
+  const { error, value } = schemas.conversationFlow.validate({ flow: stored });
+  if (error) {
+    log.warn({ userId: settings.user_id, error: error.message }, 'Invalid conversation flow, using default');
+    return { flow: DEFAULT_FLOW, isDefault: true };
+  }
+
+  return { flow: value.flow, isDefault: false };
+}
+
+/**
+ * Fill in message placeholders
+ * {locationName} is the clinic the patient called (the practice name without one).
+ */
+function render(text, settings) {
+  const practiceName = settings?.practice_name || 'Our Practice';
+  return text
+    .replace(/\{practiceName\}/g, practiceName)
+    .replace(/\{locationName\}/g, settings?.location_name || practiceName);
+}
+
+/**
+ * First SMS sent after a missed call
+ * Custom flows open with their start step; the default flow keeps the
+ * practice's ai_greeting if one is set.
+ */
+function getOpeningMessage(settings) {
+  const { flow, isDefault } = getFlowForSettings(settings);
+
+  if (isDefault && settings?.ai_greeting) {
+    return render(settings.ai_greeting, settings);
+  }
+
+  return render(flow.steps[flow.startStep].message, settings);
+}
+
+/**
+ * Reply to HELP: the question the patient is currently being asked
+ */
+function getHelpMessage(settings, conversation) {
+  const { flow } = getFlowForSettings(settings);
+  const step = flow.steps[conversation?.state_data?.step] || flow.steps[flow.startStep];
+  const practiceName = settings?.practice_name || 'Our Practice';
+
+  return `${practiceName} Missed Call Follow-up:\n\n${render(step.message, settings)}\n\nReply STOP to opt out.`;
+}
+
+/**
+ * (Re)start the flow from its first step
+ *
+ * @returns {Promise<string>} - Message to send
+ */
+async function startFlow(conversationId, settings) {
+  const { flow } = getFlowForSettings(settings);
+
+  await updateConversationStatus(conversationId, 'awaiting_initial_choice', {
+    step: flow.startStep,
+    answers: {}
+  });
+
+  return render(flow.steps[flow.startStep].message, settings);
+}
+
+/**
+ * Whether a keyword (word or phrase) appears in the reply as whole words
+ * "my mother" doesn't contain 'other', nor "facebook" 'book'.
+ */
+function containsKeyword(input, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<!\\w)${escaped}(?!\\w)`).test(input);
+}
+
+/**
+ * Match a reply against a step's options, then its freeText fallback
+ *
+ * @returns {{value: string, next: string|null, saveTextTo?: string, freeText?: boolean}|null}
+ */
+function matchReply(step, reply) {
+  const input = reply.toLowerCase();
+
+  for (const option of step.options || []) {
+    const exact = option.replies.includes(input);
+    const keyword = (option.keywords || []).some(word => containsKeyword(input, word));
+    if (exact || keyword) {
+      return { value: option.value, next: option.next };
+    }
+  }
+
+  if (step.freeText && reply.length > 0) {
+    return {
+      value: step.freeText.value || reply,
+      next: step.freeText.next,
+      saveTextTo: step.freeText.saveTextTo,
+      freeText: true
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Write a step's answer into the lead
+ * Field names come from a validated flow (see FLOW_LEAD_FIELDS in validate.js)
+ */
+async function writeLeadField(conversationId, field, value) {
+  if (field === 'notes') {
+    // Notes accumulate across steps
+    await query(
+      `UPDATE leads SET notes = CONCAT_WS(E'\\n', NULLIF(notes, ''), $1::text) WHERE conversation_id = $2`,
+      [value, conversationId]
+    );
+    return;
+  }
+
+  const result = await query(
+    `UPDATE leads SET ${field} = $1 WHERE conversation_id = $2 RETURNING patient_id`,
+    [value, conversationId]
+  );
+
+  if (field === 'name') {
+    await patients.rememberName(result.rows[0]?.patient_id, value);
+  }
+}
+
+/**
+ * Read a free-text reply into the lead: name (if we didn't have one), reason,
+ * priority (never lowered from high) and preferred time
+ *
+ * @returns {Promise<object>} - What was understood (services/nlu extract())
+ */
+async function understandReply(conversationId, text) {
+  const understood = await nlu.extract(text);
+  const priority = ['high', 'low'].includes(understood.urgency) ? understood.urgency : null;
+
+  const leadResult = await query(
+    `UPDATE leads
+     SET name = CASE WHEN name IN ('Unknown Caller', 'SMS Contact') AND $1::text IS NOT NULL THEN $1 ELSE name END,
+         reason = COALESCE($2, reason),
+         priority = CASE WHEN priority = 'high' THEN priority ELSE COALESCE($3, priority) END,
+         preferred_time = COALESCE($4, preferred_time),
+         updated_at = NOW()
+     WHERE conversation_id = $5
+     RETURNING patient_id`,
+    [understood.name, understood.reason, priority, understood.preferredTime, conversationId]
+  );
+
+  if (understood.name) {
+    await query(
+      `UPDATE calls SET caller_name = COALESCE(caller_name, $1)
+       WHERE id = (SELECT call_id FROM conversations WHERE id = $2)`,
+      [understood.name, conversationId]
+    );
+
+    // Next time they call, the lead starts with this name
+    await patients.rememberName(leadResult.rows[0]?.patient_id, understood.name);
+  }
+
+  log.info({
+    conversationId,
+    extractor: understood.extractor,
+    intent: understood.intent,
+    reason: understood.reason,
+    urgency: understood.urgency,
+    found: Object.keys(understood).filter(key => understood[key] && key !== 'extractor')
+  }, 'Free-text reply understood');
+
+  return understood;
+}
+
+/**
+ * Advance the flow with the patient's reply
+ *
+ * @param {string} conversationId
+ * @param {string} incomingMessage - Raw SMS body
+ * @param {object} settings - Practice settings (with practice_name)
+ * @param {object} conversation - Conversation row
+ * @returns {Promise<string>} - Message to send back
+ */
+async function advanceFlow(conversationId, incomingMessage, settings, conversation) {
+  const { flow } = getFlowForSettings(settings);
+  const stateData = conversation.state_data || {};
+
+  // Conversations that predate the flow engine (or a flow edit) resume at the start
+  const stepId = flow.steps[stateData.step] ? stateData.step : flow.startStep;
+  const step = flow.steps[stepId];
+  const answers = { ...(stateData.answers || {}) };
+
+  const reply = incomingMessage.trim();
+  const match = matchReply(step, reply);
+
+  if (!match) {
+    return render(step.invalidMessage || step.message, settings);
+  }
+
+  if (match.freeText) {
+    const understood = await understandReply(conversationId, reply);
+
+    // "can I come in tomorrow, my tooth hurts" is an appointment request, not 'other'
+    if (step.answerKey === flow.callbackTypeFrom && understood.intent) {
+      match.value = understood.intent;
+    }
+  }
+
+  answers[step.answerKey] = match.value;
+
+  if (step.leadField) {
+    await writeLeadField(conversationId, step.leadField, match.value);
+  }
+  if (match.saveTextTo && match.saveTextTo !== step.leadField) {
+    await writeLeadField(conversationId, match.saveTextTo, reply);
+  }
+
+  if (match.next) {
+    await updateConversationStatus(conversationId, 'active', { step: match.next, answers });
+    log.info({ conversationId, from: stepId, to: match.next }, 'Conversation flow advanced');
+    return render(flow.steps[match.next].message, settings);
+  }
+
+  // Auto-booking practices offer slots instead of a callback
+  if (settings.booking_mode === 'auto' && resolveCallbackType(flow, answers) === 'appointment_request') {
+    const offer = await offerSlots(conversationId, settings, answers);
+    if (offer) return offer;
+  }
+
+  await completeFlow(conversationId, flow, answers);
+  return render(flow.completeMessage, settings);
+}
+
+/**
+ * Callback type the flow's answers map to
+ */
+function resolveCallbackType(flow, answers) {
+  const answeredType = flow.callbackTypeFrom ? answers[flow.callbackTypeFrom] : null;
+  return CALLBACK_TYPES.includes(answeredType) ? answeredType : 'general_callback';
+}
+
+/**
+ * Format a slot for SMS, e.g. "Tue 21 Oct, 10:00 AM"
+ */
+function formatSlot(slot) {
+  const day = new Date(`${slot.date}T00:00:00Z`).toLocaleDateString('en-AU', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  });
+  return `${day}, ${slot.time}`;
+}
+
+/**
+ * Offer the next free slots for the patient to pick from
+ *
+ * @param {string} intro - Optional first line (e.g. after a slot was taken)
+ * @returns {Promise<string|null>} - Message to send, or null if nothing is free
+ */
+async function offerSlots(conversationId, settings, answers, intro = null) {
+  const userResult = await query(
+    'SELECT timezone FROM users WHERE id = $1',
+    [settings.user_id]
+  );
+
+  // A location's own slots and timezone when the conversation is with one
+  const slots = await getNextAvailableSlots(settings.user_id, {
+    count: SLOT_OFFER_COUNT,
+    days: SLOT_LOOKAHEAD_DAYS,
+    timezone: settings.timezone || userResult.rows[0]?.timezone,
+    locationId: settings.location_id || null
+  });
+
+  if (slots.length === 0) {
+    log.info({ conversationId }, 'No free slots to offer, falling back to callback');
+    return null;
+  }
+
+  await updateConversationStatus(conversationId, 'awaiting_slot_choice', { answers, slots });
+
+  const lines = slots.map((slot, i) => `${i + 1}. ${formatSlot(slot)}`);
+  const practiceName = settings.practice_name || 'Our Practice';
+
+  return [
+    intro,
+    `${practiceName} has these times available:`,
+    '',
+    ...lines,
+    '',
+    'Reply with a number to book, or 0 and we\'ll call you instead.'
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Book the slot the patient picked
+ *
+ * @param {string} conversationId
+ * @param {string} incomingMessage - Raw SMS body
+ * @param {object} settings - Practice settings (with practice_name, user_id)
+ * @param {object} conversation - Conversation row (status awaiting_slot_choice)
+ * @returns {Promise<string>} - Message to send back
+ */
+async function handleSlotChoice(conversationId, incomingMessage, settings, conversation) {
+  const { flow } = getFlowForSettings(settings);
+  const stateData = conversation.state_data || {};
+  const slots = stateData.slots || [];
+  const answers = stateData.answers || {};
+  const input = incomingMessage.trim();
+
+  // 0 = rather have a callback
+  if (input === '0' || slots.length === 0) {
+    await completeFlow(conversationId, flow, answers);
+    return render(flow.completeMessage, settings);
+  }
+
+  const choice = /^\d+$/.test(input) ? parseInt(input, 10) : NaN;
+  if (!(choice >= 1 && choice <= slots.length)) {
+    return `Please reply with a number from 1 to ${slots.length} to book, or 0 and we'll call you instead.`;
+  }
+
+  const slot = slots[choice - 1];
+
+  const leadResult = await query(
+    'SELECT id, name, email, reason FROM leads WHERE conversation_id = $1',
+    [conversationId]
+  );
+  const lead = leadResult.rows[0];
+
+  let appointment;
+  try {
+    appointment = await bookAppointment(settings.user_id, {
+      patientName: lead?.name || 'SMS Patient',
+      patientPhone: conversation.caller_phone,
+      patientEmail: lead?.email,
+      appointmentDate: slot.date,
+      appointmentTime: slot.time,
+      durationMinutes: slot.durationMinutes,
+      reason: lead?.reason || 'Booked via SMS',
+      leadId: lead?.id,
+      conversationId,
+      locationId: settings.location_id || null
+    });
+  } catch (error) {
+    if (error.status !== 409) throw error;
+
+    // Someone else got there first - offer what's left
+    log.info({ conversationId, slot }, 'Offered slot taken, re-offering');
+    const offer = await offerSlots(conversationId, settings, answers, 'Sorry, that time has just been taken.');
+    if (offer) return offer;
+
+    await completeFlow(conversationId, flow, answers);
+    return `Sorry, that time has just been taken. We'll call you back shortly to find another time. - ${settings.practice_name || 'Our Practice'}`;
+  }
+
+  await updateConversationStatus(conversationId, 'appointment_booked', {
+    answers,
+    appointmentId: appointment.id,
+    bookedAt: new Date().toISOString()
+  });
+
+  // Booked by SMS - no callback needed
+  await query(
+    `UPDATE calls
+     SET callback_type = 'appointment_request', handled_by_ai = true, followup_status = 'completed'
+     WHERE id = (SELECT call_id FROM conversations WHERE id = $1)`,
+    [conversationId]
+  );
+  await query(
+    `UPDATE leads SET callback_type = 'appointment_request' WHERE conversation_id = $1`,
+    [conversationId]
+  );
+
+  log.info({ conversationId, appointmentId: appointment.id, date: slot.date, time: slot.time }, 'Appointment booked via SMS');
+
+  return `You're booked in for ${formatSlot(slot)}. See you then! Reply STOP to opt out. - ${settings.practice_name || 'Our Practice'}`;
+}
+
+/**
+ * Finish the flow: classify the callback and qualify the lead
+ */
+async function completeFlow(conversationId, flow, answers) {
+  const callbackType = resolveCallbackType(flow, answers);
+
+  await updateConversationStatus(conversationId, 'callback_pending', {
+    callbackType,
+    classifiedAt: new Date().toISOString(),
+    answers
+  });
+
+  // Update the call record with callback_type
+  await query(
+    `UPDATE calls
+     SET callback_type = $1, handled_by_ai = true
+     WHERE id = (SELECT call_id FROM conversations WHERE id = $2)`,
+    [callbackType, conversationId]
+  );
+
+  // Keep a preferred time the patient gave us (flow step or free text); otherwise note the callback
+  const flowSetsPreferredTime = Object.values(flow.steps).some(step =>
+    step.leadField === 'preferred_time' || step.freeText?.saveTextTo === 'preferred_time'
+  );
+  const preferredTime = callbackType === 'appointment_request'
+    ? 'Callback requested (appointment)'
+    : 'Callback requested (other)';
+
+  await query(
+    `UPDATE leads
+     SET status = 'qualified',
+         callback_type = $1,
+         preferred_time = CASE WHEN $2::boolean THEN preferred_time ELSE COALESCE(preferred_time, $3) END
+     WHERE conversation_id = $4`,
+    [callbackType, flowSetsPreferredTime, preferredTime, conversationId]
+  );
+
+  log.info({ conversationId, callbackType, answers: Object.keys(answers) }, 'Conversation flow completed');
+}
+
+/**
+ * End the flow before its last step, keeping the answers so far
+ * (an emergency doesn't wait for the remaining questions)
+ */
+async function completeFlowEarly(conversationId, settings, conversation, callbackType) {
+  const { flow } = getFlowForSettings(settings);
+  const answers = { ...(conversation.state_data?.answers || {}) };
+
+  if (flow.callbackTypeFrom) {
+    answers[flow.callbackTypeFrom] = callbackType;
+  }
+
+  await completeFlow(conversationId, flow, answers);
+}
+
+/**
+ * Update conversation status and state data
+ */
+async function updateConversationStatus(conversationId, status, stateData) {
+  await query(
+    `UPDATE conversations
+     SET status = $1, state_data = $2, last_activity_at = NOW()
+     WHERE id = $3`,
+    [status, JSON.stringify(stateData), conversationId]
+  );
+}
+
+module.exports = {
+  DEFAULT_FLOW,
+  getFlowForSettings,
+  getOpeningMessage,
+  getHelpMessage,
+  matchReply,
+  startFlow,
+  advanceFlow,
+  understandReply,
+  handleSlotChoice,
+  completeFlowEarly,
+  updateConversationStatus
+};
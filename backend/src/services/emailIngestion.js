@@ -0,0 +1,180 @@
+/**
+ * Missed-Call Email Ingestion
+ * For phone systems that can only email missed-call / voicemail notifications
+ * (Telstra MessageBank, Optus Loop, voicemail-to-email on FreePBX / 3CX)
+ *
+ * Emails arrive two ways:
+ * - SMTP-to-HTTP relay: raw MIME POSTed to /api/pbx/email?token=<practice token>
+ * - Local SMTP listener (services/smtpListener.js) for missed+<token>@EMAIL_INBOUND_DOMAIN
+ *
+ * The practice token (settings.pbx_webhook_secret, the same token as the PBX
+ * webhook URLs) identifies the practice, from the URL or the missed+<token>
+ * recipient. The practice's email template (services/pbxEmailTemplates, or
+ * detection) reads the caller, and the call goes through processMissedCall
+ * with the email's Date as the call time. Each email is one call, keyed on
+ * its Message-ID, so a redelivered email isn't texted twice. An audio
+ * attachment is kept as the call's voicemail recording (services/voicemails.js).
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db/config');
+const notifyre = require('./notifyre');
+const { processMissedCall } = require('./missedCalls');
+const locations = require('./locations');
+const { parseEmail, extractAddresses } = require('./emailParser');
+const pbxEmailTemplates = require('./pbxEmailTemplates');
+const { findVoicemailAudio } = require('./pbxEmailTemplates/generic');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('email-ingestion');
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const TOKEN_ADDRESS_PATTERN = /\+([a-f0-9]{48})@/;
+
+// Headers the missed+<token> address can turn up in after forwarding
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'envelope-to', 'to', 'cc'];
+
+// A notification this late isn't worth a text - the caller has moved on
+const MAX_CALL_AGE_HOURS = 24;
+
+/**
+ * The practice's address for the local SMTP listener, if one is configured
+ */
+function inboundEmailAddress(token) {
+  const domain = process.env.EMAIL_INBOUND_DOMAIN;
+  return domain && token ? `missed+${token}@${domain}` : null;
+}
+
+/**
+ * Practice token from a missed+<token>@... address
+ */
+function tokenFromAddress(address) {
+  const match = String(address || '').toLowerCase().match(TOKEN_ADDRESS_PATTERN);
+  return match ? match[1] : null;
+}
+
+function findPracticeToken(email, recipients) {
+  const addresses = [
+    ...recipients,
+    ...RECIPIENT_HEADERS.flatMap(header => extractAddresses(email.headers[header]))
+  ];
+
+  for (const address of addresses) {
+    const token = tokenFromAddress(address);
+    if (token) return token;
+  }
+  return null;
+}
+
+/**
+ * Parse an email with a template - no database, nothing sent (also used by webhook replay)
+ *
+ * @param {Buffer|string|object} raw - Raw email, or one already parsed by emailParser
+ * @param {string} templateId - Practice's pbx_email_template ('auto' detects)
+ */
+function readEmail(raw, templateId = 'auto') {
+  const email = Buffer.isBuffer(raw) || typeof raw === 'string' ? parseEmail(raw) : raw;
+  const template = pbxEmailTemplates.detectTemplate(email, templateId);
+  const parsed = template.parse(email);
+  const audio = findVoicemailAudio(email);
+
+  return {
+    email,
+    template: template.id,
+    parsed,
+    voicemail: audio ? { filename: audio.filename, contentType: audio.contentType, size: audio.size } : null
+  };
+}
+
+/**
+ * Turn a missed-call email into a call
+ *
+ * @param {Buffer|string} raw - The full email
+ * @param {object} options
+ * @param {string} options.token - Practice token (relay URL); else taken from the recipients
+ * @param {string[]} options.recipients - SMTP envelope recipients
+ * @returns {Promise<object>} - {action: 'unauthorized' | 'no_caller' | 'event_ignored' | 'too_old' | 'duplicate'}
+ *   when nothing was done, else processMissedCall's result; plus userId, template and voicemail
+ */
+async function ingestEmail(raw, { token = null, recipients = [] } = {}) {
+  const email = parseEmail(raw);
+  const practiceToken = token || findPracticeToken(email, recipients);
+
+  if (!practiceToken || !TOKEN_PATTERN.test(practiceToken)) {
+    log.warn({ subject: email.subject, from: email.from }, 'Missed-call email without a practice token');
+    return { action: 'unauthorized' };
+  }
+
+  const settingsResult = await query(
+    `SELECT s.*, u.id as user_id, u.practice_name
+     FROM settings s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.pbx_webhook_secret = $1`,
+    [practiceToken]
+  );
+
+  const settings = settingsResult.rows[0];
+  if (!settings) {
+    log.warn({ subject: email.subject, from: email.from }, 'Missed-call email for an unknown practice token');
+    return { action: 'unauthorized' };
+  }
+
+  const userId = settings.user_id;
+  const { template, parsed, voicemail } = readEmail(email, settings.pbx_email_template);
+  const summary = { userId, template, callerPhone: parsed.callerPhone, voicemail };
+
+  log.info({
+    ...summary,
+    messageId: email.messageId,
+    subject: email.subject,
+    outcome: parsed.outcome
+  }, 'Missed-call email received');
+
+  if (!parsed.callerPhone) {
+    return { ...summary, action: 'no_caller' };
+  }
+
+  if (parsed.outcome !== 'missed') {
+    return { ...summary, action: 'event_ignored' };
+  }
+
+  // The Date header is when the PBX sent it - right after the call. Ignore clocks in the future.
+  const calledAt = email.date && email.date <= new Date() ? email.date : null;
+  if (calledAt && Date.now() - calledAt.getTime() > MAX_CALL_AGE_HOURS * 60 * 60 * 1000) {
+    return { ...summary, action: 'too_old' };
+  }
+
+  const emailKey = email.messageId || (Buffer.isBuffer(raw) ? raw : String(raw));
+  const callSid = `email-${crypto.createHash('sha256').update(emailKey).digest('hex').slice(0, 32)}`;
+
+  const existing = await query(
+    'SELECT id FROM calls WHERE twilio_call_sid = $1',
+    [callSid]
+  );
+  if (existing.rows.length > 0) {
+    return { ...summary, action: 'duplicate' };
+  }
+
+  const audio = findVoicemailAudio(email);
+  const result = await processMissedCall(
+    userId,
+    notifyre.normalizePhoneNumber(parsed.callerPhone),
+    await locations.resolveForCall(settings, parsed.calledPhone),
+    callSid,
+    parsed.hasVoicemail,
+    {
+      calledAt,
+      voicemail: audio ? { content: audio.content, contentType: audio.contentType, filename: audio.filename } : null
+    }
+  );
+
+  return { ...summary, ...result };
+}
+
+module.exports = {
+  MAX_CALL_AGE_HOURS,
+  inboundEmailAddress,
+  tokenFromAddress,
+  readEmail,
+  ingestEmail
+};
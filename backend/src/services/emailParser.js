@@ -0,0 +1,299 @@
+/**
+ * Email (MIME) Parser
+ * Just enough RFC 5322 / MIME to read PBX notification emails: folded and
+ * RFC 2047 encoded headers, nested multiparts, base64 / quoted-printable
+ * bodies, charsets and attachments (voicemail audio).
+ *
+ * Not a general-purpose mail parser - no S/MIME, TNEF or uuencode. A body cut
+ * short (e.g. a truncated copy in webhook_events) still parses as far as it goes.
+ */
+
+// Nested multiparts deeper than this are ignored
+const MAX_DEPTH = 10;
+
+const ADDRESS_PATTERN = /[^\s<>,;:"()[\]]+@[^\s<>,;:"()[\]]+\.[^\s<>,;:"()[\]]+/g;
+
+/**
+ * Bytes in a charset to a string, falling back to latin1 for charsets Node can't decode
+ */
+function decodeCharset(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase() || 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+function decodeQuotedPrintable(text, { underscoreIsSpace = false } = {}) {
+  let value = text.replace(/=\r?\n/g, '');
+  if (underscoreIsSpace) value = value.replace(/_/g, ' ');
+  return Buffer.from(
+    value.replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  );
+}
+
+/**
+ * "=?utf-8?B?...?=" / "=?iso-8859-1?Q?...?=" words in a header value
+ */
+function decodeEncodedWords(value) {
+  if (!value || !value.includes('=?')) return value || '';
+
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(=\?[^?]+\?[bBqQ]\?[^?]*\?=)\s+(?==\?[^?]+\?[bBqQ]\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bBqQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text, { underscoreIsSpace: true });
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * Unfold and index headers by lower-case name (first occurrence wins)
+ */
+function parseHeaders(text) {
+  const headers = {};
+
+  for (const line of text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = line.slice(separator + 1).trim();
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * 'multipart/mixed; boundary="abc"' -> {value: 'multipart/mixed', params: {boundary: 'abc'}}
+ * Handles RFC 2231 (filename*=utf-8''...) and continuations (filename*0=...)
+ */
+function parseParams(header) {
+  const [value, ...rest] = String(header || '').split(';');
+  const params = {};
+  const continued = {};
+
+  const pattern = /\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+  const paramText = rest.join(';');
+
+  while ((match = pattern.exec(paramText)) !== null) {
+    const key = match[1].toLowerCase();
+    let paramValue = match[2].trim();
+
+    if (paramValue.startsWith('"')) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    const extended = key.match(/^([^*]+)\*(\d+)?(\*)?$/);
+    if (!extended) {
+      params[key] = paramValue;
+      continue;
+    }
+
+    const [, name, index, encodedPart] = extended;
+    const isEncoded = encodedPart || (index === undefined && key.endsWith('*'));
+    let decoded = paramValue;
+
+    if (isEncoded) {
+      const charsetMatch = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+      const charset = charsetMatch ? charsetMatch[1] : 'utf-8';
+      const text = charsetMatch ? charsetMatch[2] : paramValue;
+      decoded = decodeCharset(Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1'), charset || 'utf-8');
+    }
+
+    if (index === undefined) {
+      params[name] = decoded;
+    } else {
+      (continued[name] = continued[name] || [])[parseInt(index, 10)] = decoded;
+    }
+  }
+
+  for (const [name, parts] of Object.entries(continued)) {
+    params[name] = parts.join('');
+  }
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Split a part into its header text and body bytes
+ */
+function splitHeaderBody(buffer) {
+  const crlf = buffer.indexOf('\r\n\r\n');
+  const lf = buffer.indexOf('\n\n');
+
+  let end = -1;
+  let separatorLength = 0;
+  if (crlf !== -1 && (lf === -1 || crlf < lf)) {
+    end = crlf;
+    separatorLength = 4;
+  } else if (lf !== -1) {
+    end = lf;
+    separatorLength = 2;
+  }
+
+  if (end === -1) {
+    return { headers: parseHeaders(buffer.toString('utf8')), body: Buffer.alloc(0) };
+  }
+
+  return {
+    headers: parseHeaders(buffer.subarray(0, end).toString('utf8')),
+    body: buffer.subarray(end + separatorLength)
+  };
+}
+
+function decodeBody(body, encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body.toString('latin1'));
+    default:
+      return body;
+  }
+}
+
+/**
+ * Body parts between --boundary delimiters (an unterminated last part is kept)
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let index = body.indexOf(delimiter);
+  while (index !== -1) {
+    const afterDelimiter = index + delimiter.length;
+
+    // Closing delimiter "--boundary--"
+    if (body.subarray(afterDelimiter, afterDelimiter + 2).toString() === '--') break;
+
+    const lineEnd = body.indexOf('\n', afterDelimiter);
+    if (lineEnd === -1) break;
+
+    const next = body.indexOf(delimiter, lineEnd);
+    if (next === -1) {
+      parts.push(body.subarray(lineEnd + 1));
+      break;
+    }
+
+    let partEnd = next;
+    if (body[partEnd - 1] === 0x0a) partEnd--;
+    if (body[partEnd - 1] === 0x0d) partEnd--;
+
+    parts.push(body.subarray(lineEnd + 1, partEnd));
+    index = next;
+  }
+
+  return parts;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+function parsePart(buffer, depth, result) {
+  const { headers, body } = splitHeaderBody(buffer);
+  const type = parseParams(headers['content-type'] || 'text/plain');
+  const disposition = parseParams(headers['content-disposition'] || '');
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    if (depth < MAX_DEPTH) {
+      for (const part of splitMultipart(body, type.params.boundary)) {
+        parsePart(part, depth + 1, result);
+      }
+    }
+    return;
+  }
+
+  const content = decodeBody(body, headers['content-transfer-encoding']);
+
+  // Forwarded notifications arrive as an attached message
+  if (type.value === 'message/rfc822' && depth < MAX_DEPTH) {
+    parsePart(content, depth + 1, result);
+    return;
+  }
+
+  const filename = decodeEncodedWords(disposition.params.filename || type.params.name || '') || null;
+  const isText = type.value === 'text/plain' || type.value === 'text/html';
+
+  if (disposition.value === 'attachment' || filename || !isText) {
+    result.attachments.push({
+      filename,
+      contentType: type.value,
+      size: content.length,
+      content
+    });
+    return;
+  }
+
+  const text = decodeCharset(content, type.params.charset);
+  if (type.value === 'text/html') {
+    if (result.html === null) result.html = text;
+  } else if (result.text === null) {
+    result.text = text;
+  }
+}
+
+/**
+ * Email addresses in a header value ('"Reception" <missed+abc@in.example.com>, ...')
+ */
+function extractAddresses(value) {
+  return (String(value || '').match(ADDRESS_PATTERN) || []).map(address => address.toLowerCase());
+}
+
+/**
+ * Parse a raw email
+ *
+ * @param {Buffer|string} raw - The full message, headers and all
+ * @returns {{headers: object, from: string, to: string[], subject: string, date: Date|null,
+ *   messageId: string|null, text: string, html: string|null,
+ *   attachments: Array<{filename: string|null, contentType: string, size: number, content: Buffer}>}}
+ */
+function parseEmail(raw) {
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw || ''), 'utf8');
+  const { headers } = splitHeaderBody(buffer);
+
+  const result = { text: null, html: null, attachments: [] };
+  parsePart(buffer, 0, result);
+
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    headers,
+    from: decodeEncodedWords(headers.from),
+    to: extractAddresses(headers.to),
+    subject: decodeEncodedWords(headers.subject),
+    date: date && !isNaN(date.getTime()) ? date : null,
+    messageId: headers['message-id'] ? headers['message-id'].replace(/[<>]/g, '').trim() : null,
+    text: result.text !== null ? result.text : (result.html ? htmlToText(result.html) : ''),
+    html: result.html,
+    attachments: result.attachments
+  };
+}
+
+module.exports = {
+  parseEmail,
+  extractAddresses,
+  decodeEncodedWords,
+  htmlToText
+};
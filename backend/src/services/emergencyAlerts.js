@@ -0,0 +1,321 @@
+/**
+ * Emergency Alerts
+ * Tells the on-call staff about a dental emergency (services/emergencyTriage.js)
+ * and keeps escalating until someone acknowledges it
+ *
+ *   raise ──> contact 1 ──N min──> contact 2 ──N min──> ... ──N min──> everyone, once more
+ *                 └──────────── ACK by SMS reply or in the dashboard ───────────┘
+ *
+ * Contacts come from settings.emergency_contacts in escalation order; each
+ * is alerted by SMS (through the outbox) and by email when SMTP is set up
+ * (services/mailer.js). N is settings.emergency_escalation_minutes. The
+ * escalation job claims due alerts with FOR UPDATE SKIP LOCKED like the SMS
+ * outbox, so several instances never escalate the same alert twice.
+ */
+
+const { query } = require('../db/config');
+const { enqueueSMS } = require('./smsOutbox');
+const mailer = require('./mailer');
+const realtime = require('./realtime');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('emergency-alerts');
+
+const DEFAULT_ESCALATION_MINUTES = 10;
+const BATCH_SIZE = 20;
+const MAX_MESSAGE_LENGTH = 200;
+
+const ACK_PATTERN = /^\s*(ack|acknowledged?|on it)\b/i;
+
+function phoneDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+/**
+ * On-call contacts in escalation order, skipping entries with no way to reach them
+ */
+function getContacts(settings) {
+  const contacts = Array.isArray(settings?.emergency_contacts) ? settings.emergency_contacts : [];
+  return contacts.filter(contact => contact && (contact.phone || contact.email));
+}
+
+function getEscalationMinutes(settings) {
+  const minutes = parseInt(settings?.emergency_escalation_minutes, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_ESCALATION_MINUTES;
+}
+
+function alertText(alert, { practiceName, escalated, minutes }) {
+  const message = alert.message.length > MAX_MESSAGE_LENGTH
+    ? `${alert.message.slice(0, MAX_MESSAGE_LENGTH - 3)}...`
+    : alert.message;
+  const prefix = escalated
+    ? `URGENT (not acknowledged after ${minutes} min) - ${practiceName}`
+    : `URGENT - ${practiceName}`;
+
+  return `${prefix}: dental emergency from ${alert.caller_name || 'a patient'} on ${alert.caller_phone}: "${message}".`;
+}
+
+/**
+ * Alert one escalation level: contacts[level], or everyone past the end of the list
+ */
+async function notifyLevel(alert, settings, level) {
+  const contacts = getContacts(settings);
+  const minutes = getEscalationMinutes(settings);
+  const practiceName = settings.practice_name || 'Our Practice';
+  const recipients = level < contacts.length ? [contacts[level]] : contacts;
+  const content = alertText(alert, { practiceName, escalated: level > 0, minutes });
+  const notifiedAt = new Date().toISOString();
+
+  for (const contact of recipients) {
+    if (contact.phone) {
+      await enqueueSMS({
+        userId: alert.user_id,
+        to: contact.phone,
+        content: `${content} Reply ACK if you're handling it.`,
+        context: `emergency-alert-${alert.id}-${level}`,
+        ignoreOptOut: true
+      });
+    }
+
+    if (contact.email && mailer.isConfigured()) {
+      // Don't hold the SMS webhook up on a slow mail server
+      mailer.sendMail({
+        to: contact.email,
+        subject: `Dental emergency: ${alert.caller_name || alert.caller_phone}`,
+        text: `${content}\n\n` +
+          'Acknowledge it on the SmileDesk dashboard, or reply ACK to the alert SMS, to stop it escalating.'
+      });
+    }
+  }
+
+  if (recipients.length === 0) {
+    log.warn({ alertId: alert.id, userId: alert.user_id }, 'No emergency contacts configured - alert only shown in the dashboard');
+  }
+
+  // Past the end of the list everyone has been told; stop there
+  const escalateAgain = recipients.length > 0 && level < contacts.length;
+
+  await query(
+    `UPDATE emergency_alerts
+     SET escalation_level = $1,
+         notified = notified || $2::jsonb,
+         next_escalation_at = CASE WHEN $3::boolean THEN NOW() + make_interval(mins => $4) ELSE NULL END
+     WHERE id = $5`,
+    [
+      level,
+      JSON.stringify(recipients.map(({ name, phone, email }) => ({
+        level,
+        name: name || null,
+        phone: phone || null,
+        email: email || null,
+        at: notifiedAt
+      }))),
+      escalateAgain,
+      minutes,
+      alert.id
+    ]
+  );
+
+  log.info({ alertId: alert.id, level, recipients: recipients.length, escalateAgain }, 'Emergency alert sent');
+}
+
+/**
+ * Record an emergency and alert the first on-call contact
+ * A conversation with an open alert isn't alerted again.
+ *
+ * @param {object} params
+ * @param {object} params.settings - Practice settings (with user_id, practice_name)
+ * @returns {Promise<{alertId: string, duplicate: boolean}>}
+ */
+async function raiseAlert({ settings, conversationId, leadId = null, callerPhone, callerName = null, message, signs = [] }) {
+  const userId = settings.user_id;
+
+  const existing = await query(
+    `SELECT id FROM emergency_alerts
+     WHERE user_id = $1 AND conversation_id = $2 AND status = 'open'
+     LIMIT 1`,
+    [userId, conversationId]
+  );
+
+  if (existing.rows.length > 0) {
+    log.info({ alertId: existing.rows[0].id, conversationId }, 'Emergency already open for conversation');
+    return { alertId: existing.rows[0].id, duplicate: true };
+  }
+
+  const result = await query(
+    `INSERT INTO emergency_alerts (user_id, conversation_id, lead_id, caller_phone, caller_name, message, signs)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId, conversationId, leadId, callerPhone, callerName, message, signs]
+  );
+  const alert = result.rows[0];
+
+  realtime.publish(userId, 'emergency.raised', { alertId: alert.id, conversationId });
+
+  await notifyLevel(alert, settings, 0);
+
+  return { alertId: alert.id, duplicate: false };
+}
+
+/**
+ * Mark an open alert acknowledged and let the others who were alerted stand down
+ *
+ * @returns {Promise<object|null>} - The alert row, or null if it wasn't open
+ */
+async function acknowledgeAlert(userId, alertId, acknowledgedBy, { exceptPhone = null } = {}) {
+  const result = await query(
+    `UPDATE emergency_alerts
+     SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $1, next_escalation_at = NULL
+     WHERE id = $2 AND user_id = $3 AND status = 'open'
+     RETURNING *`,
+    [acknowledgedBy, alertId, userId]
+  );
+
+  const alert = result.rows[0];
+  if (!alert) return null;
+
+  realtime.publish(userId, 'emergency.acknowledged', { alertId: alert.id, acknowledgedBy });
+
+  const phones = new Map();
+  for (const { phone } of alert.notified || []) {
+    if (phone && phoneDigits(phone) !== phoneDigits(exceptPhone)) {
+      phones.set(phoneDigits(phone), phone);
+    }
+  }
+
+  for (const phone of phones.values()) {
+    await enqueueSMS({
+      userId,
+      to: phone,
+      content: `${acknowledgedBy} is handling the dental emergency from ${alert.caller_name || alert.caller_phone}. No action needed.`,
+      context: `emergency-ack-${alert.id}`,
+      ignoreOptOut: true
+    });
+  }
+
+  log.info({ alertId, acknowledgedBy }, 'Emergency alert acknowledged');
+  return alert;
+}
+
+/**
+ * ACK from an on-call contact's phone
+ * Acknowledges the latest open alert they were sent, before the reply is
+ * treated as a patient conversation.
+ *
+ * @returns {Promise<{action: string, alertId: string}|null>} - null if it isn't an acknowledgement
+ */
+async function handleAcknowledgementReply({ userId, callerPhone, messageBody }) {
+  if (!ACK_PATTERN.test(messageBody || '')) return null;
+
+  const digits = phoneDigits(callerPhone);
+  if (digits.length < 8) return null;
+
+  // Recently acknowledged alerts too, so a second ACK doesn't start a patient conversation
+  const result = await query(
+    `SELECT a.id, a.status, a.acknowledged_by, a.caller_name, a.caller_phone, n->>'name' AS contact_name
+     FROM emergency_alerts a
+     CROSS JOIN LATERAL jsonb_array_elements(a.notified) AS n
+     WHERE a.user_id = $1
+       AND (a.status = 'open' OR a.acknowledged_at > NOW() - INTERVAL '1 day')
+       AND RIGHT(REGEXP_REPLACE(n->>'phone', '\\D', '', 'g'), 9) = $2
+     ORDER BY (a.status = 'open') DESC, a.created_at DESC
+     LIMIT 1`,
+    [userId, digits]
+  );
+
+  const match = result.rows[0];
+  if (!match) return null;
+
+  const alert = match.status === 'open'
+    ? await acknowledgeAlert(userId, match.id, match.contact_name || callerPhone, { exceptPhone: callerPhone })
+    : null;
+
+  if (!alert) {
+    const handledBy = match.acknowledged_by || 'someone else';
+    await enqueueSMS({
+      userId,
+      to: callerPhone,
+      content: `Already acknowledged by ${handledBy} - the emergency from ${match.caller_name || match.caller_phone} is being handled.`,
+      context: `emergency-ack-${match.id}`,
+      ignoreOptOut: true
+    });
+    return { action: 'emergency_already_acknowledged', alertId: match.id };
+  }
+
+  await enqueueSMS({
+    userId,
+    to: callerPhone,
+    content: `Thanks - acknowledged. Call ${alert.caller_name || 'the patient'} on ${alert.caller_phone}.`,
+    context: `emergency-ack-${alert.id}`,
+    ignoreOptOut: true
+  });
+
+  return { action: 'emergency_acknowledged', alertId: alert.id };
+}
+
+/**
+ * Claim alerts due to escalate
+ */
+async function claimDue(limit) {
+  const result = await query(
+    `UPDATE emergency_alerts
+     SET next_escalation_at = NULL
+     WHERE id IN (
+       SELECT id FROM emergency_alerts
+       WHERE status = 'open' AND next_escalation_at <= NOW()
+       ORDER BY next_escalation_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Escalate unacknowledged alerts to the next contact
+ * Registered with the scheduler as 'emergency-escalation'
+ */
+async function escalateAlerts() {
+  const due = await claimDue(BATCH_SIZE);
+  let escalated = 0;
+
+  for (const alert of due) {
+    try {
+      const settingsResult = await query(
+        `SELECT s.*, u.practice_name
+         FROM settings s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.user_id = $1`,
+        [alert.user_id]
+      );
+
+      await notifyLevel(alert, settingsResult.rows[0] || { user_id: alert.user_id }, alert.escalation_level + 1);
+      escalated++;
+    } catch (error) {
+      log.error({ alertId: alert.id, error: error.message }, 'Emergency escalation failed');
+
+      // Claiming cleared the due time - put it back so the next run retries
+      await query(
+        `UPDATE emergency_alerts SET next_escalation_at = NOW() + INTERVAL '1 minute'
+         WHERE id = $1 AND status = 'open'`,
+        [alert.id]
+      ).catch(() => {});
+    }
+  }
+
+  if (escalated > 0) {
+    log.warn({ escalated }, 'Unacknowledged emergency alerts escalated');
+  }
+
+  return { escalated };
+}
+
+module.exports = {
+  DEFAULT_ESCALATION_MINUTES,
+  raiseAlert,
+  acknowledgeAlert,
+  handleAcknowledgementReply,
+  escalateAlerts
+};
@@ -0,0 +1,125 @@
+/**
+ * Dental Emergency Triage
+ * Spots SMS replies that describe a dental emergency and takes them out of
+ * the normal flow (routes/sms.js handleConversation):
+ *
+ *   "my tooth broke and I'm bleeding"
+ *     -> lead priority 'high', reason 'Dental emergency'
+ *     -> flow completed as an appointment request (callback_pending)
+ *     -> reply with the practice's emergency instructions
+ *     -> on-call staff alerted, escalating until acknowledged (services/emergencyAlerts.js)
+ *
+ * The classifier is a weighted keyword list: strong signs (bleeding,
+ * swelling, a knocked-out tooth, trouble breathing) are an emergency on
+ * their own, weaker ones (a broken tooth, pain, an accident) only together.
+ * "Not urgent" or bleeding gums while brushing raise the bar.
+ */
+
+const { query } = require('../db/config');
+const conversationFlow = require('./conversationFlow');
+const emergencyAlerts = require('./emergencyAlerts');
+const { sms: log } = require('../utils/logger');
+
+const EMERGENCY_THRESHOLD = 2;
+const DOWNPLAYED_THRESHOLD = 4;
+
+const SIGNS = [
+  { sign: 'trouble breathing or swallowing', weight: 3, pattern: /(can'?t|cannot|hard to|trouble|difficulty|struggling to) (breath|swallow)/i },
+  { sign: "can't open mouth", weight: 2, pattern: /(can'?t|cannot|hard to|trouble) open(ing)? (my|his|her|their) mouth/i },
+  { sign: 'bleeding', weight: 2, pattern: /\bbleed(ing|s)?\b|won'?t stop bleeding|lots of blood|blood everywhere/i },
+  { sign: 'swelling', weight: 2, pattern: /\bswell(ing|ed)?\b|swollen|puffy (face|cheek|jaw|gum)/i },
+  { sign: 'knocked-out tooth', weight: 2, pattern: /knocked (out|loose)|knocked (a|my|his|her|their) tooth|tooth (fell|came|got knocked) out/i },
+  { sign: 'infection', weight: 2, pattern: /abscess|infect|\bpus\b|fever/i },
+  { sign: 'severe pain', weight: 2, pattern: /severe|unbearable|excruciating|agony|killing me|can'?t sleep|worst pain|really bad pain/i },
+  { sign: 'emergency', weight: 2, pattern: /emergenc/i },
+  { sign: 'broken tooth', weight: 1, pattern: /\b(broke|broken|cracked|snapped|chipped)\b/i },
+  { sign: 'pain', weight: 1, pattern: /\bpain|\bhurt|ache\b|\bsore\b|throbbing/i },
+  { sign: 'injury', weight: 1, pattern: /accident|\bfell\b|\bfall\b|hit (in|on) the (face|mouth|jaw)|punched|crash|injur/i },
+  { sign: 'urgent', weight: 1, pattern: /urgent|\basap\b|right away|straight away/i }
+];
+
+const DOWNPLAYED_PATTERN = /not (an? )?(emergency|urgent)|no rush|no hurry|when i (brush|floss)|gums bleed/i;
+
+const DEFAULT_INSTRUCTIONS = 'We\'re sorry you\'re in pain. If you have heavy bleeding that won\'t stop, ' +
+  'swelling that affects your breathing or swallowing, or a serious facial injury, call 000 or go to your ' +
+  'nearest emergency department now. For a knocked-out adult tooth, keep it in milk. ' +
+  'We\'ve flagged your message as urgent and will call you as soon as possible. - {practiceName}';
+
+/**
+ * Is this message a dental emergency?
+ *
+ * @param {string} text - SMS reply
+ * @returns {{emergency: boolean, signs: string[], score: number}}
+ */
+function classifyEmergency(text) {
+  const message = String(text || '');
+  const found = SIGNS.filter(({ pattern }) => pattern.test(message));
+  const score = found.reduce((total, { weight }) => total + weight, 0);
+  const threshold = DOWNPLAYED_PATTERN.test(message) ? DOWNPLAYED_THRESHOLD : EMERGENCY_THRESHOLD;
+
+  return {
+    emergency: score >= threshold,
+    signs: found.map(({ sign }) => sign),
+    score
+  };
+}
+
+/**
+ * The practice's emergency instructions for the patient
+ */
+function getInstructions(settings) {
+  const practiceName = settings?.practice_name || 'Our Practice';
+  return (settings?.emergency_instructions || DEFAULT_INSTRUCTIONS).replace(/\{practiceName\}/g, practiceName);
+}
+
+/**
+ * Handle an emergency reply: prioritise the lead, end the flow, alert staff
+ *
+ * @param {string} conversationId
+ * @param {string} message - Trimmed SMS body
+ * @param {object} settings - Practice settings (with user_id, practice_name)
+ * @param {object} conversation - Conversation row
+ * @param {string[]} signs - From classifyEmergency()
+ * @returns {Promise<string>} - Emergency instructions to send back
+ */
+async function handleEmergency(conversationId, message, settings, conversation, signs) {
+  const understood = await conversationFlow.understandReply(conversationId, message);
+
+  const leadResult = await query(
+    `UPDATE leads
+     SET priority = 'high', reason = COALESCE(reason, 'Dental emergency'), updated_at = NOW()
+     WHERE conversation_id = $1
+     RETURNING id, name`,
+    [conversationId]
+  );
+  const lead = leadResult.rows[0];
+
+  // Nothing left to ask - reception needs to call them back
+  if (['active', 'awaiting_initial_choice', 'awaiting_slot_choice'].includes(conversation.status)) {
+    await conversationFlow.completeFlowEarly(conversationId, settings, conversation, 'appointment_request');
+  }
+
+  const callerName = understood.name ||
+    (lead && !['Unknown Caller', 'SMS Contact'].includes(lead.name) ? lead.name : null);
+
+  await emergencyAlerts.raiseAlert({
+    settings,
+    conversationId,
+    leadId: lead?.id || null,
+    callerPhone: conversation.caller_phone,
+    callerName,
+    message,
+    signs
+  });
+
+  log.warn({ conversationId, signs }, 'Dental emergency reported by SMS');
+
+  return getInstructions(settings);
+}
+
+module.exports = {
+  DEFAULT_INSTRUCTIONS,
+  classifyEmergency,
+  getInstructions,
+  handleEmergency
+};
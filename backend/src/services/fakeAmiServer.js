@@ -0,0 +1,167 @@
+/**
+ * Fake Asterisk Manager Interface
+ * A local stand-in for an Asterisk / FreePBX server, so the AMI connector
+ * (services/asteriskAmi.js) can be exercised without a PBX.
+ *
+ * Accepts any Login whose Username/Secret match the ones it was started
+ * with, answers Ping, and plays back the event sequence Asterisk sends for
+ * an inbound trunk call - missed, missed with voicemail, or answered.
+ *
+ *   npm run fake-ami                      (port 5038, admin / amp111)
+ *   FAKE_AMI_PORT=5039 npm run fake-ami
+ *
+ * Then type m (missed), v (voicemail), a (answered) or d (drop connections)
+ * and Enter. Caller ID comes from FAKE_AMI_CALLER (default 0412345678).
+ */
+
+const net = require('net');
+
+let callCounter = 0;
+
+function formatMessage(fields) {
+  return Object.entries(fields).map(([key, value]) => `${key}: ${value}`).join('\r\n') + '\r\n\r\n';
+}
+
+/**
+ * Events for one inbound call, in the order Asterisk emits them
+ *
+ * @param {'missed'|'voicemail'|'answered'} outcome
+ */
+function inboundCallEvents(outcome, { callerPhone = '0412345678', calledPhone = '0298765432', context = 'from-trunk' } = {}) {
+  callCounter++;
+  const linkedid = `${Math.floor(Date.now() / 1000)}.${callCounter * 2}`;
+  const extensionId = `${Math.floor(Date.now() / 1000)}.${callCounter * 2 + 1}`;
+  const trunk = `PJSIP/trunk-0000${callCounter}`;
+  const phone = `PJSIP/100-0000${callCounter}`;
+
+  const events = [
+    { Event: 'Newchannel', Channel: trunk, CallerIDNum: callerPhone, Context: context, Exten: calledPhone, Uniqueid: linkedid, Linkedid: linkedid },
+    { Event: 'Newexten', Channel: trunk, Context: context, Exten: calledPhone, Application: 'Dial', Uniqueid: linkedid, Linkedid: linkedid },
+    { Event: 'Newchannel', Channel: phone, CallerIDNum: '100', Context: 'from-internal', Exten: '100', Uniqueid: extensionId, Linkedid: linkedid },
+    { Event: 'DialBegin', Channel: trunk, DestChannel: phone, Uniqueid: linkedid, Linkedid: linkedid }
+  ];
+
+  if (outcome === 'answered') {
+    events.push(
+      { Event: 'DialEnd', Channel: trunk, DestChannel: phone, DialStatus: 'ANSWER', Uniqueid: linkedid, Linkedid: linkedid },
+      { Event: 'BridgeEnter', Channel: trunk, BridgeNumChannels: '1', Uniqueid: linkedid, Linkedid: linkedid },
+      { Event: 'BridgeEnter', Channel: phone, BridgeNumChannels: '2', Uniqueid: extensionId, Linkedid: linkedid }
+    );
+  } else {
+    events.push({ Event: 'DialEnd', Channel: trunk, DestChannel: phone, DialStatus: 'NOANSWER', Uniqueid: linkedid, Linkedid: linkedid });
+  }
+
+  events.push({ Event: 'Hangup', Channel: phone, Cause: '16', Uniqueid: extensionId, Linkedid: linkedid });
+
+  if (outcome === 'voicemail') {
+    events.push({ Event: 'Newexten', Channel: trunk, Context: 'macro-vm', Exten: 's-NOANSWER', Application: 'VoiceMail', Uniqueid: linkedid, Linkedid: linkedid });
+  }
+
+  events.push({ Event: 'Hangup', Channel: trunk, Cause: '16', Uniqueid: linkedid, Linkedid: linkedid });
+
+  return events;
+}
+
+/**
+ * Start a fake AMI server
+ *
+ * @returns {Promise<{port: number, emitCall: Function, dropConnections: Function, close: Function}>}
+ */
+function createFakeAmiServer({ port = 5038, username = 'admin', secret = 'amp111' } = {}) {
+  const sessions = new Set();
+
+  const server = net.createServer((socket) => {
+    const session = { socket, loggedIn: false };
+    let buffer = '';
+
+    sessions.add(session);
+    socket.on('close', () => sessions.delete(session));
+    socket.on('error', () => {});
+    socket.write('Asterisk Call Manager/5.0.1\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer = (buffer + chunk.toString('utf8')).replace(/\r\n/g, '\n');
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const fields = {};
+        for (const line of buffer.slice(0, end).split('\n')) {
+          const separator = line.indexOf(':');
+          if (separator > 0) fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+        buffer = buffer.slice(end + 2);
+
+        const actionId = fields.ActionID ? { ActionID: fields.ActionID } : {};
+
+        if (fields.Action === 'Login') {
+          session.loggedIn = fields.Username === username && fields.Secret === secret;
+          socket.write(formatMessage(session.loggedIn
+            ? { Response: 'Success', ...actionId, Message: 'Authentication accepted' }
+            : { Response: 'Error', ...actionId, Message: 'Authentication failed' }));
+        } else if (fields.Action === 'Ping') {
+          socket.write(formatMessage({ Response: 'Success', ...actionId, Ping: 'Pong', Timestamp: Date.now() / 1000 }));
+        } else if (fields.Action === 'Logoff') {
+          socket.end(formatMessage({ Response: 'Goodbye', ...actionId }));
+        } else {
+          socket.write(formatMessage({ Response: 'Error', ...actionId, Message: 'Invalid/unknown command' }));
+        }
+      }
+    });
+  });
+
+  function emitCall(outcome, options) {
+    const payload = inboundCallEvents(outcome, options).map(formatMessage).join('');
+    for (const session of sessions) {
+      if (session.loggedIn) session.socket.write(payload);
+    }
+  }
+
+  function dropConnections() {
+    for (const session of sessions) session.socket.destroy();
+  }
+
+  function close() {
+    dropConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      resolve({ port: server.address().port, emitCall, dropConnections, close });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_AMI_PORT, 10) || 5038;
+  const username = process.env.FAKE_AMI_USERNAME || 'admin';
+  const secret = process.env.FAKE_AMI_SECRET || 'amp111';
+  const callerPhone = process.env.FAKE_AMI_CALLER || '0412345678';
+  const commands = { m: 'missed', v: 'voicemail', a: 'answered' };
+
+  createFakeAmiServer({ port, username, secret }).then((ami) => {
+    console.log(`Fake AMI listening on port ${ami.port} (${username} / ${secret})`);
+    console.log('m = missed call, v = missed call with voicemail, a = answered call, d = drop connections');
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (input) => {
+      const command = input.trim().toLowerCase();
+      if (commands[command]) {
+        ami.emitCall(commands[command], { callerPhone });
+        console.log(`Sent ${commands[command]} call from ${callerPhone}`);
+      } else if (command === 'd') {
+        ami.dropConnections();
+        console.log('Dropped connections');
+      }
+    });
+  }).catch((error) => {
+    console.error('Fake AMI failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createFakeAmiServer,
+  inboundCallEvents
+};
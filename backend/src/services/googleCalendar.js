@@ -0,0 +1,424 @@
+/**
+ * Google Calendar Service
+ * OAuth clients and appointment sync for each practice's Google Calendar
+ *
+ * Each practice connects its own calendar with its own OAuth credentials
+ * (settings.google_client_id / google_client_secret / google_tokens).
+ * Once connected:
+ * - appointments are pushed as events (appointments.google_event_id)
+ * - edits patch the event, cancellations delete it
+ * - busy calendar time is subtracted from bookable slots
+ *
+ * Sync is best-effort: a Google outage never blocks booking. Failures are
+ * logged and the appointment is left to the next edit to retry.
+ *
+ * Testing offline: GOOGLE_CALENDAR_MOCK=true swaps the Google API for the
+ * in-memory calendar in googleCalendarMock.js, or call setCalendarFactory()
+ * to inject any client with the googleapis calendar v3 shape
+ * (test/googleCalendar.test.js does this).
+ */
+
+const { query } = require('../db/config');
+const { decrypt } = require('../utils/crypto');
+const { zonedTimeToDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('calendar');
+
+const CALENDAR_ID = 'primary';
+
+// (userId) => calendar client; replaces OAuth + googleapis when set
+let calendarFactory = null;
+
+if (process.env.GOOGLE_CALENDAR_MOCK === 'true') {
+  const { createMockCalendar } = require('./googleCalendarMock');
+  calendarFactory = userId => createMockCalendar(userId);
+}
+
+/**
+ * Override how calendar clients are created
+ *
+ * @param {Function|null} factory - (userId) => calendar client, or null to use Google
+ */
+function setCalendarFactory(factory) {
+  calendarFactory = factory;
+}
+
+/**
+ * Whether the Google API is being replaced by an injected client
+ */
+function isMocked() {
+  return !!calendarFactory;
+}
+
+/**
+ * OAuth redirect URI registered with Google
+ */
+function getRedirectUri() {
+  return process.env.GOOGLE_REDIRECT_URI ||
+    (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL.replace(/\/$/, '')}/api/calendar/callback` :
+    'http://localhost:3001/api/calendar/callback');
+}
+
+/**
+ * Create an OAuth2 client with the practice's own credentials
+ *
+ * @param {string} userId
+ * @returns {Promise<object|null>} - null when credentials are not configured
+ */
+async function getUserOAuth2Client(userId) {
+  const result = await query(
+    'SELECT google_client_id, google_client_secret FROM settings WHERE user_id = $1',
+    [userId]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].google_client_id || !result.rows[0].google_client_secret) {
+    return null;
+  }
+
+  const { google_client_id, google_client_secret } = result.rows[0];
+  const { google } = require('googleapis');
+
+  return new google.auth.OAuth2(
+    google_client_id,
+    decrypt(google_client_secret),
+    getRedirectUri()
+  );
+}
+
+/**
+ * Save refreshed OAuth tokens
+ */
+async function saveTokens(userId, tokens) {
+  await query(
+    `UPDATE settings SET google_tokens = $1 WHERE user_id = $2`,
+    [JSON.stringify(tokens), userId]
+  );
+}
+
+/**
+ * Get OAuth2 client with tokens and automatic refresh handling
+ *
+ * @param {string} userId
+ * @returns {Promise<{client?: object, error?: string}>}
+ */
+async function getAuthenticatedClient(userId) {
+  const result = await query(
+    'SELECT google_tokens FROM settings WHERE user_id = $1 AND google_calendar_connected = true',
+    [userId]
+  );
+
+  if (result.rows.length === 0 || !result.rows[0].google_tokens) {
+    return { error: 'Calendar not connected' };
+  }
+
+  const oauth2Client = await getUserOAuth2Client(userId);
+  if (!oauth2Client) {
+    return { error: 'OAuth credentials not configured' };
+  }
+
+  let tokens = result.rows[0].google_tokens;
+
+  // Parse tokens if they're a string
+  if (typeof tokens === 'string') {
+    try {
+      tokens = JSON.parse(tokens);
+    } catch (e) {
+      return { error: 'Invalid token format' };
+    }
+  }
+
+  oauth2Client.setCredentials(tokens);
+
+  // Persist tokens googleapis refreshes on its own (refresh_token may not be in new tokens)
+  oauth2Client.on('tokens', async (newTokens) => {
+    log.info({ userId }, 'Google OAuth tokens refreshed');
+    try {
+      await saveTokens(userId, { ...tokens, ...newTokens });
+    } catch (error) {
+      log.error({ userId, error: error.message }, 'Failed to save refreshed tokens');
+    }
+  });
+
+  // Refresh proactively when the access token expires in less than a minute
+  if (tokens.expiry_date && Date.now() >= tokens.expiry_date - 60000) {
+    try {
+      const { credentials } = await oauth2Client.refreshAccessToken();
+      const updatedTokens = { ...tokens, ...credentials };
+
+      await saveTokens(userId, updatedTokens);
+      oauth2Client.setCredentials(updatedTokens);
+    } catch (error) {
+      log.error({ userId, error: error.message }, 'Token refresh failed');
+
+      // Revoked or expired grant: mark the calendar as disconnected
+      if (error.message?.includes('invalid_grant') || error.message?.includes('Token has been revoked')) {
+        await query(
+          `UPDATE settings SET google_calendar_connected = false, google_tokens = NULL WHERE user_id = $1`,
+          [userId]
+        );
+        return { error: 'Calendar authorization expired. Please reconnect your calendar.' };
+      }
+      return { error: 'Failed to refresh calendar access. Please try reconnecting.' };
+    }
+  }
+
+  return { client: oauth2Client };
+}
+
+/**
+ * Get a calendar v3 client for a practice
+ *
+ * @param {string} userId
+ * @returns {Promise<{calendar?: object, error?: string}>}
+ */
+async function getCalendarClient(userId) {
+  if (calendarFactory) {
+    return { calendar: calendarFactory(userId) };
+  }
+
+  const { client, error } = await getAuthenticatedClient(userId);
+  if (error) return { error };
+
+  const { google } = require('googleapis');
+  return { calendar: google.calendar({ version: 'v3', auth: client }) };
+}
+
+/**
+ * Whether a practice has a connected calendar (cheap check before syncing)
+ */
+async function isCalendarConnected(userId) {
+  if (calendarFactory) return true;
+
+  const result = await query(
+    'SELECT google_calendar_connected FROM settings WHERE user_id = $1',
+    [userId]
+  );
+  return !!result.rows[0]?.google_calendar_connected;
+}
+
+/**
+ * Timezone of a location, falling back to the practice's (users.timezone)
+ *
+ * @param {string} userId
+ * @param {string|null} locationId - appointments.location_id; null for the practice's
+ */
+async function getTimezone(userId, locationId = null) {
+  const result = await query(
+    `SELECT COALESCE(l.timezone, u.timezone) AS timezone
+     FROM users u
+     LEFT JOIN locations l ON l.id = $2 AND l.user_id = u.id
+     WHERE u.id = $1`,
+    [userId, locationId]
+  );
+  return result.rows[0]?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Google returns 404 for unknown events and 410 for already-deleted ones
+ */
+function isGone(error) {
+  const status = error.code || error.response?.status;
+  return status === 404 || status === 410;
+}
+
+/**
+ * YYYY-MM-DD for an appointment_date (pg returns DATE as a local-midnight Date)
+ */
+function formatDate(value) {
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+/**
+ * Build a Google Calendar event from an appointments row
+ *
+ * @param {object} apt - appointments row
+ * @param {string} timezone - Timezone of the appointment's location
+ * @returns {object|null} - null when the appointment time can't be parsed
+ */
+function appointmentToEvent(apt, timezone) {
+  // Required lazily: booking.js requires this module for busy time
+  const { parseSlotTime } = require('./booking');
+
+  const minutes = parseSlotTime(apt.appointment_time);
+  if (minutes === null) return null;
+
+  const start = zonedTimeToDate(formatDate(apt.appointment_date), minutes, timezone);
+  const end = new Date(start.getTime() + (apt.duration_minutes || 30) * 60 * 1000);
+
+  const description = [
+    `Patient: ${apt.patient_name}`,
+    `Phone: ${apt.patient_phone}`,
+    apt.patient_email ? `Email: ${apt.patient_email}` : null,
+    apt.reason ? `Reason: ${apt.reason}` : null,
+    apt.notes ? `Notes: ${apt.notes}` : null,
+    'Booked via SmileDesk'
+  ].filter(Boolean).join('\n');
+
+  return {
+    summary: apt.reason ? `${apt.patient_name} - ${apt.reason}` : apt.patient_name,
+    description,
+    start: { dateTime: start.toISOString(), timeZone: timezone },
+    end: { dateTime: end.toISOString(), timeZone: timezone },
+    extendedProperties: {
+      private: { smiledeskAppointmentId: apt.id }
+    }
+  };
+}
+
+/**
+ * Remember (or forget) the event an appointment is mirrored to
+ */
+async function setEventId(appointmentId, eventId) {
+  await query(
+    'UPDATE appointments SET google_event_id = $1 WHERE id = $2',
+    [eventId, appointmentId]
+  );
+}
+
+/**
+ * Create or update the calendar event for an appointment
+ *
+ * @param {string} userId
+ * @param {object} apt - appointments row
+ * @returns {Promise<{synced: boolean, eventId?: string, reason?: string}>}
+ */
+async function pushAppointment(userId, apt) {
+  if (apt.status === 'cancelled') {
+    return removeAppointment(userId, apt);
+  }
+
+  if (!await isCalendarConnected(userId)) {
+    return { synced: false, reason: 'not_connected' };
+  }
+
+  const { calendar, error } = await getCalendarClient(userId);
+  if (error) return { synced: false, reason: error };
+
+  const event = appointmentToEvent(apt, await getTimezone(userId, apt.location_id));
+  if (!event) {
+    log.warn({ userId, appointmentId: apt.id, time: apt.appointment_time }, 'Unparseable appointment time, not synced');
+    return { synced: false, reason: 'invalid_time' };
+  }
+
+  if (apt.google_event_id) {
+    try {
+      await calendar.events.patch({
+        calendarId: CALENDAR_ID,
+        eventId: apt.google_event_id,
+        requestBody: event
+      });
+      log.info({ userId, appointmentId: apt.id, eventId: apt.google_event_id }, 'Calendar event updated');
+      return { synced: true, eventId: apt.google_event_id };
+    } catch (patchError) {
+      // Deleted on the calendar side: fall through and recreate it
+      if (!isGone(patchError)) throw patchError;
+    }
+  }
+
+  const created = await calendar.events.insert({
+    calendarId: CALENDAR_ID,
+    requestBody: event,
+    sendUpdates: 'none'
+  });
+
+  await setEventId(apt.id, created.data.id);
+  log.info({ userId, appointmentId: apt.id, eventId: created.data.id }, 'Calendar event created');
+
+  return { synced: true, eventId: created.data.id };
+}
+
+/**
+ * Delete the calendar event for a cancelled appointment
+ *
+ * @param {string} userId
+ * @param {object} apt - appointments row
+ * @returns {Promise<{synced: boolean, reason?: string}>}
+ */
+async function removeAppointment(userId, apt) {
+  if (!apt.google_event_id) {
+    return { synced: false, reason: 'no_event' };
+  }
+
+  const { calendar, error } = await getCalendarClient(userId);
+  if (error) return { synced: false, reason: error };
+
+  try {
+    await calendar.events.delete({
+      calendarId: CALENDAR_ID,
+      eventId: apt.google_event_id,
+      sendUpdates: 'none'
+    });
+  } catch (deleteError) {
+    if (!isGone(deleteError)) throw deleteError;
+  }
+
+  await setEventId(apt.id, null);
+  log.info({ userId, appointmentId: apt.id, eventId: apt.google_event_id }, 'Calendar event deleted');
+
+  return { synced: true };
+}
+
+/**
+ * Sync an appointment in the background
+ * Never throws: callers have already committed the appointment.
+ *
+ * @param {string} userId
+ * @param {object} apt - appointments row
+ */
+function syncAppointment(userId, apt) {
+  pushAppointment(userId, apt).catch(error => {
+    log.error({ userId, appointmentId: apt.id, error: error.message }, 'Calendar sync failed');
+  });
+}
+
+/**
+ * Busy intervals on the practice's calendar
+ *
+ * @param {string} userId
+ * @param {Date} timeMin
+ * @param {Date} timeMax
+ * @returns {Promise<Array<{start: Date, end: Date}>>} - Empty when not connected
+ */
+async function getBusyIntervals(userId, timeMin, timeMax) {
+  if (!await isCalendarConnected(userId)) return [];
+
+  const { calendar, error } = await getCalendarClient(userId);
+  if (error) return [];
+
+  const response = await calendar.freebusy.query({
+    requestBody: {
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      items: [{ id: CALENDAR_ID }]
+    }
+  });
+
+  const busy = response.data.calendars?.[CALENDAR_ID]?.busy || [];
+
+  return busy.map(interval => ({
+    start: new Date(interval.start),
+    end: new Date(interval.end)
+  }));
+}
+
+module.exports = {
+  CALENDAR_ID,
+  setCalendarFactory,
+  isMocked,
+  getUserOAuth2Client,
+  getAuthenticatedClient,
+  getCalendarClient,
+  isCalendarConnected,
+  getTimezone,
+  formatDate,
+  isGone,
+  appointmentToEvent,
+  pushAppointment,
+  removeAppointment,
+  syncAppointment,
+  getBusyIntervals
+};
@@ -0,0 +1,153 @@
+/**
+ * In-memory Google Calendar
+ * Stands in for the googleapis calendar client when GOOGLE_CALENDAR_MOCK=true,
+ * so calendar sync can be exercised without Google credentials or network.
+ *
+ * Implements the subset SmileDesk uses, with the same {data} response shape:
+ * events.insert / patch / delete / list (including incremental sync tokens)
+ * and freebusy.query. Events are kept per calendarId and lost on restart.
+ */
+
+const crypto = require('crypto');
+
+const calendars = new Map();
+
+function getCalendar(calendarId) {
+  if (!calendars.has(calendarId)) {
+    calendars.set(calendarId, { events: new Map(), changes: new Map(), seq: 0 });
+  }
+  return calendars.get(calendarId);
+}
+
+/**
+ * Store an event and record the change for incremental sync
+ */
+function saveEvent(calendarId, event) {
+  const calendar = getCalendar(calendarId);
+  calendar.seq++;
+  calendar.events.set(event.id, event);
+  calendar.changes.set(event.id, calendar.seq);
+  return event;
+}
+
+function gone() {
+  const error = new Error('Sync token is no longer valid, a full sync is required.');
+  error.code = 410;
+  return error;
+}
+
+function notFound() {
+  const error = new Error('Not Found');
+  error.code = 404;
+  return error;
+}
+
+function eventInstant(point) {
+  return new Date(point?.dateTime || point?.date);
+}
+
+function overlaps(event, timeMin, timeMax) {
+  const start = eventInstant(event.start);
+  const end = eventInstant(event.end);
+  return (!timeMax || start < new Date(timeMax)) && (!timeMin || end > new Date(timeMin));
+}
+
+/**
+ * Create a mock client
+ *
+ * @param {string} namespace - Keeps each practice's calendars separate (e.g. userId)
+ */
+function createMockCalendar(namespace = 'default') {
+  const key = calendarId => `${namespace}/${calendarId || 'primary'}`;
+
+  return {
+    events: {
+      async insert({ calendarId, requestBody, resource }) {
+        const body = requestBody || resource;
+        const event = saveEvent(key(calendarId), {
+          ...body,
+          id: crypto.randomBytes(12).toString('hex'),
+          status: 'confirmed',
+          htmlLink: null,
+          updated: new Date().toISOString()
+        });
+        return { data: event };
+      },
+
+      async patch({ calendarId, eventId, requestBody, resource }) {
+        const existing = getCalendar(key(calendarId)).events.get(eventId);
+        if (!existing || existing.status === 'cancelled') throw notFound();
+
+        const event = saveEvent(key(calendarId), {
+          ...existing,
+          ...(requestBody || resource),
+          id: eventId,
+          updated: new Date().toISOString()
+        });
+        return { data: event };
+      },
+
+      async delete({ calendarId, eventId }) {
+        const existing = getCalendar(key(calendarId)).events.get(eventId);
+        if (!existing || existing.status === 'cancelled') throw notFound();
+
+        saveEvent(key(calendarId), { ...existing, status: 'cancelled', updated: new Date().toISOString() });
+        return { data: '' };
+      },
+
+      async list({ calendarId, timeMin, timeMax, syncToken, showDeleted }) {
+        const calendar = getCalendar(key(calendarId));
+        let items;
+
+        if (syncToken) {
+          // Incremental: everything changed since the token, deletions included
+          const since = Number(syncToken);
+          if (!Number.isInteger(since) || since > calendar.seq) throw gone();
+
+          items = [...calendar.events.values()]
+            .filter(event => calendar.changes.get(event.id) > since);
+        } else {
+          items = [...calendar.events.values()]
+            .filter(event => showDeleted || event.status !== 'cancelled')
+            .filter(event => event.status === 'cancelled' || overlaps(event, timeMin, timeMax))
+            .sort((a, b) => eventInstant(a.start) - eventInstant(b.start));
+        }
+
+        return { data: { items, nextSyncToken: String(calendar.seq) } };
+      }
+    },
+
+    freebusy: {
+      async query({ requestBody, resource }) {
+        const { timeMin, timeMax, items = [] } = requestBody || resource;
+        const result = {};
+
+        for (const { id } of items) {
+          result[id] = {
+            busy: [...getCalendar(key(id)).events.values()]
+              .filter(event => event.status !== 'cancelled' && event.transparency !== 'transparent')
+              .filter(event => overlaps(event, timeMin, timeMax))
+              .map(event => ({
+                start: eventInstant(event.start).toISOString(),
+                end: eventInstant(event.end).toISOString()
+              }))
+          };
+        }
+
+        return { data: { calendars: result } };
+      }
+    }
+  };
+}
+
+/**
+ * Drop every stored event
+ */
+function resetMockCalendar() {
+  calendars.clear();
+}
+
+module.exports = {
+  createMockCalendar,
+  resetMockCalendar
+};
@@ -0,0 +1,320 @@
+/**
+ * iCalendar (RFC 5545) Builder
+ * Appointments as .ics for practices that don't use Google Calendar
+ *
+ * Two outputs:
+ * - buildFeed()    Subscription feed (GET /api/calendar/feed/:token.ics) that
+ *                  Outlook / Apple Calendar poll; METHOD:PUBLISH, practice's view
+ * - buildInvite()  Single appointment (GET /api/appointments/:id?format=ics);
+ *                  METHOD:REQUEST with the patient as attendee when we have their
+ *                  email, METHOD:CANCEL once cancelled
+ *
+ * Times are written in the timezone of each appointment's location
+ * (appointment rows carry it as location_timezone), falling back to the
+ * practice's (users.timezone), with a VTIMEZONE for every timezone used,
+ * generated from the transitions Intl reports for the years covered.
+ */
+
+const { parseSlotTime } = require('./booking');
+const { formatDate } = require('./googleCalendar');
+const { zonedTimeToDate, dateToZonedTime, timezoneOffset, addDays, DEFAULT_TIMEZONE } = require('../utils/timezone');
+
+const PRODID = '-//SmileDesk//Appointments//EN';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the 75
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 20261019T230000Z
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Local wall-clock DATE-TIME (no Z) from YYYY-MM-DD + minutes
+ */
+function formatLocal(date, minutes) {
+  return `${date.replace(/-/g, '')}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+}
+
+/**
+ * +1000 / -0430
+ */
+function formatOffset(ms) {
+  const minutes = Math.round(ms / 60000);
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Find the instant a timezone's offset changes between two instants
+ */
+function findTransition(timezone, from, to) {
+  const before = timezoneOffset(from, timezone);
+
+  while (to - from > 60 * 1000) {
+    const mid = new Date(Math.floor((from.getTime() + to.getTime()) / 2));
+    if (timezoneOffset(mid, timezone) === before) from = mid;
+    else to = mid;
+  }
+
+  // Transitions fall on a whole minute
+  return new Date(Math.floor(to.getTime() / 60000) * 60000);
+}
+
+/**
+ * VTIMEZONE for a timezone, covering the given years
+ *
+ * @returns {string[]} - Content lines
+ */
+function buildTimezone(timezone, fromYear, toYear) {
+  const start = new Date(Date.UTC(fromYear, 0, 1));
+  const end = new Date(Date.UTC(toYear + 1, 0, 1));
+
+  const transitions = [];
+  let previous = timezoneOffset(start, timezone);
+  let minOffset = previous;
+
+  for (let t = start.getTime() + DAY_MS; t <= end.getTime(); t += DAY_MS) {
+    const offset = timezoneOffset(new Date(t), timezone);
+    if (offset !== previous) {
+      transitions.push({ at: findTransition(timezone, new Date(t - DAY_MS), new Date(t)), from: previous, to: offset });
+      previous = offset;
+    }
+    minOffset = Math.min(minOffset, offset);
+  }
+
+  const initial = timezoneOffset(start, timezone);
+  const component = (from, to, wallClock) => [
+    `BEGIN:${to > minOffset ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${wallClock}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${to > minOffset ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  lines.push(...component(initial, initial, `${fromYear}0101T000000`));
+
+  for (const { at, from, to } of transitions) {
+    // DTSTART is the wall-clock time of the transition in the offset it leaves
+    const local = dateToZonedTime(new Date(at.getTime() - 1000), timezone);
+    const minutes = local.minutes + 1;
+    lines.push(...component(from, to, minutes === 1440
+      ? formatLocal(addDays(local.date, 1), 0)
+      : formatLocal(local.date, minutes)));
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Start/end of an appointment, or null if its time can't be parsed
+ */
+function appointmentTimes(apt, timezone) {
+  const minutes = parseSlotTime(apt.appointment_time);
+  if (minutes === null) return null;
+
+  const date = formatDate(apt.appointment_date);
+  const start = zonedTimeToDate(date, minutes, timezone);
+  const end = new Date(start.getTime() + (apt.duration_minutes || 30) * 60 * 1000);
+
+  return { date, minutes, start, end, endLocal: dateToZonedTime(end, timezone) };
+}
+
+/**
+ * Timezone an appointment is written in: its location's, else the practice's
+ */
+function appointmentTimezone(apt, practice) {
+  return apt.location_timezone || practice.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * RFC 5545 STATUS for an appointment status
+ */
+function eventStatus(status) {
+  if (status === 'cancelled') return 'CANCELLED';
+  if (status === 'scheduled') return 'TENTATIVE';
+  return 'CONFIRMED';
+}
+
+/**
+ * VEVENT lines for an appointment
+ *
+ * @param {object} apt - appointments row
+ * @param {object} options
+ * @param {object} options.practice - {practice_name, email, timezone}
+ * @param {boolean} options.forPatient - Patient-facing wording and attendee
+ */
+function buildEvent(apt, { practice, forPatient = false }) {
+  const timezone = appointmentTimezone(apt, practice);
+  const times = appointmentTimes(apt, timezone);
+  if (!times) return [];
+
+  const created = new Date(apt.created_at || Date.now());
+  const updated = new Date(apt.updated_at || apt.created_at || Date.now());
+
+  const summary = forPatient
+    ? `Appointment at ${practice.practice_name}`
+    : (apt.reason ? `${apt.patient_name} - ${apt.reason}` : apt.patient_name);
+
+  const description = forPatient
+    ? [apt.reason ? `Reason: ${apt.reason}` : null, `Reply to our SMS or call ${practice.phone || 'the practice'} to change this appointment.`]
+    : [
+        `Patient: ${apt.patient_name}`,
+        `Phone: ${apt.patient_phone}`,
+        apt.patient_email ? `Email: ${apt.patient_email}` : null,
+        apt.reason ? `Reason: ${apt.reason}` : null,
+        apt.notes ? `Notes: ${apt.notes}` : null,
+        `Status: ${apt.status}`
+      ];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${apt.id}@smiledesk`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `CREATED:${formatUtc(created)}`,
+    `LAST-MODIFIED:${formatUtc(updated)}`,
+    // Seconds since creation always grows with each edit
+    `SEQUENCE:${Math.max(0, Math.floor((updated - created) / 1000))}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(times.date, times.minutes)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(times.endLocal.date, times.endLocal.minutes)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description.filter(Boolean).join('\n'))}`,
+    `STATUS:${eventStatus(apt.status)}`
+  ];
+
+  if (forPatient && practice.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(practice.practice_name)}:mailto:${practice.email}`);
+    if (apt.patient_email) {
+      lines.push(`ATTENDEE;CN=${escapeText(apt.patient_name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${apt.patient_email}`);
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap components in a VCALENDAR and serialize
+ */
+function serialize({ name, timezone, method, appointments, eventOptions }) {
+  const years = appointments
+    .map(apt => parseInt(formatDate(apt.appointment_date).slice(0, 4), 10))
+    .filter(Number.isFinite);
+  const thisYear = new Date().getUTCFullYear();
+  const timezones = new Set(appointments.map(apt => appointmentTimezone(apt, eventOptions.practice)));
+  if (timezones.size === 0) timezones.add(timezone);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  lines.push(`X-WR-TIMEZONE:${timezone}`);
+
+  for (const tzid of timezones) {
+    lines.push(...buildTimezone(tzid, Math.min(thisYear, ...years), Math.max(thisYear, ...years)));
+  }
+
+  for (const apt of appointments) {
+    lines.push(...buildEvent(apt, eventOptions));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Subscription feed of a practice's appointments
+ *
+ * @param {object} practice - users row (practice_name, email, phone, timezone)
+ * @param {Array} appointments - appointments rows (with location_timezone),
+ *   cancelled ones included
+ * @returns {string}
+ */
+function buildFeed(practice, appointments) {
+  return serialize({
+    name: `${practice.practice_name} Appointments`,
+    timezone: practice.timezone || DEFAULT_TIMEZONE,
+    method: 'PUBLISH',
+    appointments,
+    eventOptions: { practice }
+  });
+}
+
+/**
+ * Single-appointment .ics to send to or import for a patient
+ *
+ * @param {object} practice - users row (practice_name, email, phone, timezone)
+ * @param {object} apt - appointments row (with location_timezone)
+ * @returns {string}
+ */
+function buildInvite(practice, apt) {
+  const method = apt.status === 'cancelled' ? 'CANCEL' : (apt.patient_email && practice.email ? 'REQUEST' : 'PUBLISH');
+
+  return serialize({
+    timezone: appointmentTimezone(apt, practice),
+    method,
+    appointments: [apt],
+    eventOptions: { practice, forPatient: true }
+  });
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildFeed,
+  buildInvite
+};
@@ -0,0 +1,163 @@
+/**
+ * Locations
+ * Clinics of a multi-location practice (routes/locations.js)
+ *
+ * A location overrides parts of the practice's settings row - phone numbers,
+ * business hours, greeting and timezone. withLocation() lays a location over
+ * the settings so the rest of the code (missed calls, the conversation flow,
+ * the SMS outbox) keeps reading settings.sms_reply_number, settings.ai_greeting
+ * and so on, and gets the location's value when it has one.
+ *
+ * Where the location comes from:
+ *   missed calls     the number the patient dialled (PBX webhook, AMI, email)
+ *   inbound SMS      the number the patient texted, then the conversation's
+ *   outbound SMS     the conversation's (or call's) location
+ */
+
+const { query } = require('../db/config');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('locations');
+
+// settings columns a location can override (NULL on the location = keep the practice's)
+const OVERRIDES = ['forwarding_phone', 'sms_reply_number', 'business_hours', 'ai_greeting', 'timezone'];
+
+// Last 9 digits - ignores +61 / 0 prefixes and formatting
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 8 ? digits.slice(-9) : null;
+}
+
+/**
+ * Settings with a location's overrides applied
+ * Adds location_id and location_name (null without a location).
+ *
+ * @param {object} settings - settings row (joined with users)
+ * @param {object|null} location - locations row
+ * @returns {object}
+ */
+function withLocation(settings, location) {
+  const merged = { ...settings, location_id: null, location_name: null };
+  if (!location) return merged;
+
+  for (const field of OVERRIDES) {
+    if (location[field] !== null && location[field] !== undefined) {
+      merged[field] = location[field];
+    }
+  }
+  merged.location_id = location.id;
+  merged.location_name = location.name;
+  return merged;
+}
+
+/**
+ * An active location of the practice, or null
+ */
+async function getLocation(userId, locationId) {
+  if (!locationId) return null;
+
+  const result = await query(
+    'SELECT * FROM locations WHERE id = $1 AND user_id = $2 AND is_active = true',
+    [locationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The location a dialled or texted number belongs to, or null
+ * Matches the clinic number, its forwarding number or its SMS number.
+ */
+async function findLocationByNumber(userId, phone) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+
+  const result = await query(
+    `SELECT * FROM locations
+     WHERE user_id = $1 AND is_active = true
+       AND $2 IN (
+         RIGHT(REGEXP_REPLACE(COALESCE(phone, ''), '\\D', '', 'g'), 9),
+         RIGHT(REGEXP_REPLACE(COALESCE(forwarding_phone, ''), '\\D', '', 'g'), 9),
+         RIGHT(REGEXP_REPLACE(COALESCE(sms_reply_number, ''), '\\D', '', 'g'), 9)
+       )
+     ORDER BY created_at
+     LIMIT 1`,
+    [userId, key]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Practice settings for a missed call, with the location of the number the
+ * patient dialled laid over them (unchanged when it isn't a location's)
+ *
+ * @param {object} settings - settings row (joined with users)
+ * @param {string} calledPhone - Number dialled, as the PBX reported it
+ */
+async function resolveForCall(settings, calledPhone) {
+  const location = await findLocationByNumber(settings.user_id, calledPhone);
+
+  if (location) {
+    log.debug({ userId: settings.user_id, locationId: location.id, calledPhone }, 'Missed call placed at location');
+  }
+
+  return withLocation(settings, location);
+}
+
+/**
+ * Practice settings and location for an SMS sent to one of our numbers
+ * Checks location SMS numbers only - practice numbers are looked up by
+ * routes/sms.js itself.
+ *
+ * @param {string} toNumber - Number the patient texted
+ * @returns {Promise<{settings: object, location: object}|null>} - settings
+ *   (with practice_name) as they are, for the caller to lay the location over
+ */
+async function findBySmsNumber(toNumber) {
+  const key = phoneKey(toNumber);
+  if (!key) return null;
+
+  const result = await query(
+    `SELECT l.id AS matched_location_id, s.*, u.id as user_id, u.practice_name
+     FROM locations l
+     JOIN settings s ON s.user_id = l.user_id
+     JOIN users u ON u.id = l.user_id
+     WHERE l.is_active = true
+       AND RIGHT(REGEXP_REPLACE(COALESCE(l.sms_reply_number, ''), '\\D', '', 'g'), 9) = $1
+     LIMIT 1`,
+    [key]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const { matched_location_id: locationId, ...settings } = row;
+  return { settings, location: await getLocation(settings.user_id, locationId) };
+}
+
+/**
+ * Location an outbox row is sent for - the conversation's, else the call's
+ */
+async function getOutboxLocation(row) {
+  if (!row.conversation_id && !row.call_id) return null;
+
+  const result = await query(
+    `SELECT * FROM locations
+     WHERE user_id = $1 AND is_active = true
+       AND id = COALESCE(
+         (SELECT location_id FROM conversations WHERE id = $2),
+         (SELECT location_id FROM calls WHERE id = $3)
+       )`,
+    [row.user_id, row.conversation_id, row.call_id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  OVERRIDES,
+  withLocation,
+  getLocation,
+  findLocationByNumber,
+  resolveForCall,
+  findBySmsNumber,
+  getOutboxLocation
+};
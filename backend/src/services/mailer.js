@@ -0,0 +1,221 @@
+/**
+ * Mailer
+ * A minimal send-only SMTP client for staff alerts (services/emergencyAlerts.js)
+ *
+ * Mail goes through the relay in SMTP_HOST (SMTP_PORT, default 587) from
+ * SMTP_FROM. The connection is upgraded with STARTTLS when the relay offers
+ * it (port 465 is implicit TLS) and authenticated with AUTH PLAIN when
+ * SMTP_USER / SMTP_PASS are set. Without SMTP_HOST email is off and
+ * sendMail() reports that instead of throwing.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('mailer');
+
+const DEFAULT_PORT = 587;
+const TIMEOUT_MS = 30 * 1000;
+
+function getConfig() {
+  const port = parseInt(process.env.SMTP_PORT, 10) || DEFAULT_PORT;
+
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || `SmileDesk <alerts@${process.env.EMAIL_INBOUND_DOMAIN || os.hostname()}>`
+  };
+}
+
+function isConfigured() {
+  return !!process.env.SMTP_HOST;
+}
+
+/**
+ * "SmileDesk <alerts@example.com>" -> "alerts@example.com"
+ */
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII headers
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(String(text).replace(/\r?\n/g, '\r\n'), 'utf8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Line reader for SMTP replies ("250-..." continues, "250 ..." ends a reply)
+ */
+function createSession(socket) {
+  const session = { socket: null, replies: [], waiter: null, error: null };
+  let buffer = '';
+  let lines = [];
+
+  function settle() {
+    if (!session.waiter) return;
+    const { resolve, reject } = session.waiter;
+    if (session.replies.length > 0) {
+      session.waiter = null;
+      resolve(session.replies.shift());
+    } else if (session.error) {
+      session.waiter = null;
+      reject(session.error);
+    }
+  }
+
+  session.attach = (next) => {
+    if (session.socket) {
+      session.socket.removeAllListeners('data');
+      session.socket.setTimeout(0);
+    }
+    session.socket = next;
+    next.setTimeout(TIMEOUT_MS, () => next.destroy(new Error('SMTP server timed out')));
+    next.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        if (/^\d{3}(?: |$)/.test(line)) {
+          session.replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+          lines = [];
+        }
+      }
+      settle();
+    });
+    next.on('error', (error) => {
+      session.error = error;
+      settle();
+    });
+    next.on('close', () => {
+      session.error = session.error || new Error('SMTP connection closed');
+      settle();
+    });
+  };
+
+  session.read = () => new Promise((resolve, reject) => {
+    session.waiter = { resolve, reject };
+    settle();
+  });
+
+  session.attach(socket);
+  return session;
+}
+
+/**
+ * Send a command (or nothing, for the greeting) and expect a reply in the
+ * given class - 2xx, or 3xx for DATA
+ */
+async function command(session, line, expected = 2) {
+  if (line !== null) session.socket.write(`${line}\r\n`);
+  const reply = await session.read();
+
+  if (Math.floor(reply.code / 100) !== expected) {
+    const sent = line && line.startsWith('AUTH') ? 'AUTH' : line;
+    throw new Error(`SMTP ${reply.code} after ${sent || 'connect'}: ${reply.lines.join(' ').slice(0, 200)}`);
+  }
+  return reply;
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Send a plain-text email
+ *
+ * @param {{to: string, subject: string, text: string}} mail
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendMail({ to, subject, text }) {
+  if (!isConfigured()) {
+    return { success: false, error: 'Email not configured (SMTP_HOST)' };
+  }
+
+  const config = getConfig();
+  let session = null;
+
+  try {
+    session = createSession(await connect(config));
+    const helo = os.hostname();
+
+    await command(session, null);
+    const ehlo = await command(session, `EHLO ${helo}`);
+
+    if (!config.secure && ehlo.lines.some(line => /^\d{3}[ -]STARTTLS\b/i.test(line))) {
+      await command(session, 'STARTTLS');
+      session.attach(await upgrade(session.socket, config.host));
+      await command(session, `EHLO ${helo}`);
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`, 'utf8').toString('base64');
+      await command(session, `AUTH PLAIN ${credentials}`);
+    }
+
+    await command(session, `MAIL FROM:<${addressOf(config.from)}>`);
+    await command(session, `RCPT TO:<${addressOf(to)}>`);
+    await command(session, 'DATA', 3);
+
+    // Dot-stuffing isn't needed - the body is base64 - but headers could start with "."
+    const message = buildMessage({ from: config.from, to, subject, text }).replace(/(^|\r\n)\./g, '$1..');
+    await command(session, `${message}\r\n.`);
+    await command(session, 'QUIT').catch(() => {});
+
+    log.info({ to: addressOf(to), subject }, 'Email sent');
+    return { success: true };
+  } catch (error) {
+    log.warn({ to: addressOf(to), error: error.message }, 'Email send failed');
+    return { success: false, error: error.message };
+  } finally {
+    if (session) session.socket.destroy();
+  }
+}
+
+module.exports = {
+  isConfigured,
+  sendMail
+};
@@ -0,0 +1,224 @@
+/**
+ * Missed Calls
+ * Turns a missed call into a call record, conversation, lead and the opening
+ * SMS of the practice's conversation flow
+ *
+ * Used by every way a missed call reaches us: PBX webhooks (routes/pbx.js),
+ * the Asterisk AMI connector (services/asteriskAmi.js), missed-call emails
+ * (services/emailIngestion.js) and the test button.
+ *
+ * Callers who have opted out of SMS (services/optOuts.js) get a call record
+ * for reception to call back, but no SMS.
+ */
+
+const { query } = require('../db/config');
+const smsProvider = require('./smsProvider');
+const { enqueueSMS } = require('./smsOutbox');
+const conversationFlow = require('./conversationFlow');
+const { captureVoicemail } = require('./voicemails');
+const realtime = require('./realtime');
+const audit = require('./audit');
+const patients = require('./patients');
+const optOuts = require('./optOuts');
+const { pbx: log } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+// SMS cooldown in minutes - prevent spam to same number
+const SMS_COOLDOWN_MINUTES = 30;
+
+/**
+ * Check if we can send SMS to this number (cooldown check)
+ */
+async function canSendSMS(userId, callerPhone) {
+  const result = await query(
+    `SELECT id FROM conversations
+     WHERE user_id = $1
+       AND caller_phone = $2
+       AND channel = 'sms'
+       AND (last_sms_at > NOW() - INTERVAL '1 minute' * $3
+            OR created_at > NOW() - INTERVAL '1 minute' * $3)
+     LIMIT 1`,
+    [userId, callerPhone, SMS_COOLDOWN_MINUTES]
+  );
+  return result.rows.length === 0;
+}
+
+/**
+ * Process a missed call and send SMS follow-up
+ * The opening SMS is the first step of the practice's conversation flow
+ *
+ * @param {object} settings - Practice settings, with the location of the
+ *   number dialled laid over them (services/locations.js resolveForCall)
+ * @param {object} options
+ * @param {Date} options.calledAt - When the call happened, if it wasn't just now (emails)
+ * @param {object} options.voicemail - The recording, if the PBX sent one:
+ *   {url} from a webhook, or {content, contentType, filename} from an email attachment
+ */
+async function processMissedCall(userId, callerPhone, settings, callSid = null, hasVoicemail = false, { calledAt = null, voicemail = null } = {}) {
+  const locationId = settings.location_id || null;
+
+  log.info({
+    userId,
+    callerPhone,
+    hasVoicemail,
+    callSid,
+    locationId
+  }, 'Processing missed call');
+
+  // The same caller is the same patient - and keeps the name we learned last time
+  const patient = await patients.findOrCreatePatient(userId, callerPhone);
+  const patientId = patient?.id || null;
+  const patientName = patient?.name || null;
+
+  // If voicemail was left, don't send SMS (dentist will handle)
+  if (hasVoicemail) {
+    // Still record the call
+    const voicemailResult = await query(
+      `INSERT INTO calls (user_id, twilio_call_sid, caller_phone, caller_name, status, is_missed, followup_status, receptionist_status, location_id, patient_id, created_at)
+       VALUES ($1, $2, $3, $4, 'no-answer', true, 'completed', 'pending', $5, $6, COALESCE($7, NOW()))
+       RETURNING id`,
+      [userId, callSid, callerPhone, patientName, locationId, patientId, calledAt]
+    );
+
+    const voicemailCallId = voicemailResult.rows[0].id;
+    await audit.recordSystem(userId, {
+      action: 'call.created',
+      entityType: 'call',
+      entityId: voicemailCallId,
+      changes: { caller_phone: { from: null, to: callerPhone }, voicemail: { from: null, to: true } }
+    });
+    realtime.publish(userId, 'call.created', { callId: voicemailCallId, callerPhone, locationId, patientId, hasVoicemail: true });
+
+    // Keep the recording in the background - the PBX shouldn't wait on a download
+    if (voicemail?.url || voicemail?.content) {
+      captureVoicemail({ ...voicemail, callId: voicemailCallId, userId });
+    }
+
+    log.info({ callerPhone, callId: voicemailCallId }, 'Voicemail left, skipping SMS');
+    return { smsSent: false, reason: 'voicemail_left', callId: voicemailCallId };
+  }
+
+  // Numbers on the opt-out list are never texted - the call still needs a callback
+  if (await optOuts.isOptedOut(userId, callerPhone)) {
+    const optedOutResult = await query(
+      `INSERT INTO calls (user_id, twilio_call_sid, caller_phone, caller_name, status, is_missed, followup_status, receptionist_status, location_id, patient_id, created_at)
+       VALUES ($1, $2, $3, $4, 'no-answer', true, 'opted_out', 'pending', $5, $6, COALESCE($7, NOW()))
+       RETURNING id`,
+      [userId, callSid, callerPhone, patientName, locationId, patientId, calledAt]
+    );
+
+    const optedOutCallId = optedOutResult.rows[0].id;
+    await audit.recordSystem(userId, {
+      action: 'call.created',
+      entityType: 'call',
+      entityId: optedOutCallId,
+      changes: { caller_phone: { from: null, to: callerPhone }, followup_status: { from: null, to: 'opted_out' } }
+    });
+    realtime.publish(userId, 'call.created', { callId: optedOutCallId, callerPhone, locationId, patientId });
+
+    log.info({ callerPhone, callId: optedOutCallId }, 'Caller opted out of SMS, skipping follow-up');
+    return { smsSent: false, reason: 'opted_out', callId: optedOutCallId };
+  }
+
+  // Check cooldown (skip for test calls)
+  const isTestCall = callSid && callSid.startsWith('test-');
+  if (!isTestCall) {
+    const canSend = await canSendSMS(userId, callerPhone);
+    if (!canSend) {
+      log.info({ callerPhone }, 'SMS cooldown active, skipping');
+      return { smsSent: false, reason: 'cooldown' };
+    }
+  }
+
+  // Create call record with new fields
+  const callResult = await query(
+    `INSERT INTO calls (user_id, twilio_call_sid, caller_phone, caller_name, status, is_missed, followup_status, receptionist_status, handled_by_ai, location_id, patient_id, created_at)
+     VALUES ($1, $2, $3, $4, 'no-answer', true, 'pending', 'pending', false, $5, $6, COALESCE($7, NOW()))
+     RETURNING id`,
+    [userId, callSid, callerPhone, patientName, locationId, patientId, calledAt]
+  );
+
+  const callId = callResult.rows[0].id;
+
+  // Create conversation
+  const conversationResult = await query(
+    `INSERT INTO conversations (user_id, call_id, caller_phone, channel, direction, status, location_id, patient_id, last_activity_at)
+     VALUES ($1, $2, $3, 'sms', 'outbound', 'awaiting_initial_choice', $4, $5, NOW())
+     RETURNING id`,
+    [userId, callId, callerPhone, locationId, patientId]
+  );
+
+  const conversationId = conversationResult.rows[0].id;
+
+  // Create lead
+  await query(
+    `INSERT INTO leads (user_id, call_id, conversation_id, name, phone, status, source, location_id, patient_id)
+     VALUES ($1, $2, $3, COALESCE($4, 'Unknown Caller'), $5, 'new', 'missed_call', $6, $7)`,
+    [userId, callId, conversationId, patientName, callerPhone, locationId, patientId]
+  );
+
+  await audit.recordSystem(userId, {
+    action: 'call.created',
+    entityType: 'call',
+    entityId: callId,
+    changes: { caller_phone: { from: null, to: callerPhone } }
+  });
+  realtime.publish(userId, 'call.created', { callId, conversationId, callerPhone, locationId, patientId });
+
+  // SMS MESSAGE - Opening step of the practice's conversation flow
+  const followUpMessage = conversationFlow.getOpeningMessage(settings);
+
+  // Queue the SMS - the outbox worker sends it through the provider chain
+  const hasFromNumber = smsProvider.getProviderChain(settings).some(link => link.fromNumber);
+
+  if (!hasFromNumber) {
+    log.error({ userId }, 'No SMS reply number configured');
+    await query(
+      `UPDATE calls SET followup_status = 'failed' WHERE id = $1`,
+      [callId]
+    );
+    return { smsSent: false, reason: 'no_from_number' };
+  }
+
+  try {
+    const { outboxId } = await enqueueSMS({
+      userId,
+      to: callerPhone,
+      content: followUpMessage,
+      conversationId,
+      callId,
+      context: `missed-call-followup-${callId}`
+    });
+
+    // Update call status (the worker flips it to 'failed' if the SMS is dead-lettered)
+    await query(
+      `UPDATE calls
+       SET conversation_id = $1, followup_status = 'in_progress'
+       WHERE id = $2`,
+      [conversationId, callId]
+    );
+
+    // Update conversation (starts the cooldown window straight away)
+    await query(
+      `UPDATE conversations SET last_sms_at = NOW() WHERE id = $1`,
+      [conversationId]
+    );
+
+    log.info({ callId, conversationId, callerPhone, outboxId }, 'SMS follow-up queued');
+    return { smsQueued: true, callId, conversationId, outboxId };
+  } catch (error) {
+    await query(
+      `UPDATE calls SET followup_status = 'failed' WHERE id = $1`,
+      [callId]
+    );
+    log.error({ callId, error: error.message }, 'SMS enqueue error');
+    captureException(error, { context: 'missed_call_sms', callId });
+    return { smsSent: false, reason: 'error', error: error.message };
+  }
+}
+
+module.exports = {
+  SMS_COOLDOWN_MINUTES,
+  canSendSMS,
+  processMissedCall
+};
@@ -0,0 +1,57 @@
+/**
+ * Reply Understanding (NLU) Registry
+ * Pulls intent and entities out of a patient's free-text SMS, so a reply like
+ * "its Sarah, tooth is killing me, any chance of tmrw arvo?" fills in the lead
+ * instead of leaving an "Unknown Caller" with a note
+ *
+ * Each extractor exposes:
+ * - name
+ * - isConfigured()
+ * - extract(text)     Resolves {intent, name, reason, urgency, preferredTime}, each null if not found
+ *                     intent: 'appointment_request' | 'general_callback'
+ *                     urgency: 'high' | 'medium' | 'low' (leads.priority)
+ *
+ * NLU_PROVIDER picks one: rules (default) or llm. If the chosen extractor
+ * isn't configured or fails, the rule-based one answers instead.
+ */
+
+const rules = require('./rules');
+const llm = require('./llm');
+const { createModuleLogger } = require('../../utils/logger');
+
+const log = createModuleLogger('nlu');
+
+const extractors = new Map([rules, llm].map(extractor => [extractor.name, extractor]));
+
+/**
+ * The configured extractor, falling back to rules
+ */
+function getExtractor() {
+  const extractor = extractors.get(process.env.NLU_PROVIDER);
+  return extractor && extractor.isConfigured() ? extractor : rules;
+}
+
+/**
+ * Understand a free-text reply
+ *
+ * @param {string} text - The patient's message
+ * @returns {Promise<object>} - {intent, name, reason, urgency, preferredTime, extractor}
+ */
+async function extract(text) {
+  const extractor = getExtractor();
+
+  if (extractor !== rules) {
+    try {
+      return { ...(await extractor.extract(text)), extractor: extractor.name };
+    } catch (error) {
+      log.warn({ extractor: extractor.name, error: error.message }, 'Extractor failed, using rules');
+    }
+  }
+
+  return { ...(await rules.extract(text)), extractor: rules.name };
+}
+
+module.exports = {
+  extract,
+  getExtractor
+};
@@ -0,0 +1,83 @@
+/**
+ * LLM extractor (optional)
+ * Sends the reply to an OpenAI-compatible chat completions endpoint and asks
+ * for the same fields as the rule-based extractor, as JSON
+ *
+ * NLU_LLM_URL       Chat completions URL (e.g. https://api.openai.com/v1/chat/completions,
+ *                   or a self-hosted model behind the same API)
+ * NLU_LLM_API_KEY   Bearer token, if the endpoint needs one
+ * NLU_LLM_MODEL     Model name
+ *
+ * Patient messages leave our servers - only point this at a provider the
+ * practice's privacy policy covers.
+ */
+
+const REQUEST_TIMEOUT_MS = 8000;
+const INTENTS = ['appointment_request', 'general_callback'];
+const URGENCIES = ['high', 'medium', 'low'];
+
+const SYSTEM_PROMPT = [
+  'You read SMS replies sent to an Australian dental practice after it missed the patient\'s call.',
+  'Reply with a JSON object only, with these keys (null when the message does not say):',
+  '- intent: "appointment_request" if they want to come in, "general_callback" for anything else',
+  '- name: the patient\'s name as they gave it',
+  '- reason: why they called, in a few words (e.g. "Toothache", "Check-up and clean", "Dental emergency")',
+  '- urgency: "high" (pain, bleeding, swelling, trauma, wants help now), "medium" or "low" (no rush)',
+  '- preferredTime: when they would like to come in, in a few words (e.g. "Tuesday afternoon, after 3pm")'
+].join('\n');
+
+function text(value, maxLength) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+/**
+ * Keep only well-formed fields from the model's answer
+ */
+function normalize(result) {
+  return {
+    intent: INTENTS.includes(result.intent) ? result.intent : null,
+    name: text(result.name, 100),
+    reason: text(result.reason, 255),
+    urgency: URGENCIES.includes(result.urgency) ? result.urgency : null,
+    preferredTime: text(result.preferredTime, 255)
+  };
+}
+
+module.exports = {
+  name: 'llm',
+
+  isConfigured: () => !!(process.env.NLU_LLM_URL && process.env.NLU_LLM_MODEL),
+
+  async extract(message) {
+    const response = await fetch(process.env.NLU_LLM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.NLU_LLM_API_KEY && { Authorization: `Bearer ${process.env.NLU_LLM_API_KEY}` })
+      },
+      body: JSON.stringify({
+        model: process.env.NLU_LLM_MODEL,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: message }
+        ]
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM request failed: HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) throw new Error('LLM returned no content');
+
+    // Some models wrap the JSON in a code fence despite response_format
+    return normalize(JSON.parse(content.replace(/^```(?:json)?\s*|\s*```$/g, '')));
+  },
+
+  normalize
+};
@@ -0,0 +1,140 @@
+/**
+ * Rule-based extractor (the default)
+ * Keyword and pattern matching tuned for dental practice SMS replies and
+ * voicemails: "hi its john, tooth has been killing me, can i come in tmrw arvo?"
+ */
+
+// First match wins, so the most urgent reasons come first
+const REASONS = [
+  { reason: 'Dental emergency', intent: 'appointment_request', pattern: /emergenc|bleeding|swollen|swelling|abscess|knocked out|can'?t sleep|severe pain|really bad pain|killing me/i },
+  { reason: 'Broken tooth', intent: 'appointment_request', pattern: /\b(broke|broken|cracked|chipped)\b/i },
+  { reason: 'Toothache', intent: 'appointment_request', pattern: /tooth ?ache|sore tooth|\bpain\b|\bhurt(s|ing)?\b|sensitive|\bsore\b/i },
+  { reason: 'Wisdom teeth', intent: 'appointment_request', pattern: /wisdom/i },
+  { reason: 'Cancel or reschedule', intent: 'general_callback', pattern: /\bcancel|reschedul|move my appointment|change my appointment|can'?t make (it|my)/i },
+  { reason: 'Check-up and clean', intent: 'appointment_request', pattern: /\bclean|check-?up|hygien|scale and/i },
+  { reason: 'Braces / Invisalign', intent: 'appointment_request', pattern: /braces|invisalign|orthodon|aligner/i },
+  { reason: 'Whitening', intent: 'appointment_request', pattern: /whiten/i },
+  { reason: 'Implants', intent: 'appointment_request', pattern: /implant/i },
+  { reason: 'Dentures', intent: 'appointment_request', pattern: /denture/i },
+  { reason: 'Filling or crown', intent: 'appointment_request', pattern: /\bfilling|\bcrown|root canal/i },
+  { reason: 'Billing or health fund', intent: 'general_callback', pattern: /\bbill\b|invoice|payment|health fund|insurance|\bquote\b|how much|cost/i },
+  { reason: 'New appointment', intent: 'appointment_request', pattern: /appointment|\bappt\b|\bbook|come in|get in|see (the|a) dentist/i }
+];
+
+// "my name is" / "this is" are explicit enough to take a lowercase name (SMS);
+// "it's" / "I'm" need a capitalised one so "it's sore" isn't a name
+const EXPLICIT_NAME_PATTERN = /\b(?:my name is|name's|this is)\s+([a-z][a-z'-]+(?:\s+[a-z][a-z'-]+)?)/gi;
+const CASUAL_NAME_PATTERN = /\b(?:[Ii]t'?s|[Ii]t is|I'?m|I am)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g;
+const SIGN_OFF_PATTERN = /(?:^|[\s,.!])(?:-|–|[Tt]hanks,?|[Cc]heers,?|[Rr]egards,?)\s*([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)\s*[.!]?\s*$/;
+
+// Words that turn up after "this is" / "it's" without being a name
+const NOT_NAMES = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'just', 'calling', 'about', 'regarding', 'urgent', 'the', 'your', 'our', 'not', 'a', 'an', 'my',
+  'dr', 'doctor', 'mr', 'mrs', 'ms', 'miss', 'hi', 'hello', 'again', 'me', 'only', 'still',
+  'really', 'very', 'so', 'quite', 'pretty', 'getting', 'been', 'in', 'for', 'from', 'with',
+  'sore', 'bleeding', 'broken', 'cracked', 'ok', 'okay', 'fine', 'good', 'great', 'urgent',
+  'regarding', 're', 'looking', 'wanting', 'hoping', 'trying', 'after', 'free', 'available',
+  'team', 'thanks', 'thank', 'cheers', 'reception', 'booked', 'going', 'able'
+]);
+
+const HIGH_URGENCY_PATTERN = /emergenc|urgent|asap|as soon as|right away|straight away|bleeding|swollen|swelling|abscess|knocked out|severe|killing me|can'?t sleep|unbearable|excruciating/i;
+const LOW_URGENCY_PATTERN = /no rush|not urgent|whenever|no hurry|any ?time is fine|next month|in a few weeks/i;
+
+const DAY_PATTERN = /\b(today|tonight|tomorrow|tmrw|tmr|this week|next week|(?:mon|tues?|wed(?:nes)?|thu(?:rs)?|fri|sat(?:ur)?|sun)(?:day)?)\b/gi;
+const PART_OF_DAY_PATTERN = /\b(morning|arvo|afternoon|evening|lunch ?time|after school|after work|before work)\b/i;
+const TIME_PATTERN = /\b(?:(before|after|around|at|from|by)\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b(before|after|around|at|from|by)\s+(\d{1,2})(?::(\d{2}))?\b(?!\s*(?:years?|months?|weeks?|days?|hours?|hrs?|min|mins|minutes?|%|\/))/i;
+
+const DAY_NAMES = {
+  mon: 'Monday', tue: 'Tuesday', tues: 'Tuesday', wed: 'Wednesday', wednes: 'Wednesday',
+  thu: 'Thursday', thur: 'Thursday', thurs: 'Thursday', fri: 'Friday', sat: 'Saturday',
+  satur: 'Saturday', sun: 'Sunday', tmrw: 'tomorrow', tmr: 'tomorrow'
+};
+
+function titleCase(words) {
+  return words.split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+}
+
+/**
+ * Name from the first one or two words, dropping words that aren't names
+ */
+function cleanName(candidate) {
+  const [first, last] = candidate.split(/\s+/);
+  if (!first || NOT_NAMES.has(first.toLowerCase())) return null;
+  return titleCase(last && !NOT_NAMES.has(last.toLowerCase()) ? `${first} ${last}` : first);
+}
+
+function findName(text) {
+  for (const pattern of [EXPLICIT_NAME_PATTERN, CASUAL_NAME_PATTERN]) {
+    for (const match of text.matchAll(pattern)) {
+      const name = cleanName(match[1]);
+      if (name) return name;
+    }
+  }
+
+  const signOff = text.match(SIGN_OFF_PATTERN);
+  return signOff ? cleanName(signOff[1]) : null;
+}
+
+function findReason(text) {
+  return REASONS.find(({ pattern }) => pattern.test(text)) || null;
+}
+
+function findUrgency(text) {
+  if (LOW_URGENCY_PATTERN.test(text)) return 'low';
+  if (HIGH_URGENCY_PATTERN.test(text)) return 'high';
+  return null;
+}
+
+function normalizeDay(day) {
+  const lower = day.toLowerCase();
+  const stem = lower.replace(/day$/, '');
+  if (DAY_NAMES[lower]) return DAY_NAMES[lower];
+  if (DAY_NAMES[stem]) return DAY_NAMES[stem];
+  return lower;
+}
+
+/**
+ * Preferred time as the patient put it, tidied: "Tuesday or Wednesday afternoon, after 3pm"
+ */
+function findPreferredTime(text) {
+  const days = [...new Set([...text.matchAll(DAY_PATTERN)].map(match => normalizeDay(match[1])))];
+  const partOfDay = (text.match(PART_OF_DAY_PATTERN) || [])[1];
+  const time = text.match(TIME_PATTERN);
+
+  const parts = [];
+  if (days.length > 0) parts.push(days.slice(0, 3).join(' or '));
+  if (partOfDay) parts.push(partOfDay.toLowerCase() === 'arvo' ? 'afternoon' : partOfDay.toLowerCase());
+
+  let when = parts.join(' ');
+  if (time) {
+    const [, prefix, hour, minutes, meridiem, barePrefix, bareHour, bareMinutes] = time;
+    const clock = hour
+      ? `${prefix ? `${prefix.toLowerCase()} ` : ''}${hour}${minutes ? `:${minutes}` : ''}${meridiem.toLowerCase()}`
+      : `${barePrefix.toLowerCase()} ${bareHour}${bareMinutes ? `:${bareMinutes}` : ''}`;
+    when = when ? `${when}, ${clock}` : clock;
+  }
+
+  return when ? when.charAt(0).toUpperCase() + when.slice(1) : null;
+}
+
+module.exports = {
+  name: 'rules',
+
+  isConfigured: () => true,
+
+  async extract(text) {
+    const reason = findReason(text);
+
+    return {
+      intent: reason ? reason.intent : null,
+      name: findName(text),
+      reason: reason ? reason.reason : null,
+      urgency: findUrgency(text),
+      preferredTime: findPreferredTime(text)
+    };
+  },
+
+  findName,
+  findReason: (text) => findReason(text)?.reason || null
+};
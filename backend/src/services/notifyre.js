@@ -270,10 +270,10 @@ function parseStatusWebhook(webhookData) {
   const data = webhookData;
 
   return {
-    messageId: data.id || data.MessageSid || data.message_id,
+    messageId: data.id || data.MessageSid || data.message_id || data['message-id'],
     status: data.status || data.MessageStatus || data.Status,
-    errorCode: data.error_code || data.ErrorCode,
-    errorMessage: data.error_message || data.ErrorMessage,
+    errorCode: data.error_code || data.ErrorCode || data['error-code'],
+    errorMessage: data.error_message || data.ErrorMessage || data['error-text'],
     timestamp: data.timestamp || data.DateUpdated || new Date().toISOString()
   };
 }
@@ -0,0 +1,259 @@
+/**
+ * SMS Opt-outs
+ * The practice's suppression list (sms_opt_outs, migration v32): numbers
+ * that asked not to be texted
+ *
+ * - STOP / UNSUBSCRIBE (and the other opt-out keywords) add the number,
+ *   START takes it off again - routed here from handleInboundSMS
+ * - Staff add or remove numbers at /api/opt-outs
+ * - The SMS outbox checks every patient message against the list, when it
+ *   is queued and again when it is sent (services/smsOutbox.js)
+ *
+ * Coming off the list doesn't delete the row: opted_in_at is set, so the
+ * compliance export shows when consent was withdrawn and when it was given
+ * again. Numbers are matched on their last 9 digits, as patients are.
+ */
+
+const { query } = require('../db/config');
+const { phoneKey } = require('./patients');
+const audit = require('./audit');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('opt-outs');
+
+// Whole-message keywords (case and trailing punctuation ignored)
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'stop all', 'unsubscribe', 'cancel', 'end', 'quit', 'optout', 'opt out'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe'];
+
+/**
+ * 'opt_out' / 'opt_in' for a keyword message, or null
+ */
+function parseKeyword(messageBody) {
+  const text = String(messageBody || '').trim().toLowerCase().replace(/[.!\s]+$/, '');
+
+  if (OPT_OUT_KEYWORDS.includes(text)) return 'opt_out';
+  if (OPT_IN_KEYWORDS.includes(text)) return 'opt_in';
+  return null;
+}
+
+/**
+ * Whether the practice may not text this number
+ *
+ * @param {string} userId
+ * @param {string} phone - Any format
+ * @returns {Promise<boolean>}
+ */
+async function isOptedOut(userId, phone) {
+  const key = phoneKey(phone);
+  if (!key) return false;
+
+  const result = await query(
+    `SELECT 1 FROM sms_opt_outs
+     WHERE user_id = $1 AND phone_key = $2 AND opted_in_at IS NULL`,
+    [userId, key]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Put a number on the list
+ * A number that had opted back in is suppressed again, with the new details.
+ *
+ * @param {string} userId
+ * @param {string} phone
+ * @param {object} details
+ * @param {string} details.via - 'sms' or 'staff'
+ * @param {string} details.by - Staff member's name (staff)
+ * @param {string} details.keyword - What the patient texted (sms)
+ * @param {string} details.reason
+ * @returns {Promise<{entry: object, added: boolean}|null>} - added is false if
+ *   it was already on the list; null for unusable numbers
+ */
+async function optOut(userId, phone, { via, by = null, keyword = null, reason = null }) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+
+  const existing = await query(
+    'SELECT * FROM sms_opt_outs WHERE user_id = $1 AND phone_key = $2',
+    [userId, key]
+  );
+
+  if (existing.rows[0] && !existing.rows[0].opted_in_at) {
+    return { entry: existing.rows[0], added: false };
+  }
+
+  const result = await query(
+    `INSERT INTO sms_opt_outs (user_id, phone, phone_key, opted_out_via, opted_out_by, keyword, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id, phone_key) DO UPDATE
+       SET phone = EXCLUDED.phone,
+           opted_out_via = EXCLUDED.opted_out_via,
+           opted_out_by = EXCLUDED.opted_out_by,
+           keyword = EXCLUDED.keyword,
+           reason = EXCLUDED.reason,
+           opted_out_at = NOW(),
+           opted_in_at = NULL,
+           opted_in_via = NULL,
+           opted_in_by = NULL,
+           updated_at = NOW()
+     RETURNING *`,
+    [userId, phone, key, via, by, keyword ? keyword.slice(0, 50) : null, reason]
+  );
+
+  log.info({ userId, optOutId: result.rows[0].id, via }, 'Number opted out of SMS');
+  return { entry: result.rows[0], added: true };
+}
+
+/**
+ * Take a number off the list
+ *
+ * @returns {Promise<object|null>} - The updated row, or null if it wasn't on the list
+ */
+async function optIn(userId, phone, { via, by = null }) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+
+  const result = await query(
+    `UPDATE sms_opt_outs
+     SET opted_in_at = NOW(), opted_in_via = $1, opted_in_by = $2, updated_at = NOW()
+     WHERE user_id = $3 AND phone_key = $4 AND opted_in_at IS NULL
+     RETURNING *`,
+    [via, by, userId, key]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  log.info({ userId, optOutId: result.rows[0].id, via }, 'Number opted back in to SMS');
+  return result.rows[0];
+}
+
+/**
+ * STOP / START from a patient
+ * Runs before the reply reaches the conversation, so the list is updated
+ * whether or not the number has a conversation open. The conversation then
+ * sends its usual confirmation.
+ *
+ * @returns {Promise<{action: string, optOutId: string}|null>} - null if it isn't a keyword
+ */
+async function handleKeywordReply({ userId, callerPhone, messageBody }) {
+  const keyword = parseKeyword(messageBody);
+  if (!keyword) return null;
+
+  if (keyword === 'opt_out') {
+    const result = await optOut(userId, callerPhone, { via: 'sms', keyword: messageBody.trim() });
+    if (!result) return null;
+
+    if (result.added) {
+      await audit.recordSystem(userId, {
+        action: 'opt_out.added',
+        entityType: 'opt_out',
+        entityId: result.entry.id,
+        changes: { phone: { from: null, to: callerPhone }, keyword: { from: null, to: result.entry.keyword } }
+      });
+    }
+    return { action: 'opted_out', optOutId: result.entry.id };
+  }
+
+  const entry = await optIn(userId, callerPhone, { via: 'sms' });
+  if (!entry) return null;
+
+  await audit.recordSystem(userId, {
+    action: 'opt_out.removed',
+    entityType: 'opt_out',
+    entityId: entry.id,
+    changes: { phone: { from: entry.phone, to: null }, opted_in_via: { from: null, to: 'sms' } }
+  });
+  return { action: 'opted_in', optOutId: entry.id };
+}
+
+function formatEntry(entry) {
+  return {
+    id: entry.id,
+    phone: entry.phone,
+    patientId: entry.patient_id || null,
+    patientName: entry.patient_name || null,
+    optedOutVia: entry.opted_out_via,
+    optedOutBy: entry.opted_out_by,
+    keyword: entry.keyword,
+    reason: entry.reason,
+    optedOutAt: entry.opted_out_at,
+    optedInAt: entry.opted_in_at,
+    optedInVia: entry.opted_in_via,
+    optedInBy: entry.opted_in_by,
+    active: !entry.opted_in_at
+  };
+}
+
+/**
+ * A page of the list, most recent opt-outs first
+ *
+ * @param {string} userId
+ * @param {object} filters - search (phone or patient name), includeOptedIn
+ *   (numbers that came off the list too), page, limit (omit both for everything)
+ * @returns {Promise<{entries: object[], total: number}>}
+ */
+async function listOptOuts(userId, { search, includeOptedIn = false, page, limit } = {}) {
+  let whereClause = 'WHERE o.user_id = $1';
+  const params = [userId];
+
+  if (!includeOptedIn) {
+    whereClause += ' AND o.opted_in_at IS NULL';
+  }
+
+  if (search) {
+    const digits = search.replace(/\D/g, '');
+    params.push(`%${search}%`);
+    whereClause += ` AND (p.name ILIKE $${params.length}`;
+    if (digits.length >= 3) {
+      params.push(`%${digits.replace(/^0/, '')}%`);
+      whereClause += ` OR o.phone_key LIKE $${params.length}`;
+    }
+    whereClause += ')';
+  }
+
+  const from = `FROM sms_opt_outs o
+     LEFT JOIN patients p ON p.user_id = o.user_id AND p.phone_key = o.phone_key
+     ${whereClause}`;
+
+  const countResult = await query(`SELECT COUNT(*) ${from}`, params);
+
+  let paging = '';
+  if (limit) {
+    params.push(limit, ((page || 1) - 1) * limit);
+    paging = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT o.*, p.id AS patient_id, p.name AS patient_name
+     ${from}
+     ORDER BY o.opted_out_at DESC
+     ${paging}`,
+    params
+  );
+
+  return {
+    entries: result.rows.map(formatEntry),
+    total: parseInt(countResult.rows[0].count, 10)
+  };
+}
+
+async function getOptOut(userId, id) {
+  const result = await query(
+    'SELECT * FROM sms_opt_outs WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  parseKeyword,
+  isOptedOut,
+  optOut,
+  optIn,
+  handleKeywordReply,
+  formatEntry,
+  listOptOuts,
+  getOptOut
+};
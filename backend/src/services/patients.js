@@ -0,0 +1,183 @@
+/**
+ * Patients
+ * One contact record per phone number per practice (patients table,
+ * migration v31), linking the calls, conversations, leads and appointments
+ * of the same person
+ *
+ * Every way a patient reaches us - a missed call, an SMS, a booking, a lead
+ * typed in by staff - goes through findOrCreatePatient() with the phone
+ * number, so a repeat caller lands on the same record. A name learned
+ * anywhere (an SMS reply, a voicemail, a booking) is remembered and used for
+ * the next call's lead instead of 'Unknown Caller'.
+ */
+
+const { query } = require('../db/config');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('patients');
+
+// What leads are called before we know better - never remembered as a name
+const PLACEHOLDER_NAMES = ['Unknown Caller', 'SMS Contact', 'SMS Patient'];
+
+// Last 9 digits - ignores +61 / 0 prefixes and formatting
+function phoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 8 ? digits.slice(-9) : null;
+}
+
+function usableName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return trimmed && !PLACEHOLDER_NAMES.includes(trimmed) ? trimmed.slice(0, 255) : null;
+}
+
+/**
+ * The practice's patient with this phone number, created on first contact
+ * Marks them as seen now. A name or email fills in what we don't have yet;
+ * it never replaces what we do.
+ *
+ * @param {string} userId
+ * @param {string} phone - Any format
+ * @param {object} details - name, email
+ * @returns {Promise<object|null>} - patients row, or null for withheld / unusable numbers
+ */
+async function findOrCreatePatient(userId, phone, { name = null, email = null } = {}) {
+  const key = phoneKey(phone);
+  if (!key) return null;
+
+  const result = await query(
+    `INSERT INTO patients (user_id, phone, phone_key, name, email)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, phone_key) DO UPDATE
+       SET name = COALESCE(patients.name, EXCLUDED.name),
+           email = COALESCE(patients.email, EXCLUDED.email),
+           last_seen_at = NOW(),
+           updated_at = NOW()
+     RETURNING *`,
+    [userId, phone, key, usableName(name), email || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Remember a patient's name
+ * Names understood from SMS or voicemails only fill a blank; a name staff
+ * type in (replace) corrects whatever we had.
+ */
+async function rememberName(patientId, name, { replace = false } = {}) {
+  const usable = usableName(name);
+  if (!patientId || !usable) return;
+
+  const result = await query(
+    `UPDATE patients SET name = $1, updated_at = NOW()
+     WHERE id = $2 AND (name IS NULL OR $3::boolean) AND name IS DISTINCT FROM $1
+     RETURNING id`,
+    [usable, patientId, replace]
+  );
+
+  if (result.rows.length > 0) {
+    log.debug({ patientId, replace }, 'Patient name remembered');
+  }
+}
+
+async function getPatient(userId, patientId) {
+  const result = await query(
+    'SELECT * FROM patients WHERE id = $1 AND user_id = $2',
+    [patientId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Everything that happened with a patient, newest first
+ * Deleted calls and leads are left out.
+ *
+ * @returns {Promise<object[]>} - { type: 'call' | 'conversation' | 'lead' | 'appointment', id, at, ... }
+ */
+async function getTimeline(userId, patientId) {
+  const [calls, conversations, leads, appointments] = await Promise.all([
+    query(
+      `SELECT c.id, c.created_at, c.caller_name, c.call_reason, c.callback_type,
+              c.receptionist_status, c.voicemail_status, c.ai_summary, loc.name AS location_name
+       FROM calls c
+       LEFT JOIN locations loc ON loc.id = c.location_id
+       WHERE c.patient_id = $1 AND c.user_id = $2 AND c.deleted_at IS NULL`,
+      [patientId, userId]
+    ),
+    query(
+      `SELECT conv.id, conv.created_at, conv.channel, conv.direction, conv.status,
+              COUNT(m.id) AS message_count,
+              (ARRAY_AGG(m.content ORDER BY m.created_at DESC))[1] AS last_message
+       FROM conversations conv
+       LEFT JOIN messages m ON m.conversation_id = conv.id
+       WHERE conv.patient_id = $1 AND conv.user_id = $2
+       GROUP BY conv.id`,
+      [patientId, userId]
+    ),
+    query(
+      `SELECT id, created_at, name, status, source, reason, priority
+       FROM leads
+       WHERE patient_id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+      [patientId, userId]
+    ),
+    query(
+      `SELECT id, created_at, appointment_date, appointment_time, duration_minutes, reason, status
+       FROM appointments
+       WHERE patient_id = $1 AND user_id = $2`,
+      [patientId, userId]
+    )
+  ]);
+
+  const events = [
+    ...calls.rows.map(call => ({
+      type: 'call',
+      id: call.id,
+      at: call.created_at,
+      callReason: call.call_reason,
+      callbackType: call.callback_type,
+      receptionistStatus: call.receptionist_status,
+      voicemailStatus: call.voicemail_status,
+      aiSummary: call.ai_summary,
+      locationName: call.location_name
+    })),
+    ...conversations.rows.map(conversation => ({
+      type: 'conversation',
+      id: conversation.id,
+      at: conversation.created_at,
+      channel: conversation.channel,
+      direction: conversation.direction,
+      status: conversation.status,
+      messageCount: parseInt(conversation.message_count, 10),
+      lastMessage: conversation.last_message
+    })),
+    ...leads.rows.map(lead => ({
+      type: 'lead',
+      id: lead.id,
+      at: lead.created_at,
+      status: lead.status,
+      source: lead.source,
+      reason: lead.reason,
+      priority: lead.priority
+    })),
+    ...appointments.rows.map(appointment => ({
+      type: 'appointment',
+      id: appointment.id,
+      at: appointment.created_at,
+      appointmentDate: appointment.appointment_date,
+      appointmentTime: appointment.appointment_time,
+      durationMinutes: appointment.duration_minutes,
+      reason: appointment.reason,
+      status: appointment.status
+    }))
+  ];
+
+  return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+module.exports = {
+  PLACEHOLDER_NAMES,
+  phoneKey,
+  findOrCreatePatient,
+  rememberName,
+  getPatient,
+  getTimeline
+};
@@ -0,0 +1,41 @@
+/**
+ * 3CX adapter
+ * Events: Ringing, Connected, Terminated; only a Terminated call that wasn't answered counts
+ */
+
+module.exports = {
+  id: '3cx',
+  name: '3CX',
+  tier: 'onprem',
+
+  parse(body) {
+    const { event, status } = body;
+
+    return {
+      callerPhone: body.callernumber || body.CallerNumber,
+      calledPhone: body.callednumber || body.dn || body.CalledNumber,
+      callId: body.callid,
+      event,
+      outcome: event === 'Terminated' && status !== 'Answered' ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { callernumber: '0412345678', dn: '100', callid: '3cx-1', event: 'Terminated', status: 'NotAnswered' },
+      expected: { callerPhone: '0412345678', calledPhone: '100', callId: '3cx-1', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { CallerNumber: '0412345678', callid: '3cx-2', event: 'Terminated', status: 'Answered' },
+      expected: { callerPhone: '0412345678', outcome: 'other' }
+    },
+    {
+      name: 'still ringing',
+      body: { callernumber: '0412345678', callid: '3cx-3', event: 'Ringing' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
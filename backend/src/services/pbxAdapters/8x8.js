@@ -0,0 +1,40 @@
+/**
+ * 8x8 adapter
+ */
+
+module.exports = {
+  id: '8x8',
+  name: '8x8',
+  tier: 'cloud',
+
+  parse(body) {
+    const { caller_id, called_number, call_id, call_result, call_status } = body;
+
+    return {
+      callerPhone: caller_id,
+      calledPhone: called_number,
+      callId: call_id,
+      event: call_result || call_status,
+      outcome: call_result === 'missed' || call_status === 'no_answer' ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { caller_id: '0412345678', called_number: '0298765432', call_id: '8x8-1', call_result: 'missed' },
+      expected: { callerPhone: '0412345678', callId: '8x8-1', outcome: 'missed' }
+    },
+    {
+      name: 'no answer status',
+      body: { caller_id: '0412345678', call_id: '8x8-2', call_status: 'no_answer' },
+      expected: { outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { caller_id: '0412345678', call_id: '8x8-3', call_result: 'answered' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,50 @@
+/**
+ * BroadSoft / BroadWorks adapter
+ * Used by MyNetFone, TPG, Symbio, NodeOne, MaxoTel, Crazytel and many other AU providers
+ * Events: Missed / CallMissed, or Released with releaseReason 'Missed'
+ */
+
+module.exports = {
+  id: 'broadsoft',
+  name: 'BroadSoft',
+  tier: 'au_telco',
+
+  parse(body) {
+    const data = body.call || body;
+    const isMissed = body.eventType === 'Missed' ||
+                     body.eventType === 'CallMissed' ||
+                     data.releaseReason === 'Missed' ||
+                     data.disposition === 'missed';
+
+    return {
+      callerPhone: data.remoteParty?.address || data.callingParty || data.from || data.callerNumber,
+      calledPhone: data.address || data.calledParty || data.to || data.calledNumber,
+      callId: body.callId || body.externalTrackingId,
+      event: body.eventType,
+      outcome: isMissed ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: {
+        eventType: 'CallMissed',
+        callId: 'bs-1',
+        call: { remoteParty: { address: 'tel:+61412345678' }, address: 'tel:+61298765432' }
+      },
+      expected: { callerPhone: 'tel:+61412345678', callId: 'bs-1', outcome: 'missed' }
+    },
+    {
+      name: 'released unanswered',
+      body: { eventType: 'Released', externalTrackingId: 'bs-2', callingParty: '0412345678', releaseReason: 'Missed' },
+      expected: { callerPhone: '0412345678', callId: 'bs-2', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { eventType: 'Released', callId: 'bs-3', callingParty: '0412345678', releaseReason: 'Normal' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
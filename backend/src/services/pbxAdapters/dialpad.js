@@ -0,0 +1,63 @@
+/**
+ * Dialpad adapter
+ * Events: call.missed, or call.ended with state/disposition 'missed'
+ *
+ * Signature: with a webhook secret, Dialpad sends the event as a JWT (HS256)
+ * instead of JSON; verifySignature swaps req.body for its verified claims.
+ */
+
+const jwt = require('jsonwebtoken');
+
+module.exports = {
+  id: 'dialpad',
+  name: 'Dialpad',
+  tier: 'cloud',
+
+  parse(body) {
+    const data = body.call || body;
+    const isMissed = body.event_type === 'call.missed' ||
+                     data.state === 'missed' ||
+                     data.disposition === 'missed';
+
+    return {
+      callerPhone: data.external_number || data.from_number || data.caller_id,
+      calledPhone: data.internal_number || data.to_number || data.target_id,
+      callId: data.call_id || data.id,
+      event: body.event_type || data.state,
+      outcome: isMissed ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  verifySignature(req, res, secret) {
+    if (!secret) return true;
+
+    const token = typeof req.body === 'string' ? req.body.trim() : null;
+    if (!token) return false;
+
+    try {
+      req.body = jwt.verify(token, secret, { algorithms: ['HS256'] });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { event_type: 'call.missed', call: { call_id: 'dp-1', external_number: '+61412345678', internal_number: '+61298765432' } },
+      expected: { callerPhone: '+61412345678', calledPhone: '+61298765432', callId: 'dp-1', outcome: 'missed' }
+    },
+    {
+      name: 'call ended unanswered',
+      body: { call_id: 'dp-2', from_number: '+61412345678', state: 'missed' },
+      expected: { callId: 'dp-2', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { call_id: 'dp-3', from_number: '+61412345678', state: 'hangup' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
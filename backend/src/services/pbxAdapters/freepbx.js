@@ -0,0 +1,41 @@
+/**
+ * FreePBX / Asterisk adapter (also Elastix, Issabel)
+ * Dispositions: ANSWERED, NO ANSWER, BUSY, FAILED
+ */
+
+const MISSED_DISPOSITIONS = ['NO ANSWER', 'BUSY', 'FAILED', 'NOANSWER'];
+
+module.exports = {
+  id: 'freepbx',
+  name: 'FreePBX / Asterisk',
+  tier: 'onprem',
+
+  parse(body) {
+    return {
+      callerPhone: body.calleridnum || body.callerid,
+      calledPhone: body.dnid || body.extension,
+      callId: body.uniqueid,
+      event: body.disposition,
+      outcome: MISSED_DISPOSITIONS.includes(body.disposition?.toUpperCase()) ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { calleridnum: '0412345678', dnid: '0298765432', uniqueid: '1700000000.1', disposition: 'NO ANSWER' },
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', callId: '1700000000.1', outcome: 'missed' }
+    },
+    {
+      name: 'busy',
+      body: { callerid: '0412345678', uniqueid: '1700000000.2', disposition: 'busy' },
+      expected: { callerPhone: '0412345678', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { calleridnum: '0412345678', uniqueid: '1700000000.3', disposition: 'ANSWERED' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,43 @@
+/**
+ * Generic PBX adapter
+ * For any system that can POST JSON: {callerPhone, calledPhone, callSid, hasVoicemail, voicemailUrl}
+ * Every event is treated as a missed call.
+ */
+
+module.exports = {
+  id: 'generic',
+  name: 'Generic / Custom',
+  tier: 'generic',
+
+  parse(body) {
+    const { callerPhone, calledPhone, callSid, hasVoicemail, voicemailUrl, recordingUrl } = body;
+
+    return {
+      callerPhone,
+      calledPhone,
+      callId: callSid,
+      event: null,
+      outcome: 'missed',
+      hasVoicemail: hasVoicemail === true || hasVoicemail === 'true' || !!(voicemailUrl || recordingUrl),
+      voicemailUrl: voicemailUrl || recordingUrl || null
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { callerPhone: '0412345678', calledPhone: '0298765432', callSid: 'abc-123' },
+      expected: { callerPhone: '0412345678', callId: 'abc-123', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail left',
+      body: { callerPhone: '0412345678', callSid: 'abc-124', hasVoicemail: 'true' },
+      expected: { outcome: 'missed', hasVoicemail: true, voicemailUrl: null }
+    },
+    {
+      name: 'voicemail with recording',
+      body: { callerPhone: '0412345678', callSid: 'abc-125', voicemailUrl: 'https://pbx.example.com/vm/abc-125.wav' },
+      expected: { outcome: 'missed', hasVoicemail: true, voicemailUrl: 'https://pbx.example.com/vm/abc-125.wav' }
+    }
+  ]
+};
@@ -0,0 +1,43 @@
+/**
+ * GoTo Connect (formerly Jive) adapter
+ * Results: missed, answered, voicemail
+ */
+
+module.exports = {
+  id: 'goto',
+  name: 'GoTo Connect',
+  tier: 'cloud',
+
+  parse(body) {
+    const isMissed = body.callResult === 'missed' ||
+                     body.callResult === 'no_answer' ||
+                     body.eventType === 'call.missed';
+
+    return {
+      callerPhone: body.callerNumber || body.caller || body.from,
+      calledPhone: body.dialedNumber || body.called || body.to,
+      callId: body.callUuid,
+      event: body.eventType || body.callResult,
+      outcome: isMissed ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { callerNumber: '0412345678', dialedNumber: '0298765432', callUuid: 'gt-1', callResult: 'missed' },
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', callId: 'gt-1', outcome: 'missed' }
+    },
+    {
+      name: 'missed event',
+      body: { from: '0412345678', callUuid: 'gt-2', eventType: 'call.missed' },
+      expected: { callerPhone: '0412345678', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { callerNumber: '0412345678', callUuid: 'gt-3', callResult: 'answered' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,65 @@
+/**
+ * PBX Adapter Registry
+ * One module per phone system, declaring how to read its missed-call webhook
+ *
+ * Each adapter exposes:
+ * - id                 URL segment: POST /api/pbx/missed-call/{id} ('generic' is /missed-call)
+ * - name               Shown in Settings
+ * - tier               'cloud' | 'au_telco' | 'onprem' | 'generic'
+ * - parse(body)        Normalized {callerPhone, calledPhone, callId, event, outcome, hasVoicemail}
+ *                      plus voicemailUrl when the payload links the recording (services/voicemails.js)
+ *                      outcome: 'missed' (text the caller back), 'answered' or 'other' (ignored)
+ * - verifySignature    Optional (req, res, secret) => true | false | 'handled', run by
+ *                      middleware/pbxWebhook.js when the practice has saved a signing secret
+ * - fixtures           Sample payloads with the parse() result each must produce
+ *
+ * Adding a PBX: drop a module in this directory, list it below and give it
+ * fixtures for at least a missed and an ignored call (run by
+ * test/pbxAdapters.test.js).
+ */
+
+const ADAPTERS = [
+  require('./generic'),
+  require('./ringcentral'),
+  require('./8x8'),
+  require('./nextiva'),
+  require('./dialpad'),
+  require('./zoom'),
+  require('./vonage'),
+  require('./goto'),
+  require('./webex'),
+  require('./telstra'),
+  require('./optus'),
+  require('./broadsoft'),
+  require('./3cx'),
+  require('./freepbx')
+];
+
+const adapters = new Map(ADAPTERS.map(adapter => [adapter.id, adapter]));
+
+/**
+ * Adapter for a webhook's system segment, or null if we don't support it
+ */
+function getAdapter(id = 'generic') {
+  return adapters.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * All adapters, in the order Settings lists them
+ */
+function listAdapters() {
+  return ADAPTERS;
+}
+
+/**
+ * Webhook path for an adapter
+ */
+function webhookPath(id) {
+  return id === 'generic' ? '/api/pbx/missed-call' : `/api/pbx/missed-call/${id}`;
+}
+
+module.exports = {
+  getAdapter,
+  listAdapters,
+  webhookPath
+};
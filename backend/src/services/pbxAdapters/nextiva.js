@@ -0,0 +1,44 @@
+/**
+ * Nextiva adapter
+ * Call results: missed, answered, voicemail, busy (voicemail carries voicemailUrl)
+ */
+
+const MISSED_RESULTS = ['missed', 'no_answer', 'unanswered'];
+
+module.exports = {
+  id: 'nextiva',
+  name: 'Nextiva',
+  tier: 'cloud',
+
+  parse(body) {
+    const result = body.callResult?.toLowerCase();
+
+    return {
+      callerPhone: body.callerIdNumber || body.from,
+      calledPhone: body.calledNumber || body.to,
+      callId: body.callId,
+      event: body.callResult,
+      outcome: MISSED_RESULTS.includes(result) || result === 'voicemail' ? 'missed' : 'other',
+      hasVoicemail: result === 'voicemail',
+      voicemailUrl: result === 'voicemail' ? body.voicemailUrl || null : null
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { callerIdNumber: '0412345678', calledNumber: '0298765432', callId: 'nx-1', callResult: 'Missed' },
+      expected: { callerPhone: '0412345678', callId: 'nx-1', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail left',
+      body: { from: '0412345678', callId: 'nx-2', callResult: 'voicemail', voicemailUrl: 'https://files.nextiva.com/vm/nx-2.mp3' },
+      expected: { callerPhone: '0412345678', outcome: 'missed', hasVoicemail: true, voicemailUrl: 'https://files.nextiva.com/vm/nx-2.mp3' }
+    },
+    {
+      name: 'answered',
+      body: { callerIdNumber: '0412345678', callId: 'nx-3', callResult: 'answered' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,26 @@
+/**
+ * Optus adapter (Loop, Business Voice)
+ * Same payload shape as Telstra
+ */
+
+const { parseTelcoEvent } = require('./telstra');
+
+module.exports = {
+  id: 'optus',
+  name: 'Optus',
+  tier: 'au_telco',
+  parse: parseTelcoEvent,
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { event: 'CallMissed', callId: 'op-1', from: '0412345678', to: '0298765432' },
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', callId: 'op-1', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { event: 'CallAnswered', callId: 'op-2', from: '0412345678' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,83 @@
+/**
+ * RingCentral adapter
+ * Call log / telephony session events, optionally wrapped in { body: ... }
+ * Voicemail call log records link the message content in message.uri.
+ *
+ * Signature: the subscription's Validation-Token handshake is echoed back;
+ * after that every event must carry the Verification-Token we registered.
+ */
+
+const crypto = require('crypto');
+
+const MISSED_RESULTS = ['Missed', 'No Answer'];
+
+module.exports = {
+  id: 'ringcentral',
+  name: 'RingCentral',
+  tier: 'cloud',
+
+  parse(body) {
+    const data = body.body || body;
+    const result = data.result || data.callResult;
+
+    return {
+      callerPhone: data.from?.phoneNumber || data.callerNumber,
+      calledPhone: data.to?.phoneNumber || data.calledNumber,
+      callId: data.id || data.sessionId,
+      event: result,
+      outcome: MISSED_RESULTS.includes(result) || result === 'Voicemail' ? 'missed' : 'other',
+      hasVoicemail: result === 'Voicemail',
+      voicemailUrl: result === 'Voicemail' ? data.message?.uri || null : null
+    };
+  },
+
+  verifySignature(req, res, secret) {
+    const validationToken = req.headers['validation-token'];
+    if (validationToken) {
+      res.set('Validation-Token', validationToken);
+      res.status(200).end();
+      return 'handled';
+    }
+
+    if (!secret) return true;
+
+    const verificationToken = Buffer.from(String(req.headers['verification-token'] || ''));
+    const expected = Buffer.from(secret);
+    return verificationToken.length === expected.length && crypto.timingSafeEqual(verificationToken, expected);
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: {
+        body: {
+          id: 'rc-1',
+          from: { phoneNumber: '+61412345678' },
+          to: { phoneNumber: '+61298765432' },
+          result: 'Missed'
+        }
+      },
+      expected: { callerPhone: '+61412345678', calledPhone: '+61298765432', callId: 'rc-1', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail left',
+      body: {
+        sessionId: 'rc-2',
+        callerNumber: '+61412345678',
+        result: 'Voicemail',
+        message: { id: '901', type: 'VoiceMail', uri: 'https://media.ringcentral.com/restapi/v1.0/account/1/extension/2/message-store/901/content/902' }
+      },
+      expected: {
+        callId: 'rc-2',
+        outcome: 'missed',
+        hasVoicemail: true,
+        voicemailUrl: 'https://media.ringcentral.com/restapi/v1.0/account/1/extension/2/message-store/901/content/902'
+      }
+    },
+    {
+      name: 'answered',
+      body: { id: 'rc-3', from: { phoneNumber: '+61412345678' }, result: 'Accepted' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,53 @@
+/**
+ * Telstra adapter (TIPT, Business Voice, Hosted PBX)
+ * BroadWorks-style payloads, with the looser field names Telstra's systems send
+ */
+
+const MISSED_EVENTS = ['Missed', 'CallMissed', 'missed'];
+
+/**
+ * Shared with the Optus adapter, which sends the same shape
+ */
+function parseTelcoEvent(body) {
+  const data = body.call || body;
+  const event = body.eventType || body.event;
+  const isMissed = MISSED_EVENTS.includes(event) ||
+                   data.disposition === 'missed' ||
+                   data.result === 'missed' ||
+                   data.status === 'missed';
+
+  return {
+    callerPhone: data.remoteParty?.address || data.callingParty || data.from || data.callerNumber || data.caller,
+    calledPhone: data.address || data.calledParty || data.to || data.calledNumber || data.called,
+    callId: data.callId || data.id,
+    event,
+    outcome: isMissed ? 'missed' : 'other',
+    hasVoicemail: false
+  };
+}
+
+module.exports = {
+  id: 'telstra',
+  name: 'Telstra',
+  tier: 'au_telco',
+  parse: parseTelcoEvent,
+  parseTelcoEvent,
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: { eventType: 'Missed', call: { callId: 'ts-1', callingParty: '0412345678', calledParty: '0298765432' } },
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', callId: 'ts-1', outcome: 'missed' }
+    },
+    {
+      name: 'missed status',
+      body: { event: 'call', id: 'ts-2', caller: '0412345678', status: 'missed' },
+      expected: { callerPhone: '0412345678', callId: 'ts-2', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { event: 'call', id: 'ts-3', caller: '0412345678', status: 'answered' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
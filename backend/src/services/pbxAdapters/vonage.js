@@ -0,0 +1,36 @@
+/**
+ * Vonage Voice adapter
+ * Statuses: started, ringing, answered, completed, busy, cancelled, timeout, failed, rejected
+ */
+
+const MISSED_STATUSES = ['timeout', 'cancelled', 'busy', 'rejected', 'unanswered'];
+
+module.exports = {
+  id: 'vonage',
+  name: 'Vonage',
+  tier: 'cloud',
+
+  parse(body) {
+    return {
+      callerPhone: body.from,
+      calledPhone: body.to,
+      callId: body.uuid,
+      event: body.status,
+      outcome: MISSED_STATUSES.includes(body.status) ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'unanswered',
+      body: { from: '61412345678', to: '61298765432', uuid: 'vg-1', status: 'timeout', direction: 'inbound' },
+      expected: { callerPhone: '61412345678', callId: 'vg-1', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { from: '61412345678', to: '61298765432', uuid: 'vg-2', status: 'answered' },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,47 @@
+/**
+ * Webex Calling adapter
+ * Events: callMissed, or telephony_calls with disposition 'Missed'
+ */
+
+module.exports = {
+  id: 'webex',
+  name: 'Webex Calling',
+  tier: 'cloud',
+
+  parse(body) {
+    const data = body.data || body;
+    const isMissed = body.event === 'callMissed' ||
+                     data.disposition === 'Missed' ||
+                     data.callResult === 'missed';
+
+    return {
+      callerPhone: data.callingParty?.address || data.remoteParty?.number || data.from,
+      calledPhone: data.calledParty?.address || data.localParty?.number || data.to,
+      callId: data.callId || data.id,
+      event: body.event,
+      outcome: isMissed ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: {
+        event: 'callMissed',
+        data: { callId: 'wx-1', callingParty: { address: '+61412345678' }, calledParty: { address: '+61298765432' } }
+      },
+      expected: { callerPhone: '+61412345678', calledPhone: '+61298765432', callId: 'wx-1', outcome: 'missed' }
+    },
+    {
+      name: 'missed disposition',
+      body: { event: 'telephony_calls', data: { id: 'wx-2', remoteParty: { number: '+61412345678' }, disposition: 'Missed' } },
+      expected: { callerPhone: '+61412345678', callId: 'wx-2', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: { event: 'telephony_calls', data: { id: 'wx-3', remoteParty: { number: '+61412345678' }, disposition: 'Answered' } },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
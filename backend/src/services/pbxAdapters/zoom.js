@@ -0,0 +1,77 @@
+/**
+ * Zoom Phone adapter
+ * Events: phone.callee_missed (payload.object holds the call)
+ *
+ * Signature: x-zm-signature = v0=HMAC-SHA256(secret, v0:{timestamp}:{body});
+ * endpoint.url_validation challenges are answered once the signature checks out.
+ */
+
+const crypto = require('crypto');
+
+// Requests older than this are treated as replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+function hmacHex(secret, message) {
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+module.exports = {
+  id: 'zoom',
+  name: 'Zoom Phone',
+  tier: 'cloud',
+
+  parse(body) {
+    const data = body.payload?.object || body;
+
+    return {
+      callerPhone: data.caller_number || data.from,
+      calledPhone: data.callee_number || data.to,
+      callId: data.call_id,
+      event: body.event,
+      outcome: body.event === 'phone.callee_missed' || data.result === 'missed' ? 'missed' : 'other',
+      hasVoicemail: false
+    };
+  },
+
+  verifySignature(req, res, secret) {
+    if (!secret) return true;
+
+    const timestamp = req.headers['x-zm-request-timestamp'];
+    const signature = req.headers['x-zm-signature'];
+
+    if (!timestamp || !signature) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) return false;
+
+    const rawBody = req.rawBody || JSON.stringify(req.body);
+    const expected = Buffer.from(`v0=${hmacHex(secret, `v0:${timestamp}:${rawBody}`)}`);
+    const received = Buffer.from(String(signature));
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return false;
+
+    if (req.body?.event === 'endpoint.url_validation') {
+      const plainToken = req.body.payload?.plainToken;
+      res.json({ plainToken, encryptedToken: hmacHex(secret, String(plainToken)) });
+      return 'handled';
+    }
+
+    return true;
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      body: {
+        event: 'phone.callee_missed',
+        payload: { object: { call_id: 'zm-1', caller_number: '+61412345678', callee_number: '+61298765432' } }
+      },
+      expected: { callerPhone: '+61412345678', calledPhone: '+61298765432', callId: 'zm-1', outcome: 'missed' }
+    },
+    {
+      name: 'answered',
+      body: {
+        event: 'phone.callee_answered',
+        payload: { object: { call_id: 'zm-2', caller_number: '+61412345678' } }
+      },
+      expected: { outcome: 'other' }
+    }
+  ]
+};
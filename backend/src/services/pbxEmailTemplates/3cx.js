@@ -0,0 +1,64 @@
+/**
+ * 3CX email template
+ * 3CX's "Missed call" and "New voicemail" notification emails; the subject
+ * carries the caller ("New Voicemail from 0412345678 (Jane Citizen)")
+ */
+
+const { labelledNumber, phoneNumbersIn, findVoicemailAudio } = require('./generic');
+
+module.exports = {
+  id: '3cx',
+  name: '3CX',
+
+  match(email) {
+    return /3cx/i.test(email.from) ||
+      (/^(new voicemail|missed call) from/i.test(email.subject) && /3cx/i.test(email.text));
+  },
+
+  parse(email) {
+    const hasVoicemail = /voicemail/i.test(email.subject) || !!findVoicemailAudio(email);
+
+    return {
+      callerPhone: labelledNumber(email.subject, ['from']) || phoneNumbersIn(email.text)[0] || null,
+      calledPhone: labelledNumber(email.text, ['called number', 'dialed number', 'did']),
+      outcome: hasVoicemail || /missed call/i.test(email.subject) ? 'missed' : 'other',
+      hasVoicemail
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      email: [
+        'From: 3CX Phone System <noreply@3cx.example.com>',
+        'Subject: Missed call from 0412345678 (Jane Citizen)',
+        'Content-Type: text/html; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        '<p>You have a missed call from <b>Jane Citizen</b> (0412345678).</p>',
+        '<p>Called number: 02=209876=205432</p>'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail',
+      email: [
+        'From: 3CX Phone System <noreply@3cx.example.com>',
+        'Subject: New Voicemail from +61412345678 (Jane Citizen)',
+        'Content-Type: multipart/mixed; boundary=3cxvm',
+        '',
+        '--3cxvm',
+        'Content-Type: text/plain',
+        '',
+        'You have received a new voicemail.',
+        '--3cxvm',
+        'Content-Type: application/octet-stream; name="vmail_0412345678.wav"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        'UklGRiQAAABXQVZFZm10IA==',
+        '--3cxvm--'
+      ].join('\r\n'),
+      expected: { callerPhone: '+61412345678', outcome: 'missed', hasVoicemail: true }
+    }
+  ]
+};
@@ -0,0 +1,74 @@
+/**
+ * FreePBX / Asterisk email template (also Elastix, Issabel)
+ * voicemail.conf's default voicemail-to-email ("[PBX]: New message 1 in
+ * mailbox 100", msg0001.wav attached) and FreePBX missed call notifications
+ * ('Missed call from "Jane" <0412345678>')
+ */
+
+const { labelledNumber, findVoicemailAudio } = require('./generic');
+
+module.exports = {
+  id: 'freepbx',
+  name: 'FreePBX / Asterisk',
+
+  match(email) {
+    return /new message \d+ in mailbox/i.test(email.subject) ||
+      /you were just left a .*message/i.test(email.text) ||
+      (/missed call/i.test(email.subject) && /freepbx|asterisk/i.test(`${email.from}\n${email.text}`));
+  },
+
+  parse(email) {
+    const content = `${email.subject}\n${email.text}`;
+    const hasVoicemail = /new message \d+ in mailbox|left a .*message/i.test(content) || !!findVoicemailAudio(email);
+
+    return {
+      callerPhone: labelledNumber(content, ['from']),
+      calledPhone: labelledNumber(content, ['to']),
+      outcome: hasVoicemail || /missed call/i.test(content) ? 'missed' : 'other',
+      hasVoicemail
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'voicemail-to-email',
+      email: [
+        'From: "PBX" <asterisk@pbx.example.com>',
+        'To: reception@example.com',
+        'Subject: [PBX]: New message 1 in mailbox 100',
+        'Date: Mon, 19 Oct 2026 10:03:40 +1100',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="----voicemail_1001"',
+        '',
+        '------voicemail_1001',
+        'Content-Type: text/plain; charset=ISO-8859-1',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        'Dear Reception:',
+        '',
+        '\tjust wanted to let you know you were just left a 0:12 long message (number 1)',
+        'in mailbox 100 from "Jane Citizen" <0412345678>, on Monday, October 19, 2026 at 10:03:22 AM',
+        'so you might want to check it when you get a chance.  Thanks!',
+        '',
+        '------voicemail_1001',
+        'Content-Type: audio/x-wav; name="msg0001.wav"',
+        'Content-Transfer-Encoding: base64',
+        'Content-Disposition: attachment; filename="msg0001.wav"',
+        '',
+        'UklGRiQAAABXQVZFZm10IA==',
+        '------voicemail_1001--'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', outcome: 'missed', hasVoicemail: true }
+    },
+    {
+      name: 'missed call notification',
+      email: [
+        'From: FreePBX <freepbx@pbx.example.com>',
+        'Subject: Missed call from 0412345678',
+        '',
+        'You have a missed call from "Jane Citizen" <0412345678> to 0298765432.'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', outcome: 'missed', hasVoicemail: false }
+    }
+  ]
+};
@@ -0,0 +1,121 @@
+/**
+ * Generic email template
+ * Any notification that says "missed call" or "voicemail" and carries the
+ * caller's number - after a label (From:, Caller:, Calling number:) or
+ * failing that the first phone number in the subject, then the body.
+ * Auto-detection falls back to it when no other template matches.
+ */
+
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,20}\d/g;
+
+const CALLER_LABELS = ['calling number', 'caller id', 'caller number', 'caller', 'from number', 'from', 'cli'];
+const CALLED_LABELS = ['called number', 'dialled number', 'dialed number', 'to number'];
+
+const AUDIO_EXTENSIONS = /\.(wav|mp3|gsm|ogg|m4a|wma)$/i;
+
+/**
+ * A phone number as digits (keeping a leading +), or null if it can't be one
+ */
+function cleanNumber(value) {
+  const number = String(value || '').trim().replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+  const digits = number.replace(/\D/g, '').length;
+  return digits >= 8 && digits <= 15 ? number : null;
+}
+
+/**
+ * Phone numbers in text, in order
+ */
+function phoneNumbersIn(text) {
+  return (String(text || '').match(PHONE_PATTERN) || []).map(cleanNumber).filter(Boolean);
+}
+
+/**
+ * The number after the first label found ("Caller: 0412 345 678",
+ * 'from "Jane" <0412345678>')
+ */
+function labelledNumber(text, labels) {
+  for (const label of labels) {
+    const pattern = new RegExp(`\\b${label}\\b\\s*[:=-]?\\s*(?:"[^"]*"|[^<\\n\\d+]{0,40})?\\s*<?(\\+?\\(?\\d[\\d\\s().-]{6,20}\\d)`, 'i');
+    const match = String(text || '').match(pattern);
+    const number = match && cleanNumber(match[1]);
+    if (number) return number;
+  }
+  return null;
+}
+
+/**
+ * Voicemail recording attached to the email, if any
+ */
+function findVoicemailAudio(email) {
+  return email.attachments.find(attachment =>
+    attachment.contentType.startsWith('audio/') || AUDIO_EXTENSIONS.test(attachment.filename || '')
+  ) || null;
+}
+
+module.exports = {
+  id: 'generic',
+  name: 'Other (auto-detect)',
+
+  match: () => true,
+
+  parse(email) {
+    const content = `${email.subject}\n${email.text}`;
+    const hasVoicemail = /voice\s?mail|voice message|new message/i.test(content) || !!findVoicemailAudio(email);
+    const isMissed = hasVoicemail || /missed|unanswered|no answer/i.test(content);
+
+    return {
+      callerPhone: labelledNumber(content, CALLER_LABELS) || phoneNumbersIn(email.subject)[0] || phoneNumbersIn(email.text)[0] || null,
+      calledPhone: labelledNumber(content, CALLED_LABELS),
+      outcome: isMissed ? 'missed' : 'other',
+      hasVoicemail
+    };
+  },
+
+  cleanNumber,
+  phoneNumbersIn,
+  labelledNumber,
+  findVoicemailAudio,
+
+  fixtures: [
+    {
+      name: 'missed call',
+      email: [
+        'From: Phone System <pbx@example.com>',
+        'To: missed@example.com',
+        'Subject: Missed call from 0412 345 678',
+        'Date: Mon, 19 Oct 2026 10:03:22 +1100',
+        '',
+        'You missed a call.',
+        'Caller: 0412 345 678',
+        'Called number: 02 9876 5432'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail with audio',
+      email: [
+        'From: pbx@example.com',
+        'Subject: Voicemail',
+        'MIME-Version: 1.0',
+        'Content-Type: multipart/mixed; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        'New voicemail from +61 412 345 678',
+        '--b1',
+        'Content-Type: audio/wav; name="message.wav"',
+        'Content-Transfer-Encoding: base64',
+        '',
+        'UklGRiQAAABXQVZFZm10IA==',
+        '--b1--'
+      ].join('\r\n'),
+      expected: { callerPhone: '+61412345678', outcome: 'missed', hasVoicemail: true }
+    },
+    {
+      name: 'unrelated email',
+      email: 'From: someone@example.com\r\nSubject: Lunch?\r\n\r\nAre you free at 12:30?',
+      expected: { callerPhone: null, outcome: 'other' }
+    }
+  ]
+};
@@ -0,0 +1,58 @@
+/**
+ * PBX Email Template Registry
+ * How to read the missed-call / voicemail notification emails of phone
+ * systems that can't send webhooks (services/emailIngestion.js)
+ *
+ * Each template exposes:
+ * - id                 Stored in settings.pbx_email_template ('auto' = detect)
+ * - name               Shown in Settings
+ * - match(email)       Whether a parsed email (services/emailParser.js) looks like this system's
+ * - parse(email)       Normalized {callerPhone, calledPhone, outcome, hasVoicemail}
+ *                      outcome: 'missed' (text the caller back) or 'other' (ignored)
+ * - fixtures           Sample raw emails with the parse() result each must produce
+ *
+ * Adding a system: drop a module in this directory and list it below, before
+ * 'generic' - detection takes the first template that matches.
+ */
+
+const TEMPLATES = [
+  require('./freepbx'),
+  require('./3cx'),
+  require('./telstra'),
+  require('./optus'),
+  require('./generic')
+];
+
+const templates = new Map(TEMPLATES.map(template => [template.id, template]));
+
+/**
+ * Template by id, or null if we don't have it
+ */
+function getTemplate(id) {
+  return templates.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * The practice's pinned template, else the first one that recognises the email
+ */
+function detectTemplate(email, preferredId = 'auto') {
+  if (preferredId && preferredId !== 'auto') {
+    const preferred = getTemplate(preferredId);
+    if (preferred) return preferred;
+  }
+
+  return TEMPLATES.find(template => template.match(email));
+}
+
+/**
+ * All templates, in the order Settings lists them
+ */
+function listTemplates() {
+  return TEMPLATES;
+}
+
+module.exports = {
+  getTemplate,
+  detectTemplate,
+  listTemplates
+};
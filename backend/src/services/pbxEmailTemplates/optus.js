@@ -0,0 +1,51 @@
+/**
+ * Optus email template (Loop, Business Voice)
+ * "Optus Loop - Missed Call" / "Optus Voicemail" with "Caller: 0412345678"
+ */
+
+const { labelledNumber, phoneNumbersIn, findVoicemailAudio } = require('./generic');
+
+module.exports = {
+  id: 'optus',
+  name: 'Optus',
+
+  match(email) {
+    return /optus/i.test(email.from) || /^optus (loop|voicemail|business)/i.test(email.subject);
+  },
+
+  parse(email) {
+    const content = `${email.subject}\n${email.text}`;
+    const hasVoicemail = /voice ?mail|voice message/i.test(content) || !!findVoicemailAudio(email);
+
+    return {
+      callerPhone: labelledNumber(content, ['caller', 'from']) || phoneNumbersIn(email.text)[0] || null,
+      calledPhone: labelledNumber(content, ['called', 'to']),
+      outcome: hasVoicemail || /missed call/i.test(content) ? 'missed' : 'other',
+      hasVoicemail
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call',
+      email: [
+        'From: Optus Loop <noreply@optus.com.au>',
+        'Subject: Optus Loop - Missed Call',
+        '',
+        'Caller: 0412345678',
+        'Called: 0298765432'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'voicemail',
+      email: [
+        'From: Optus Voicemail <voicemail@optus.com.au>',
+        'Subject: =?UTF-8?Q?Optus_Voicemail_=E2=80=93_new_message?=',
+        '',
+        'Caller: +61 412 345 678'
+      ].join('\r\n'),
+      expected: { callerPhone: '+61412345678', outcome: 'missed', hasVoicemail: true }
+    }
+  ]
+};
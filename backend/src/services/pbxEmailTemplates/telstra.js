@@ -0,0 +1,53 @@
+/**
+ * Telstra email template (MessageBank, Business Voice / TIPT missed call notifications)
+ * "Calling number: 0412 345 678" / "MessageBank: New message from 0412345678"
+ */
+
+const { labelledNumber, phoneNumbersIn, findVoicemailAudio } = require('./generic');
+
+module.exports = {
+  id: 'telstra',
+  name: 'Telstra',
+
+  match(email) {
+    return /telstra|bigpond/i.test(email.from) || /messagebank/i.test(email.subject);
+  },
+
+  parse(email) {
+    const content = `${email.subject}\n${email.text}`;
+    const hasVoicemail = /messagebank|voice ?mail|new message/i.test(content) || !!findVoicemailAudio(email);
+
+    return {
+      callerPhone: labelledNumber(content, ['calling number', 'caller', 'from']) || phoneNumbersIn(email.subject)[0] || null,
+      calledPhone: labelledNumber(content, ['called number', 'your number', 'service number']),
+      outcome: hasVoicemail || /missed call/i.test(content) ? 'missed' : 'other',
+      hasVoicemail
+    };
+  },
+
+  fixtures: [
+    {
+      name: 'missed call notification',
+      email: [
+        'From: Telstra Business <noreply@notifications.telstra.com>',
+        'Subject: Missed Call Notification',
+        '',
+        'You have a missed call.',
+        'Calling number: 0412 345 678',
+        'Called number: 02 9876 5432',
+        'Time: 19/10/2026 10:03 AM'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', calledPhone: '0298765432', outcome: 'missed', hasVoicemail: false }
+    },
+    {
+      name: 'MessageBank',
+      email: [
+        'From: MessageBank <messagebank@telstra.com>',
+        'Subject: MessageBank: New message from 0412345678',
+        '',
+        'You have a new message. Duration: 0:25'
+      ].join('\r\n'),
+      expected: { callerPhone: '0412345678', outcome: 'missed', hasVoicemail: true }
+    }
+  ]
+};
@@ -0,0 +1,194 @@
+/**
+ * Realtime Events
+ * Pushes practice events to open dashboards over Server-Sent Events
+ * (routes/events.js), so Missed Calls updates as things happen instead of
+ * on the next poll
+ *
+ *   call.created            a missed call was recorded (services/missedCalls.js)
+ *   call.updated            marked done / undone / edited, flagged no_response,
+ *                           or its voicemail stored or transcribed
+ *   call.deleted
+ *   message.received        a patient replied by SMS (routes/sms.js)
+ *   message.status          an SMS was sent, failed or its delivery status changed
+ *   emergency.raised        a dental emergency came in (services/emergencyAlerts.js)
+ *   emergency.acknowledged
+ *
+ * Payloads only carry ids and statuses - dashboards refetch what they show.
+ * Events go to every open stream of the practice (user id).
+ *
+ * With one API instance events stay in this process. With several, set
+ * REALTIME_PG_NOTIFY=true so they travel through Postgres LISTEN/NOTIFY and
+ * reach streams on every instance (needs a direct or session-mode database
+ * connection - a transaction pooler drops LISTEN).
+ */
+
+const { query, createDedicatedClient } = require('../db/config');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('realtime');
+
+const CHANNEL = 'smiledesk_events';
+const MAX_STREAMS_PER_USER = 20;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// userId -> Set of send functions, one per open stream
+const streams = new Map();
+
+let listener = null;
+let listenerStarting = false;
+let reconnectTimer = null;
+let stopped = false;
+
+function usePgNotify() {
+  return process.env.REALTIME_PG_NOTIFY === 'true';
+}
+
+function deliver({ userId, type, data, at }) {
+  const subscribers = streams.get(String(userId));
+  if (!subscribers) return;
+
+  for (const send of subscribers) {
+    try {
+      send({ type, data, at });
+    } catch (error) {
+      log.warn({ userId, type, error: error.message }, 'Realtime event not written to stream');
+    }
+  }
+}
+
+function scheduleReconnect() {
+  if (stopped || reconnectTimer) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    startListener();
+  }, RECONNECT_DELAY_MS);
+}
+
+/**
+ * LISTEN on a connection of its own (not a pool slot) and hand NOTIFYs to
+ * this instance's streams
+ */
+async function startListener() {
+  if (!usePgNotify() || listener || listenerStarting || stopped) return;
+  listenerStarting = true;
+
+  const client = createDedicatedClient();
+
+  client.on('notification', (msg) => {
+    if (msg.channel !== CHANNEL) return;
+    try {
+      deliver(JSON.parse(msg.payload));
+    } catch (error) {
+      log.warn({ error: error.message }, 'Unreadable realtime notification');
+    }
+  });
+
+  client.on('error', (error) => {
+    log.error({ error: error.message }, 'Realtime listener connection lost');
+    if (listener === client) listener = null;
+    client.end().catch(() => {});
+    scheduleReconnect();
+  });
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+    listener = client;
+    log.info({ channel: CHANNEL }, 'Realtime listener started');
+  } catch (error) {
+    log.error({ error: error.message }, 'Realtime listener failed to start');
+    client.end().catch(() => {});
+    scheduleReconnect();
+  } finally {
+    listenerStarting = false;
+  }
+}
+
+/**
+ * Register an open stream for a practice
+ *
+ * @param {string} userId
+ * @param {function} send - Called with {type, data, at} for each event
+ * @returns {function|null} - Unsubscribe, or null if the practice has too many streams open
+ */
+function subscribe(userId, send) {
+  const key = String(userId);
+  const subscribers = streams.get(key) || new Set();
+
+  if (subscribers.size >= MAX_STREAMS_PER_USER) return null;
+
+  subscribers.add(send);
+  streams.set(key, subscribers);
+  startListener();
+
+  return () => {
+    subscribers.delete(send);
+    if (subscribers.size === 0 && streams.get(key) === subscribers) {
+      streams.delete(key);
+    }
+  };
+}
+
+/**
+ * Tell a practice's open dashboards something changed
+ * Never throws - a missed event only means the dashboard catches up on its
+ * next refresh.
+ *
+ * @param {string} userId
+ * @param {string} type - e.g. 'call.created'
+ * @param {object} data - Ids and statuses only (NOTIFY payloads are capped at 8KB)
+ */
+function publish(userId, type, data = {}) {
+  if (!userId) return;
+  const event = { userId: String(userId), type, data, at: new Date().toISOString() };
+
+  if (!usePgNotify()) {
+    deliver(event);
+    return;
+  }
+
+  query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(event)]).catch(error => {
+    log.warn({ userId, type, error: error.message }, 'Realtime event not published');
+  });
+}
+
+/**
+ * Number of open streams on this instance (health check)
+ */
+function getStatus() {
+  let open = 0;
+  for (const subscribers of streams.values()) open += subscribers.size;
+  return { streams: open, pgNotify: usePgNotify(), listening: !!listener };
+}
+
+/**
+ * Close every stream and the listener (graceful shutdown - open streams
+ * would otherwise keep the HTTP server from closing). A send function with
+ * a close() method is closed with it.
+ */
+function stopRealtime() {
+  stopped = true;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+
+  for (const subscribers of streams.values()) {
+    for (const send of subscribers) {
+      if (typeof send.close === 'function') send.close();
+    }
+  }
+  streams.clear();
+
+  if (listener) {
+    listener.end().catch(() => {});
+    listener = null;
+  }
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  getStatus,
+  stopRealtime
+};
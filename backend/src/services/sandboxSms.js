@@ -0,0 +1,125 @@
+/**
+ * Sandbox SMS Service
+ * Local stand-in for a real SMS carrier - nothing leaves the machine
+ *
+ * Outbound messages are appended as JSON lines to SMS_SANDBOX_FILE
+ * (default: logs/sms-sandbox.log) and echoed to the console, so the
+ * whole missed-call flow can be exercised offline in dev and staging.
+ *
+ * Inbound replies are simulated by POSTing to /api/sms/incoming/sandbox:
+ * {
+ *   "from": "+61412345678",      // Patient's number
+ *   "to": "+61481073412",        // Practice SMS number
+ *   "message": "1",
+ *   "id": "optional-message-id"
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SANDBOX_FILE = process.env.SMS_SANDBOX_FILE ||
+  path.join(process.cwd(), 'logs', 'sms-sandbox.log');
+
+/**
+ * "Send" an SMS by recording it locally
+ *
+ * @param {string} to - Recipient phone number
+ * @param {string} message - SMS message content
+ * @param {string} from - Sender number
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+ */
+async function sendSMS(to, message, from) {
+  if (!to || !message) {
+    return { success: false, error: 'Missing recipient or message' };
+  }
+
+  const messageId = `sandbox-${crypto.randomUUID()}`;
+  const entry = {
+    messageId,
+    to: normalizePhoneNumber(to),
+    from: normalizePhoneNumber(from) || null,
+    message,
+    sentAt: new Date().toISOString()
+  };
+
+  try {
+    await fs.promises.mkdir(path.dirname(SANDBOX_FILE), { recursive: true });
+    await fs.promises.appendFile(SANDBOX_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    // The console copy is enough to keep the flow going
+    console.error('Sandbox SMS: Failed to write to', SANDBOX_FILE, error.message);
+  }
+
+  console.log('Sandbox SMS:', entry.from, '->', entry.to, JSON.stringify(message));
+
+  return { success: true, messageId };
+}
+
+/**
+ * Normalize phone number to E.164 format
+ *
+ * @param {string} phone - Phone number in various formats
+ * @returns {string} - Phone number in E.164 format
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone) return phone;
+
+  // Remove all non-digit characters except leading +
+  let cleaned = phone.replace(/[^\d+]/g, '');
+
+  // Australian local format: 0412345678 -> +61412345678
+  if (cleaned.startsWith('0') && cleaned.length === 10) {
+    cleaned = '+61' + cleaned.slice(1);
+  } else if (!cleaned.startsWith('+') && cleaned.length >= 10) {
+    cleaned = '+' + cleaned;
+  }
+
+  return cleaned;
+}
+
+/**
+ * Parse a simulated inbound SMS
+ *
+ * @param {object} webhookData - Raw payload
+ * @returns {object} - Normalized inbound message
+ */
+function parseInboundWebhook(webhookData) {
+  const data = webhookData || {};
+
+  return {
+    from: normalizePhoneNumber(data.from),
+    to: normalizePhoneNumber(data.to),
+    message: data.message || data.text || data.body,
+    messageId: data.id || data.messageId || `sandbox-in-${crypto.randomUUID()}`,
+    timestamp: data.timestamp || new Date().toISOString(),
+    type: 'sms_received'
+  };
+}
+
+/**
+ * Parse a simulated delivery status update
+ *
+ * @param {object} webhookData - Raw payload
+ * @returns {object} - Normalized status update
+ */
+function parseStatusWebhook(webhookData) {
+  const data = webhookData || {};
+
+  return {
+    messageId: data.messageId || data.id,
+    status: data.status,
+    errorCode: data.errorCode,
+    errorMessage: data.errorMessage,
+    timestamp: data.timestamp || new Date().toISOString()
+  };
+}
+
+module.exports = {
+  sendSMS,
+  normalizePhoneNumber,
+  parseInboundWebhook,
+  parseStatusWebhook,
+  SANDBOX_FILE
+};
@@ -0,0 +1,384 @@
+/**
+ * SMS Outbox
+ * Durable, Postgres-backed queue for outbound SMS
+ *
+ * Webhook handlers call enqueueSMS() and return straight away. The
+ * 'sms-outbox' scheduler job (and a kick after every enqueue) drains the
+ * queue:
+ *
+ *   pending ──claim──> sending ──ok──> sent
+ *      ^                  │
+ *      └──backoff─────────┤ retryable failure
+ *                         ├──────────> dead   (permanent failure / out of attempts)
+ *                         └──────────> suppressed (recipient opted out)
+ *
+ * Patient messages are checked against the practice's opt-out list
+ * (services/optOuts.js) when they are queued and again just before they are
+ * sent: a number on the list is never queued, and a row queued before its
+ * number opted out is marked 'suppressed' instead of sent. Staff messages
+ * (on-call alerts, invites) and the STOP confirmation pass ignoreOptOut.
+ *
+ * Rows are claimed with FOR UPDATE SKIP LOCKED so several workers (or
+ * several app instances) never send the same message twice. A row stuck in
+ * 'sending' after a crash is reclaimed once its lock goes stale.
+ *
+ * Each queued SMS already has its messages row (delivery_status 'pending'),
+ * so conversations show the reply immediately; the worker fills in
+ * provider, external_message_id and delivery_status once it is sent.
+ */
+
+const { query } = require('../db/config');
+const smsProvider = require('./smsProvider');
+const realtime = require('./realtime');
+const locations = require('./locations');
+const optOuts = require('./optOuts');
+const { createModuleLogger } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+const log = createModuleLogger('sms-outbox');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 60 * 60;
+const STALE_LOCK_MINUTES = 5;
+
+// Prevent overlapping runs within this process
+let draining = false;
+
+/**
+ * Queue an outbound SMS
+ *
+ * @param {object} sms
+ * @param {string} sms.userId - Practice the SMS is sent on behalf of
+ * @param {string} sms.to - Recipient phone number
+ * @param {string} sms.content - Message body
+ * @param {string} sms.conversationId - Conversation to log the message against (optional)
+ * @param {string} sms.callId - Missed call this SMS follows up (optional)
+ * @param {string} sms.context - Context string for logging
+ * @param {boolean} sms.ignoreOptOut - Send even if the number has opted out
+ *   (staff messages and the opt-out confirmation only)
+ * @param {object} db - Query runner (a transaction client); defaults to the pool
+ * @returns {Promise<{outboxId: string|null, messageId: string|null, suppressed: boolean}>} -
+ *   suppressed (and nothing queued) if the number has opted out
+ */
+async function enqueueSMS(sms, db = { query }) {
+  const {
+    userId,
+    to,
+    content,
+    conversationId = null,
+    callId = null,
+    context = 'sms-send',
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    ignoreOptOut = false
+  } = sms;
+
+  if (!ignoreOptOut && await optOuts.isOptedOut(userId, to)) {
+    log.info({ userId, conversationId, callId, context }, 'Recipient opted out, SMS not queued');
+    return { outboxId: null, messageId: null, suppressed: true };
+  }
+
+  let messageId = null;
+
+  if (conversationId) {
+    const messageResult = await db.query(
+      `INSERT INTO messages (conversation_id, sender, content, message_type, delivery_status)
+       VALUES ($1, 'ai', $2, 'text', 'pending')
+       RETURNING id`,
+      [conversationId, content]
+    );
+    messageId = messageResult.rows[0].id;
+  }
+
+  const result = await db.query(
+    `INSERT INTO sms_outbox (user_id, conversation_id, call_id, message_id, to_phone, content, context, max_attempts, ignore_opt_out)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [userId, conversationId, callId, messageId, to, content, context, maxAttempts, ignoreOptOut]
+  );
+
+  const outboxId = result.rows[0].id;
+  log.info({ outboxId, userId, conversationId, callId, context }, 'SMS queued');
+
+  // Send as soon as the current request has finished, without waiting for the next tick
+  setImmediate(() => {
+    processOutbox().catch(error => {
+      log.error({ error: error.message }, 'Outbox kick failed');
+    });
+  });
+
+  return { outboxId, messageId, suppressed: false };
+}
+
+/**
+ * Seconds to wait before the next attempt
+ */
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * Math.pow(2, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Claim a batch of due rows
+ */
+async function claimBatch(limit) {
+  const result = await query(
+    `UPDATE sms_outbox
+     SET status = 'sending', locked_at = NOW(), attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM sms_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'sending' AND locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Record a successful send
+ */
+async function markSent(row, sendResult) {
+  await query(
+    `UPDATE sms_outbox
+     SET status = 'sent', provider = $1, external_message_id = $2,
+         last_error = NULL, locked_at = NULL, sent_at = NOW(), updated_at = NOW()
+     WHERE id = $3`,
+    [sendResult.provider, sendResult.messageId || null, row.id]
+  );
+
+  if (row.message_id) {
+    await query(
+      `UPDATE messages
+       SET external_message_id = $1, delivery_status = 'sent', provider = $2
+       WHERE id = $3`,
+      [sendResult.messageId || null, sendResult.provider, row.message_id]
+    );
+
+    realtime.publish(row.user_id, 'message.status', {
+      messageId: row.message_id,
+      conversationId: row.conversation_id,
+      callId: row.call_id,
+      deliveryStatus: 'sent'
+    });
+  }
+
+  if (row.conversation_id) {
+    await query(
+      `UPDATE conversations SET last_sms_at = NOW() WHERE id = $1`,
+      [row.conversation_id]
+    );
+  }
+
+  if (row.call_id) {
+    await query(
+      `UPDATE calls
+       SET followup_attempts = COALESCE(followup_attempts, 0) + 1, last_followup_at = NOW()
+       WHERE id = $1`,
+      [row.call_id]
+    );
+  }
+
+  log.info({ outboxId: row.id, provider: sendResult.provider, attempts: row.attempts }, 'Queued SMS sent');
+}
+
+/**
+ * Record a failed send: schedule a retry or dead-letter the row
+ */
+async function markFailed(row, error, permanent) {
+  const dead = permanent || row.attempts >= row.max_attempts;
+
+  if (!dead) {
+    const delay = backoffSeconds(row.attempts);
+    await query(
+      `UPDATE sms_outbox
+       SET status = 'pending', last_error = $1, locked_at = NULL,
+           next_attempt_at = NOW() + ($2 || ' seconds')::interval, updated_at = NOW()
+       WHERE id = $3`,
+      [error, String(delay), row.id]
+    );
+    log.warn({ outboxId: row.id, attempts: row.attempts, retryInSeconds: delay, error }, 'Queued SMS failed, will retry');
+    return;
+  }
+
+  await query(
+    `UPDATE sms_outbox
+     SET status = 'dead', last_error = $1, locked_at = NULL, dead_at = NOW(), updated_at = NOW()
+     WHERE id = $2`,
+    [error, row.id]
+  );
+
+  if (row.message_id) {
+    await query(
+      `UPDATE messages SET delivery_status = 'failed', delivery_error = $1 WHERE id = $2`,
+      [error, row.message_id]
+    );
+
+    realtime.publish(row.user_id, 'message.status', {
+      messageId: row.message_id,
+      conversationId: row.conversation_id,
+      callId: row.call_id,
+      deliveryStatus: 'failed'
+    });
+  }
+
+  if (row.call_id) {
+    await query(
+      `UPDATE calls SET followup_status = 'failed' WHERE id = $1 AND followup_status = 'in_progress'`,
+      [row.call_id]
+    );
+  }
+
+  log.error({ outboxId: row.id, attempts: row.attempts, permanent, error }, 'Queued SMS dead-lettered');
+}
+
+/**
+ * Drop a row whose number opted out after it was queued
+ */
+async function markSuppressed(row) {
+  await query(
+    `UPDATE sms_outbox
+     SET status = 'suppressed', last_error = 'Recipient opted out', locked_at = NULL, updated_at = NOW()
+     WHERE id = $1`,
+    [row.id]
+  );
+
+  if (row.message_id) {
+    await query(
+      `UPDATE messages SET delivery_status = 'failed', delivery_error = 'Recipient opted out' WHERE id = $1`,
+      [row.message_id]
+    );
+
+    realtime.publish(row.user_id, 'message.status', {
+      messageId: row.message_id,
+      conversationId: row.conversation_id,
+      callId: row.call_id,
+      deliveryStatus: 'failed'
+    });
+  }
+
+  if (row.call_id) {
+    await query(
+      `UPDATE calls SET followup_status = 'opted_out' WHERE id = $1 AND followup_status = 'in_progress'`,
+      [row.call_id]
+    );
+  }
+
+  log.info({ outboxId: row.id, context: row.context }, 'Queued SMS suppressed, recipient opted out');
+}
+
+/**
+ * Send one claimed row
+ */
+async function deliver(row) {
+  try {
+    if (!row.ignore_opt_out && await optOuts.isOptedOut(row.user_id, row.to_phone)) {
+      await markSuppressed(row);
+      return;
+    }
+
+    const settingsResult = await query(
+      'SELECT * FROM settings WHERE user_id = $1',
+      [row.user_id]
+    );
+
+    // Patients hear from the number of the location they called or texted
+    const settings = locations.withLocation(
+      settingsResult.rows[0] || {},
+      await locations.getOutboxLocation(row)
+    );
+
+    const sendResult = await smsProvider.sendWithFailover(
+      settings,
+      row.to_phone,
+      row.content,
+      { context: row.context || `outbox-${row.id}`, maxRetries: 0 }
+    );
+
+    if (sendResult.success) {
+      await markSent(row, sendResult);
+    } else {
+      await markFailed(row, sendResult.error, sendResult.permanent);
+    }
+  } catch (error) {
+    captureException(error, { context: 'sms_outbox', outboxId: row.id });
+    await markFailed(row, error.message, false);
+  }
+}
+
+/**
+ * Drain due rows from the outbox
+ * Registered with the scheduler as 'sms-outbox'
+ */
+async function processOutbox({ batchSize = BATCH_SIZE } = {}) {
+  if (draining) return { skipped: true };
+  draining = true;
+
+  let processed = 0;
+
+  try {
+    let batch;
+    do {
+      batch = await claimBatch(batchSize);
+      for (const row of batch) {
+        await deliver(row);
+        processed++;
+      }
+    } while (batch.length === batchSize);
+
+    if (processed > 0) {
+      log.info({ processed }, 'Outbox drained');
+    }
+
+    return { processed };
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Put a dead-lettered SMS back in the queue
+ *
+ * @param {string} id - Outbox row id
+ * @returns {Promise<object|null>} - Updated row, or null if not dead-lettered
+ */
+async function replayDeadLetter(id) {
+  const result = await query(
+    `UPDATE sms_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(),
+         dead_at = NULL, locked_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'dead'
+     RETURNING *`,
+    [id]
+  );
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (row.message_id) {
+    await query(
+      `UPDATE messages SET delivery_status = 'pending', delivery_error = NULL WHERE id = $1`,
+      [row.message_id]
+    );
+  }
+
+  log.info({ outboxId: id }, 'Dead-lettered SMS replayed');
+
+  setImmediate(() => {
+    processOutbox().catch(error => {
+      log.error({ error: error.message }, 'Outbox kick failed');
+    });
+  });
+
+  return row;
+}
+
+module.exports = {
+  enqueueSMS,
+  processOutbox,
+  replayDeadLetter
+};
@@ -0,0 +1,315 @@
+/**
+ * SMS Provider Registry
+ * One interface over every SMS carrier we support
+ *
+ * Each provider exposes:
+ * - name                          Stored in messages.provider
+ * - isConfigured()                Whether credentials are present
+ * - defaultFrom()                 Fallback sender when the practice has no sms_reply_number
+ * - sendSMS(to, message, from)    Resolves {success, messageId?, error?, errorCode?}
+ * - parseInboundWebhook(payload)  Normalized {from, to, message, messageId, timestamp, type}
+ * - parseStatusWebhook(payload)   Normalized {messageId, status, errorCode, errorMessage, timestamp}
+ * - normalizePhoneNumber(phone)   E.164 formatting
+ *
+ * Practices choose a carrier via settings.sms_provider. When unset, the
+ * SMS_PROVIDER environment variable (default: notifyre) is used.
+ *
+ * Failover: settings.sms_failover_providers holds an ordered list of
+ * backup carriers, each with its own sender number:
+ *   [{ "provider": "vonage", "fromNumber": "+61481073412" }]
+ * sendWithFailover() walks primary -> backups, skipping any carrier whose
+ * circuit breaker is open, and reports which one actually delivered.
+ * A message rejected for itself (invalid or barred number) stops there: it
+ * isn't retried on another carrier and doesn't count against any circuit.
+ */
+
+const notifyre = require('./notifyre');
+const vonage = require('./vonage');
+const sandboxSms = require('./sandboxSms');
+const { withSMSRetry, withCircuitBreaker, isCircuitOpen, getCircuitState } = require('../utils/retry');
+const { sms: log } = require('../utils/logger');
+
+/**
+ * Whether a send failed because of the message or recipient rather than the carrier
+ */
+function isMessageError(error) {
+  return !!error.permanent && !error.accountError;
+}
+
+// Circuit breaker tuning shared by all SMS carriers (bad recipients don't trip it)
+const CIRCUIT_OPTIONS = {
+  failureThreshold: 3,
+  resetTimeout: 60000,
+  isFailure: error => !isMessageError(error)
+};
+
+// Per-provider send counters since process start (for health reporting)
+const providerStats = new Map();
+
+const providers = {
+  notifyre: {
+    name: 'notifyre',
+    isConfigured: () => !!process.env.NOTIFYRE_API_TOKEN,
+    defaultFrom: () => process.env.NOTIFYRE_FROM_NUMBER,
+    sendSMS: (to, message, from) => notifyre.sendSMS(
+      process.env.NOTIFYRE_ACCOUNT_ID,
+      process.env.NOTIFYRE_API_TOKEN,
+      to,
+      message,
+      from
+    ),
+    parseInboundWebhook: notifyre.parseInboundWebhook,
+    parseStatusWebhook: notifyre.parseStatusWebhook,
+    normalizePhoneNumber: notifyre.normalizePhoneNumber
+  },
+
+  vonage: {
+    name: 'vonage',
+    isConfigured: () => !!(process.env.VONAGE_API_KEY && process.env.VONAGE_API_SECRET),
+    defaultFrom: () => process.env.VONAGE_FROM_NUMBER,
+    sendSMS: (to, message, from) => vonage.sendSMS(
+      process.env.VONAGE_API_KEY,
+      process.env.VONAGE_API_SECRET,
+      to,
+      message,
+      from
+    ),
+    parseInboundWebhook: vonage.parseInboundWebhook,
+    parseStatusWebhook: vonage.parseStatusWebhook,
+    normalizePhoneNumber: vonage.normalizePhoneNumber
+  },
+
+  sandbox: {
+    name: 'sandbox',
+    isConfigured: () => true,
+    defaultFrom: () => process.env.SMS_SANDBOX_FROM_NUMBER || '+61400000000',
+    sendSMS: sandboxSms.sendSMS,
+    parseInboundWebhook: sandboxSms.parseInboundWebhook,
+    parseStatusWebhook: sandboxSms.parseStatusWebhook,
+    normalizePhoneNumber: sandboxSms.normalizePhoneNumber
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(providers);
+
+/**
+ * Default provider when a practice hasn't chosen one
+ */
+function getDefaultProviderName() {
+  const envProvider = process.env.SMS_PROVIDER;
+  return providers[envProvider] ? envProvider : 'notifyre';
+}
+
+/**
+ * Check whether a provider name is supported
+ */
+function isValidProvider(name) {
+  return PROVIDER_NAMES.includes(name);
+}
+
+/**
+ * Get a provider by name, falling back to the default
+ *
+ * @param {string} name - Provider name (notifyre, vonage, sandbox)
+ * @returns {object} - Provider
+ */
+function getProvider(name) {
+  return providers[name] || providers[getDefaultProviderName()];
+}
+
+/**
+ * Get the provider a practice has selected
+ *
+ * @param {object} settings - Row from the settings table
+ * @returns {object} - Provider
+ */
+function getProviderForSettings(settings) {
+  return getProvider(settings?.sms_provider);
+}
+
+/**
+ * Resolve the sender number for a practice
+ *
+ * @param {object} settings - Row from the settings table
+ * @param {object} provider - Provider the message will go through
+ * @returns {string|undefined}
+ */
+function getFromNumber(settings, provider = getProviderForSettings(settings)) {
+  return settings?.sms_reply_number || provider.defaultFrom();
+}
+
+/**
+ * Summary of all providers (for health checks and settings UI)
+ */
+function listProviders() {
+  return PROVIDER_NAMES.map(name => ({
+    name,
+    configured: providers[name].isConfigured(),
+    isDefault: name === getDefaultProviderName()
+  }));
+}
+
+/**
+ * Circuit breaker key for a provider
+ */
+function circuitName(name) {
+  return `sms-${name}`;
+}
+
+/**
+ * Ordered list of {provider, fromNumber} a practice's SMS should go through
+ *
+ * @param {object} settings - Row from the settings table
+ * @returns {Array<{provider: object, fromNumber: string}>}
+ */
+function getProviderChain(settings) {
+  const primary = getProviderForSettings(settings);
+  const chain = [{ provider: primary, fromNumber: getFromNumber(settings, primary) }];
+
+  let failover = settings?.sms_failover_providers || [];
+  if (typeof failover === 'string') {
+    try {
+      failover = JSON.parse(failover);
+    } catch (e) {
+      failover = [];
+    }
+  }
+
+  for (const entry of Array.isArray(failover) ? failover : []) {
+    if (!isValidProvider(entry?.provider)) continue;
+    if (chain.some(link => link.provider.name === entry.provider)) continue;
+
+    const provider = providers[entry.provider];
+    chain.push({ provider, fromNumber: entry.fromNumber || provider.defaultFrom() });
+  }
+
+  return chain;
+}
+
+/**
+ * Record the outcome of a send for health reporting
+ */
+function recordOutcome(name, success, error) {
+  let stats = providerStats.get(name);
+  if (!stats) {
+    stats = { sent: 0, failed: 0, lastSuccessAt: null, lastFailureAt: null, lastError: null };
+    providerStats.set(name, stats);
+  }
+
+  if (success) {
+    stats.sent++;
+    stats.lastSuccessAt = new Date().toISOString();
+  } else {
+    stats.failed++;
+    stats.lastFailureAt = new Date().toISOString();
+    stats.lastError = error || null;
+  }
+}
+
+/**
+ * Send an SMS through a practice's provider chain
+ *
+ * Each carrier gets its own retries; if it still fails (or its circuit is
+ * already open) the next carrier in the chain is tried - unless the message
+ * itself was rejected, which no other carrier would deliver either.
+ *
+ * @param {object} settings - Row from the settings table
+ * @param {string} to - Recipient phone number
+ * @param {string} message - SMS message content
+ * @param {object} options
+ * @param {string} options.context - Context string for logging
+ * @param {number} options.maxRetries - Retries per provider (default: 2)
+ * @returns {Promise<{success: boolean, provider?: string, messageId?: string, error?: string, permanent?: boolean, attempts: Array}>}
+ */
+async function sendWithFailover(settings, to, message, options = {}) {
+  const { context = 'sms-send', maxRetries = 2 } = options;
+  const chain = getProviderChain(settings);
+  const attempts = [];
+  let rejected = false;
+
+  for (const { provider, fromNumber } of chain) {
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.name, skipped: 'not_configured' });
+      continue;
+    }
+
+    if (!fromNumber) {
+      attempts.push({ provider: provider.name, skipped: 'no_from_number' });
+      continue;
+    }
+
+    if (isCircuitOpen(circuitName(provider.name), CIRCUIT_OPTIONS.resetTimeout)) {
+      attempts.push({ provider: provider.name, skipped: 'circuit_open' });
+      log.warn({ context, provider: provider.name }, 'SMS provider circuit open, skipping');
+      continue;
+    }
+
+    try {
+      const result = await withCircuitBreaker(
+        circuitName(provider.name),
+        () => withSMSRetry(
+          () => provider.sendSMS(to, message, fromNumber),
+          { context: `${context}-${provider.name}`, maxRetries }
+        ),
+        CIRCUIT_OPTIONS
+      );
+
+      recordOutcome(provider.name, true);
+      attempts.push({ provider: provider.name, success: true });
+
+      if (attempts.length > 1) {
+        log.warn({ context, provider: provider.name, attempts }, 'SMS delivered via failover provider');
+      }
+
+      return { ...result, success: true, provider: provider.name, fromNumber, attempts };
+    } catch (error) {
+      recordOutcome(provider.name, false, error.message);
+      attempts.push({ provider: provider.name, success: false, error: error.message, permanent: !!error.permanent });
+      log.error({ context, provider: provider.name, error: error.message }, 'SMS provider failed');
+
+      if (isMessageError(error)) {
+        rejected = true;
+        break;
+      }
+    }
+  }
+
+  const failures = attempts.filter(a => a.error);
+  const lastError = failures[failures.length - 1]?.error;
+
+  return {
+    success: false,
+    error: lastError || 'No SMS provider available',
+    // The message was rejected outright (e.g. invalid number), or every
+    // carrier that was tried has a permanent account problem
+    permanent: rejected ||
+      (failures.length > 0 && failures.length === attempts.length && failures.every(a => a.permanent)),
+    attempts
+  };
+}
+
+/**
+ * Health of every provider: configuration, circuit state and send counters
+ */
+function getProviderHealth() {
+  return PROVIDER_NAMES.map(name => ({
+    name,
+    configured: providers[name].isConfigured(),
+    isDefault: name === getDefaultProviderName(),
+    circuit: getCircuitState(circuitName(name)),
+    stats: providerStats.get(name) || { sent: 0, failed: 0, lastSuccessAt: null, lastFailureAt: null, lastError: null }
+  }));
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  getProviderForSettings,
+  getProviderChain,
+  getDefaultProviderName,
+  getFromNumber,
+  isValidProvider,
+  listProviders,
+  sendWithFailover,
+  getProviderHealth
+};
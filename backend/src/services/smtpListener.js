@@ -0,0 +1,302 @@
+/**
+ * SMTP Listener
+ * A minimal receive-only SMTP server for missed-call emails, so a PBX can
+ * email its notifications straight to missed+<token>@EMAIL_INBOUND_DOMAIN
+ * (services/emailIngestion.js)
+ *
+ * Started when EMAIL_SMTP_PORT is set - point the domain's MX record at this
+ * host, or have the PBX use it as its mail server. Only missed+<token>@...
+ * recipients with a known practice token are accepted, so it can't be used
+ * as a relay. There is no STARTTLS or AUTH: anything sent across the internet
+ * should come through a TLS-terminating relay instead (or POST /api/pbx/email).
+ *
+ * Each accepted email is stored in webhook_events (kind 'email') like the
+ * HTTP webhooks, so it shows up in Admin > Webhook Log.
+ */
+
+const net = require('net');
+const os = require('os');
+const { query } = require('../db/config');
+const { ingestEmail, tokenFromAddress } = require('./emailIngestion');
+const { recordWebhookEvent } = require('./webhookEvents');
+const { createModuleLogger } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+const log = createModuleLogger('smtp-listener');
+
+const DEFAULT_MAX_SIZE_MB = 25;
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_RECIPIENTS = 10;
+const MAX_LINE_LENGTH = 4096;
+const MAX_CONNECTIONS = 50;
+
+let server = null;
+
+function getMaxSize() {
+  const megabytes = parseInt(process.env.EMAIL_MAX_SIZE_MB, 10);
+  return (Number.isInteger(megabytes) && megabytes > 0 ? megabytes : DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+}
+
+async function isKnownToken(token) {
+  const result = await query(
+    'SELECT 1 FROM settings WHERE pbx_webhook_secret = $1',
+    [token]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Lines starting with "." were dot-stuffed by the sender
+ */
+function unstuff(message) {
+  return Buffer.from(message.toString('latin1').replace(/(^|\n)\.\./g, '$1.'), 'latin1');
+}
+
+/**
+ * Keep a copy in webhook_events, shaped like a captured HTTP request
+ */
+function recordEmail({ socket, envelope, raw, result }) {
+  if (process.env.WEBHOOK_CAPTURE_ENABLED === 'false') return;
+
+  recordWebhookEvent({
+    source: 'pbx',
+    kind: 'email',
+    system: result.template || 'auto',
+    req: {
+      method: 'SMTP',
+      originalUrl: '/smtp',
+      headers: { 'mail-from': envelope.from, 'rcpt-to': envelope.recipients.join(', ') },
+      query: {},
+      rawBody: raw.toString('utf8'),
+      ip: socket.remoteAddress
+    },
+    statusCode: 250,
+    response: result,
+    userId: result.userId,
+    durationMs: result.durationMs
+  }).catch(error => {
+    log.error({ error: error.message }, 'Email capture failed');
+  });
+}
+
+function handleConnection(socket) {
+  const maxSize = getMaxSize();
+  const hostname = process.env.EMAIL_INBOUND_DOMAIN || os.hostname();
+
+  let mode = 'command';
+  let commandBuffer = Buffer.alloc(0);
+  let processing = false;
+  let envelope = { from: null, recipients: [], tokens: [] };
+  let dataChunks = [];
+  let dataSize = 0;
+  let dataTail = Buffer.alloc(0);
+
+  function reply(line) {
+    if (!socket.destroyed) socket.write(`${line}\r\n`);
+  }
+
+  function resetEnvelope() {
+    envelope = { from: null, recipients: [], tokens: [] };
+  }
+
+  async function handleRcpt(argument) {
+    if (!envelope.from) return reply('503 5.5.1 MAIL first');
+    if (envelope.recipients.length >= MAX_RECIPIENTS) return reply('452 4.5.3 Too many recipients');
+
+    const address = (argument.match(/^TO:\s*<?([^>\s]*)>?/i) || [])[1] || '';
+    const token = tokenFromAddress(address);
+
+    if (!token || !(await isKnownToken(token))) {
+      log.warn({ ip: socket.remoteAddress }, 'SMTP recipient rejected');
+      return reply('550 5.1.1 Mailbox unavailable');
+    }
+
+    envelope.recipients.push(address.toLowerCase());
+    if (!envelope.tokens.includes(token)) envelope.tokens.push(token);
+    reply('250 2.1.5 OK');
+  }
+
+  async function handleCommand(line) {
+    const [verb, ...rest] = line.split(' ');
+    const argument = rest.join(' ').trim();
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply(`250-${hostname}`);
+        reply(`250-SIZE ${maxSize}`);
+        return reply('250 8BITMIME');
+      case 'HELO':
+        return reply(`250 ${hostname}`);
+      case 'MAIL': {
+        const size = parseInt((argument.match(/SIZE=(\d+)/i) || [])[1], 10);
+        if (size > maxSize) return reply('552 5.3.4 Message too big');
+
+        resetEnvelope();
+        envelope.from = (argument.match(/^FROM:\s*<?([^>\s]*)>?/i) || [])[1] || '';
+        return reply('250 2.1.0 OK');
+      }
+      case 'RCPT':
+        return handleRcpt(argument);
+      case 'DATA':
+        if (envelope.recipients.length === 0) return reply('503 5.5.1 RCPT first');
+        mode = 'data';
+        dataChunks = [];
+        dataSize = 0;
+        // The DATA line's CRLF, so an empty message's "." still ends it
+        dataTail = Buffer.from('\r\n');
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        resetEnvelope();
+        return reply('250 2.0.0 OK');
+      case 'NOOP':
+        return reply('250 2.0.0 OK');
+      case 'VRFY':
+        return reply('252 2.5.2 Cannot verify');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not implemented');
+    }
+  }
+
+  async function deliver(message) {
+    const raw = unstuff(message);
+    const startTime = Date.now();
+
+    try {
+      for (const token of envelope.tokens) {
+        const result = await ingestEmail(raw, { token, recipients: envelope.recipients });
+        recordEmail({ socket, envelope, raw, result: { ...result, durationMs: Date.now() - startTime } });
+      }
+      reply('250 2.0.0 Queued');
+    } catch (error) {
+      // Temporary failure - the sender retries, and the Message-ID stops a double text
+      log.error({ error: error.message }, 'Missed-call email failed');
+      captureException(error, { context: 'smtp_missed_call_email' });
+      reply('451 4.3.0 Temporary failure, try again later');
+    }
+
+    resetEnvelope();
+  }
+
+  async function drain() {
+    if (processing) return;
+    processing = true;
+
+    try {
+      while (mode === 'command' && !socket.destroyed) {
+        const lineEnd = commandBuffer.indexOf('\n');
+        if (lineEnd === -1) {
+          if (commandBuffer.length > MAX_LINE_LENGTH) {
+            reply('500 5.5.6 Line too long');
+            socket.destroy();
+          }
+          break;
+        }
+
+        const line = commandBuffer.subarray(0, lineEnd).toString('utf8').replace(/\r$/, '');
+        commandBuffer = commandBuffer.subarray(lineEnd + 1);
+        await handleCommand(line);
+      }
+
+      // Anything sent after DATA before our 354 is message content
+      if (mode === 'data' && commandBuffer.length > 0) {
+        const pending = commandBuffer;
+        commandBuffer = Buffer.alloc(0);
+        receiveData(pending);
+      }
+    } catch (error) {
+      log.error({ error: error.message }, 'SMTP command failed');
+      reply('451 4.3.0 Temporary failure, try again later');
+    } finally {
+      processing = false;
+    }
+  }
+
+  function receiveData(chunk) {
+    const search = Buffer.concat([dataTail, chunk]);
+    const end = search.indexOf('\r\n.\r\n');
+
+    if (end === -1) {
+      dataChunks.push(chunk);
+      dataSize += chunk.length;
+      dataTail = search.subarray(Math.max(0, search.length - 4));
+
+      if (dataSize > maxSize) {
+        reply('552 5.3.4 Message too big');
+        socket.destroy();
+      }
+      return;
+    }
+
+    // Terminator position relative to this chunk (negative if it began in the previous one)
+    const terminator = end - dataTail.length;
+    const message = Buffer.concat([...dataChunks, chunk]).subarray(0, dataSize + terminator + 2);
+    commandBuffer = Buffer.concat([commandBuffer, chunk.subarray(terminator + 5)]);
+
+    mode = 'delivering';
+    dataChunks = [];
+
+    deliver(message).finally(() => {
+      mode = 'command';
+      drain();
+    });
+  }
+
+  socket.setTimeout(IDLE_TIMEOUT_MS, () => {
+    reply('421 4.4.2 Idle timeout');
+    socket.end();
+  });
+  socket.on('error', (error) => {
+    log.debug({ error: error.message }, 'SMTP connection error');
+  });
+
+  socket.on('data', (chunk) => {
+    if (mode === 'data') {
+      receiveData(chunk);
+    } else {
+      commandBuffer = Buffer.concat([commandBuffer, chunk]);
+      drain();
+    }
+  });
+
+  reply(`220 ${hostname} ESMTP SmileDesk`);
+}
+
+/**
+ * Start listening on EMAIL_SMTP_PORT (no-op when it isn't set)
+ *
+ * @returns {Promise<number|null>} - The port, or null if not started
+ */
+function startSmtpListener() {
+  const port = parseInt(process.env.EMAIL_SMTP_PORT, 10);
+  if (!Number.isInteger(port) || server) return Promise.resolve(null);
+
+  server = net.createServer(handleConnection);
+  server.maxConnections = MAX_CONNECTIONS;
+
+  return new Promise((resolve, reject) => {
+    server.once('error', (error) => {
+      server = null;
+      reject(error);
+    });
+    server.listen(port, () => {
+      const { port: listeningPort } = server.address();
+      log.info({ port: listeningPort, domain: process.env.EMAIL_INBOUND_DOMAIN }, 'SMTP listener started');
+      resolve(listeningPort);
+    });
+  });
+}
+
+function stopSmtpListener() {
+  if (server) {
+    server.close();
+    server = null;
+  }
+}
+
+module.exports = {
+  startSmtpListener,
+  stopSmtpListener
+};
@@ -0,0 +1,109 @@
+/**
+ * Staff Invites
+ * Invite links for new staff logins (routes/staff.js), sent by email
+ * (services/mailer.js) or SMS (through the practice's outbox)
+ *
+ * The link carries a random token; only its SHA-256 hash is stored, so a
+ * database read can't be turned into a login. Accepting the invite
+ * (POST /api/auth/accept-invite) sets the password and clears the token.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db/config');
+const { enqueueSMS } = require('./smsOutbox');
+const mailer = require('./mailer');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('staff-invites');
+
+const INVITE_EXPIRES_DAYS = 7;
+
+const ROLE_LABELS = {
+  owner: 'an owner',
+  manager: 'a manager',
+  receptionist: 'a receptionist',
+  read_only: 'a read-only user'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function inviteUrl(token) {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}/accept-invite?token=${token}`;
+}
+
+/**
+ * Give a staff member a fresh invite link and send it
+ * A resent invite replaces the previous link.
+ *
+ * @param {object} staff - staff row (status 'invited')
+ * @param {object} options
+ * @param {string} options.practiceName
+ * @param {string} options.invitedBy - Name of the staff member sending it
+ * @param {string} options.via - 'email' or 'sms'
+ * @returns {Promise<{inviteUrl: string, sent: boolean, error?: string}>}
+ */
+async function sendInvite(staff, { practiceName, invitedBy, via }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const url = inviteUrl(token);
+
+  await query(
+    `UPDATE staff
+     SET invite_token_hash = $1, invite_expires_at = NOW() + make_interval(days => $2), updated_at = NOW()
+     WHERE id = $3`,
+    [hashToken(token), INVITE_EXPIRES_DAYS, staff.id]
+  );
+
+  const intro = `${invitedBy} has invited you to join ${practiceName} on SmileDesk as ${ROLE_LABELS[staff.role] || 'staff'}.`;
+  let result;
+
+  if (via === 'sms') {
+    if (!staff.phone) {
+      result = { sent: false, error: 'No phone number for this staff member' };
+    } else {
+      await enqueueSMS({
+        userId: staff.user_id,
+        to: staff.phone,
+        content: `${intro} Set your password within ${INVITE_EXPIRES_DAYS} days: ${url}`,
+        context: `staff-invite-${staff.id}`,
+        ignoreOptOut: true
+      });
+      result = { sent: true };
+    }
+  } else {
+    const mail = await mailer.sendMail({
+      to: staff.email,
+      subject: `Join ${practiceName} on SmileDesk`,
+      text: `Hi ${staff.name || 'there'},\n\n${intro}\n\n` +
+        `Set your password to get started (the link expires in ${INVITE_EXPIRES_DAYS} days):\n${url}\n`
+    });
+    result = mail.success ? { sent: true } : { sent: false, error: mail.error };
+  }
+
+  log.info({ staffId: staff.id, userId: staff.user_id, via, sent: result.sent }, 'Staff invite issued');
+
+  // The owner can pass the link on by hand if it couldn't be sent
+  return { inviteUrl: url, ...result };
+}
+
+/**
+ * The pending invite for a token, or null if it's unknown or expired
+ */
+async function findInvite(token) {
+  const result = await query(
+    `SELECT s.*, u.practice_name
+     FROM staff s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.invite_token_hash = $1 AND s.status = 'invited' AND s.invite_expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  INVITE_EXPIRES_DAYS,
+  sendInvite,
+  findInvite
+};
@@ -0,0 +1,43 @@
+/**
+ * Transcription Provider Registry
+ * Turns a voicemail recording into text (services/voicemailTranscription.js)
+ *
+ * Each provider exposes:
+ * - name                              Stored in calls.transcription_provider
+ * - isConfigured()                    Whether it can run here
+ * - transcribe(filePath, {contentType})  Resolves {text}
+ * - summarize(text)                   Optional; replaces the rule-based summary
+ *                                     (services/voicemailSummary.js) with the same shape
+ *
+ * TRANSCRIPTION_PROVIDER picks one (whisper, stub). Unset, voicemails are
+ * stored but not transcribed.
+ */
+
+const providers = new Map([
+  require('./whisper'),
+  require('./stub')
+].map(provider => [provider.name, provider]));
+
+/**
+ * The configured provider, or null when transcription is off
+ */
+function getProvider() {
+  const provider = providers.get(process.env.TRANSCRIPTION_PROVIDER);
+  return provider && provider.isConfigured() ? provider : null;
+}
+
+/**
+ * Summary of all providers (for health checks)
+ */
+function listProviders() {
+  return [...providers.values()].map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured(),
+    active: provider === getProvider()
+  }));
+}
+
+module.exports = {
+  getProvider,
+  listProviders
+};
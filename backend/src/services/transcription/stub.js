@@ -0,0 +1,20 @@
+/**
+ * Stub transcription provider
+ * Returns a canned transcript without touching the audio - for development
+ * and demos, so the pipeline runs without a Whisper install
+ *
+ * TRANSCRIPTION_STUB_TEXT overrides the transcript.
+ */
+
+const SAMPLE_TRANSCRIPT = "Hi, this is Sarah Jones. I've had a toothache since last night and was hoping " +
+  'to get in sometime today. You can call me back on 0412 345 678. Thanks.';
+
+module.exports = {
+  name: 'stub',
+
+  isConfigured: () => true,
+
+  async transcribe() {
+    return { text: process.env.TRANSCRIPTION_STUB_TEXT || SAMPLE_TRANSCRIPT };
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Whisper transcription provider
+ * Runs a local Whisper-compatible command line (whisper.cpp's whisper-cli, or
+ * anything that takes an audio file and prints the transcript) on the recording
+ *
+ * WHISPER_BIN               Command to run
+ * WHISPER_MODEL             Model path, substituted for {model}
+ * WHISPER_ARGS              Arguments, with {file} for the recording and {model}
+ *                           (default: whisper.cpp's "-m {model} -np -nt -f {file}")
+ * WHISPER_TIMEOUT_SECONDS   Give up after this long (default 120)
+ */
+
+const { execFile } = require('child_process');
+
+const DEFAULT_ARGS = '-m {model} -np -nt -f {file}';
+const DEFAULT_TIMEOUT_SECONDS = 120;
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+function buildArgs(filePath) {
+  return (process.env.WHISPER_ARGS || DEFAULT_ARGS)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(arg => arg.replace('{file}', filePath).replace('{model}', process.env.WHISPER_MODEL || ''));
+}
+
+/**
+ * Drop timestamps and non-speech markers ([BLANK_AUDIO], (music)) from the output
+ */
+function cleanTranscript(output) {
+  return output
+    .replace(/\[\d{2}:\d{2}[:.\d]*\s*-->\s*\d{2}:\d{2}[:.\d]*\]/g, ' ')
+    .replace(/\[[A-Z_ ]+\]|\((?:music|silence|inaudible|static)\)/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function timeoutMs() {
+  const seconds = parseInt(process.env.WHISPER_TIMEOUT_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds > 0 ? seconds : DEFAULT_TIMEOUT_SECONDS) * 1000;
+}
+
+module.exports = {
+  name: 'whisper',
+
+  isConfigured: () => !!process.env.WHISPER_BIN,
+
+  transcribe(filePath) {
+    return new Promise((resolve, reject) => {
+      execFile(
+        process.env.WHISPER_BIN,
+        buildArgs(filePath),
+        { timeout: timeoutMs(), maxBuffer: MAX_OUTPUT_BYTES },
+        (error, stdout, stderr) => {
+          if (error) {
+            const detail = error.killed ? 'timed out' : String(stderr || error.message).trim().slice(-300);
+            return reject(new Error(`Whisper failed: ${detail}`));
+          }
+          resolve({ text: cleanTranscript(stdout) });
+        }
+      );
+    });
+  },
+
+  cleanTranscript
+};
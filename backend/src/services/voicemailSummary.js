@@ -0,0 +1,56 @@
+/**
+ * Voicemail Summary
+ * Rule-based read of a voicemail transcript: who called, what about, and how
+ * they sounded - enough for reception to triage without listening
+ *
+ * Used by services/voicemailTranscription.js unless the transcription
+ * provider has its own summarize(). Name and reason come from the same rules
+ * as SMS replies (services/nlu/rules.js).
+ */
+
+const { phoneNumbersIn } = require('./pbxEmailTemplates/generic');
+const { findName, findReason } = require('./nlu/rules');
+
+const NEGATIVE_PATTERN = /emergenc|bleeding|\bpain\b|tooth ?ache|\bhurt|swollen|abscess|upset|unhappy|disappointed|complain|angry|frustrat|worried|urgent|asap|not happy/i;
+const POSITIVE_PATTERN = /\bthanks?\b|thank you|great|happy|wonderful|appreciate|lovely/i;
+
+function findSentiment(text) {
+  if (NEGATIVE_PATTERN.test(text)) return 'negative';
+  if (POSITIVE_PATTERN.test(text)) return 'positive';
+  return 'neutral';
+}
+
+/**
+ * Summarize a voicemail transcript
+ *
+ * @param {string} text - Transcript
+ * @returns {{callerName: string|null, reason: string|null, sentiment: string|null, summary: string|null}}
+ */
+function summarizeVoicemail(text) {
+  const transcript = String(text || '').trim();
+  if (!transcript) {
+    return { callerName: null, reason: null, sentiment: null, summary: null };
+  }
+
+  const callerName = findName(transcript);
+  const reason = findReason(transcript);
+  const callbackNumber = phoneNumbersIn(transcript)[0];
+
+  const sentences = [
+    reason
+      ? `${callerName ? `${callerName} called` : 'Called'} about: ${reason}.`
+      : `${callerName || 'Caller'} left a voicemail.`
+  ];
+  if (callbackNumber) sentences.push(`Call back on ${callbackNumber}.`);
+
+  return {
+    callerName,
+    reason,
+    sentiment: findSentiment(transcript),
+    summary: sentences.join(' ')
+  };
+}
+
+module.exports = {
+  summarizeVoicemail
+};
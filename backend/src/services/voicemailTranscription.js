@@ -0,0 +1,197 @@
+/**
+ * Voicemail Transcription
+ * Background job that transcribes stored voicemail recordings, so reception
+ * can triage voicemails without listening to every one
+ *
+ *   stored voicemail ──queue──> pending ──claim──> processing ──> completed
+ *                                  ^                    │
+ *                                  └──retry─────────────┤
+ *                                                       └──> failed (out of attempts)
+ *
+ * The transcript goes in calls.transcription, a summary (services/voicemailSummary.js
+ * or the provider's own) in calls.ai_summary / sentiment, and the caller's
+ * name and reason onto the call and its lead - a voicemail call gets a lead
+ * here if it doesn't have one. Calls are claimed with FOR UPDATE SKIP LOCKED
+ * like the SMS outbox, so several instances never transcribe the same one.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { query } = require('../db/config');
+const blobStorage = require('./blobStorage');
+const realtime = require('./realtime');
+const transcription = require('./transcription');
+const { summarizeVoicemail } = require('./voicemailSummary');
+const patients = require('./patients');
+const { createModuleLogger } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+const log = createModuleLogger('voicemail-transcription');
+
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 5;
+const STALE_LOCK_MINUTES = 10;
+
+// Prevent overlapping runs within this process
+let draining = false;
+
+function kick() {
+  setImmediate(() => {
+    processTranscriptions().catch(error => {
+      log.error({ error: error.message }, 'Transcription kick failed');
+    });
+  });
+}
+
+/**
+ * Queue a stored voicemail for transcription (no-op when transcription is off)
+ *
+ * @returns {Promise<boolean>} - Whether it was queued
+ */
+async function queueTranscription(callId) {
+  if (!transcription.getProvider()) return false;
+
+  await query(
+    `UPDATE calls
+     SET transcription_status = 'pending', transcription_attempts = 0, transcription_error = NULL
+     WHERE id = $1 AND voicemail_status = 'stored'`,
+    [callId]
+  );
+
+  kick();
+  return true;
+}
+
+async function claimBatch(limit) {
+  const result = await query(
+    `UPDATE calls
+     SET transcription_status = 'processing', transcription_locked_at = NOW(),
+         transcription_attempts = transcription_attempts + 1
+     WHERE id IN (
+       SELECT id FROM calls
+       WHERE transcription_status = 'pending'
+          OR (transcription_status = 'processing' AND transcription_locked_at < NOW() - INTERVAL '${STALE_LOCK_MINUTES} minutes')
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, user_id, caller_phone, patient_id, voicemail_storage_key, voicemail_content_type, transcription_attempts`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Copy the recording to a temp file - command-line providers need a path
+ */
+async function downloadToTempFile(row) {
+  const blob = await blobStorage.getStore().get(row.voicemail_storage_key);
+  if (!blob) throw new Error('Voicemail recording missing from storage');
+
+  const extension = path.extname(row.voicemail_storage_key);
+  const filePath = path.join(os.tmpdir(), `voicemail-${crypto.randomBytes(8).toString('hex')}${extension}`);
+  await pipeline(blob.stream, fs.createWriteStream(filePath));
+  return filePath;
+}
+
+/**
+ * Put the caller's name and reason on the call's lead, creating one if needed
+ */
+async function updateLead(row, { callerName, reason }) {
+  const updated = await query(
+    `UPDATE leads
+     SET name = CASE WHEN name = 'Unknown Caller' AND $1::text IS NOT NULL THEN $1 ELSE name END,
+         reason = COALESCE(reason, $2),
+         updated_at = NOW()
+     WHERE call_id = $3
+     RETURNING id`,
+    [callerName, reason, row.id]
+  );
+
+  if (updated.rows.length === 0) {
+    await query(
+      `INSERT INTO leads (user_id, call_id, name, phone, reason, status, source, patient_id)
+       VALUES ($1, $2, COALESCE($3, (SELECT name FROM patients WHERE id = $6), 'Unknown Caller'), $4, $5, 'new', 'voicemail', $6)`,
+      [row.user_id, row.id, callerName, row.caller_phone, reason, row.patient_id]
+    );
+  }
+
+  await patients.rememberName(row.patient_id, callerName);
+}
+
+async function transcribeCall(row, provider) {
+  let filePath = null;
+
+  try {
+    filePath = await downloadToTempFile(row);
+    const { text } = await provider.transcribe(filePath, { contentType: row.voicemail_content_type });
+    const summary = (provider.summarize || summarizeVoicemail)(text);
+
+    await query(
+      `UPDATE calls
+       SET transcription = $1, ai_summary = $2, sentiment = $3,
+           caller_name = COALESCE(caller_name, $4), call_reason = COALESCE(call_reason, $5),
+           transcription_status = 'completed', transcription_provider = $6,
+           transcription_error = NULL, transcription_locked_at = NULL, transcribed_at = NOW()
+       WHERE id = $7`,
+      [text, summary.summary, summary.sentiment, summary.callerName, summary.reason, provider.name, row.id]
+    );
+
+    await updateLead(row, summary);
+
+    log.info({ callId: row.id, provider: provider.name, length: text.length, reason: summary.reason }, 'Voicemail transcribed');
+    realtime.publish(row.user_id, 'call.updated', { callId: row.id, transcriptionStatus: 'completed' });
+  } catch (error) {
+    const giveUp = row.transcription_attempts >= MAX_ATTEMPTS;
+    log.warn({ callId: row.id, attempts: row.transcription_attempts, error: error.message }, 'Voicemail transcription failed');
+    if (giveUp) captureException(error, { context: 'voicemail_transcription', callId: row.id });
+
+    await query(
+      `UPDATE calls
+       SET transcription_status = $1, transcription_error = $2, transcription_locked_at = NULL
+       WHERE id = $3`,
+      [giveUp ? 'failed' : 'pending', error.message.slice(0, 500), row.id]
+    );
+  } finally {
+    if (filePath) fs.promises.rm(filePath, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Transcribe queued voicemails
+ * Registered with the scheduler as 'voicemail-transcription'
+ */
+async function processTranscriptions({ batchSize = BATCH_SIZE } = {}) {
+  const provider = transcription.getProvider();
+  if (!provider || draining) return { skipped: true };
+  draining = true;
+
+  let processed = 0;
+
+  try {
+    let batch;
+    do {
+      batch = await claimBatch(batchSize);
+      for (const row of batch) {
+        await transcribeCall(row, provider);
+        processed++;
+      }
+    } while (batch.length === batchSize);
+
+    if (processed > 0) {
+      log.info({ processed }, 'Transcription queue drained');
+    }
+
+    return { processed };
+  } finally {
+    draining = false;
+  }
+}
+
+module.exports = {
+  queueTranscription,
+  processTranscriptions
+};
@@ -0,0 +1,244 @@
+/**
+ * Voicemails
+ * Keeps a copy of the recording when a caller leaves a voicemail, so the
+ * practice can play it from Missed Calls instead of dialling into the PBX
+ *
+ * Recordings arrive as a URL in the PBX webhook (services/pbxAdapters
+ * voicemailUrl) or as an audio attachment on a missed-call email
+ * (services/emailIngestion.js). Either way it's copied into blob storage
+ * (services/blobStorage.js) as voicemails/<userId>/<callId>.<ext>, and
+ * calls.voicemail_status goes 'pending' -> 'stored' | 'failed'. Stored
+ * recordings are then queued for transcription (services/voicemailTranscription.js).
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const { query } = require('../db/config');
+const blobStorage = require('./blobStorage');
+const realtime = require('./realtime');
+const { queueTranscription } = require('./voicemailTranscription');
+const { createModuleLogger } = require('../utils/logger');
+const { captureException } = require('../utils/sentry');
+
+const log = createModuleLogger('voicemails');
+
+const MAX_VOICEMAIL_BYTES = 20 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 3;
+
+// Audio types we store, and the extension each is saved with
+const AUDIO_TYPES = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/webm': 'webm',
+  'audio/x-gsm': 'gsm'
+};
+
+const EXTENSION_TYPES = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  webm: 'audio/webm',
+  gsm: 'audio/x-gsm'
+};
+
+/**
+ * Audio type from the declared type, else the file name, else null (not audio)
+ */
+function audioType(contentType, filename) {
+  const declared = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (AUDIO_TYPES[declared]) return declared;
+
+  const extension = (String(filename || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+  return EXTENSION_TYPES[extension?.toLowerCase()] || null;
+}
+
+/**
+ * Length in seconds of a PCM WAV recording (null for anything else)
+ */
+function wavDuration(content) {
+  if (content.length < 44 || content.toString('ascii', 0, 4) !== 'RIFF' || content.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= content.length) {
+    const chunkId = content.toString('ascii', offset, offset + 4);
+    const chunkSize = content.readUInt32LE(offset + 4);
+
+    if (chunkId === 'fmt ' && offset + 16 <= content.length) {
+      byteRate = content.readUInt32LE(offset + 16);
+    } else if (chunkId === 'data') {
+      const dataSize = Math.min(chunkSize, content.length - offset - 8);
+      return byteRate ? Math.round(dataSize / byteRate) : null;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+  return null;
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return /^(127\.|10\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(address);
+  }
+  const lower = address.toLowerCase();
+  return lower === '::1' || lower === '::' || /^(fe80:|fc|fd|::ffff:)/.test(lower);
+}
+
+/**
+ * Only public http(s) hosts in production - the URL comes from a webhook body
+ */
+async function assertFetchable(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported voicemail URL protocol ${url.protocol}`);
+  }
+  if (process.env.NODE_ENV !== 'production') return;
+
+  const { address } = await dns.lookup(url.hostname.replace(/^\[|\]$/g, ''));
+  if (isPrivateAddress(address)) {
+    throw new Error(`${url.hostname} is not a public host`);
+  }
+}
+
+/**
+ * Download a recording from the PBX, following a few redirects (CDN links)
+ *
+ * @returns {Promise<{content: Buffer, contentType: string, filename: string}>}
+ */
+async function downloadVoicemail(voicemailUrl) {
+  let url = new URL(voicemailUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    await assertFetchable(url);
+
+    const response = await fetch(url, {
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirects >= MAX_REDIRECTS) throw new Error('Too many redirects');
+      url = new URL(response.headers.get('location'), url);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Voicemail download failed: HTTP ${response.status}`);
+    }
+
+    if (parseInt(response.headers.get('content-length'), 10) > MAX_VOICEMAIL_BYTES) {
+      throw new Error('Voicemail recording too large');
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_VOICEMAIL_BYTES) throw new Error('Voicemail recording too large');
+      chunks.push(chunk);
+    }
+
+    return {
+      content: Buffer.concat(chunks),
+      contentType: response.headers.get('content-type'),
+      filename: url.pathname
+    };
+  }
+}
+
+/**
+ * Copy a call's voicemail recording into blob storage
+ * Never throws - a recording we couldn't keep is marked 'failed'.
+ *
+ * @param {object} voicemail
+ * @param {number} voicemail.callId
+ * @param {number} voicemail.userId
+ * @param {string} voicemail.url - PBX recording URL
+ * @param {Buffer} voicemail.content - Or the audio itself (email attachment)
+ * @param {string} voicemail.contentType
+ * @param {string} voicemail.filename
+ */
+async function captureVoicemail({ callId, userId, url = null, content = null, contentType = null, filename = null }) {
+  try {
+    await query(
+      `UPDATE calls SET voicemail_url = $1, voicemail_status = 'pending' WHERE id = $2`,
+      [url, callId]
+    );
+
+    const audio = content ? { content, contentType, filename } : await downloadVoicemail(url);
+    const type = audioType(audio.contentType, audio.filename);
+
+    if (!type) {
+      throw new Error(`Not an audio recording (${audio.contentType || 'no content type'})`);
+    }
+    if (audio.content.length > MAX_VOICEMAIL_BYTES) {
+      throw new Error('Voicemail recording too large');
+    }
+
+    const storageKey = `voicemails/${userId}/${callId}.${AUDIO_TYPES[type]}`;
+    await blobStorage.getStore().put(storageKey, audio.content, { contentType: type });
+
+    await query(
+      `UPDATE calls
+       SET voicemail_storage_key = $1, voicemail_content_type = $2, voicemail_size = $3,
+           voicemail_duration = $4, voicemail_status = 'stored'
+       WHERE id = $5`,
+      [storageKey, type, audio.content.length, wavDuration(audio.content), callId]
+    );
+
+    log.info({ callId, size: audio.content.length, contentType: type }, 'Voicemail stored');
+    realtime.publish(userId, 'call.updated', { callId, voicemailStatus: 'stored' });
+  } catch (error) {
+    log.warn({ callId, error: error.message }, 'Voicemail not stored');
+    captureException(error, { context: 'voicemail_capture', callId });
+
+    await query(
+      `UPDATE calls SET voicemail_status = 'failed' WHERE id = $1`,
+      [callId]
+    ).catch(() => {});
+    return;
+  }
+
+  await queueTranscription(callId).catch(error => {
+    log.error({ callId, error: error.message }, 'Voicemail transcription not queued');
+  });
+}
+
+/**
+ * Stored recording for a call, as {stream, size}, or null
+ */
+async function openVoicemail(storageKey, range) {
+  return blobStorage.getStore().get(storageKey, range);
+}
+
+/**
+ * Remove a call's stored recording (call deleted)
+ */
+async function deleteVoicemail(storageKey) {
+  if (!storageKey) return;
+
+  try {
+    await blobStorage.getStore().remove(storageKey);
+  } catch (error) {
+    log.warn({ storageKey, error: error.message }, 'Voicemail not removed');
+  }
+}
+
+module.exports = {
+  MAX_VOICEMAIL_BYTES,
+  audioType,
+  wavDuration,
+  captureVoicemail,
+  openVoicemail,
+  deleteVoicemail
+};
@@ -222,6 +222,34 @@ function parseInboundWebhook(webhookData) {
   };
 }
 
+/**
+ * Parse delivery receipt webhook from Vonage
+ *
+ * Vonage DLR format:
+ * {
+ *   "messageId": "0A0000000123ABCD1",
+ *   "msisdn": "61412345678",
+ *   "status": "delivered",          // delivered, accepted, buffered, failed, rejected, expired
+ *   "err-code": "0",
+ *   "message-timestamp": "2026-01-08 10:30:00"
+ * }
+ *
+ * @param {object} webhookData - Raw webhook payload
+ * @returns {object} - Normalized status update
+ */
+function parseStatusWebhook(webhookData) {
+  const data = webhookData;
+  const errorCode = data['err-code'] || data['error-code'];
+
+  return {
+    messageId: data.messageId || data['message-id'] || data.message_id,
+    status: data.status,
+    errorCode: errorCode && errorCode !== '0' ? errorCode : undefined,
+    errorMessage: data['error-text'],
+    timestamp: data['message-timestamp'] || data.scts || new Date().toISOString()
+  };
+}
+
 /**
  * Get account balance from Vonage
  *
@@ -274,5 +302,6 @@ module.exports = {
   sendSMS,
   normalizePhoneNumber,
   parseInboundWebhook,
+  parseStatusWebhook,
   getBalance
 };
@@ -0,0 +1,350 @@
+/**
+ * Waitlist
+ * Fills cancelled appointments from the practice's waitlist by SMS
+ *
+ * When an appointment is cancelled (DELETE /api/appointments/:id, a status
+ * change to 'cancelled', or an X reply to a reminder) the freed slot is
+ * offered to waiting patients whose preferred days/times fit:
+ * - Texted in priority order (priority DESC, then who joined first)
+ * - First come, first served: the first YES books the slot through
+ *   bookAppointment(), so it goes through the same conflict check as any
+ *   other booking
+ * - Anyone who replies YES after that is told the slot has been taken and
+ *   stays on the waitlist
+ *
+ * One open offer per slot (unique index); an offer expires shortly before
+ * the appointment time.
+ */
+
+const { query, getClient } = require('../db/config');
+const { enqueueSMS } = require('./smsOutbox');
+const { dayOfWeekFor, parseSlotTime, bookAppointment } = require('./booking');
+const { formatDate } = require('./googleCalendar');
+const { zonedTimeToDate, formatShortDate, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('waitlist');
+
+// Don't offer slots starting sooner than this; offers also close this long before
+const MIN_NOTICE_MS = 30 * 60 * 1000;
+
+// Waiting patients texted per freed slot
+const MAX_RECIPIENTS = 5;
+
+const ACCEPT_REPLIES = ['y', 'yes', 'yes please', 'book', 'book it'];
+const DECLINE_REPLIES = ['n', 'no', 'no thanks'];
+
+/**
+ * Whether a waitlist entry's preferences fit a slot
+ *
+ * @param {object} entry - waitlist_entries row
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Slot start, minutes since midnight
+ */
+function entryMatchesSlot(entry, date, minutes) {
+  const days = Array.isArray(entry.preferred_days) ? entry.preferred_days : [];
+  if (days.length > 0 && !days.includes(dayOfWeekFor(date))) return false;
+
+  const from = parseSlotTime(entry.preferred_time_from);
+  const to = parseSlotTime(entry.preferred_time_to);
+  if (from !== null && minutes < from) return false;
+  if (to !== null && minutes >= to) return false;
+
+  return true;
+}
+
+function lastDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+function buildOfferMessage(entry, practiceName, date, time) {
+  const firstName = (entry.patient_name || '').split(' ')[0];
+  const greeting = firstName ? `Hi ${firstName}, an` : 'An';
+
+  return `${greeting} appointment at ${practiceName} on ${formatShortDate(date)} at ${time} has just become available. ` +
+    'Reply YES to book it - first in gets it.';
+}
+
+/**
+ * Offer a cancelled appointment's slot to the waitlist
+ *
+ * @param {string} userId
+ * @param {object} apt - The cancelled appointments row
+ * @returns {Promise<{offerId: string, recipients: number}|null>} - null if nothing was offered
+ */
+async function offerCancelledSlot(userId, apt) {
+  const minutes = parseSlotTime(apt.appointment_time);
+  if (minutes === null) return null;
+
+  const userResult = await query(
+    'SELECT practice_name, timezone FROM users WHERE id = $1',
+    [userId]
+  );
+  const practice = userResult.rows[0];
+  if (!practice) return null;
+
+  const date = formatDate(apt.appointment_date);
+  const startsAt = zonedTimeToDate(date, minutes, practice.timezone || DEFAULT_TIMEZONE);
+  if (startsAt.getTime() - Date.now() < MIN_NOTICE_MS) return null;
+
+  // Rebooked in the meantime (e.g. by reception)
+  const takenResult = await query(
+    `SELECT id FROM appointments
+     WHERE user_id = $1 AND appointment_date = $2 AND appointment_time = $3
+       AND status != 'cancelled'
+       AND ($4::uuid IS NULL OR location_id IS NULL OR location_id = $4)
+     LIMIT 1`,
+    [userId, date, apt.appointment_time, apt.location_id || null]
+  );
+  if (takenResult.rows.length > 0) return null;
+
+  // Waiting patients, skipping anyone already holding an open offer so a YES is
+  // never ambiguous, and anyone who has opted out of SMS
+  const entriesResult = await query(
+    `SELECT e.*
+     FROM waitlist_entries e
+     WHERE e.user_id = $1
+       AND e.status = 'waiting'
+       AND NOT EXISTS (
+         SELECT 1 FROM waitlist_offer_recipients r
+         JOIN waitlist_offers o ON o.id = r.offer_id
+         WHERE r.entry_id = e.id AND r.response IS NULL
+           AND o.status = 'open' AND o.expires_at > NOW()
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM sms_opt_outs so
+         WHERE so.user_id = e.user_id AND so.opted_in_at IS NULL
+           AND so.phone_key = RIGHT(REGEXP_REPLACE(COALESCE(e.patient_phone, ''), '\\D', '', 'g'), 9)
+       )
+     ORDER BY e.priority DESC, e.created_at ASC`,
+    [userId]
+  );
+
+  const cancelledPhone = lastDigits(apt.patient_phone);
+  const entries = entriesResult.rows
+    .filter(entry => lastDigits(entry.patient_phone) !== cancelledPhone)
+    .filter(entry => entryMatchesSlot(entry, date, minutes))
+    .slice(0, MAX_RECIPIENTS);
+
+  if (entries.length === 0) return null;
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE waitlist_offers SET status = 'expired'
+       WHERE user_id = $1 AND status = 'open' AND expires_at <= NOW()`,
+      [userId]
+    );
+
+    const offerResult = await client.query(
+      `INSERT INTO waitlist_offers (user_id, cancelled_appointment_id, slot_date, slot_time, duration_minutes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, slot_date, slot_time) WHERE status = 'open' DO NOTHING
+       RETURNING id`,
+      [userId, apt.id, date, apt.appointment_time, apt.duration_minutes || 30, new Date(startsAt.getTime() - MIN_NOTICE_MS)]
+    );
+
+    if (offerResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const offerId = offerResult.rows[0].id;
+    const practiceName = practice.practice_name || 'our practice';
+
+    for (const [index, entry] of entries.entries()) {
+      const { outboxId } = await enqueueSMS({
+        userId,
+        to: entry.patient_phone,
+        content: buildOfferMessage(entry, practiceName, date, apt.appointment_time),
+        context: `waitlist-offer-${offerId}`
+      }, client);
+
+      await client.query(
+        `INSERT INTO waitlist_offer_recipients (offer_id, entry_id, to_phone, rank, outbox_id)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [offerId, entry.id, entry.patient_phone, index + 1, outboxId]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    log.info({ userId, offerId, date, time: apt.appointment_time, recipients: entries.length }, 'Cancelled slot offered to waitlist');
+    return { offerId, recipients: entries.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fire-and-forget backfill after a cancellation (never fails the caller)
+ */
+function backfillCancelledSlot(userId, apt) {
+  offerCancelledSlot(userId, apt).catch(error => {
+    log.error({ userId, appointmentId: apt.id, error: error.message }, 'Waitlist backfill failed');
+  });
+}
+
+/**
+ * 'accept' / 'decline' for an offer reply, or null
+ */
+function parseOfferReply(messageBody) {
+  const reply = String(messageBody || '').trim().toLowerCase().replace(/[.!\s]+$/, '');
+
+  if (ACCEPT_REPLIES.includes(reply)) return 'accept';
+  if (DECLINE_REPLIES.includes(reply)) return 'decline';
+  return null;
+}
+
+async function setResponse(recipientId, response) {
+  await query(
+    `UPDATE waitlist_offer_recipients SET response = $1, responded_at = NOW() WHERE id = $2`,
+    [response, recipientId]
+  );
+}
+
+/**
+ * Book the offered slot for the first patient to say YES
+ *
+ * @returns {Promise<object|null>} - The new appointments row, or null if the slot has gone
+ */
+async function acceptOffer(userId, offer) {
+  // Claim the offer first so two simultaneous YES replies can't both try to book
+  const claim = await query(
+    `UPDATE waitlist_offers
+     SET status = 'filled', filled_by_entry_id = $2, filled_at = NOW()
+     WHERE id = $1 AND status = 'open' AND expires_at > NOW()
+     RETURNING id`,
+    [offer.offer_id, offer.entry_id]
+  );
+  if (claim.rows.length === 0) return null;
+
+  let appointment;
+  try {
+    appointment = await bookAppointment(userId, {
+      patientName: offer.patient_name,
+      patientPhone: offer.patient_phone,
+      patientEmail: offer.patient_email,
+      appointmentDate: formatDate(offer.slot_date),
+      appointmentTime: offer.slot_time,
+      durationMinutes: offer.duration_minutes,
+      reason: offer.reason,
+      notes: 'Booked from the waitlist',
+      leadId: offer.lead_id,
+      // Same clinic as the appointment that was cancelled
+      locationId: offer.location_id
+    });
+  } catch (error) {
+    // Booked some other way since the offer went out; any other failure
+    // releases the claim so the slot can still be taken
+    await query(
+      `UPDATE waitlist_offers SET status = $2, filled_by_entry_id = NULL, filled_at = NULL WHERE id = $1`,
+      [offer.offer_id, error.status === 409 ? 'expired' : 'open']
+    );
+
+    if (error.status !== 409) throw error;
+    return null;
+  }
+
+  await query(
+    'UPDATE waitlist_offers SET appointment_id = $1 WHERE id = $2',
+    [appointment.id, offer.offer_id]
+  );
+
+  await query(
+    `UPDATE waitlist_entries
+     SET status = 'booked', appointment_id = $1, updated_at = NOW()
+     WHERE id = $2`,
+    [appointment.id, offer.entry_id]
+  );
+
+  return appointment;
+}
+
+/**
+ * Handle an inbound SMS that answers a waitlist offer
+ *
+ * @param {object} params
+ * @param {string} params.userId - Practice the SMS was sent to
+ * @param {string} params.callerPhone - Patient's number
+ * @param {string} params.messageBody
+ * @returns {Promise<{action: string, offerId: string, appointmentId?: string}|null>} - null if it isn't an offer reply
+ */
+async function handleOfferReply({ userId, callerPhone, messageBody }) {
+  const intent = parseOfferReply(messageBody);
+  if (!intent) return null;
+
+  const digits = lastDigits(callerPhone);
+  if (digits.length < 8) return null;
+
+  // Latest unanswered offer texted to this number
+  const offerResult = await query(
+    `SELECT r.id AS recipient_id, r.entry_id, o.id AS offer_id, o.slot_date, o.slot_time,
+            o.duration_minutes, o.status AS offer_status, o.expires_at,
+            e.patient_name, e.patient_phone, e.patient_email, e.reason, e.lead_id,
+            u.practice_name, ca.location_id
+     FROM waitlist_offer_recipients r
+     JOIN waitlist_offers o ON o.id = r.offer_id
+     JOIN waitlist_entries e ON e.id = r.entry_id
+     JOIN users u ON u.id = o.user_id
+     LEFT JOIN appointments ca ON ca.id = o.cancelled_appointment_id
+     WHERE o.user_id = $1
+       AND r.response IS NULL
+       AND o.created_at > NOW() - INTERVAL '14 days'
+       AND RIGHT(REGEXP_REPLACE(r.to_phone, '\\D', '', 'g'), 9) = $2
+     ORDER BY r.sent_at DESC
+     LIMIT 1`,
+    [userId, digits]
+  );
+
+  const offer = offerResult.rows[0];
+  if (!offer) return null;
+
+  const practiceName = offer.practice_name || 'our practice';
+  const when = `${formatShortDate(formatDate(offer.slot_date))} at ${offer.slot_time}`;
+  let result;
+  let content;
+
+  if (intent === 'decline') {
+    await setResponse(offer.recipient_id, 'declined');
+    result = { action: 'waitlist_declined', offerId: offer.offer_id };
+    content = `No problem - you're still on the ${practiceName} waitlist and we'll text you when another appointment opens up.`;
+  } else {
+    const appointment = await acceptOffer(userId, offer);
+
+    if (appointment) {
+      await setResponse(offer.recipient_id, 'accepted');
+      result = { action: 'waitlist_booked', offerId: offer.offer_id, appointmentId: appointment.id };
+      content = `You're booked in at ${practiceName} on ${when}. See you then!`;
+    } else {
+      await setResponse(offer.recipient_id, 'taken');
+      result = { action: 'waitlist_slot_taken', offerId: offer.offer_id };
+      content = `Sorry, the ${when} appointment has already been taken. You're still on our waitlist and we'll text you when another opens up.`;
+    }
+  }
+
+  await enqueueSMS({
+    userId,
+    to: callerPhone,
+    content,
+    context: `waitlist-reply-${offer.offer_id}`
+  });
+
+  log.info({ userId, ...result }, 'Waitlist offer reply processed');
+  return result;
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  entryMatchesSlot,
+  parseOfferReply,
+  offerCancelledSlot,
+  backfillCancelledSlot,
+  handleOfferReply
+};
@@ -0,0 +1,216 @@
+/**
+ * Webhook Events
+ * Stored copies of inbound PBX and SMS webhooks (middleware/webhookCapture.js)
+ *
+ * Each event keeps the redacted headers, body, matched practice and outcome
+ * (the response's action/reason such as 'event_ignored', 'cooldown' or
+ * 'no_user_found', or the rejection such as 'unauthorized'). Events are
+ * deleted after WEBHOOK_EVENT_RETENTION_DAYS (default 14) by the
+ * 'cleanup-webhook-events' job.
+ *
+ * Replay is a dry run: the stored payload goes through the current PBX
+ * adapter / email template / SMS provider parser so a fix can be checked
+ * against what the practice's system really sent - nothing is texted or written.
+ */
+
+const jwt = require('jsonwebtoken');
+const { query } = require('../db/config');
+const pbxAdapters = require('./pbxAdapters');
+const { readEmail } = require('./emailIngestion');
+const smsProvider = require('./smsProvider');
+const { createModuleLogger } = require('../utils/logger');
+
+const log = createModuleLogger('webhook-events');
+
+const DEFAULT_RETENTION_DAYS = 14;
+
+// Bodies beyond this are truncated (webhooks are small; this guards the table)
+const MAX_BODY_LENGTH = 64 * 1024;
+
+// Never stored in clear
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-webhook-token', 'verification-token'];
+const REDACTED_QUERY = ['token'];
+
+// missed+<token>@ recipients in missed-call emails
+const TOKEN_ADDRESS_PATTERN = /\+[a-f0-9]{48}@/gi;
+
+function getRetentionDays() {
+  const days = parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function redact(values, keys) {
+  const result = { ...values };
+  for (const key of Object.keys(result)) {
+    if (keys.includes(key.toLowerCase())) {
+      result[key] = '[redacted]';
+    }
+  }
+  return result;
+}
+
+/**
+ * Outcome for a webhook response
+ *
+ * @param {number} statusCode
+ * @param {object} body - JSON the handler responded with
+ */
+function deriveOutcome(statusCode, body) {
+  if (body?.action) return body.action;
+  if (body?.reason) return body.reason;
+  if (body?.smsQueued) return 'sms_queued';
+
+  if (statusCode === 400) return 'invalid_payload';
+  if (statusCode === 401) return 'unauthorized';
+  if (statusCode === 403) return 'invalid_signature';
+  if (statusCode === 404) return 'not_found';
+  if (statusCode >= 500 || body?.status === 'error') return 'error';
+
+  if (body?.conversationId) return 'conversation_reply';
+  return 'ok';
+}
+
+/**
+ * Store a captured webhook
+ *
+ * @param {object} event
+ * @param {string} event.source - 'pbx' | 'sms'
+ * @param {string} event.kind - 'missed_call' | 'email' | 'inbound_sms' | 'delivery_status'
+ * @param {string} event.system - PBX adapter id, email template id or SMS provider name
+ * @param {object} event.req - Express request
+ * @param {number} event.statusCode
+ * @param {object} event.response - JSON body sent back
+ * @param {string} event.userId - Matched practice, if any
+ * @param {number} event.durationMs
+ */
+async function recordWebhookEvent({ source, kind, system, req, statusCode, response, userId, durationMs }) {
+  let body = req.rawBody;
+  if (body === undefined) {
+    if (Buffer.isBuffer(req.body)) body = req.body.toString('utf8');
+    else body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {});
+  }
+
+  // Tokens in email recipients are redacted too; Postgres TEXT can't hold NUL bytes
+  body = body.replace(TOKEN_ADDRESS_PATTERN, '+[redacted]@').replace(/\u0000/g, '');
+
+  await query(
+    `INSERT INTO webhook_events (
+      source, kind, system, method, path, headers, query, body, content_type, ip,
+      user_id, status_code, outcome, response, duration_ms
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+    [
+      source,
+      kind,
+      system || null,
+      req.method,
+      (req.originalUrl || req.url).split('?')[0].slice(0, 255),
+      JSON.stringify(redact(req.headers, REDACTED_HEADERS)),
+      JSON.stringify(redact(req.query, REDACTED_QUERY)),
+      body.slice(0, MAX_BODY_LENGTH),
+      req.headers['content-type']?.slice(0, 100) || null,
+      req.ip,
+      userId || null,
+      statusCode,
+      deriveOutcome(statusCode, response),
+      response ? JSON.stringify(response) : null,
+      durationMs
+    ]
+  );
+}
+
+/**
+ * The payload a handler would have seen for a stored event
+ */
+function storedPayload(event) {
+  if (event.method === 'GET') return event.query || {};
+
+  try {
+    return JSON.parse(event.body);
+  } catch (error) {
+    // Signed Dialpad events are a JWT; the signature was checked when it arrived
+    const claims = jwt.decode(String(event.body || '').trim());
+    if (claims && typeof claims === 'object') return claims;
+
+    // Form-encoded webhooks
+    return Object.fromEntries(new URLSearchParams(event.body || ''));
+  }
+}
+
+/**
+ * Run a stored webhook through the current adapter / parser code
+ *
+ * @param {string} id - webhook_events.id
+ * @returns {Promise<object|null>} - {event, parsed, outcome}, or null if not found
+ */
+async function replayWebhookEvent(id) {
+  const result = await query('SELECT * FROM webhook_events WHERE id = $1', [id]);
+  const event = result.rows[0];
+  if (!event) return null;
+
+  let parsed;
+  let outcome;
+
+  if (event.kind === 'email') {
+    const { parsed: call, template, voicemail } = readEmail(event.body || '', event.system || 'auto');
+    parsed = { ...call, template, voicemail };
+
+    if (!call.callerPhone) outcome = 'no_caller';
+    else if (call.outcome !== 'missed') outcome = 'event_ignored';
+    else if (call.hasVoicemail) outcome = 'voicemail_left';
+    else outcome = 'missed_call';
+
+    log.info({ eventId: id, source: event.source, system: template, outcome }, 'Webhook event replayed');
+    return { event, parsed, outcome };
+  }
+
+  const payload = storedPayload(event);
+
+  if (event.source === 'pbx') {
+    const adapter = pbxAdapters.getAdapter(event.system || 'generic');
+    if (!adapter) {
+      return { event, parsed: null, outcome: 'not_found' };
+    }
+
+    parsed = adapter.parse(payload);
+
+    if (!parsed.callerPhone) outcome = 'invalid_payload';
+    else if (parsed.outcome !== 'missed') outcome = 'event_ignored';
+    else if (parsed.hasVoicemail) outcome = 'voicemail_left';
+    else outcome = 'missed_call';
+  } else {
+    const provider = smsProvider.getProvider(event.system);
+
+    if (event.kind === 'delivery_status') {
+      parsed = provider.parseStatusWebhook(payload);
+      outcome = parsed.messageId ? 'delivery_status' : 'ok';
+    } else {
+      parsed = provider.parseInboundWebhook(payload);
+      outcome = parsed.from && parsed.to && parsed.message ? 'inbound_sms' : 'invalid_payload';
+    }
+  }
+
+  log.info({ eventId: id, source: event.source, system: event.system, outcome }, 'Webhook event replayed');
+  return { event, parsed, outcome };
+}
+
+/**
+ * Delete events past the retention window
+ */
+async function cleanupWebhookEvents() {
+  const retentionDays = getRetentionDays();
+
+  const result = await query(
+    `DELETE FROM webhook_events WHERE received_at < NOW() - INTERVAL '1 day' * $1`,
+    [retentionDays]
+  );
+
+  log.info({ deleted: result.rowCount, retentionDays }, 'Webhook event cleanup completed');
+  return { deleted: result.rowCount };
+}
+
+module.exports = {
+  deriveOutcome,
+  recordWebhookEvent,
+  replayWebhookEvent,
+  cleanupWebhookEvents
+};
@@ -26,6 +26,10 @@ const PERMANENT_VONAGE_ERRORS = [
   '29'   // Non-whitelisted destination
 ];
 
+// Permanent errors caused by the carrier account rather than the message:
+// every message fails until it is fixed, so another carrier should take over
+const ACCOUNT_VONAGE_ERRORS = ['4', '8', '9'];
+
 /**
  * Execute a function with exponential backoff retry
  *
@@ -113,6 +117,7 @@ async function withSMSRetry(sendFn, options = {}) {
           // Create a non-retryable error
           const error = new Error(result.error || 'Permanent SMS failure');
           error.permanent = true;
+          error.accountError = ACCOUNT_VONAGE_ERRORS.includes(result.errorCode);
           error.errorCode = result.errorCode;
           throw error;
         }
@@ -138,8 +143,8 @@ async function withSMSRetry(sendFn, options = {}) {
     {
       ...retryOptions,
       context,
-      maxRetries: retryOptions.maxRetries || 3,
-      baseDelay: retryOptions.baseDelay || 2000,
+      maxRetries: retryOptions.maxRetries ?? 3,
+      baseDelay: retryOptions.baseDelay ?? 2000,
       shouldRetry: (error) => {
         // Don't retry permanent errors
         if (error.permanent) return false;
@@ -173,11 +178,14 @@ const circuitBreakers = new Map();
  * @param {string} serviceName - Name of the service
  * @param {Function} fn - Function to execute
  * @param {Object} options - Circuit breaker options
+ * @param {Function} options.isFailure - Whether an error counts against the
+ *   service (default: all do); errors that don't count leave it closed
  */
 async function withCircuitBreaker(serviceName, fn, options = {}) {
   const {
     failureThreshold = 5,
-    resetTimeout = 60000 // 1 minute
+    resetTimeout = 60000, // 1 minute
+    isFailure = () => true
   } = options;
 
   // Get or create circuit state
@@ -213,6 +221,13 @@ async function withCircuitBreaker(serviceName, fn, options = {}) {
 
     return result;
   } catch (error) {
+    // The service answered; the request itself was at fault
+    if (!isFailure(error)) {
+      circuit.failures = 0;
+      circuit.state = 'closed';
+      throw error;
+    }
+
     circuit.failures++;
     circuit.lastFailure = Date.now();
 
@@ -225,11 +240,43 @@ async function withCircuitBreaker(serviceName, fn, options = {}) {
   }
 }
 
+/**
+ * Check whether a circuit is currently open (requests would be rejected)
+ *
+ * @param {string} serviceName - Name of the service
+ * @param {number} resetTimeout - Must match the value passed to withCircuitBreaker
+ */
+function isCircuitOpen(serviceName, resetTimeout = 60000) {
+  const circuit = circuitBreakers.get(serviceName);
+  if (!circuit || circuit.state !== 'open') return false;
+  return Date.now() - circuit.lastFailure < resetTimeout;
+}
+
+/**
+ * Get circuit state for health reporting
+ *
+ * @param {string} serviceName - Name of the service
+ */
+function getCircuitState(serviceName) {
+  const circuit = circuitBreakers.get(serviceName);
+  if (!circuit) {
+    return { state: 'closed', failures: 0, lastFailure: null };
+  }
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    lastFailure: circuit.lastFailure ? new Date(circuit.lastFailure).toISOString() : null
+  };
+}
+
 module.exports = {
   withRetry,
   withSMSRetry,
   withCircuitBreaker,
+  isCircuitOpen,
+  getCircuitState,
   sleep,
   RETRYABLE_VONAGE_ERRORS,
-  PERMANENT_VONAGE_ERRORS
+  PERMANENT_VONAGE_ERRORS,
+  ACCOUNT_VONAGE_ERRORS
 };
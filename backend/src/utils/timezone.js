@@ -0,0 +1,126 @@
+/**
+ * Timezone helpers
+ * Practices store wall-clock dates/times (appointment_date + appointment_time)
+ * in their own timezone (users.timezone); these convert to and from instants.
+ */
+
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+// Intl.DateTimeFormat is expensive to construct; one per timezone
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Calendar parts of an instant as seen in a timezone
+ */
+function partsInTimezone(instant, timezone) {
+  return formatterFor(timezone || DEFAULT_TIMEZONE).formatToParts(instant).reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+}
+
+/**
+ * Date (YYYY-MM-DD) and minutes since midnight of an instant in a timezone
+ *
+ * @param {Date} instant
+ * @param {string} timezone - IANA timezone
+ * @returns {{date: string, minutes: number}}
+ */
+function dateToZonedTime(instant, timezone) {
+  const p = partsInTimezone(instant, timezone);
+  const pad = n => String(n).padStart(2, '0');
+
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    minutes: p.hour * 60 + p.minute
+  };
+}
+
+/**
+ * Today's date (YYYY-MM-DD) and minutes since midnight in a timezone
+ *
+ * @param {string} timezone - IANA timezone
+ * @returns {{date: string, minutes: number}}
+ */
+function nowInTimezone(timezone) {
+  return dateToZonedTime(new Date(), timezone);
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant
+ *
+ * @param {Date} instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - e.g. 36000000 for UTC+10
+ */
+function timezoneOffset(instant, timezone) {
+  const p = partsInTimezone(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToDate(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Two passes settle DST transitions
+  let utc = guess - timezoneOffset(new Date(guess), timezone);
+  utc = guess - timezoneOffset(new Date(utc), timezone);
+
+  return new Date(utc);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * 'Wed, 21 Oct' for a YYYY-MM-DD date, as patients see it in SMS
+ */
+function formatShortDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-AU', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    timeZone: 'UTC'
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  nowInTimezone,
+  dateToZonedTime,
+  zonedTimeToDate,
+  timezoneOffset,
+  addDays,
+  formatShortDate
+};
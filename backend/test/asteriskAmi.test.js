@@ -0,0 +1,123 @@
+/**
+ * Asterisk AMI connector (services/asteriskAmi.js) against the fake AMI
+ * server (services/fakeAmiServer.js)
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAmiClient, createCallTracker } = require('../src/services/asteriskAmi');
+const { createFakeAmiServer } = require('../src/services/fakeAmiServer');
+
+const USERNAME = 'admin';
+const SECRET = 'amp111';
+
+/**
+ * Resolves once check() is true, polling every 10ms
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * A client wired to a call tracker, recording statuses and missed calls
+ */
+function connect(port, { secret = SECRET } = {}) {
+  const statuses = [];
+  const missedCalls = [];
+  const tracker = createCallTracker({ onMissedCall: call => missedCalls.push(call) });
+
+  const client = createAmiClient({
+    host: '127.0.0.1',
+    port,
+    username: USERNAME,
+    secret,
+    onEvent: tracker.handleEvent,
+    onStatusChange: (status) => {
+      if (status !== 'connected') tracker.reset();
+      statuses.push(status);
+    }
+  });
+
+  return { client, statuses, missedCalls };
+}
+
+describe('AMI connector', () => {
+  let ami;
+
+  before(async () => {
+    ami = await createFakeAmiServer({ port: 0, username: USERNAME, secret: SECRET });
+  });
+
+  after(() => ami.close());
+
+  test('logs in with the manager credentials', async () => {
+    const { client, statuses } = connect(ami.port);
+    try {
+      await waitFor(() => client.getStatus().status === 'connected');
+      assert.deepEqual(statuses, ['connected']);
+    } finally {
+      client.stop();
+    }
+  });
+
+  test('reports a wrong secret as auth_failed', async () => {
+    const { client } = connect(ami.port, { secret: 'wrong' });
+    try {
+      await waitFor(() => client.getStatus().status === 'auth_failed');
+      assert.equal(client.getStatus().lastError, 'Authentication failed');
+    } finally {
+      client.stop();
+    }
+  });
+
+  test('detects missed calls from the event sequence', async () => {
+    const { client, missedCalls } = connect(ami.port);
+    try {
+      await waitFor(() => client.getStatus().status === 'connected');
+
+      ami.emitCall('answered', { callerPhone: '0411111111' });
+      ami.emitCall('missed', { callerPhone: '0412345678', calledPhone: '0298765432' });
+      ami.emitCall('voicemail', { callerPhone: '0413333333' });
+
+      await waitFor(() => missedCalls.length === 2);
+
+      assert.equal(missedCalls[0].callerPhone, '0412345678');
+      assert.equal(missedCalls[0].calledPhone, '0298765432');
+      assert.equal(missedCalls[0].hasVoicemail, false);
+      assert.ok(missedCalls[0].callId);
+
+      assert.equal(missedCalls[1].callerPhone, '0413333333');
+      assert.equal(missedCalls[1].hasVoicemail, true);
+
+      // The answered call never shows up
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.equal(missedCalls.length, 2);
+    } finally {
+      client.stop();
+    }
+  });
+
+  test('reconnects after the socket drops', async () => {
+    const { client, statuses, missedCalls } = connect(ami.port);
+    try {
+      await waitFor(() => client.getStatus().status === 'connected');
+
+      ami.dropConnections();
+      await waitFor(() => statuses.includes('disconnected'));
+
+      // First retry is after 1s
+      await waitFor(() => client.getStatus().status === 'connected');
+      assert.deepEqual(statuses, ['connected', 'disconnected', 'connecting', 'connected']);
+
+      ami.emitCall('missed', { callerPhone: '0412345678' });
+      await waitFor(() => missedCalls.length === 1);
+      assert.equal(missedCalls[0].callerPhone, '0412345678');
+    } finally {
+      client.stop();
+    }
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Reply matching in the conversation flow (services/conversationFlow.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FLOW, matchReply } = require('../src/services/conversationFlow');
+
+const step = DEFAULT_FLOW.steps[DEFAULT_FLOW.startStep];
+
+// The default step's options without its free-text fallback
+const optionsOnly = { options: step.options };
+
+function valueFor(reply) {
+  return matchReply(optionsOnly, reply)?.value ?? null;
+}
+
+test('numbered and exact replies match their option', () => {
+  assert.equal(valueFor('1'), 'appointment_request');
+  assert.equal(valueFor('Two'), 'general_callback');
+});
+
+test('keywords match as whole words', () => {
+  assert.equal(valueFor('I want to book a cleaning'), 'appointment_request');
+  assert.equal(valueFor('Book!'), 'appointment_request');
+  assert.equal(valueFor('I have a question about my bill'), 'general_callback');
+  assert.equal(valueFor('something other'), 'general_callback');
+});
+
+test('keywords inside longer words do not match', () => {
+  assert.equal(valueFor('calling for my mother'), null);
+  assert.equal(valueFor('saw you on facebook'), null);
+  assert.equal(valueFor('notebook'), null);
+});
+
+test('multi-word and punctuated keywords match whole', () => {
+  const custom = {
+    options: [
+      { replies: [], keywords: ['call back'], value: 'callback', next: null },
+      { replies: [], keywords: ['c++'], value: 'symbols', next: null }
+    ]
+  };
+
+  assert.equal(matchReply(custom, 'please call back later').value, 'callback');
+  assert.equal(matchReply(custom, 'please callback later'), null);
+  assert.equal(matchReply(custom, 'i write c++ code').value, 'symbols');
+  assert.equal(matchReply(custom, 'abc++'), null);
+});
+
+test('unmatched replies fall back to free text when the step allows it', () => {
+  const match = matchReply(step, 'calling for my mother');
+
+  assert.equal(match.value, 'general_callback');
+  assert.equal(match.next, null);
+  assert.equal(match.saveTextTo, 'notes');
+});
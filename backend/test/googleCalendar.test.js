@@ -0,0 +1,228 @@
+/**
+ * Google Calendar sync (services/googleCalendar.js) against the in-memory
+ * calendar (services/googleCalendarMock.js)
+ *
+ * db/config is replaced with a stub that answers the timezone lookup (the
+ * practice is in Sydney, its 'perth' location in Perth) and records
+ * google_event_id updates, so no database is needed.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const eventIds = new Map();
+
+async function query(text, params) {
+  if (/FROM users/.test(text)) {
+    return { rows: [{ timezone: params[1] === 'perth' ? 'Australia/Perth' : 'Australia/Sydney' }] };
+  }
+  if (/UPDATE appointments SET google_event_id/.test(text)) {
+    eventIds.set(params[1], params[0]);
+    return { rows: [] };
+  }
+  return { rows: [] };
+}
+
+const configPath = path.resolve(__dirname, '../src/db/config.js');
+require.cache[configPath] = {
+  id: configPath,
+  filename: configPath,
+  loaded: true,
+  exports: {
+    query,
+    getClient: async () => ({ query, release() {} })
+  }
+};
+
+const googleCalendar = require('../src/services/googleCalendar');
+const { createMockCalendar, resetMockCalendar } = require('../src/services/googleCalendarMock');
+
+const USER_ID = 'practice-1';
+
+googleCalendar.setCalendarFactory(userId => createMockCalendar(userId));
+
+function appointment(overrides = {}) {
+  return {
+    id: 'apt-1',
+    patient_name: 'Jane Citizen',
+    patient_phone: '0412345678',
+    patient_email: null,
+    reason: 'Check-up',
+    notes: null,
+    appointment_date: '2026-03-02',
+    appointment_time: '10:00 AM',
+    duration_minutes: 30,
+    status: 'scheduled',
+    google_event_id: null,
+    ...overrides
+  };
+}
+
+async function listEvents(options = {}) {
+  const { data } = await createMockCalendar(USER_ID).events.list({ calendarId: 'primary', ...options });
+  return data.items;
+}
+
+beforeEach(() => {
+  resetMockCalendar();
+  eventIds.clear();
+});
+
+test('pushAppointment inserts an event in the practice timezone', async () => {
+  const result = await googleCalendar.pushAppointment(USER_ID, appointment());
+
+  assert.equal(result.synced, true);
+  assert.ok(result.eventId);
+  assert.equal(eventIds.get('apt-1'), result.eventId);
+
+  const [event] = await listEvents();
+  assert.equal(event.id, result.eventId);
+  assert.equal(event.summary, 'Jane Citizen - Check-up');
+  // 10:00 AEDT is 23:00 UTC the day before
+  assert.equal(event.start.dateTime, '2026-03-01T23:00:00.000Z');
+  assert.equal(event.end.dateTime, '2026-03-01T23:30:00.000Z');
+  assert.equal(event.start.timeZone, 'Australia/Sydney');
+  assert.equal(event.extendedProperties.private.smiledeskAppointmentId, 'apt-1');
+});
+
+test('pushAppointment uses the timezone of the appointment\'s location', async () => {
+  await googleCalendar.pushAppointment(USER_ID, appointment({ location_id: 'perth' }));
+
+  const [event] = await listEvents();
+  // 10:00 AWST is 02:00 UTC
+  assert.equal(event.start.dateTime, '2026-03-02T02:00:00.000Z');
+  assert.equal(event.start.timeZone, 'Australia/Perth');
+});
+
+test('pushAppointment patches the existing event when the appointment changes', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+
+  const result = await googleCalendar.pushAppointment(USER_ID, appointment({
+    google_event_id: eventId,
+    appointment_time: '2:30 PM',
+    duration_minutes: 60,
+    reason: 'Filling'
+  }));
+
+  assert.deepEqual(result, { synced: true, eventId });
+
+  const events = await listEvents();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, eventId);
+  assert.equal(events[0].summary, 'Jane Citizen - Filling');
+  assert.equal(events[0].start.dateTime, '2026-03-02T03:30:00.000Z');
+  assert.equal(events[0].end.dateTime, '2026-03-02T04:30:00.000Z');
+});
+
+test('pushAppointment recreates an event deleted on the calendar side', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+  await createMockCalendar(USER_ID).events.delete({ calendarId: 'primary', eventId });
+
+  const result = await googleCalendar.pushAppointment(USER_ID, appointment({ google_event_id: eventId }));
+
+  assert.equal(result.synced, true);
+  assert.notEqual(result.eventId, eventId);
+  assert.equal(eventIds.get('apt-1'), result.eventId);
+  assert.deepEqual((await listEvents()).map(event => event.id), [result.eventId]);
+});
+
+test('pushAppointment does not sync an unparseable time', async () => {
+  const result = await googleCalendar.pushAppointment(USER_ID, appointment({ appointment_time: 'after lunch' }));
+
+  assert.deepEqual(result, { synced: false, reason: 'invalid_time' });
+  assert.deepEqual(await listEvents(), []);
+});
+
+test('removeAppointment deletes the event and forgets its id', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+
+  const result = await googleCalendar.removeAppointment(USER_ID, appointment({ google_event_id: eventId }));
+
+  assert.deepEqual(result, { synced: true });
+  assert.equal(eventIds.get('apt-1'), null);
+  assert.deepEqual(await listEvents(), []);
+
+  const [deleted] = await listEvents({ showDeleted: true });
+  assert.equal(deleted.id, eventId);
+  assert.equal(deleted.status, 'cancelled');
+});
+
+test('removeAppointment tolerates an event already gone and skips appointments never synced', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+  await googleCalendar.removeAppointment(USER_ID, appointment({ google_event_id: eventId }));
+
+  assert.deepEqual(
+    await googleCalendar.removeAppointment(USER_ID, appointment({ google_event_id: eventId })),
+    { synced: true }
+  );
+  assert.deepEqual(
+    await googleCalendar.removeAppointment(USER_ID, appointment()),
+    { synced: false, reason: 'no_event' }
+  );
+});
+
+test('pushAppointment removes the event of a cancelled appointment', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+
+  const result = await googleCalendar.pushAppointment(USER_ID, appointment({ google_event_id: eventId, status: 'cancelled' }));
+
+  assert.deepEqual(result, { synced: true });
+  assert.deepEqual(await listEvents(), []);
+});
+
+test('getBusyIntervals returns synced appointments and other calendar events in range', async () => {
+  await googleCalendar.pushAppointment(USER_ID, appointment());
+  await createMockCalendar(USER_ID).events.insert({
+    calendarId: 'primary',
+    requestBody: {
+      summary: 'Staff meeting',
+      start: { dateTime: '2026-03-02T02:00:00.000Z' },
+      end: { dateTime: '2026-03-02T03:00:00.000Z' }
+    }
+  });
+  await createMockCalendar(USER_ID).events.insert({
+    calendarId: 'primary',
+    requestBody: {
+      summary: 'Reminder only',
+      transparency: 'transparent',
+      start: { dateTime: '2026-03-02T04:00:00.000Z' },
+      end: { dateTime: '2026-03-02T05:00:00.000Z' }
+    }
+  });
+  await createMockCalendar(USER_ID).events.insert({
+    calendarId: 'primary',
+    requestBody: {
+      summary: 'Next week',
+      start: { dateTime: '2026-03-09T02:00:00.000Z' },
+      end: { dateTime: '2026-03-09T03:00:00.000Z' }
+    }
+  });
+
+  const busy = await googleCalendar.getBusyIntervals(
+    USER_ID,
+    new Date('2026-03-01T13:00:00.000Z'),
+    new Date('2026-03-02T13:00:00.000Z')
+  );
+
+  assert.deepEqual(
+    busy.map(({ start, end }) => [start.toISOString(), end.toISOString()]).sort(),
+    [
+      ['2026-03-01T23:00:00.000Z', '2026-03-01T23:30:00.000Z'],
+      ['2026-03-02T02:00:00.000Z', '2026-03-02T03:00:00.000Z']
+    ]
+  );
+  assert.ok(busy.every(({ start, end }) => start instanceof Date && end instanceof Date));
+});
+
+test('getBusyIntervals drops removed appointments and keeps practices apart', async () => {
+  const { eventId } = await googleCalendar.pushAppointment(USER_ID, appointment());
+  const timeMin = new Date('2026-03-01T13:00:00.000Z');
+  const timeMax = new Date('2026-03-02T13:00:00.000Z');
+
+  assert.equal((await googleCalendar.getBusyIntervals(USER_ID, timeMin, timeMax)).length, 1);
+  assert.deepEqual(await googleCalendar.getBusyIntervals('practice-2', timeMin, timeMax), []);
+
+  await googleCalendar.removeAppointment(USER_ID, appointment({ google_event_id: eventId }));
+  assert.deepEqual(await googleCalendar.getBusyIntervals(USER_ID, timeMin, timeMax), []);
+});
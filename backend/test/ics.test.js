@@ -0,0 +1,63 @@
+/**
+ * iCalendar output (services/ics.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFeed, buildInvite } = require('../src/services/ics');
+
+const practice = {
+  practice_name: 'Harbour Dental',
+  email: 'reception@harbourdental.example',
+  phone: '0298765432',
+  timezone: 'Australia/Sydney'
+};
+
+function appointment(overrides = {}) {
+  return {
+    id: 'apt-1',
+    patient_name: 'Jane Citizen',
+    patient_phone: '0412345678',
+    patient_email: null,
+    reason: 'Check-up',
+    appointment_date: '2026-03-02',
+    appointment_time: '10:00 AM',
+    duration_minutes: 30,
+    status: 'confirmed',
+    created_at: '2026-02-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('appointments without a location use the practice timezone', () => {
+  const lines = unfold(buildInvite(practice, appointment()));
+
+  assert.ok(lines.includes('DTSTART;TZID=Australia/Sydney:20260302T100000'));
+  assert.ok(lines.includes('TZID:Australia/Sydney'));
+});
+
+test('an invite is written in the timezone of the appointment\'s location', () => {
+  const lines = unfold(buildInvite(practice, appointment({ location_timezone: 'Australia/Perth' })));
+
+  assert.ok(lines.includes('DTSTART;TZID=Australia/Perth:20260302T100000'));
+  assert.ok(lines.includes('DTEND;TZID=Australia/Perth:20260302T103000'));
+  assert.ok(lines.includes('TZID:Australia/Perth'));
+  assert.ok(!lines.includes('TZID:Australia/Sydney'));
+});
+
+test('a feed has a VTIMEZONE for every location timezone it uses', () => {
+  const lines = unfold(buildFeed(practice, [
+    appointment(),
+    appointment({ id: 'apt-2', location_timezone: 'Australia/Perth' })
+  ]));
+
+  assert.ok(lines.includes('X-WR-TIMEZONE:Australia/Sydney'));
+  assert.ok(lines.includes('TZID:Australia/Sydney'));
+  assert.ok(lines.includes('TZID:Australia/Perth'));
+  assert.ok(lines.includes('DTSTART;TZID=Australia/Sydney:20260302T100000'));
+  assert.ok(lines.includes('DTSTART;TZID=Australia/Perth:20260302T100000'));
+});
@@ -0,0 +1,44 @@
+/**
+ * PBX adapters (services/pbxAdapters)
+ * Every adapter's sample payloads, run through its parse()
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { listAdapters, getAdapter } = require('../src/services/pbxAdapters');
+const { normalizePhoneNumber } = require('../src/services/notifyre');
+
+// Every fixture rings from this mobile, in whatever format the vendor uses
+const CALLER = '+61412345678';
+
+for (const adapter of listAdapters()) {
+  describe(`${adapter.name} adapter`, () => {
+    const fixtures = adapter.fixtures || [];
+
+    test('has a missed-call and an ignored-call fixture', () => {
+      assert.ok(fixtures.some(f => f.expected.outcome === 'missed'), 'no missed-call fixture');
+      // The generic webhook is only sent for missed calls
+      if (adapter.id !== 'generic') {
+        assert.ok(fixtures.some(f => f.expected.outcome !== 'missed'), 'no ignored-call fixture');
+      }
+    });
+
+    test('is found by its webhook segment', () => {
+      assert.equal(getAdapter(adapter.id), adapter);
+    });
+
+    for (const fixture of fixtures) {
+      test(fixture.name, () => {
+        const call = adapter.parse(fixture.body);
+
+        for (const [field, value] of Object.entries(fixture.expected)) {
+          assert.deepEqual(call[field], value, `${field}`);
+        }
+
+        assert.ok(['missed', 'answered', 'other'].includes(call.outcome), `outcome ${call.outcome}`);
+        assert.equal(typeof call.hasVoicemail, 'boolean');
+        assert.equal(normalizePhoneNumber(call.callerPhone), CALLER);
+      });
+    }
+  });
+}
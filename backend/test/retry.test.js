@@ -0,0 +1,40 @@
+/**
+ * SMS retry options (utils/retry.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { withSMSRetry } = require('../src/utils/retry');
+
+test('maxRetries: 0 makes exactly one provider call', async () => {
+  let calls = 0;
+  const send = async () => {
+    calls++;
+    return { success: false, error: 'Temporary failure' };
+  };
+
+  await assert.rejects(withSMSRetry(send, { context: 'test', maxRetries: 0 }), /Temporary failure/);
+  assert.equal(calls, 1);
+});
+
+test('maxRetries defaults to 3 retries', async () => {
+  let calls = 0;
+  const send = async () => {
+    calls++;
+    return { success: false, error: 'Temporary failure' };
+  };
+
+  await assert.rejects(withSMSRetry(send, { context: 'test', baseDelay: 0 }));
+  assert.equal(calls, 4);
+});
+
+test('permanent errors are not retried', async () => {
+  let calls = 0;
+  const send = async () => {
+    calls++;
+    return { success: false, error: 'Invalid number', errorCode: '3' };
+  };
+
+  await assert.rejects(withSMSRetry(send, { context: 'test', baseDelay: 0 }));
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,140 @@
+/**
+ * SMS provider failover and circuit breakers (services/smsProvider.js)
+ *
+ * Notifyre is the primary and Vonage the backup; their sendSMS is replaced
+ * by scripted results, so nothing leaves the machine. Circuit state is
+ * per process, so the test that opens a breaker runs last.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NOTIFYRE_API_TOKEN = 'test-token';
+process.env.VONAGE_API_KEY = 'test-key';
+process.env.VONAGE_API_SECRET = 'test-secret';
+
+const smsProvider = require('../src/services/smsProvider');
+
+const settings = {
+  sms_provider: 'notifyre',
+  sms_reply_number: '+61400000001',
+  sms_failover_providers: [{ provider: 'vonage', fromNumber: '+61400000002' }]
+};
+
+const OK = { success: true, messageId: 'msg-1' };
+// Thrown, like a network failure: not retried, so the carrier fails straight away
+const UNAVAILABLE = new Error('Service unavailable');
+const INVALID_NUMBER = { success: false, error: 'Invalid params', errorCode: '3' };
+const BAD_CREDENTIALS = { success: false, error: 'Invalid credentials', errorCode: '4' };
+
+const calls = { notifyre: 0, vonage: 0 };
+const results = {};
+
+for (const name of ['notifyre', 'vonage']) {
+  smsProvider.getProvider(name).sendSMS = async () => {
+    calls[name]++;
+    if (results[name] instanceof Error) throw results[name];
+    return results[name];
+  };
+}
+
+function send() {
+  return smsProvider.sendWithFailover(settings, '0412345678', 'Hello', { context: 'test', maxRetries: 0 });
+}
+
+function circuit(name) {
+  return smsProvider.getProviderHealth().find(p => p.name === name).circuit;
+}
+
+beforeEach(async () => {
+  results.notifyre = OK;
+  results.vonage = OK;
+
+  // A success clears each circuit's failure count
+  for (const name of ['notifyre', 'vonage']) {
+    await smsProvider.sendWithFailover({ sms_provider: name, sms_reply_number: '+61400000001' }, '0412345678', 'Hello', { maxRetries: 0 });
+  }
+
+  calls.notifyre = 0;
+  calls.vonage = 0;
+});
+
+test('sends through the primary provider', async () => {
+  const result = await send();
+
+  assert.equal(result.success, true);
+  assert.equal(result.provider, 'notifyre');
+  assert.equal(result.fromNumber, '+61400000001');
+  assert.deepEqual(calls, { notifyre: 1, vonage: 0 });
+});
+
+test('fails over to the backup when the primary fails', async () => {
+  results.notifyre = UNAVAILABLE;
+
+  const result = await send();
+
+  assert.equal(result.success, true);
+  assert.equal(result.provider, 'vonage');
+  assert.equal(result.fromNumber, '+61400000002');
+  assert.deepEqual(result.attempts.map(a => [a.provider, a.success]), [['notifyre', false], ['vonage', true]]);
+  assert.equal(circuit('notifyre').failures, 1);
+});
+
+test('a rejected recipient is not retried on the backup or counted against the circuit', async () => {
+  results.notifyre = INVALID_NUMBER;
+
+  for (let i = 0; i < 5; i++) {
+    const result = await send();
+    assert.equal(result.success, false);
+    assert.equal(result.permanent, true);
+  }
+
+  assert.deepEqual(calls, { notifyre: 5, vonage: 0 });
+  assert.deepEqual(
+    [circuit('notifyre').state, circuit('notifyre').failures, circuit('vonage').failures],
+    ['closed', 0, 0]
+  );
+
+  // The next patient's SMS still goes through the primary
+  results.notifyre = OK;
+  assert.equal((await send()).provider, 'notifyre');
+});
+
+test('a carrier account problem fails over', async () => {
+  results.notifyre = BAD_CREDENTIALS;
+
+  const result = await send();
+
+  assert.equal(result.success, true);
+  assert.equal(result.provider, 'vonage');
+  assert.equal(circuit('notifyre').failures, 1);
+});
+
+test('every provider failing is retryable, not permanent', async () => {
+  results.notifyre = UNAVAILABLE;
+  results.vonage = UNAVAILABLE;
+
+  const result = await send();
+
+  assert.equal(result.success, false);
+  assert.equal(result.permanent, false);
+  assert.equal(result.error, 'Service unavailable');
+});
+
+test('repeated provider failures open its circuit and later sends skip it', async () => {
+  results.notifyre = UNAVAILABLE;
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await send()).provider, 'vonage');
+  }
+
+  assert.equal(circuit('notifyre').state, 'open');
+  assert.equal(circuit('vonage').state, 'closed');
+
+  results.notifyre = OK;
+  const result = await send();
+
+  assert.equal(result.provider, 'vonage');
+  assert.deepEqual(result.attempts[0], { provider: 'notifyre', skipped: 'circuit_open' });
+  assert.equal(calls.notifyre, 3);
+});
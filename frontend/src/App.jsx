@@ -6,9 +6,12 @@ import Register from './pages/Register'
 import ForgotPassword from './pages/ForgotPassword'
 import VerifyOTP from './pages/VerifyOTP'
 import ResetPassword from './pages/ResetPassword'
+import AcceptInvite from './pages/AcceptInvite'
 import MissedCalls from './pages/MissedCalls'
 import Leads from './pages/Leads'
+import Waitlist from './pages/Waitlist'
 import Settings from './pages/Settings'
+import AuditLog from './pages/AuditLog'
 import AdminDashboard from './pages/AdminDashboard'
 
 // Protected route wrapper
@@ -75,6 +78,17 @@ function AdminRoute({ children }) {
   return children
 }
 
+// Owner route wrapper (practice owners, e.g. the audit log)
+function OwnerRoute({ children }) {
+  const { hasRole } = useAuth()
+
+  if (!hasRole('owner')) {
+    return <Navigate to="/missed-calls" replace />
+  }
+
+  return children
+}
+
 function App() {
   return (
     <Routes>
@@ -119,6 +133,14 @@ function App() {
           </PublicRoute>
         }
       />
+      <Route
+        path="/accept-invite"
+        element={
+          <PublicRoute>
+            <AcceptInvite />
+          </PublicRoute>
+        }
+      />
 
       {/* Protected routes */}
       <Route
@@ -135,7 +157,13 @@ function App() {
         <Route path="calls" element={<Navigate to="/missed-calls" replace />} />
         <Route path="dashboard" element={<Navigate to="/missed-calls" replace />} />
         <Route path="leads" element={<Leads />} />
+        <Route path="waitlist" element={<Waitlist />} />
         <Route path="settings" element={<Settings />} />
+        <Route path="audit" element={
+          <OwnerRoute>
+            <AuditLog />
+          </OwnerRoute>
+        } />
         <Route path="admin" element={
           <AdminRoute>
             <AdminDashboard />
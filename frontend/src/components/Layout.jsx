@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext'
 import {
   PhoneMissed,
   History,
+  ListOrdered,
   Settings,
   LogOut,
   ChevronLeft,
@@ -11,13 +12,16 @@ import {
   Menu,
   X,
   Sparkles,
-  Shield
+  Shield,
+  ScrollText
 } from 'lucide-react'
 
 const navigation = [
   { name: 'Missed Calls', href: '/missed-calls', icon: PhoneMissed },
   { name: 'History', href: '/leads', icon: History },
+  { name: 'Waitlist', href: '/waitlist', icon: ListOrdered },
   { name: 'Settings', href: '/settings', icon: Settings },
+  { name: 'Audit Log', href: '/audit', icon: ScrollText, role: 'owner' },
 ]
 
 const adminNavigation = [
@@ -25,7 +29,7 @@ const adminNavigation = [
 ]
 
 function Sidebar({ collapsed, setCollapsed, mobileOpen, setMobileOpen }) {
-  const { user, logout } = useAuth()
+  const { user, logout, hasRole } = useAuth()
   const location = useLocation()
 
   const sidebarContent = (
@@ -45,7 +49,7 @@ function Sidebar({ collapsed, setCollapsed, mobileOpen, setMobileOpen }) {
 
       {/* Navigation */}
       <nav className="flex-1 px-3 py-4 space-y-1 overflow-y-auto">
-        {navigation.map((item) => {
+        {navigation.filter((item) => !item.role || hasRole(item.role)).map((item) => {
           const isActive = location.pathname === item.href
           return (
             <NavLink
@@ -115,7 +119,7 @@ function Sidebar({ collapsed, setCollapsed, mobileOpen, setMobileOpen }) {
               <p className="text-sm font-medium text-dark-200 truncate">
                 {user?.practiceName || 'Practice'}
               </p>
-              <p className="text-xs text-dark-500 truncate">{user?.email}</p>
+              <p className="text-xs text-dark-500 truncate">{user?.staff?.name || user?.staff?.email || user?.email}</p>
             </div>
           )}
         </div>
@@ -229,7 +233,7 @@ function Header({ setMobileOpen }) {
               <p className="text-sm font-medium text-dark-200 text-right">
                 {user?.practiceName}
               </p>
-              <p className="text-xs text-dark-500 text-right">{user?.email}</p>
+              <p className="text-xs text-dark-500 text-right">{user?.staff?.name || user?.staff?.email || user?.email}</p>
             </div>
             <div className="w-9 h-9 rounded-lg bg-gradient-to-br from-dark-700 to-dark-800 flex items-center justify-center text-sm font-medium text-dark-300 border border-dark-700">
               {user?.practiceName?.charAt(0)?.toUpperCase() || 'D'}
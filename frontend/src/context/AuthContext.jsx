@@ -3,6 +3,13 @@ import { authAPI } from '../lib/api'
 
 const AuthContext = createContext(null)
 
+// Lowest to highest - mirrors ROLES in backend/src/middleware/auth.js
+const ROLES = ['read_only', 'receptionist', 'manager', 'owner']
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required)
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -48,6 +55,16 @@ export function AuthProvider({ children }) {
     return user
   }
 
+  const acceptInvite = async (data) => {
+    const response = await authAPI.acceptInvite(data)
+    const { user, token, refreshToken } = response.data
+    localStorage.setItem('token', token)
+    localStorage.setItem('refreshToken', refreshToken)
+    localStorage.setItem('user', JSON.stringify(user))
+    setUser(user)
+    return user
+  }
+
   const logout = async () => {
     try {
       // Revoke refresh token on server
@@ -72,9 +89,11 @@ export function AuthProvider({ children }) {
     loading,
     login,
     register,
+    acceptInvite,
     logout,
     updateUser,
     isAuthenticated: !!user,
+    hasRole: (role) => hasRole(user?.staff?.role, role),
   }
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
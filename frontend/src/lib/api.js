@@ -125,6 +125,8 @@ export const authAPI = {
   me: () => api.get('/auth/me'),
   updateProfile: (data) => api.put('/auth/profile', data),
   updatePassword: (data) => api.put('/auth/password', data),
+  getInvite: (token) => api.get(`/auth/invite/${token}`),
+  acceptInvite: (data) => api.post('/auth/accept-invite', data),
 }
 
 // Calls API
@@ -133,25 +135,34 @@ export const callsAPI = {
   getOne: (id) => api.get(`/calls/${id}`),
   update: (id, data) => api.put(`/calls/${id}`, data),
   delete: (id) => api.delete(`/calls/${id}`),
+  // Deleted calls stay restorable
+  getDeleted: () => api.get('/calls/deleted'),
+  restore: (id) => api.post(`/calls/${id}/restore`),
+  // Plain URL for <audio src> - the token comes from getOne's voicemail.streamToken
+  voicemailUrl: (id, token) => `${API_URL}/calls/${id}/voicemail?token=${encodeURIComponent(token)}`,
 }
 
 // Leads API
 export const leadsAPI = {
   getAll: (params) => api.get('/leads', { params }),
-  getStats: () => api.get('/leads/stats'),
+  getStats: (params) => api.get('/leads/stats', { params }),
   getOne: (id) => api.get(`/leads/${id}`),
   create: (data) => api.post('/leads', data),
   update: (id, data) => api.put(`/leads/${id}`, data),
   delete: (id) => api.delete(`/leads/${id}`),
+  getDeleted: () => api.get('/leads/deleted'),
+  restore: (id) => api.post(`/leads/${id}/restore`),
 }
 
 // Analytics API
+// Each report takes an optional locationId; without it the whole practice is reported
 export const analyticsAPI = {
-  getOverview: (period) => api.get('/analytics/overview', { params: { period } }),
-  getCallsByDay: (days) => api.get('/analytics/calls-by-day', { params: { days } }),
-  getLeadsByStatus: () => api.get('/analytics/leads-by-status'),
-  getCallReasons: (days) => api.get('/analytics/call-reasons', { params: { days } }),
-  getPeakHours: (days) => api.get('/analytics/peak-hours', { params: { days } }),
+  getOverview: (period, locationId) => api.get('/analytics/overview', { params: { period, locationId } }),
+  getCallsByDay: (days, locationId) => api.get('/analytics/calls-by-day', { params: { days, locationId } }),
+  getLeadsByStatus: (locationId) => api.get('/analytics/leads-by-status', { params: { locationId } }),
+  getCallReasons: (days, locationId) => api.get('/analytics/call-reasons', { params: { days, locationId } }),
+  getPeakHours: (days, locationId) => api.get('/analytics/peak-hours', { params: { days, locationId } }),
+  getByLocation: (days) => api.get('/analytics/by-location', { params: { days } }),
 }
 
 // Settings API
@@ -162,7 +173,21 @@ export const settingsAPI = {
   updateNotifications: (data) => api.put('/settings/notifications', data),
   updateBusinessHours: (data) => api.put('/settings/business-hours', data),
   updateAiGreeting: (data) => api.put('/settings/ai-greeting', data),
+  updateReminderSchedule: (reminderSchedule) => api.put('/settings/reminders', { reminderSchedule }),
+  getPbx: () => api.get('/settings/pbx'),
+  rotatePbxWebhookSecret: () => api.post('/settings/pbx/webhook-secret'),
+  disablePbxWebhooks: () => api.delete('/settings/pbx/webhook-secret'),
+  updatePbxSigningSecret: (signingSecret) => api.put('/settings/pbx/signing-secret', { signingSecret }),
+  updatePbxAmi: (data) => api.put('/settings/pbx/ami', data),
+  updatePbxEmailTemplate: (template) => api.put('/settings/pbx/email-template', { template }),
   testSms: (data) => api.post('/settings/sms/test', data),
+  getSmsProviders: () => api.get('/settings/sms/providers'),
+  updateSmsProvider: (data) => api.put('/settings/sms-provider', data),
+  getConversationFlow: () => api.get('/settings/conversation-flow'),
+  updateConversationFlow: (flow) => api.put('/settings/conversation-flow', { flow }),
+  resetConversationFlow: () => api.delete('/settings/conversation-flow'),
+  getEmergency: () => api.get('/settings/emergency'),
+  updateEmergency: (data) => api.put('/settings/emergency', data),
 }
 
 // Booking Slots API
@@ -174,6 +199,15 @@ export const bookingSlotsAPI = {
   getAvailable: (date) => api.get('/booking-slots/available', { params: { date } }),
 }
 
+// Waitlist API
+export const waitlistAPI = {
+  getAll: (params) => api.get('/waitlist', { params }),
+  getOffers: () => api.get('/waitlist/offers'),
+  create: (data) => api.post('/waitlist', data),
+  update: (id, data) => api.put(`/waitlist/${id}`, data),
+  remove: (id) => api.delete(`/waitlist/${id}`),
+}
+
 // Conversations API
 export const conversationsAPI = {
   getAll: (params) => api.get('/conversations', { params }),
@@ -194,6 +228,67 @@ export const appointmentsAPI = {
   update: (id, data) => api.put(`/appointments/${id}`, data),
   cancel: (id) => api.delete(`/appointments/${id}`),
   getStats: () => api.get('/appointments/stats/overview'),
+  downloadIcs: (id) => api.get(`/appointments/${id}`, { params: { format: 'ics' }, responseType: 'blob' }),
+}
+
+// Calendar API
+export const calendarAPI = {
+  getStatus: () => api.get('/calendar/status'),
+  sync: () => api.post('/calendar/sync'),
+  getFeed: () => api.get('/calendar/feed'),
+  createFeed: () => api.post('/calendar/feed'),
+  disableFeed: () => api.delete('/calendar/feed'),
+}
+
+// Emergencies API
+export const emergenciesAPI = {
+  getAll: (params) => api.get('/emergencies', { params }),
+  acknowledge: (id) => api.post(`/emergencies/${id}/acknowledge`),
+}
+
+// Staff API (owners manage the team; managers can view it)
+export const staffAPI = {
+  getAll: () => api.get('/staff'),
+  invite: (data) => api.post('/staff/invite', data),
+  update: (id, data) => api.put(`/staff/${id}`, data),
+  resendInvite: (id, via) => api.post(`/staff/${id}/resend-invite`, { via }),
+  deactivate: (id) => api.post(`/staff/${id}/deactivate`),
+  reactivate: (id) => api.post(`/staff/${id}/reactivate`),
+}
+
+// Locations API (clinics of a multi-location practice)
+export const locationsAPI = {
+  getAll: () => api.get('/locations'),
+  create: (data) => api.post('/locations', data),
+  update: (id, data) => api.put(`/locations/${id}`, data),
+  delete: (id) => api.delete(`/locations/${id}`),
+}
+
+// Patients API - one record per caller, with their history
+export const patientsAPI = {
+  getAll: (params) => api.get('/patients', { params }),
+  getOne: (id) => api.get(`/patients/${id}`),
+  getTimeline: (id) => api.get(`/patients/${id}/timeline`),
+  update: (id, data) => api.put(`/patients/${id}`, data),
+}
+
+// SMS opt-outs API - numbers the practice mustn't text
+export const optOutsAPI = {
+  getAll: (params) => api.get('/opt-outs', { params }),
+  create: (data) => api.post('/opt-outs', data),
+  delete: (id) => api.delete(`/opt-outs/${id}`),
+  export: () => api.get('/opt-outs/export', { responseType: 'blob' }),
+}
+
+// Audit log API (owners)
+export const auditAPI = {
+  getAll: (params) => api.get('/audit', { params }),
+}
+
+// Live events API (Server-Sent Events - EventSource can't send the auth header)
+export const eventsAPI = {
+  getToken: () => api.get('/events/token'),
+  streamUrl: (token) => `${API_URL}/events?token=${encodeURIComponent(token)}`,
 }
 
 // Admin API (requires admin role)
@@ -203,6 +298,11 @@ export const adminAPI = {
   getClient: (id) => api.get(`/admin/client/${id}`),
   getLeads: (params) => api.get('/admin/leads', { params }),
   getCalls: (params) => api.get('/admin/calls', { params }),
+  getOutbox: (params) => api.get('/admin/outbox', { params }),
+  replayOutboxMessage: (id) => api.post(`/admin/outbox/${id}/replay`),
+  getWebhooks: (params) => api.get('/admin/webhooks', { params }),
+  getWebhook: (id) => api.get(`/admin/webhooks/${id}`),
+  replayWebhook: (id) => api.post(`/admin/webhooks/${id}/replay`),
 }
 
 export default api
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { Sparkles, Lock, User, ArrowRight, AlertCircle, CheckCircle, Eye, EyeOff } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { authAPI } from '../lib/api'
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  manager: 'Manager',
+  receptionist: 'Receptionist',
+  read_only: 'Read-only',
+}
+
+export default function AcceptInvite() {
+  const [invite, setInvite] = useState(null)
+  const [loadingInvite, setLoadingInvite] = useState(true)
+  const [name, setName] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const { acceptInvite } = useAuth()
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      try {
+        const response = await authAPI.getInvite(token)
+        setInvite(response.data.invite)
+        setName(response.data.invite.name || '')
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'This invite link is invalid or has expired')
+      } finally {
+        setLoadingInvite(false)
+      }
+    }
+
+    if (/^[a-f0-9]{64}$/i.test(token)) {
+      fetchInvite()
+    } else {
+      setError('This invite link is invalid or has expired')
+      setLoadingInvite(false)
+    }
+  }, [token])
+
+  const passwordRequirements = [
+    { label: 'At least 8 characters', met: password.length >= 8 },
+    { label: 'Contains a number', met: /\d/.test(password) },
+    { label: 'Contains a letter', met: /[a-zA-Z]/.test(password) },
+  ]
+
+  const allRequirementsMet = passwordRequirements.every((req) => req.met)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (!allRequirementsMet) {
+      setError('Please meet all password requirements')
+      return
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      await acceptInvite({ token, name: name.trim() || undefined, password })
+      navigate('/missed-calls')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to accept invite')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loadingInvite) {
+    return (
+      <div className="min-h-screen bg-dark-950 flex items-center justify-center">
+        <div className="w-8 h-8 border-2 border-accent-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-950 flex items-center justify-center p-8">
+      <div className="w-full max-w-md">
+        <div className="flex items-center justify-center gap-3 mb-12">
+          <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-accent-500 to-purple-600 flex items-center justify-center shadow-lg shadow-accent-500/30">
+            <Sparkles className="w-6 h-6 text-white" />
+          </div>
+          <span className="text-2xl font-bold text-white">SmileDesk</span>
+        </div>
+
+        {!invite ? (
+          <div className="text-center animate-fade-in">
+            <div className="w-16 h-16 rounded-full bg-danger-500/20 flex items-center justify-center mx-auto mb-6">
+              <AlertCircle className="w-8 h-8 text-danger-400" />
+            </div>
+            <h2 className="text-2xl font-bold text-dark-100 mb-2">Invite not available</h2>
+            <p className="text-dark-400 mb-8">{error} Ask the practice owner to send you a new one.</p>
+            <Link to="/login" className="text-accent-400 hover:text-accent-300 font-medium transition-colors">
+              Back to login
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="mb-8">
+              <h2 className="text-2xl font-bold text-dark-100 mb-2">Join {invite.practiceName}</h2>
+              <p className="text-dark-400">
+                You've been invited as {ROLE_LABELS[invite.role] || invite.role}. Set a password for{' '}
+                <span className="text-dark-200">{invite.email}</span> to get started.
+              </p>
+            </div>
+
+            {error && (
+              <div className="mb-6 p-4 rounded-lg bg-danger-500/10 border border-danger-500/20 flex items-start gap-3 animate-slide-down">
+                <AlertCircle className="w-5 h-5 text-danger-400 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-danger-400">{error}</p>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div className="input-group">
+                <label htmlFor="name" className="input-label">Your name</label>
+                <div className="relative">
+                  <User className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="name"
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="input pl-12"
+                    placeholder="Your name"
+                    maxLength={100}
+                  />
+                </div>
+              </div>
+
+              <div className="input-group">
+                <label htmlFor="password" className="input-label">Password</label>
+                <div className="relative">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="password"
+                    type={showPassword ? 'text' : 'password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input pl-12 pr-12"
+                    placeholder="Choose a password"
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-4 top-1/2 -translate-y-1/2 text-dark-500 hover:text-dark-300 transition-colors"
+                  >
+                    {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                  </button>
+                </div>
+              </div>
+
+              {/* Password requirements */}
+              {password && (
+                <div className="space-y-2 animate-fade-in">
+                  {passwordRequirements.map((req, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <div className={`w-4 h-4 rounded-full flex items-center justify-center ${
+                        req.met ? 'bg-success-500/20' : 'bg-dark-800'
+                      }`}>
+                        {req.met && <CheckCircle className="w-3 h-3 text-success-400" />}
+                      </div>
+                      <span className={`text-sm ${req.met ? 'text-success-400' : 'text-dark-500'}`}>
+                        {req.label}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="input-group">
+                <label htmlFor="confirmPassword" className="input-label">Confirm password</label>
+                <div className="relative">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+                  <input
+                    id="confirmPassword"
+                    type={showPassword ? 'text' : 'password'}
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="input pl-12"
+                    placeholder="Confirm password"
+                    required
+                  />
+                </div>
+                {confirmPassword && password !== confirmPassword && (
+                  <p className="text-xs text-danger-400 mt-2">Passwords do not match</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !allRequirementsMet || password !== confirmPassword}
+                className="w-full btn-primary py-3 flex items-center justify-center gap-2 group disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                ) : (
+                  <>
+                    Join practice
+                    <ArrowRight className="w-4 h-4 group-hover:translate-x-1 transition-transform" />
+                  </>
+                )}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
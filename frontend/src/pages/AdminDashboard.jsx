@@ -16,9 +16,224 @@ import {
   Clock,
   CheckCircle2,
   ArrowUpRight,
-  ArrowDownRight
+  ArrowDownRight,
+  Webhook,
+  RotateCcw,
+  ChevronDown,
+  ChevronRight,
+  Loader2
 } from 'lucide-react'
 
+// Outcomes that mean the webhook did what it should
+const OK_OUTCOMES = ['sms_queued', 'conversation_reply', 'ok', 'event_ignored', 'duplicate_skipped', 'duplicate']
+
+function formatPayload(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2)
+  } catch (err) {
+    return body || ''
+  }
+}
+
+function OutcomeBadge({ outcome }) {
+  const ok = OK_OUTCOMES.includes(outcome)
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs font-mono ${
+        ok ? 'bg-success-500/10 text-success-400' : 'bg-danger-500/10 text-danger-400'
+      }`}
+    >
+      {outcome || 'unknown'}
+    </span>
+  )
+}
+
+function WebhookRow({ event }) {
+  const [open, setOpen] = useState(false)
+  const [detail, setDetail] = useState(null)
+  const [replay, setReplay] = useState(null)
+  const [replaying, setReplaying] = useState(false)
+
+  const toggle = async () => {
+    setOpen(!open)
+    if (!detail) {
+      try {
+        const res = await adminAPI.getWebhook(event.id)
+        setDetail(res.data.event)
+      } catch (error) {
+        console.error('Failed to fetch webhook:', error)
+      }
+    }
+  }
+
+  const handleReplay = async () => {
+    setReplaying(true)
+    try {
+      const res = await adminAPI.replayWebhook(event.id)
+      setReplay(res.data)
+    } catch (error) {
+      setReplay({ error: error.response?.data?.error?.message || 'Replay failed' })
+    } finally {
+      setReplaying(false)
+    }
+  }
+
+  return (
+    <div className="rounded-lg bg-dark-800/30">
+      <button onClick={toggle} className="w-full flex items-center gap-3 p-3 text-left">
+        {open ? <ChevronDown className="w-4 h-4 text-dark-500" /> : <ChevronRight className="w-4 h-4 text-dark-500" />}
+        <span className="text-xs text-dark-500 w-36 shrink-0">{new Date(event.receivedAt).toLocaleString()}</span>
+        <span className="text-sm text-dark-200 w-28 shrink-0">{event.source}/{event.system}</span>
+        <span className="text-sm text-dark-400 flex-1 truncate">{event.clientName || 'No practice matched'}</span>
+        <span className="text-xs text-dark-500 font-mono">{event.statusCode}</span>
+        <OutcomeBadge outcome={event.outcome} />
+      </button>
+
+      {open && (
+        <div className="px-3 pb-3 space-y-3">
+          {detail ? (
+            <>
+              <p className="text-xs text-dark-500 font-mono">
+                {detail.method} {detail.path} - {detail.contentType || 'no content type'} - {detail.ip} - {detail.durationMs}ms
+              </p>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+                <div>
+                  <p className="text-xs text-dark-400 mb-1">Body</p>
+                  <pre className="text-xs text-dark-200 bg-dark-900/60 rounded p-2 overflow-auto max-h-64">{formatPayload(detail.body)}</pre>
+                </div>
+                <div>
+                  <p className="text-xs text-dark-400 mb-1">Headers</p>
+                  <pre className="text-xs text-dark-200 bg-dark-900/60 rounded p-2 overflow-auto max-h-64">{JSON.stringify(detail.headers, null, 2)}</pre>
+                </div>
+              </div>
+              {detail.response && (
+                <div>
+                  <p className="text-xs text-dark-400 mb-1">Response</p>
+                  <pre className="text-xs text-dark-200 bg-dark-900/60 rounded p-2 overflow-auto">{JSON.stringify(detail.response, null, 2)}</pre>
+                </div>
+              )}
+            </>
+          ) : (
+            <Loader2 className="w-4 h-4 text-dark-500 animate-spin" />
+          )}
+
+          <div className="flex items-center gap-3">
+            <button onClick={handleReplay} disabled={replaying} className="btn-secondary">
+              {replaying ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+              <span className="ml-2">Replay with current code</span>
+            </button>
+            <span className="text-xs text-dark-500">Dry run - nothing is texted or saved</span>
+          </div>
+
+          {replay && (
+            replay.error ? (
+              <p className="text-sm text-danger-400">{replay.error}</p>
+            ) : (
+              <div>
+                <p className="text-xs text-dark-400 mb-1 flex items-center gap-2">
+                  Now: <OutcomeBadge outcome={replay.outcome} /> (was {replay.originalOutcome})
+                </p>
+                <pre className="text-xs text-dark-200 bg-dark-900/60 rounded p-2 overflow-auto">{JSON.stringify(replay.parsed, null, 2)}</pre>
+              </div>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function WebhookLog() {
+  const [events, setEvents] = useState([])
+  const [summary, setSummary] = useState({})
+  const [filters, setFilters] = useState({ source: '', outcome: '' })
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchWebhooks = async () => {
+      setLoading(true)
+      try {
+        const params = { limit: 50 }
+        if (filters.source) params.source = filters.source
+        if (filters.outcome) params.outcome = filters.outcome
+
+        const res = await adminAPI.getWebhooks(params)
+        setEvents(res.data.events)
+        setSummary(res.data.summary)
+      } catch (error) {
+        console.error('Failed to fetch webhooks:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchWebhooks()
+  }, [filters])
+
+  return (
+    <div className="card">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-lg bg-blue-500/10 flex items-center justify-center">
+            <Webhook className="w-5 h-5 text-blue-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-dark-100">Webhook Log</h3>
+            <p className="text-xs text-dark-500">What PBX and SMS providers actually sent us</p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={filters.source}
+            onChange={(e) => setFilters({ ...filters, source: e.target.value })}
+            className="input"
+          >
+            <option value="">All sources</option>
+            <option value="pbx">PBX</option>
+            <option value="sms">SMS</option>
+          </select>
+          <select
+            value={filters.outcome}
+            onChange={(e) => setFilters({ ...filters, outcome: e.target.value })}
+            className="input"
+          >
+            <option value="">All outcomes</option>
+            {Object.keys(summary).map((outcome) => (
+              <option key={outcome} value={outcome}>{outcome}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {Object.keys(summary).length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {Object.entries(summary).map(([outcome, count]) => (
+            <span key={outcome} className="text-xs text-dark-400">
+              <OutcomeBadge outcome={outcome} /> {count}
+            </span>
+          ))}
+          <span className="text-xs text-dark-500">last 24 hours</span>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 text-dark-500 animate-spin" />
+          </div>
+        ) : events.length > 0 ? (
+          events.map((event) => <WebhookRow key={event.id} event={event} />)
+        ) : (
+          <div className="text-center py-8">
+            <Webhook className="w-8 h-8 text-dark-600 mx-auto mb-3" />
+            <p className="text-dark-400 text-sm">No webhooks captured</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
 function StatCard({ title, value, icon: Icon, gradient, subtitle, trend, trendValue }) {
   return (
     <div className="card-hover group relative overflow-hidden">
@@ -378,6 +593,9 @@ export default function AdminDashboard() {
           )}
         </div>
       </div>
+
+      {/* Webhook Log */}
+      <WebhookLog />
     </div>
   )
 }
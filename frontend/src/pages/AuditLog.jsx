@@ -0,0 +1,366 @@
+import { useState, useEffect } from 'react'
+import { auditAPI, callsAPI, leadsAPI } from '../lib/api'
+import {
+  ScrollText,
+  Trash2,
+  RotateCcw,
+  Bot,
+  User,
+  ChevronLeft,
+  ChevronRight,
+  Loader2
+} from 'lucide-react'
+
+const ENTITY_TYPES = [
+  { value: '', label: 'Everything' },
+  { value: 'call', label: 'Calls' },
+  { value: 'lead', label: 'Leads' },
+  { value: 'appointment', label: 'Appointments' },
+  { value: 'patient', label: 'Patients' },
+  { value: 'opt_out', label: 'SMS opt-outs' },
+  { value: 'settings', label: 'Settings' },
+  { value: 'location', label: 'Locations' },
+  { value: 'staff', label: 'Staff' },
+  { value: 'auth', label: 'Sign-ins' },
+]
+
+const emptyFilters = { entityType: '', action: '', from: '', to: '' }
+
+// 'call.deleted' -> 'Call deleted'
+function describeAction(action) {
+  const text = action.replace('.', ' ').replace(/_/g, ' ')
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+function formatDateTime(date) {
+  return new Date(date).toLocaleString('en-AU', {
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+}
+
+function Changes({ changes }) {
+  const fields = Object.entries(changes || {})
+  if (fields.length === 0) return null
+
+  return (
+    <div className="mt-2 space-y-1">
+      {fields.map(([field, { from, to }]) => (
+        <p key={field} className="text-xs text-dark-400 break-all">
+          <span className="font-mono text-dark-300">{field}</span>{' '}
+          <span className="text-danger-400/80 line-through">{formatValue(from)}</span>
+          {' → '}
+          <span className="text-success-400">{formatValue(to)}</span>
+        </p>
+      ))}
+    </div>
+  )
+}
+
+function Entries() {
+  const [entries, setEntries] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState(emptyFilters)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setLoading(true)
+      try {
+        const params = { page }
+        for (const [key, value] of Object.entries(filters)) {
+          if (value) params[key] = value
+        }
+        // Whole days, in the browser's timezone
+        if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString()
+        if (filters.to) params.to = new Date(`${filters.to}T23:59:59`).toISOString()
+
+        const response = await auditAPI.getAll(params)
+        setEntries(response.data.entries || [])
+        setPagination(response.data.pagination)
+      } catch (err) {
+        console.error('Failed to fetch audit log:', err)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchEntries()
+  }, [filters, page])
+
+  const setFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }))
+    setPage(1)
+  }
+
+  return (
+    <div className="space-y-4">
+      {/* Filters */}
+      <div className="card grid grid-cols-1 sm:grid-cols-4 gap-4">
+        <div className="input-group">
+          <label className="input-label">Type</label>
+          <select
+            value={filters.entityType}
+            onChange={(e) => setFilter('entityType', e.target.value)}
+            className="input"
+          >
+            {ENTITY_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label className="input-label">Action</label>
+          <input
+            type="text"
+            value={filters.action}
+            onChange={(e) => setFilter('action', e.target.value.trim().toLowerCase())}
+            className="input"
+            placeholder="call.deleted"
+          />
+        </div>
+        <div className="input-group">
+          <label className="input-label">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+            className="input"
+          />
+        </div>
+        <div className="input-group">
+          <label className="input-label">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+            className="input"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-40">
+          <div className="w-8 h-8 border-2 border-accent-500 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-16">
+          <div className="w-16 h-16 rounded-2xl bg-dark-800/50 flex items-center justify-center mx-auto mb-4">
+            <ScrollText className="w-8 h-8 text-dark-600" />
+          </div>
+          <p className="text-dark-200 text-lg font-medium">Nothing recorded</p>
+          <p className="text-dark-500 mt-1">Try a wider date range or another type</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {entries.map((entry) => (
+            <div key={entry.id} className="p-4 rounded-xl bg-dark-800/30 border border-dark-700/50">
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                <div className="flex items-start gap-3">
+                  <div className="w-8 h-8 rounded-lg bg-dark-800 flex items-center justify-center border border-dark-700 flex-shrink-0">
+                    {entry.actorType === 'system'
+                      ? <Bot className="w-4 h-4 text-dark-400" />
+                      : <User className="w-4 h-4 text-dark-400" />}
+                  </div>
+                  <div>
+                    <p className="text-sm text-dark-100">
+                      <span className="font-medium">{entry.actorName || 'Unknown'}</span>
+                      <span className="text-dark-400"> · {describeAction(entry.action)}</span>
+                    </p>
+                    <Changes changes={entry.changes} />
+                  </div>
+                </div>
+                <div className="sm:text-right text-xs text-dark-500 flex-shrink-0">
+                  <p>{formatDateTime(entry.createdAt)}</p>
+                  {entry.ipAddress && <p className="font-mono">{entry.ipAddress}</p>}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-dark-500">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} entries)
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="btn-secondary"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+              className="btn-secondary"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function RecentlyDeleted() {
+  const [calls, setCalls] = useState([])
+  const [leads, setLeads] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [restoring, setRestoring] = useState(null)
+
+  const fetchDeleted = async () => {
+    try {
+      const [callsRes, leadsRes] = await Promise.all([
+        callsAPI.getDeleted(),
+        leadsAPI.getDeleted()
+      ])
+      setCalls(callsRes.data.calls || [])
+      setLeads(leadsRes.data.leads || [])
+    } catch (err) {
+      console.error('Failed to fetch deleted records:', err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchDeleted()
+  }, [])
+
+  const handleRestore = async (kind, id) => {
+    setRestoring(id)
+    try {
+      if (kind === 'call') {
+        await callsAPI.restore(id)
+        setCalls((prev) => prev.filter((c) => c.id !== id))
+      } else {
+        await leadsAPI.restore(id)
+        setLeads((prev) => prev.filter((l) => l.id !== id))
+      }
+    } catch (err) {
+      console.error('Failed to restore:', err)
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-40">
+        <div className="w-8 h-8 border-2 border-accent-500 border-t-transparent rounded-full animate-spin" />
+      </div>
+    )
+  }
+
+  const rows = [
+    ...calls.map((call) => ({
+      kind: 'call',
+      id: call.id,
+      title: call.callerName || call.callerPhone,
+      subtitle: `Missed call, ${formatDateTime(call.createdAt)}`,
+      deletedAt: call.deletedAt,
+      deletedBy: call.deletedBy
+    })),
+    ...leads.map((lead) => ({
+      kind: 'lead',
+      id: lead.id,
+      title: lead.name || lead.phone,
+      subtitle: `Lead (${lead.status}), ${formatDateTime(lead.createdAt)}`,
+      deletedAt: lead.deletedAt,
+      deletedBy: lead.deletedBy
+    }))
+  ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+
+  if (rows.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <div className="w-16 h-16 rounded-2xl bg-dark-800/50 flex items-center justify-center mx-auto mb-4">
+          <Trash2 className="w-8 h-8 text-dark-600" />
+        </div>
+        <p className="text-dark-200 text-lg font-medium">Nothing deleted</p>
+        <p className="text-dark-500 mt-1">Deleted calls and leads can be restored here</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row) => (
+        <div
+          key={`${row.kind}-${row.id}`}
+          className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-xl bg-dark-800/30 border border-dark-700/50"
+        >
+          <div>
+            <p className="font-medium text-dark-100">{row.title}</p>
+            <p className="text-sm text-dark-400">{row.subtitle}</p>
+            <p className="text-xs text-dark-500 mt-1">
+              Deleted {formatDateTime(row.deletedAt)}{row.deletedBy ? ` by ${row.deletedBy}` : ''}
+            </p>
+          </div>
+          <button
+            onClick={() => handleRestore(row.kind, row.id)}
+            disabled={restoring === row.id}
+            className="btn-secondary"
+          >
+            {restoring === row.id
+              ? <Loader2 className="w-4 h-4 animate-spin" />
+              : <RotateCcw className="w-4 h-4" />}
+            <span className="ml-2">Restore</span>
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default function AuditLog() {
+  const [tab, setTab] = useState('log')
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-dark-100">Audit Log</h1>
+        <p className="text-dark-400 mt-1">
+          Who changed what and when - entries can't be edited or removed
+        </p>
+      </div>
+
+      <div className="flex gap-2">
+        {[
+          { id: 'log', label: 'Activity', icon: ScrollText },
+          { id: 'deleted', label: 'Recently Deleted', icon: Trash2 },
+        ].map((item) => (
+          <button
+            key={item.id}
+            onClick={() => setTab(item.id)}
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm border transition-colors ${
+              tab === item.id
+                ? 'bg-accent-500/10 border-accent-500/30 text-accent-400'
+                : 'bg-dark-800/50 border-dark-700/50 text-dark-400'
+            }`}
+          >
+            <item.icon className="w-4 h-4" />
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'log' ? <Entries /> : <RecentlyDeleted />}
+    </div>
+  )
+}
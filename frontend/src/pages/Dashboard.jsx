@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { analyticsAPI } from '../lib/api'
+import { analyticsAPI, appointmentsAPI, locationsAPI } from '../lib/api'
 import {
   TrendingUp,
   TrendingDown,
@@ -8,7 +8,9 @@ import {
   CalendarCheck,
   PhoneOff,
   MessageSquare,
-  BarChart3
+  BarChart3,
+  AlertTriangle,
+  MapPin
 } from 'lucide-react'
 
 function StatCard({ title, value, suffix, trend, trendDirection, icon: Icon, gradient, subtitle }) {
@@ -54,14 +56,98 @@ function StatCard({ title, value, suffix, trend, trendDirection, icon: Icon, gra
   )
 }
 
+function ConflictsCard({ conflicts }) {
+  if (conflicts.length === 0) return null
+
+  return (
+    <div className="card border border-warning-500/30">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-10 h-10 rounded-lg bg-warning-500/10 flex items-center justify-center">
+          <AlertTriangle className="w-5 h-5 text-warning-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold text-dark-100">Calendar Conflicts</h3>
+          <p className="text-xs text-dark-500">
+            {conflicts.length} upcoming appointment{conflicts.length === 1 ? '' : 's'} overlap after the last calendar sync
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {conflicts.map((apt) => (
+          <div key={apt.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 p-3 rounded-lg bg-dark-800/30">
+            <div>
+              <p className="text-sm font-medium text-dark-100">{apt.patientName}</p>
+              <p className="text-xs text-dark-400">
+                {new Date(apt.appointmentDate).toLocaleDateString()} at {apt.appointmentTime}
+              </p>
+            </div>
+            <p className="text-xs text-warning-400">
+              Overlaps {apt.conflictWith.map((c) => c.label).join(', ')}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Group rollup for multi-location practices
+function LocationsCard({ rows, totals }) {
+  return (
+    <div className="card">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-10 h-10 rounded-lg bg-accent-500/10 flex items-center justify-center">
+          <MapPin className="w-5 h-5 text-accent-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold text-dark-100">By Location</h3>
+          <p className="text-xs text-dark-500">Missed calls and bookings at each clinic</p>
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b border-dark-700/50 text-xs text-dark-500 uppercase tracking-wider">
+            <th className="text-left py-2">Location</th>
+            <th className="text-right py-2">Missed Calls</th>
+            <th className="text-right py-2">Leads</th>
+            <th className="text-right py-2">Booked</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-dark-700/30">
+          {rows.map((row) => (
+            <tr key={row.locationId || 'none'}>
+              <td className="py-2 text-dark-200">{row.name || 'Practice numbers'}</td>
+              <td className="py-2 text-right text-dark-100">{row.missedCalls}</td>
+              <td className="py-2 text-right text-dark-100">{row.leads}</td>
+              <td className="py-2 text-right text-success-400">{row.conversionRate}%</td>
+            </tr>
+          ))}
+          <tr className="font-medium">
+            <td className="py-2 text-dark-100">All locations</td>
+            <td className="py-2 text-right text-dark-100">{totals.missedCalls}</td>
+            <td className="py-2 text-right text-dark-100">{totals.leads}</td>
+            <td className="py-2 text-right text-success-400">{totals.conversionRate}%</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
 export default function Dashboard() {
   const [stats, setStats] = useState(null)
+  const [conflicts, setConflicts] = useState([])
   const [loading, setLoading] = useState(true)
+  const [locations, setLocations] = useState([])
+  const [locationId, setLocationId] = useState('')
+  const [byLocation, setByLocation] = useState(null)
 
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const analyticsRes = await analyticsAPI.getOverview('30d')
+        const analyticsRes = await analyticsAPI.getOverview('30d', locationId || undefined)
         setStats(analyticsRes.data.stats)
       } catch (error) {
         console.error('Failed to fetch analytics:', error)
@@ -70,6 +156,30 @@ export default function Dashboard() {
       }
     }
 
+    fetchData()
+  }, [locationId])
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const conflictsRes = await appointmentsAPI.getAll({ conflicts: true, limit: 10 })
+        setConflicts(conflictsRes.data.appointments)
+      } catch (error) {
+        console.error('Failed to fetch appointment conflicts:', error)
+      }
+
+      try {
+        const locationsRes = await locationsAPI.getAll()
+        setLocations(locationsRes.data.locations)
+        if (locationsRes.data.locations.length > 0) {
+          const byLocationRes = await analyticsAPI.getByLocation(30)
+          setByLocation(byLocationRes.data)
+        }
+      } catch (error) {
+        console.error('Failed to fetch location analytics:', error)
+      }
+    }
+
     fetchData()
   }, [])
 
@@ -94,12 +204,32 @@ export default function Dashboard() {
             Performance overview for the last 30 days
           </p>
         </div>
-        <div className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-800/50 border border-dark-700/50">
-          <Calendar className="w-4 h-4 text-dark-400" />
-          <span className="text-sm text-dark-300">Last 30 days</span>
+        <div className="flex items-center gap-3">
+          {locations.length > 0 && (
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              className="px-4 py-2 rounded-lg bg-dark-800/50 border border-dark-700/50 text-sm text-dark-300 focus:outline-none focus:border-accent-500/50"
+            >
+              <option value="">All locations</option>
+              {locations.map((location) => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          )}
+          <div className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-800/50 border border-dark-700/50">
+            <Calendar className="w-4 h-4 text-dark-400" />
+            <span className="text-sm text-dark-300">Last 30 days</span>
+          </div>
         </div>
       </div>
 
+      <ConflictsCard conflicts={conflicts} />
+
+      {byLocation && !locationId && (
+        <LocationsCard rows={byLocation.data} totals={byLocation.totals} />
+      )}
+
       {/* Stats grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 lg:gap-6">
         <StatCard
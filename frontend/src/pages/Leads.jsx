@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { leadsAPI } from '../lib/api'
+import { leadsAPI, locationsAPI } from '../lib/api'
 import {
   Search,
   Download,
@@ -10,7 +10,8 @@ import {
   PhoneCall,
   CalendarCheck,
   Sparkles,
-  Users
+  Users,
+  MapPin
 } from 'lucide-react'
 
 // Format phone for display
@@ -116,12 +117,13 @@ function StatusBadge({ lead }) {
 
 // Export to CSV
 function downloadCSV(leads) {
-  const headers = ['Name', 'Phone', 'Status', 'Reason', 'Appointment Time', 'Created At']
+  const headers = ['Name', 'Phone', 'Status', 'Reason', 'Location', 'Appointment Time', 'Created At']
   const rows = leads.map(lead => [
     lead.name || 'Unknown',
     lead.phone,
     lead.status,
     lead.reason || '',
+    lead.locationName || '',
     lead.appointmentTime ? formatAppointmentTime(lead.appointmentTime) : '',
     formatDate(lead.createdAt)
   ])
@@ -146,13 +148,16 @@ export default function Leads() {
   const [loading, setLoading] = useState(true)
   const [stats, setStats] = useState(null)
   const [search, setSearch] = useState('')
+  const [locations, setLocations] = useState([])
+  const [locationId, setLocationId] = useState('')
 
   const fetchLeads = async () => {
     setLoading(true)
     try {
+      const params = locationId ? { locationId } : {}
       const [leadsRes, statsRes] = await Promise.all([
-        leadsAPI.getAll({ limit: 200 }),
-        leadsAPI.getStats()
+        leadsAPI.getAll({ limit: 200, ...params }),
+        leadsAPI.getStats(params)
       ])
       // Sort by most recent first
       const sortedLeads = (leadsRes.data.leads || []).sort(
@@ -169,6 +174,12 @@ export default function Leads() {
 
   useEffect(() => {
     fetchLeads()
+  }, [locationId])
+
+  useEffect(() => {
+    locationsAPI.getAll()
+      .then(response => setLocations(response.data.locations))
+      .catch(error => console.error('Failed to fetch locations:', error))
   }, [])
 
   const filteredLeads = leads.filter(lead =>
@@ -227,6 +238,21 @@ export default function Leads() {
             className="w-full pl-12 pr-4 py-3 rounded-xl bg-dark-800/50 border border-dark-700/50 text-dark-100 placeholder:text-dark-500 focus:outline-none focus:border-accent-500/50 focus:ring-2 focus:ring-accent-500/20 transition-all"
           />
         </div>
+        {locations.length > 0 && (
+          <div className="relative sm:w-60">
+            <MapPin className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-dark-500" />
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              className="w-full pl-12 pr-4 py-3 rounded-xl bg-dark-800/50 border border-dark-700/50 text-dark-100 focus:outline-none focus:border-accent-500/50 focus:ring-2 focus:ring-accent-500/20 transition-all"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
         <button
           onClick={() => downloadCSV(filteredLeads)}
           className="flex items-center gap-2 px-4 py-3 rounded-xl bg-dark-800/50 border border-dark-700/50 text-dark-300 hover:text-dark-100 hover:border-dark-600 transition-all"
@@ -291,6 +317,12 @@ export default function Leads() {
                     <Clock className="w-3 h-3" />
                     {formatDate(lead.createdAt)}
                   </p>
+                  {lead.locationName && (
+                    <p className="text-xs text-dark-500 flex items-center gap-1.5">
+                      <MapPin className="w-3 h-3" />
+                      {lead.locationName}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
-import { callsAPI } from '../lib/api'
+import { callsAPI, emergenciesAPI, eventsAPI, locationsAPI } from '../lib/api'
+import { useAuth } from '../context/AuthContext'
 import {
   Search,
   Phone,
@@ -12,9 +13,138 @@ import {
   CheckCircle2,
   Send,
   Loader2,
+  Play,
+  Voicemail,
+  Siren,
+  Volume2,
+  VolumeX,
+  MapPin,
+  Ban,
   X
 } from 'lucide-react'
 
+// Event stream types (backend services/realtime.js)
+const LIVE_EVENTS = [
+  'call.created',
+  'call.updated',
+  'call.deleted',
+  'message.received',
+  'message.status',
+  'emergency.raised',
+  'emergency.acknowledged'
+]
+const SOUND_EVENTS = ['call.created', 'message.received', 'emergency.raised']
+const SOUND_ALERTS_KEY = 'missedCalls.soundAlerts'
+
+// Catch-up refresh: slow while the stream is up, the old 5s poll while it's down
+const LIVE_POLL_MS = 60000
+const OFFLINE_POLL_MS = 5000
+const MAX_RECONNECT_MS = 30000
+
+let audioContext = null
+
+// Short two-tone chime (Web Audio, so there's no sound file to ship)
+function playAlertSound() {
+  try {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)()
+    if (audioContext.state === 'suspended') audioContext.resume()
+
+    const start = audioContext.currentTime
+    const tones = [880, 1175]
+    tones.forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      const at = start + i * 0.18
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.2, at)
+      gain.gain.exponentialRampToValueAtTime(0.001, at + 0.3)
+      oscillator.connect(gain).connect(audioContext.destination)
+      oscillator.start(at)
+      oscillator.stop(at + 0.3)
+    })
+  } catch (error) {
+    console.error('Failed to play alert sound:', error)
+  }
+}
+
+// Keep the practice's event stream open, calling onEvent(type, data) for
+// each event. Returns whether the stream is connected.
+function useLiveEvents(onEvent) {
+  const [connected, setConnected] = useState(false)
+  const onEventRef = useRef(onEvent)
+
+  useEffect(() => {
+    onEventRef.current = onEvent
+  }, [onEvent])
+
+  useEffect(() => {
+    let source = null
+    let retryTimer = null
+    let attempts = 0
+    let hasConnected = false
+    let closed = false
+
+    const retry = () => {
+      if (closed) return
+      const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_MS)
+      attempts++
+      retryTimer = setTimeout(connect, delay)
+    }
+
+    const connect = async () => {
+      try {
+        const response = await eventsAPI.getToken()
+        if (closed) return
+
+        source = new EventSource(eventsAPI.streamUrl(response.data.token))
+
+        source.addEventListener('ready', () => {
+          attempts = 0
+          setConnected(true)
+          // Events sent while we were disconnected are gone - catch up
+          if (hasConnected) onEventRef.current('reconnected', {})
+          hasConnected = true
+        })
+
+        LIVE_EVENTS.forEach(type => {
+          source.addEventListener(type, (event) => {
+            let data = {}
+            try {
+              data = JSON.parse(event.data)
+            } catch (error) {
+              // Ids only - refetching works without them
+            }
+            onEventRef.current(type, data)
+          })
+        })
+
+        source.onerror = () => {
+          setConnected(false)
+          // The browser retries a dropped stream itself; a refused one
+          // (expired token) stays closed and needs a new token
+          if (source.readyState === EventSource.CLOSED) {
+            source.close()
+            retry()
+          }
+        }
+      } catch (error) {
+        console.error('Failed to open live updates:', error)
+        retry()
+      }
+    }
+
+    connect()
+
+    return () => {
+      closed = true
+      clearTimeout(retryTimer)
+      if (source) source.close()
+    }
+  }, [])
+
+  return connected
+}
+
 // Format phone for display
 function formatPhone(phone) {
   if (!phone) return 'Unknown'
@@ -30,6 +160,20 @@ function formatPhone(phone) {
 }
 
 // Format time for display
+// 2 -> '2nd', 13 -> '13th'
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13
+  const suffix = teen ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+// '3rd call this week from Jane Smith' - nothing for a first call
+function describeRepeatCaller(call) {
+  if (!(call.patientCallNumber > 1)) return null
+  const from = call.callerName ? ` from ${call.callerName}` : ''
+  return `${ordinal(call.patientCallNumber)} call this week${from}`
+}
+
 function formatTime(dateString) {
   const date = new Date(dateString)
   const now = new Date()
@@ -73,6 +217,14 @@ function CallTypeBadge({ callbackType, aiStatus }) {
       </span>
     )
   }
+  if (aiStatus === 'voicemail') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-accent-500/20 text-accent-300 text-xs font-medium">
+        <Voicemail className="w-3 h-3" />
+        Voicemail Left
+      </span>
+    )
+  }
   if (aiStatus === 'no_response') {
     return (
       <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-danger-500/20 text-danger-400 text-xs font-medium">
@@ -81,6 +233,14 @@ function CallTypeBadge({ callbackType, aiStatus }) {
       </span>
     )
   }
+  if (aiStatus === 'opted_out') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-dark-600 text-dark-300 text-xs font-medium">
+        <Ban className="w-3 h-3" />
+        Opted Out of SMS
+      </span>
+    )
+  }
   return (
     <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-dark-600 text-dark-400 text-xs font-medium">
       <MessageSquare className="w-3 h-3" />
@@ -116,6 +276,18 @@ function AIStatusBadge({ aiStatus }) {
           </span>
         </div>
       )
+    case 'voicemail':
+      return (
+        <div className="flex flex-col gap-1">
+          <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-accent-500/20 text-accent-300 text-xs font-medium">
+            <Voicemail className="w-3 h-3" />
+            No SMS sent
+          </span>
+          <span className="text-xs font-medium text-danger-400">
+            Needs Callback
+          </span>
+        </div>
+      )
     case 'no_response':
       return (
         <div className="flex flex-col gap-1">
@@ -128,6 +300,18 @@ function AIStatusBadge({ aiStatus }) {
           </span>
         </div>
       )
+    case 'opted_out':
+      return (
+        <div className="flex flex-col gap-1">
+          <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-dark-600 text-dark-300 text-xs font-medium">
+            <Ban className="w-3 h-3" />
+            No SMS sent
+          </span>
+          <span className="text-xs font-medium text-danger-400">
+            Needs Callback
+          </span>
+        </div>
+      )
     default:
       return (
         <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-dark-600 text-dark-400 text-xs font-medium">
@@ -138,11 +322,151 @@ function AIStatusBadge({ aiStatus }) {
   }
 }
 
+// Inline voicemail player - fetches a short-lived stream link on first play
+function VoicemailPlayer({ call }) {
+  const [src, setSrc] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  if (call.voicemailStatus === 'pending') {
+    return (
+      <span className="inline-flex items-center gap-1.5 text-xs text-dark-500">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        Saving voicemail...
+      </span>
+    )
+  }
+  if (call.voicemailStatus !== 'stored') {
+    return <span className="text-xs text-dark-500">Recording unavailable</span>
+  }
+
+  const handlePlay = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const response = await callsAPI.getOne(call.id)
+      const token = response.data.call.voicemail?.streamToken
+      if (!token) throw new Error('No recording')
+      setSrc(callsAPI.voicemailUrl(call.id, token))
+    } catch (err) {
+      console.error('Failed to load voicemail:', err)
+      setError('Could not load voicemail')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // The link expires - on error drop it so the next play fetches a fresh one
+  if (src) {
+    return (
+      <audio
+        controls
+        autoPlay
+        src={src}
+        onError={() => setSrc(null)}
+        className="h-8 w-full max-w-xs"
+      />
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={handlePlay}
+        disabled={loading}
+        className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-lg bg-accent-500/10 hover:bg-accent-500/20 text-accent-300 text-xs font-medium transition-colors border border-accent-500/20 disabled:opacity-50"
+      >
+        {loading ? <Loader2 className="w-3 h-3 animate-spin" /> : <Play className="w-3 h-3" />}
+        Play voicemail
+      </button>
+      {error && <span className="text-xs text-danger-400">{error}</span>}
+    </div>
+  )
+}
+
+// Voicemail summary and transcript, once transcription has run
+function VoicemailTranscript({ call }) {
+  if (['pending', 'processing'].includes(call.transcriptionStatus)) {
+    return (
+      <span className="inline-flex items-center gap-1.5 text-xs text-dark-500">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        Transcribing...
+      </span>
+    )
+  }
+  if (call.transcriptionStatus !== 'completed' || !call.transcription) {
+    return null
+  }
+
+  return (
+    <div className="max-w-md space-y-1">
+      {call.aiSummary && (
+        <p className="text-xs text-dark-200">{call.aiSummary}</p>
+      )}
+      <details className="text-xs text-dark-400">
+        <summary className="cursor-pointer hover:text-dark-300">Transcript</summary>
+        <p className="mt-1 italic">&ldquo;{call.transcription}&rdquo;</p>
+      </details>
+    </div>
+  )
+}
+
+// Open dental emergencies reported by SMS - acknowledging stops the on-call escalation
+function EmergencyAlerts({ alerts, acknowledgingIds, onAcknowledge, canAcknowledge }) {
+  if (alerts.length === 0) return null
+
+  return (
+    <div className="p-4 rounded-xl bg-danger-500/10 border border-danger-500/30 space-y-3">
+      <div className="flex items-center gap-2">
+        <Siren className="w-5 h-5 text-danger-400" />
+        <p className="text-sm font-semibold text-danger-300">
+          {alerts.length} dental emergenc{alerts.length === 1 ? 'y' : 'ies'} waiting for someone to take {alerts.length === 1 ? 'it' : 'them'}
+        </p>
+      </div>
+      {alerts.map((alert) => {
+        const lastNotified = alert.notified[alert.notified.length - 1]
+        return (
+          <div key={alert.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 rounded-lg bg-dark-900/50">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-dark-100">
+                {alert.callerName || 'Unknown'} <span className="text-dark-400 font-normal">{formatPhone(alert.callerPhone)}</span>
+              </p>
+              <p className="text-xs text-dark-300 mt-0.5 italic truncate">&ldquo;{alert.message}&rdquo;</p>
+              <p className="text-xs text-dark-500 mt-0.5">
+                {formatTime(alert.createdAt)}
+                {lastNotified ? ` • Alerted ${lastNotified.name || formatPhone(lastNotified.phone)}` : ' • No on-call contacts set up'}
+              </p>
+            </div>
+            {canAcknowledge && (
+              <button
+                onClick={() => onAcknowledge(alert.id)}
+                disabled={acknowledgingIds.has(alert.id)}
+                className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-danger-600 hover:bg-danger-500 text-white text-xs font-medium transition-colors disabled:opacity-50"
+              >
+                {acknowledgingIds.has(alert.id) ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+                I'm handling it
+              </button>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
 export default function MissedCalls() {
+  const { hasRole } = useAuth()
+  // Read-only staff can watch the list but not work it
+  const canEdit = hasRole('receptionist')
   const [activeCalls, setActiveCalls] = useState([])
   const [loading, setLoading] = useState(true)
   const [search, setSearch] = useState('')
+  const [locations, setLocations] = useState([])
+  const [locationId, setLocationId] = useState('')
   const [markingIds, setMarkingIds] = useState(new Set())
+  const [emergencies, setEmergencies] = useState([])
+  const [acknowledgingIds, setAcknowledgingIds] = useState(new Set())
+  const [soundAlerts, setSoundAlerts] = useState(() => localStorage.getItem(SOUND_ALERTS_KEY) === 'on')
 
   // Test SMS state
   const [testPhone, setTestPhone] = useState('')
@@ -153,24 +477,34 @@ export default function MissedCalls() {
   // Polling interval ref
   const pollIntervalRef = useRef(null)
 
+  // Live events arrive in bursts (reply + delivery status) - refetch once
+  const refreshTimerRef = useRef(null)
+  const pendingRefreshRef = useRef({ calls: false, emergencies: false })
+
   // Fetch active calls only (not done)
   const fetchActiveCalls = useCallback(async () => {
     try {
       const response = await callsAPI.getAll({
         recentOnly: 'true',
         limit: 100,
-        ...(search && { search })
+        ...(search && { search }),
+        ...(locationId && { locationId })
       })
 
       // Filter to pending calls, compute AI status, and sort by most recent
+      // (voicemail calls skip the SMS, so they're 'completed' but still need a callback)
       const pending = response.data.calls
-        .filter(call => call.receptionistStatus !== 'done' && call.followupStatus !== 'completed')
+        .filter(call => call.receptionistStatus !== 'done' && (call.followupStatus !== 'completed' || call.voicemailStatus))
         .map(call => {
           let aiStatus = 'sending'
-          if (call.handledByAi && call.callbackType) {
+          if (call.voicemailStatus) {
+            aiStatus = 'voicemail'
+          } else if (call.handledByAi && call.callbackType) {
             aiStatus = 'replied'
           } else if (call.followupStatus === 'no_response') {
             aiStatus = 'no_response'
+          } else if (call.followupStatus === 'opted_out') {
+            aiStatus = 'opted_out'
           } else if (call.followupStatus === 'in_progress') {
             aiStatus = 'waiting'
           }
@@ -182,7 +516,43 @@ export default function MissedCalls() {
     } catch (error) {
       console.error('Failed to fetch active calls:', error)
     }
-  }, [search])
+  }, [search, locationId])
+
+  // Multi-location practices can narrow the list to one clinic
+  useEffect(() => {
+    locationsAPI.getAll()
+      .then(response => setLocations(response.data.locations.filter(l => l.isActive)))
+      .catch(error => console.error('Failed to fetch locations:', error))
+  }, [])
+
+  const fetchEmergencies = useCallback(async () => {
+    try {
+      const response = await emergenciesAPI.getAll({ status: 'open' })
+      setEmergencies(response.data.alerts)
+    } catch (error) {
+      console.error('Failed to fetch emergency alerts:', error)
+    }
+  }, [])
+
+  const handleAcknowledge = async (alertId) => {
+    if (acknowledgingIds.has(alertId)) return
+    setAcknowledgingIds(prev => new Set(prev).add(alertId))
+
+    try {
+      await emergenciesAPI.acknowledge(alertId)
+      setEmergencies(prev => prev.filter(a => a.id !== alertId))
+    } catch (error) {
+      console.error('Failed to acknowledge emergency:', error)
+      // Someone else may have taken it - show the current list
+      fetchEmergencies()
+    } finally {
+      setAcknowledgingIds(prev => {
+        const next = new Set(prev)
+        next.delete(alertId)
+        return next
+      })
+    }
+  }
 
   // Test SMS handler
   const handleTestSms = async () => {
@@ -225,24 +595,60 @@ export default function MissedCalls() {
   useEffect(() => {
     const load = async () => {
       setLoading(true)
-      await fetchActiveCalls()
+      await Promise.all([fetchActiveCalls(), fetchEmergencies()])
       setLoading(false)
     }
     load()
-  }, [fetchActiveCalls])
+  }, [fetchActiveCalls, fetchEmergencies])
+
+  const handleLiveEvent = useCallback((type) => {
+    if (soundAlerts && SOUND_EVENTS.includes(type)) {
+      playAlertSound()
+    }
+
+    const pending = pendingRefreshRef.current
+    if (type.startsWith('emergency.')) {
+      pending.emergencies = true
+    } else if (type === 'reconnected') {
+      pending.calls = true
+      pending.emergencies = true
+    } else {
+      pending.calls = true
+    }
+
+    clearTimeout(refreshTimerRef.current)
+    refreshTimerRef.current = setTimeout(() => {
+      if (pending.calls) fetchActiveCalls()
+      if (pending.emergencies) fetchEmergencies()
+      pendingRefreshRef.current = { calls: false, emergencies: false }
+    }, 300)
+  }, [soundAlerts, fetchActiveCalls, fetchEmergencies])
+
+  useEffect(() => () => clearTimeout(refreshTimerRef.current), [])
 
-  // Live polling - refresh every 5 seconds
+  const live = useLiveEvents(handleLiveEvent)
+
+  // Catch-up polling - the event stream does the live updates
   useEffect(() => {
     pollIntervalRef.current = setInterval(() => {
       fetchActiveCalls()
-    }, 5000)
+      fetchEmergencies()
+    }, live ? LIVE_POLL_MS : OFFLINE_POLL_MS)
 
     return () => {
       if (pollIntervalRef.current) {
         clearInterval(pollIntervalRef.current)
       }
     }
-  }, [fetchActiveCalls])
+  }, [live, fetchActiveCalls, fetchEmergencies])
+
+  const toggleSoundAlerts = () => {
+    const next = !soundAlerts
+    setSoundAlerts(next)
+    localStorage.setItem(SOUND_ALERTS_KEY, next ? 'on' : 'off')
+    // Browsers only allow audio after a click - play one now so it's unlocked
+    if (next) playAlertSound()
+  }
 
   // Mark call as done - just remove from list (goes to History page)
   const handleMarkDone = async (callId) => {
@@ -285,11 +691,20 @@ export default function MissedCalls() {
       <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
         <div>
           <h1 className="text-2xl font-bold text-dark-100">Missed Calls</h1>
-          <p className="text-dark-500 text-sm mt-1">Last 48 hours • Updates live</p>
+          <p className="text-dark-500 text-sm mt-1">
+            Last 48 hours • {live ? 'Updates live' : 'Reconnecting…'}
+          </p>
         </div>
 
         {/* Stats */}
         <div className="flex items-center gap-4">
+          <button
+            onClick={toggleSoundAlerts}
+            title={soundAlerts ? 'Sound alerts on' : 'Sound alerts off'}
+            className="p-2 rounded-lg bg-dark-800 border border-dark-700 text-dark-400 hover:text-dark-200 transition-colors"
+          >
+            {soundAlerts ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+          </button>
           {needsCallbackCount > 0 && (
             <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-danger-500/10 border border-danger-500/20">
               <div className="w-2 h-2 rounded-full bg-danger-500 animate-pulse" />
@@ -305,6 +720,13 @@ export default function MissedCalls() {
         </div>
       </div>
 
+      <EmergencyAlerts
+        alerts={emergencies}
+        acknowledgingIds={acknowledgingIds}
+        onAcknowledge={handleAcknowledge}
+        canAcknowledge={canEdit}
+      />
+
       {/* Demo: Test SMS Flow */}
       <div className="p-4 rounded-xl bg-gradient-to-r from-accent-500/10 to-purple-500/10 border border-accent-500/20">
         <div className="flex flex-col sm:flex-row sm:items-center gap-3">
@@ -357,15 +779,32 @@ export default function MissedCalls() {
       </div>
 
       {/* Search */}
-      <div className="relative max-w-md">
-        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-dark-500" />
-        <input
-          type="text"
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          placeholder="Search by name or phone..."
-          className="w-full pl-10 pr-4 py-2.5 rounded-lg bg-dark-800 border border-dark-700 text-dark-100 placeholder:text-dark-500 text-sm focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20"
-        />
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="relative max-w-md flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-dark-500" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name or phone..."
+            className="w-full pl-10 pr-4 py-2.5 rounded-lg bg-dark-800 border border-dark-700 text-dark-100 placeholder:text-dark-500 text-sm focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20"
+          />
+        </div>
+        {locations.length > 0 && (
+          <div className="relative sm:w-56">
+            <MapPin className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-dark-500" />
+            <select
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 rounded-lg bg-dark-800 border border-dark-700 text-dark-100 text-sm focus:outline-none focus:border-accent-500/50 focus:ring-1 focus:ring-accent-500/20"
+            >
+              <option value="">All locations</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* Loading */}
@@ -398,21 +837,33 @@ export default function MissedCalls() {
                         </p>
                         <p className="text-xs text-dark-500 mt-0.5">
                           {formatTime(call.createdAt)}
+                          {call.locationName && ` · ${call.locationName}`}
                         </p>
+                        {describeRepeatCaller(call) && (
+                          <p className="text-xs text-warning-400 mt-0.5">{describeRepeatCaller(call)}</p>
+                        )}
                       </div>
                       <AIStatusBadge aiStatus={call.aiStatus} />
                     </div>
                     <div className="flex items-center justify-between gap-3">
                       <CallTypeBadge callbackType={call.callbackType} aiStatus={call.aiStatus} />
-                      <button
-                        onClick={() => handleMarkDone(call.id)}
-                        disabled={markingIds.has(call.id)}
-                        className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-dark-700 hover:bg-dark-600 text-dark-300 hover:text-dark-100 text-sm font-medium transition-colors border border-dark-600 disabled:opacity-50"
-                      >
-                        <Check className="w-4 h-4" />
-                        Mark as done
-                      </button>
+                      {canEdit && (
+                        <button
+                          onClick={() => handleMarkDone(call.id)}
+                          disabled={markingIds.has(call.id)}
+                          className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-dark-700 hover:bg-dark-600 text-dark-300 hover:text-dark-100 text-sm font-medium transition-colors border border-dark-600 disabled:opacity-50"
+                        >
+                          <Check className="w-4 h-4" />
+                          Mark as done
+                        </button>
+                      )}
                     </div>
+                    {call.voicemailStatus && (
+                      <div className="space-y-2">
+                        <VoicemailPlayer call={call} />
+                        <VoicemailTranscript call={call} />
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -454,28 +905,43 @@ export default function MissedCalls() {
                               {formatPhone(call.callerPhone)}
                             </p>
                           )}
+                          {describeRepeatCaller(call) && (
+                            <p className="text-xs text-warning-400 mt-0.5">{describeRepeatCaller(call)}</p>
+                          )}
                         </div>
                       </td>
                       <td className="py-3 px-4">
                         <span className="text-sm text-dark-300">
                           {formatTime(call.createdAt)}
                         </span>
+                        {call.locationName && (
+                          <p className="text-xs text-dark-500 mt-0.5 flex items-center gap-1">
+                            <MapPin className="w-3 h-3" />
+                            {call.locationName}
+                          </p>
+                        )}
                       </td>
                       <td className="py-3 px-4">
-                        <CallTypeBadge callbackType={call.callbackType} aiStatus={call.aiStatus} />
+                        <div className="flex flex-col gap-2">
+                          <CallTypeBadge callbackType={call.callbackType} aiStatus={call.aiStatus} />
+                          {call.voicemailStatus && <VoicemailPlayer call={call} />}
+                          {call.voicemailStatus && <VoicemailTranscript call={call} />}
+                        </div>
                       </td>
                       <td className="py-3 px-4">
                         <AIStatusBadge aiStatus={call.aiStatus} />
                       </td>
                       <td className="py-3 px-4 text-right">
-                        <button
-                          onClick={() => handleMarkDone(call.id)}
-                          disabled={markingIds.has(call.id)}
-                          className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-dark-700 hover:bg-dark-600 text-dark-300 hover:text-dark-100 text-sm font-medium transition-colors border border-dark-600 disabled:opacity-50"
-                        >
-                          <Check className="w-4 h-4" />
-                          Mark as done
-                        </button>
+                        {canEdit && (
+                          <button
+                            onClick={() => handleMarkDone(call.id)}
+                            disabled={markingIds.has(call.id)}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-dark-700 hover:bg-dark-600 text-dark-300 hover:text-dark-100 text-sm font-medium transition-colors border border-dark-600 disabled:opacity-50"
+                          >
+                            <Check className="w-4 h-4" />
+                            Mark as done
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
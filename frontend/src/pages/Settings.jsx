@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
-import { settingsAPI, authAPI } from '../lib/api'
+import { settingsAPI, authAPI, calendarAPI, staffAPI, locationsAPI, optOutsAPI } from '../lib/api'
 import {
   Settings as SettingsIcon,
   Building2,
@@ -13,7 +13,25 @@ import {
   X,
   AlertCircle,
   Save,
-  Loader2
+  Loader2,
+  CalendarDays,
+  Copy,
+  RefreshCw,
+  BellRing,
+  Plus,
+  Webhook,
+  Server,
+  Mail,
+  Siren,
+  Users,
+  UserPlus,
+  UserX,
+  Send,
+  MapPin,
+  Pencil,
+  Trash2,
+  Ban,
+  Download
 } from 'lucide-react'
 
 function SettingsSection({ title, description, icon: Icon, children }) {
@@ -33,6 +51,27 @@ function SettingsSection({ title, description, icon: Icon, children }) {
   )
 }
 
+const AMI_STATUS_LABELS = {
+  connected: { label: 'Connected', className: 'text-success-400' },
+  connecting: { label: 'Connecting...', className: 'text-dark-400' },
+  disconnected: { label: 'Reconnecting...', className: 'text-warning-400' },
+  auth_failed: { label: 'Login rejected - check the username and secret', className: 'text-danger-400' },
+  error: { label: 'Cannot connect', className: 'text-danger-400' },
+  unavailable: { label: 'Direct connections are not enabled on this server', className: 'text-dark-400' },
+  stopped: { label: 'Off', className: 'text-dark-400' }
+}
+
+function amiFormFrom(ami) {
+  return {
+    enabled: !!ami?.enabled,
+    host: ami?.host || '',
+    port: ami?.port || 5038,
+    username: ami?.username || '',
+    secret: '',
+    inboundContexts: (ami?.inboundContexts || []).join(', ')
+  }
+}
+
 function Toggle({ checked, onChange, disabled }) {
   return (
     <button
@@ -76,8 +115,757 @@ function ErrorMessage({ message, onClose }) {
   )
 }
 
+const ROLE_OPTIONS = [
+  { value: 'owner', label: 'Owner', description: 'Everything, including the team' },
+  { value: 'manager', label: 'Manager', description: 'Practice settings and integrations' },
+  { value: 'receptionist', label: 'Receptionist', description: 'Calls, leads, appointments and messages' },
+  { value: 'read_only', label: 'Read-only', description: 'Can look but not change anything' }
+]
+
+const STAFF_STATUS_LABELS = {
+  active: { label: 'Active', className: 'text-success-400' },
+  invited: { label: 'Invited', className: 'text-warning-400' },
+  deactivated: { label: 'Deactivated', className: 'text-dark-500' }
+}
+
+const emptyInvite = { name: '', email: '', phone: '', role: 'receptionist', via: 'email' }
+
+// Staff logins of the practice - owners invite and manage them, managers can look
+function TeamSection({ isOwner, currentStaffId, onSuccess, onError }) {
+  const [staff, setStaff] = useState([])
+  const [invite, setInvite] = useState(emptyInvite)
+  const [inviting, setInviting] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  // Link to pass on by hand when an invite couldn't be sent
+  const [inviteLink, setInviteLink] = useState(null)
+
+  useEffect(() => {
+    staffAPI.getAll()
+      .then((res) => setStaff(res.data.staff))
+      .catch((error) => console.error('Failed to fetch staff:', error))
+  }, [])
+
+  const replaceStaff = (member) => {
+    setStaff((prev) => prev.map((s) => (s.id === member.id ? member : s)))
+  }
+
+  const showInviteResult = (data) => {
+    if (data.invite.sent) {
+      setInviteLink(null)
+      onSuccess(data.message)
+    } else {
+      setInviteLink(data.invite.inviteUrl)
+      onError(data.invite.error ? `${data.message} (${data.invite.error})` : data.message)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    setInviting(true)
+    try {
+      const res = await staffAPI.invite(invite)
+      setStaff((prev) => [...prev, res.data.staff])
+      setInvite(emptyInvite)
+      showInviteResult(res.data)
+    } catch (err) {
+      onError(err.response?.data?.error?.message || 'Failed to invite staff member')
+    } finally {
+      setInviting(false)
+    }
+  }
+
+  const runAction = async (id, action, fallbackMessage) => {
+    setBusyId(id)
+    try {
+      await action()
+    } catch (err) {
+      onError(err.response?.data?.error?.message || fallbackMessage)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleRoleChange = (member, role) => runAction(member.id, async () => {
+    const res = await staffAPI.update(member.id, { role })
+    replaceStaff(res.data.staff)
+    onSuccess(`${res.data.staff.name || res.data.staff.email} is now ${ROLE_OPTIONS.find((r) => r.value === role).label}`)
+  }, 'Failed to change role')
+
+  const handleResend = (member, via) => runAction(member.id, async () => {
+    const res = await staffAPI.resendInvite(member.id, via)
+    showInviteResult(res.data)
+  }, 'Failed to resend invite')
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink)
+      onSuccess('Invite link copied!')
+    } catch (err) {
+      onError('Could not copy - select the link and copy it manually')
+    }
+  }
+
+  const handleDeactivate = (member) => {
+    if (!window.confirm(`Deactivate ${member.name || member.email}? They will be signed out and can no longer log in.`)) {
+      return
+    }
+    runAction(member.id, async () => {
+      const res = await staffAPI.deactivate(member.id)
+      replaceStaff(res.data.staff)
+      onSuccess(res.data.message)
+    }, 'Failed to deactivate staff member')
+  }
+
+  const handleReactivate = (member) => runAction(member.id, async () => {
+    const res = await staffAPI.reactivate(member.id)
+    replaceStaff(res.data.staff)
+    onSuccess(res.data.message)
+  }, 'Failed to reactivate staff member')
+
+  return (
+    <SettingsSection
+      title="Team"
+      description="Staff logins for your practice and what each of them can do"
+      icon={Users}
+    >
+      <div className="space-y-4">
+        <div className="space-y-2">
+          {staff.map((member) => {
+            const status = STAFF_STATUS_LABELS[member.status] || STAFF_STATUS_LABELS.active
+            const isSelf = member.id === currentStaffId
+            const busy = busyId === member.id
+
+            return (
+              <div
+                key={member.id}
+                className={`flex flex-wrap items-center gap-3 p-4 rounded-lg border bg-dark-800/50 border-dark-700/50 ${
+                  member.status === 'deactivated' ? 'opacity-60' : ''
+                }`}
+              >
+                <div className="flex-1 min-w-[12rem]">
+                  <p className="font-medium text-dark-100">
+                    {member.name || member.email}
+                    {isSelf && <span className="text-dark-500 font-normal"> (you)</span>}
+                  </p>
+                  <p className="text-xs text-dark-400">
+                    {member.email}
+                    {' · '}
+                    <span className={status.className}>{status.label}</span>
+                    {member.status === 'active' && member.lastLoginAt && (
+                      <> · last login {new Date(member.lastLoginAt).toLocaleDateString()}</>
+                    )}
+                  </p>
+                </div>
+
+                {isOwner && !isSelf && member.status !== 'deactivated' ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    disabled={busy}
+                    className="input w-40"
+                  >
+                    {ROLE_OPTIONS.map((role) => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-dark-300 w-40">
+                    {ROLE_OPTIONS.find((r) => r.value === member.role)?.label || member.role}
+                  </span>
+                )}
+
+                {isOwner && !isSelf && (
+                  <div className="flex items-center gap-2">
+                    {member.status === 'invited' && (
+                      <button onClick={() => handleResend(member, 'email')} disabled={busy} className="btn-secondary text-sm">
+                        <Send className="w-4 h-4" />
+                        <span className="ml-2">Resend</span>
+                      </button>
+                    )}
+                    {member.status === 'invited' && member.phone && (
+                      <button onClick={() => handleResend(member, 'sms')} disabled={busy} className="btn-secondary text-sm">
+                        <span>By SMS</span>
+                      </button>
+                    )}
+                    {member.status === 'deactivated' ? (
+                      <button onClick={() => handleReactivate(member)} disabled={busy} className="btn-secondary text-sm">
+                        <RefreshCw className="w-4 h-4" />
+                        <span className="ml-2">Reactivate</span>
+                      </button>
+                    ) : (
+                      <button onClick={() => handleDeactivate(member)} disabled={busy} className="btn-secondary text-sm text-danger-400">
+                        <UserX className="w-4 h-4" />
+                        <span className="ml-2">Deactivate</span>
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {inviteLink && (
+          <div className="p-4 rounded-lg bg-warning-500/10 border border-warning-500/20">
+            <p className="text-sm text-warning-400 mb-2">
+              Send this invite link to them yourself - it works once and expires in 7 days:
+            </p>
+            <div className="flex items-center gap-2">
+              <input type="text" readOnly value={inviteLink} className="input flex-1 text-xs" />
+              <button onClick={handleCopyLink} className="btn-secondary">
+                <Copy className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isOwner && (
+          <form onSubmit={handleInvite} className="space-y-4 pt-4 border-t border-dark-700/50">
+            <p className="text-sm font-medium text-dark-200">Invite a staff member</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="input-group">
+                <label className="input-label">Name</label>
+                <input
+                  type="text"
+                  value={invite.name}
+                  onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+                  className="input"
+                  placeholder="Jamie Smith"
+                  required
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Email</label>
+                <input
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+                  className="input"
+                  placeholder="jamie@practice.com"
+                  required
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Mobile {invite.via === 'sms' ? '' : '(optional)'}</label>
+                <input
+                  type="tel"
+                  value={invite.phone}
+                  onChange={(e) => setInvite({ ...invite, phone: e.target.value })}
+                  className="input"
+                  placeholder="0412 345 678"
+                  required={invite.via === 'sms'}
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Role</label>
+                <select
+                  value={invite.role}
+                  onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                  className="input"
+                >
+                  {ROLE_OPTIONS.map((role) => (
+                    <option key={role.value} value={role.value}>{role.label} - {role.description}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <div className="flex items-center gap-4 text-sm text-dark-300">
+                <span>Send invite by</span>
+                {['email', 'sms'].map((via) => (
+                  <label key={via} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="invite-via"
+                      checked={invite.via === via}
+                      onChange={() => setInvite({ ...invite, via })}
+                    />
+                    {via === 'sms' ? 'SMS' : 'Email'}
+                  </label>
+                ))}
+              </div>
+              <button type="submit" disabled={inviting} className="btn-primary ml-auto">
+                {inviting ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+                <span className="ml-2">Send Invite</span>
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </SettingsSection>
+  )
+}
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const LOCATION_TIMEZONES = [
+  { value: 'Australia/Perth', label: 'Western Australia (AWST)' },
+  { value: 'Australia/Adelaide', label: 'South Australia (ACST/ACDT)' },
+  { value: 'Australia/Darwin', label: 'Northern Territory (ACST)' },
+  { value: 'Australia/Brisbane', label: 'Queensland (AEST)' },
+  { value: 'Australia/Sydney', label: 'New South Wales (AEST/AEDT)' },
+  { value: 'Australia/Melbourne', label: 'Victoria (AEST/AEDT)' },
+  { value: 'Australia/Hobart', label: 'Tasmania (AEST/AEDT)' },
+  { value: 'Pacific/Auckland', label: 'New Zealand (NZST/NZDT)' }
+]
+
+const emptyLocation = {
+  name: '',
+  address: '',
+  phone: '',
+  forwardingPhone: '',
+  smsReplyNumber: '',
+  timezone: '',
+  aiGreeting: '',
+  businessHours: null
+}
+
+function locationFormFrom(location) {
+  return {
+    name: location.name || '',
+    address: location.address || '',
+    phone: location.phone || '',
+    forwardingPhone: location.forwardingPhone || '',
+    smsReplyNumber: location.smsReplyNumber || '',
+    timezone: location.timezone || '',
+    aiGreeting: location.aiGreeting || '',
+    businessHours: location.businessHours || null
+  }
+}
+
+// Clinics of a multi-location practice - empty fields use the practice's settings
+function LocationsSection({ practiceHours, onSuccess, onError }) {
+  const [locations, setLocations] = useState([])
+  // null = no form open, 'new' = adding, otherwise the id being edited
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(emptyLocation)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    locationsAPI.getAll()
+      .then((res) => setLocations(res.data.locations))
+      .catch((error) => console.error('Failed to fetch locations:', error))
+  }, [])
+
+  const openForm = (location) => {
+    setEditingId(location ? location.id : 'new')
+    setForm(location ? locationFormFrom(location) : emptyLocation)
+  }
+
+  const updateHoursDay = (day, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      businessHours: {
+        ...prev.businessHours,
+        [day]: { ...prev.businessHours[day], [field]: value }
+      }
+    }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      if (editingId === 'new') {
+        const res = await locationsAPI.create(form)
+        setLocations((prev) => [...prev, res.data.location])
+        onSuccess(`${res.data.location.name} added`)
+      } else {
+        const res = await locationsAPI.update(editingId, form)
+        setLocations((prev) => prev.map((l) => (l.id === editingId ? res.data.location : l)))
+        onSuccess(`${res.data.location.name} saved`)
+      }
+      setEditingId(null)
+    } catch (err) {
+      const data = err.response?.data?.error
+      onError(data?.details?.join(', ') || data?.message || 'Failed to save location')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (location) => {
+    try {
+      const res = await locationsAPI.update(location.id, { isActive: !location.isActive })
+      setLocations((prev) => prev.map((l) => (l.id === location.id ? res.data.location : l)))
+    } catch (err) {
+      onError(err.response?.data?.error?.message || 'Failed to update location')
+    }
+  }
+
+  const handleDelete = async (location) => {
+    if (!window.confirm(`Delete ${location.name}? Its calls and leads stay, but no longer show a location.`)) {
+      return
+    }
+    try {
+      await locationsAPI.delete(location.id)
+      setLocations((prev) => prev.filter((l) => l.id !== location.id))
+      if (editingId === location.id) setEditingId(null)
+      onSuccess(`${location.name} deleted`)
+    } catch (err) {
+      onError(err.response?.data?.error?.message || 'Failed to delete location')
+    }
+  }
+
+  return (
+    <SettingsSection
+      title="Locations"
+      description="Run several clinics? Give each one its own numbers, hours, greeting and timezone"
+      icon={MapPin}
+    >
+      <div className="space-y-4">
+        {locations.length === 0 && editingId === null && (
+          <p className="text-sm text-dark-400">
+            No locations yet - every call and SMS uses the practice settings below.
+          </p>
+        )}
+
+        <div className="space-y-2">
+          {locations.map((location) => (
+            <div
+              key={location.id}
+              className={`flex flex-wrap items-center gap-3 p-4 rounded-lg border bg-dark-800/50 border-dark-700/50 ${
+                location.isActive ? '' : 'opacity-60'
+              }`}
+            >
+              <div className="flex-1 min-w-[12rem]">
+                <p className="font-medium text-dark-100">{location.name}</p>
+                <p className="text-xs text-dark-400">
+                  {[location.address, location.phone, location.smsReplyNumber && `SMS ${location.smsReplyNumber}`]
+                    .filter(Boolean)
+                    .join(' · ') || 'Uses the practice numbers'}
+                </p>
+              </div>
+              <Toggle checked={location.isActive} onChange={() => handleToggleActive(location)} />
+              <button onClick={() => openForm(location)} className="btn-secondary text-sm">
+                <Pencil className="w-4 h-4" />
+                <span className="ml-2">Edit</span>
+              </button>
+              <button onClick={() => handleDelete(location)} className="btn-secondary text-sm text-danger-400">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {editingId === null ? (
+          <button onClick={() => openForm(null)} className="btn-secondary">
+            <Plus className="w-4 h-4" />
+            <span className="ml-2">Add Location</span>
+          </button>
+        ) : (
+          <form onSubmit={handleSave} className="space-y-4 pt-4 border-t border-dark-700/50">
+            <p className="text-sm font-medium text-dark-200">
+              {editingId === 'new' ? 'New location' : `Edit ${form.name}`}
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="input-group">
+                <label className="input-label">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="input"
+                  placeholder="Bondi Clinic"
+                  required
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Address</label>
+                <input
+                  type="text"
+                  value={form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                  className="input"
+                  placeholder="12 Campbell Pde, Bondi Beach"
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Clinic phone number</label>
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                  className="input"
+                  placeholder="0291234567"
+                />
+                <p className="text-xs text-dark-500 mt-1">Missed calls to this number are placed at this location</p>
+              </div>
+              <div className="input-group">
+                <label className="input-label">Forwarding number</label>
+                <input
+                  type="tel"
+                  value={form.forwardingPhone}
+                  onChange={(e) => setForm({ ...form, forwardingPhone: e.target.value })}
+                  className="input"
+                  placeholder="Same as practice"
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">SMS number</label>
+                <input
+                  type="tel"
+                  value={form.smsReplyNumber}
+                  onChange={(e) => setForm({ ...form, smsReplyNumber: e.target.value })}
+                  className="input"
+                  placeholder="Same as practice"
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Timezone</label>
+                <select
+                  value={form.timezone}
+                  onChange={(e) => setForm({ ...form, timezone: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Same as practice</option>
+                  {LOCATION_TIMEZONES.map((tz) => (
+                    <option key={tz.value} value={tz.value}>{tz.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="input-group">
+              <label className="input-label">SMS greeting</label>
+              <textarea
+                value={form.aiGreeting}
+                onChange={(e) => setForm({ ...form, aiGreeting: e.target.value })}
+                className="input min-h-[80px] resize-y"
+                placeholder="Same as practice - {practiceName} and {locationName} are filled in"
+                maxLength={1000}
+              />
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex items-center gap-3">
+                <Toggle
+                  checked={!!form.businessHours}
+                  onChange={(val) => setForm({ ...form, businessHours: val ? { ...practiceHours } : null })}
+                />
+                <span className="text-sm text-dark-300">Own business hours (otherwise the practice hours apply)</span>
+              </div>
+              {form.businessHours && WEEKDAYS.map((day) => (
+                <div key={day} className="flex flex-wrap items-center gap-4 p-3 rounded-lg border bg-dark-800/50 border-dark-700/50">
+                  <Toggle
+                    checked={form.businessHours[day]?.enabled || false}
+                    onChange={(val) => updateHoursDay(day, 'enabled', val)}
+                  />
+                  <span className="w-24 font-medium text-dark-200 capitalize">{day}</span>
+                  {form.businessHours[day]?.enabled ? (
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={form.businessHours[day]?.open || '09:00'}
+                        onChange={(e) => updateHoursDay(day, 'open', e.target.value)}
+                        className="input w-32"
+                      />
+                      <span className="text-dark-500">to</span>
+                      <input
+                        type="time"
+                        value={form.businessHours[day]?.close || '17:00'}
+                        onChange={(e) => updateHoursDay(day, 'close', e.target.value)}
+                        className="input w-32"
+                      />
+                    </div>
+                  ) : (
+                    <span className="text-dark-500 text-sm">Closed</span>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-3">
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span className="ml-2">Save Location</span>
+              </button>
+              <button type="button" onClick={() => setEditingId(null)} className="btn-secondary">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </SettingsSection>
+  )
+}
+
+const emptyOptOut = { phone: '', reason: '' }
+
+function describeOptOut(entry) {
+  const when = new Date(entry.optedOutAt).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' })
+  if (entry.optedOutVia === 'sms') {
+    return `Texted ${entry.keyword ? `"${entry.keyword}"` : 'STOP'} on ${when}`
+  }
+  return `Added by ${entry.optedOutBy || 'staff'} on ${when}${entry.reason ? ` - ${entry.reason}` : ''}`
+}
+
+function OptOutsSection({ canEdit, onSuccess, onError }) {
+  const [optOuts, setOptOuts] = useState([])
+  const [search, setSearch] = useState('')
+  const [form, setForm] = useState(emptyOptOut)
+  const [adding, setAdding] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+  const [exporting, setExporting] = useState(false)
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      optOutsAPI.getAll(search ? { search } : {})
+        .then((res) => setOptOuts(res.data.optOuts))
+        .catch((error) => console.error('Failed to fetch opt-outs:', error))
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    setAdding(true)
+    try {
+      const res = await optOutsAPI.create({
+        phone: form.phone.replace(/[\s()-]/g, ''),
+        reason: form.reason
+      })
+      setOptOuts((prev) => [res.data.optOut, ...prev])
+      setForm(emptyOptOut)
+      onSuccess(res.data.message)
+    } catch (err) {
+      onError(err.response?.data?.error?.details?.[0] || err.response?.data?.error?.message || 'Failed to add number')
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Only take ${entry.phone} off the list if they've asked to hear from you again. Continue?`)) {
+      return
+    }
+    setBusyId(entry.id)
+    try {
+      const res = await optOutsAPI.delete(entry.id)
+      setOptOuts((prev) => prev.filter((o) => o.id !== entry.id))
+      onSuccess(res.data.message)
+    } catch (err) {
+      onError(err.response?.data?.error?.message || 'Failed to remove number')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const res = await optOutsAPI.export()
+      const url = URL.createObjectURL(res.data)
+      const link = document.createElement('a')
+      link.setAttribute('href', url)
+      link.setAttribute('download', `sms-opt-outs-${new Date().toISOString().split('T')[0]}.csv`)
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      onError('Failed to export opt-outs')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <SettingsSection
+      title="SMS Opt-outs"
+      description="Numbers that replied STOP or asked not to be texted - they get no SMS from your practice, including reminders"
+      icon={Ban}
+    >
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input flex-1 min-w-[12rem]"
+            placeholder="Search by number or name"
+          />
+          <button onClick={handleExport} disabled={exporting} className="btn-secondary">
+            {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+            <span className="ml-2">Export CSV</span>
+          </button>
+        </div>
+
+        {optOuts.length === 0 ? (
+          <p className="text-sm text-dark-500">
+            {search ? 'No opted-out numbers match' : 'No one has opted out'}
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {optOuts.map((entry) => (
+              <div
+                key={entry.id}
+                className="flex flex-wrap items-center gap-3 p-4 rounded-lg border bg-dark-800/50 border-dark-700/50"
+              >
+                <div className="flex-1 min-w-[12rem]">
+                  <p className="font-medium text-dark-100">
+                    {entry.phone}
+                    {entry.patientName && <span className="text-dark-400 font-normal"> · {entry.patientName}</span>}
+                  </p>
+                  <p className="text-xs text-dark-400">{describeOptOut(entry)}</p>
+                </div>
+                {canEdit && (
+                  <button
+                    onClick={() => handleRemove(entry)}
+                    disabled={busyId === entry.id}
+                    className="btn-secondary text-sm"
+                  >
+                    {busyId === entry.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                    <span className="ml-2">Remove</span>
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {canEdit && (
+          <form onSubmit={handleAdd} className="space-y-4 pt-4 border-t border-dark-700/50">
+            <p className="text-sm font-medium text-dark-200">Add a number</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="input-group">
+                <label className="input-label">Mobile</label>
+                <input
+                  type="tel"
+                  value={form.phone}
+                  onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                  className="input"
+                  placeholder="0412 345 678"
+                  required
+                />
+              </div>
+              <div className="input-group">
+                <label className="input-label">Reason (optional)</label>
+                <input
+                  type="text"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                  className="input"
+                  placeholder="Asked at reception"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={adding} className="btn-primary">
+                {adding ? <Loader2 className="w-4 h-4 animate-spin" /> : <Ban className="w-4 h-4" />}
+                <span className="ml-2">Stop Texting</span>
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </SettingsSection>
+  )
+}
+
 export default function Settings() {
-  const { user, updateUser } = useAuth()
+  const { user, updateUser, hasRole } = useAuth()
   const [searchParams] = useSearchParams()
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
@@ -93,13 +881,31 @@ export default function Settings() {
   const [settings, setSettings] = useState({
     forwardingPhone: '',
     smsReplyNumber: '',
+    smsProvider: 'notifyre',
+    failoverProvider: '',
+    failoverFromNumber: '',
     notificationEmail: true,
     notificationSms: false,
+    bookingMode: 'manual',
     aiGreeting: '',
     businessHours: {}
   })
 
   const [savingBusinessHours, setSavingBusinessHours] = useState(false)
+  const [smsProviders, setSmsProviders] = useState([])
+  const [calendarFeed, setCalendarFeed] = useState({ enabled: false, url: null })
+  const [reminderHours, setReminderHours] = useState([48, 2])
+  const [emergency, setEmergency] = useState({
+    instructions: '',
+    defaultInstructions: '',
+    contacts: [],
+    escalationMinutes: 10,
+    emailEnabled: false
+  })
+  const [pbx, setPbx] = useState({ enabled: false, webhookUrls: null, hasSigningSecret: false })
+  const [pbxSystem, setPbxSystem] = useState('generic')
+  const [pbxSigningSecret, setPbxSigningSecret] = useState('')
+  const [amiForm, setAmiForm] = useState(amiFormFrom(null))
 
   const defaultBusinessHours = {
     monday: { enabled: true, open: '09:00', close: '17:00' },
@@ -116,18 +922,28 @@ export default function Settings() {
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const settingsRes = await settingsAPI.get()
+        const [settingsRes, providersRes] = await Promise.all([
+          settingsAPI.get(),
+          settingsAPI.getSmsProviders()
+        ])
         const s = settingsRes.data.settings
+        setSmsProviders(providersRes.data.providers || [])
 
         setSettings({
           forwardingPhone: s.forwardingPhone || '',
           smsReplyNumber: s.smsReplyNumber || '',
+          smsProvider: s.smsProvider || 'notifyre',
+          failoverProvider: s.smsFailoverProviders?.[0]?.provider || '',
+          failoverFromNumber: s.smsFailoverProviders?.[0]?.fromNumber || '',
           notificationEmail: s.notificationEmail,
           notificationSms: s.notificationSms,
+          bookingMode: s.bookingMode || 'manual',
           aiGreeting: s.aiGreeting || '',
           businessHours: s.businessHours || {}
         })
 
+        setReminderHours((s.reminderSchedule || []).map((r) => r.hoursBefore))
+
         // Load business hours from settings or use defaults
         if (s.businessHours && Object.keys(s.businessHours).length > 0) {
           setBusinessHours(s.businessHours)
@@ -143,6 +959,28 @@ export default function Settings() {
       } finally {
         setLoading(false)
       }
+
+      try {
+        const feedRes = await calendarAPI.getFeed()
+        setCalendarFeed(feedRes.data)
+      } catch (error) {
+        console.error('Failed to fetch calendar feed:', error)
+      }
+
+      try {
+        const pbxRes = await settingsAPI.getPbx()
+        setPbx(pbxRes.data)
+        setAmiForm(amiFormFrom(pbxRes.data.ami))
+      } catch (error) {
+        console.error('Failed to fetch PBX settings:', error)
+      }
+
+      try {
+        const emergencyRes = await settingsAPI.getEmergency()
+        setEmergency({ ...emergencyRes.data, instructions: emergencyRes.data.instructions || '' })
+      } catch (error) {
+        console.error('Failed to fetch emergency settings:', error)
+      }
     }
 
     fetchData()
@@ -176,6 +1014,209 @@ export default function Settings() {
     }
   }
 
+  const handleSaveBookingMode = async () => {
+    setSaving(true)
+    try {
+      await settingsAPI.update({ bookingMode: settings.bookingMode })
+      setSuccess('Booking mode updated!')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to update booking mode')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveReminders = async () => {
+    const hours = reminderHours.map((h) => parseInt(h, 10))
+    if (hours.some((h) => !Number.isInteger(h) || h < 1 || h > 336)) {
+      setError('Reminders must be between 1 and 336 hours before the appointment')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await settingsAPI.updateReminderSchedule(
+        [...new Set(hours)].map((hoursBefore) => ({ hoursBefore }))
+      )
+      setReminderHours(response.data.settings.reminderSchedule.map((r) => r.hoursBefore))
+      setSuccess(hours.length ? 'Reminder schedule saved!' : 'Appointment reminders turned off')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to save reminder schedule')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updateEmergencyContact = (index, field, value) => {
+    setEmergency({
+      ...emergency,
+      contacts: emergency.contacts.map((c, i) => (i === index ? { ...c, [field]: value } : c))
+    })
+  }
+
+  const handleSaveEmergency = async () => {
+    setSaving(true)
+    try {
+      const response = await settingsAPI.updateEmergency({
+        instructions: emergency.instructions.trim() || null,
+        contacts: emergency.contacts.map(({ name, phone, email }) => ({
+          name: name.trim(),
+          phone: phone?.trim() || null,
+          email: email?.trim() || null
+        })),
+        escalationMinutes: parseInt(emergency.escalationMinutes, 10) || 10
+      })
+      setEmergency({ ...response.data, instructions: response.data.instructions || '' })
+      setSuccess('Emergency settings saved!')
+    } catch (err) {
+      const details = err.response?.data?.error?.details
+      setError(details?.[0] || err.response?.data?.error?.message || 'Failed to save emergency settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCreateCalendarFeed = async () => {
+    if (calendarFeed.enabled && !window.confirm('Create a new URL? Calendars subscribed to the current URL will stop updating.')) {
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await calendarAPI.createFeed()
+      setCalendarFeed(response.data)
+      setSuccess(calendarFeed.enabled ? 'New calendar URL created!' : 'Calendar subscription enabled!')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to create calendar URL')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDisableCalendarFeed = async () => {
+    setSaving(true)
+    try {
+      const response = await calendarAPI.disableFeed()
+      setCalendarFeed(response.data)
+      setSuccess('Calendar subscription disabled')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to disable calendar subscription')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCopyCalendarFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeed.url)
+      setSuccess('Calendar URL copied!')
+    } catch (err) {
+      setError('Could not copy - select the URL and copy it manually')
+    }
+  }
+
+  const handleRotatePbxSecret = async () => {
+    if (pbx.enabled && !window.confirm('Create new webhook URLs? Your phone system will be rejected until it is updated with the new URL.')) {
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await settingsAPI.rotatePbxWebhookSecret()
+      setPbx(response.data)
+      setSuccess(pbx.enabled ? 'New webhook URLs created!' : 'Phone system webhooks enabled!')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to create webhook URLs')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDisablePbx = async () => {
+    if (!window.confirm('Turn off phone system webhooks? Missed calls from your PBX will no longer be texted back.')) {
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await settingsAPI.disablePbxWebhooks()
+      setPbx(response.data)
+      setSuccess('Phone system webhooks disabled')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to disable webhooks')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCopyPbxUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(pbx.webhookUrls[pbxSystem])
+      setSuccess('Webhook URL copied!')
+    } catch (err) {
+      setError('Could not copy - select the URL and copy it manually')
+    }
+  }
+
+  const handleCopyPbxEmail = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value)
+      setSuccess('Copied!')
+    } catch (err) {
+      setError('Could not copy - select it and copy it manually')
+    }
+  }
+
+  const handleSavePbxEmailTemplate = async (template) => {
+    setSaving(true)
+    try {
+      const response = await settingsAPI.updatePbxEmailTemplate(template)
+      setPbx(response.data)
+      setSuccess('Email template saved!')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to save email template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSavePbxSigningSecret = async (signingSecret) => {
+    setSaving(true)
+    try {
+      const response = await settingsAPI.updatePbxSigningSecret(signingSecret || null)
+      setPbx(response.data)
+      setPbxSigningSecret('')
+      setSuccess(signingSecret ? 'Signing secret saved!' : 'Signing secret removed')
+    } catch (err) {
+      const data = err.response?.data?.error
+      setError(data?.details?.join(', ') || data?.message || 'Failed to save signing secret')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveAmi = async () => {
+    setSaving(true)
+    try {
+      const response = await settingsAPI.updatePbxAmi({
+        enabled: amiForm.enabled,
+        host: amiForm.host,
+        port: parseInt(amiForm.port, 10) || 5038,
+        username: amiForm.username,
+        ...(amiForm.secret && { secret: amiForm.secret }),
+        inboundContexts: amiForm.inboundContexts.split(',').map((context) => context.trim()).filter(Boolean)
+      })
+      setPbx(response.data)
+      setAmiForm(amiFormFrom(response.data.ami))
+      setSuccess(amiForm.enabled ? 'Asterisk connection saved!' : 'Asterisk connection turned off')
+    } catch (err) {
+      const data = err.response?.data?.error
+      setError(data?.details?.join(', ') || data?.message || 'Failed to save Asterisk connection')
+    } finally {
+      setSaving(false)
+    }
+  }
+
   const handleSaveForwarding = async () => {
     if (!settings.forwardingPhone) {
       setError('Please enter your phone number')
@@ -195,6 +1236,23 @@ export default function Settings() {
     }
   }
 
+  const handleSaveSmsProvider = async () => {
+    setSaving(true)
+    try {
+      await settingsAPI.updateSmsProvider({
+        smsProvider: settings.smsProvider,
+        failoverProviders: settings.failoverProvider && settings.failoverProvider !== settings.smsProvider
+          ? [{ provider: settings.failoverProvider, fromNumber: settings.failoverFromNumber || null }]
+          : []
+      })
+      setSuccess('SMS provider updated!')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to update SMS provider')
+    } finally {
+      setSaving(false)
+    }
+  }
+
   const handleSaveAiGreeting = async () => {
     setSaving(true)
     try {
@@ -258,6 +1316,40 @@ export default function Settings() {
         <ErrorMessage message={error} onClose={() => setError('')} />
       )}
 
+      {!hasRole('manager') && (
+        <div className="p-4 rounded-lg bg-accent-500/10 border border-accent-500/20">
+          <p className="text-sm text-accent-300">
+            Only practice managers and owners can change these settings.
+          </p>
+        </div>
+      )}
+
+      {/* Team */}
+      {hasRole('manager') && (
+        <TeamSection
+          isOwner={hasRole('owner')}
+          currentStaffId={user?.staff?.id}
+          onSuccess={setSuccess}
+          onError={setError}
+        />
+      )}
+
+      {/* Locations */}
+      {hasRole('manager') && (
+        <LocationsSection
+          practiceHours={businessHours}
+          onSuccess={setSuccess}
+          onError={setError}
+        />
+      )}
+
+      {/* SMS opt-outs */}
+      <OptOutsSection
+        canEdit={hasRole('receptionist')}
+        onSuccess={setSuccess}
+        onError={setError}
+      />
+
       {/* Practice Profile */}
       <SettingsSection
         title="Practice Profile"
@@ -369,6 +1461,70 @@ export default function Settings() {
             {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
             <span className="ml-2">Save</span>
           </button>
+
+          <div className="input-group">
+            <label className="input-label">SMS Provider</label>
+            <select
+              value={settings.smsProvider}
+              onChange={(e) => setSettings({ ...settings, smsProvider: e.target.value })}
+              className="input"
+            >
+              {smsProviders.map((provider) => (
+                <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                  {provider.name.charAt(0).toUpperCase() + provider.name.slice(1)}
+                  {provider.name === 'sandbox' ? ' (testing - no real SMS)' : ''}
+                  {!provider.configured ? ' (not configured)' : ''}
+                  {provider.circuit?.state === 'open' ? ' (currently failing)' : ''}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-dark-500 mt-1">
+              The carrier used to send and receive your patient SMS
+            </p>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Backup Provider</label>
+            <select
+              value={settings.failoverProvider}
+              onChange={(e) => setSettings({ ...settings, failoverProvider: e.target.value })}
+              className="input"
+            >
+              <option value="">None</option>
+              {smsProviders
+                .filter((provider) => provider.name !== settings.smsProvider)
+                .map((provider) => (
+                  <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                    {provider.name.charAt(0).toUpperCase() + provider.name.slice(1)}
+                    {!provider.configured ? ' (not configured)' : ''}
+                  </option>
+                ))}
+            </select>
+            <p className="text-xs text-dark-500 mt-1">
+              Takes over automatically if your main provider is down
+            </p>
+          </div>
+
+          {settings.failoverProvider && (
+            <div className="input-group">
+              <label className="input-label">Backup SMS Number</label>
+              <input
+                type="tel"
+                value={settings.failoverFromNumber}
+                onChange={(e) => setSettings({ ...settings, failoverFromNumber: e.target.value })}
+                className="input"
+                placeholder="+61481073412"
+              />
+              <p className="text-xs text-dark-500 mt-1">
+                The number patients see when the backup provider sends
+              </p>
+            </div>
+          )}
+
+          <button onClick={handleSaveSmsProvider} disabled={saving} className="btn-secondary">
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            <span className="ml-2">Save Provider</span>
+          </button>
         </div>
       </SettingsSection>
 
@@ -417,6 +1573,23 @@ export default function Settings() {
             {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
             <span className="ml-2">Save Message</span>
           </button>
+
+          <div className="flex items-center justify-between p-4 rounded-lg bg-dark-800/50">
+            <div>
+              <p className="font-medium text-dark-200">SMS Self-Booking</p>
+              <p className="text-sm text-dark-400">
+                Patients asking for an appointment are offered your next free booking slots and can book by replying with a number
+              </p>
+            </div>
+            <Toggle
+              checked={settings.bookingMode === 'auto'}
+              onChange={(val) => setSettings({ ...settings, bookingMode: val ? 'auto' : 'manual' })}
+            />
+          </div>
+          <button onClick={handleSaveBookingMode} disabled={saving} className="btn-secondary">
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            <span className="ml-2">Save Booking Mode</span>
+          </button>
         </div>
       </SettingsSection>
 
@@ -454,6 +1627,459 @@ export default function Settings() {
         </div>
       </SettingsSection>
 
+      {/* Dental Emergencies */}
+      <SettingsSection
+        title="Dental Emergencies"
+        description={'Replies like "my tooth broke and I\'m bleeding" get your emergency instructions and alert the on-call team'}
+        icon={Siren}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="input-label">Emergency instructions</label>
+            <textarea
+              value={emergency.instructions}
+              onChange={(e) => setEmergency({ ...emergency, instructions: e.target.value })}
+              placeholder={emergency.defaultInstructions}
+              rows={4}
+              maxLength={640}
+              className="input resize-none"
+            />
+            <p className="text-xs text-dark-500 mt-1">
+              Texted to the patient. Leave blank to use the default above. {'{practiceName}'} is replaced with your practice name.
+            </p>
+          </div>
+
+          <div>
+            <label className="input-label">On-call contacts (in escalation order)</label>
+            {emergency.contacts.length === 0 && (
+              <div className="p-3 rounded-lg bg-warning-500/10 border border-warning-500/30">
+                <p className="text-sm text-warning-400">
+                  No one is on call - emergencies are flagged high priority but nobody is alerted.
+                </p>
+              </div>
+            )}
+            <div className="space-y-3">
+              {emergency.contacts.map((contact, index) => (
+                <div key={index} className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <span className="text-sm text-dark-400 w-6">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={contact.name}
+                    onChange={(e) => updateEmergencyContact(index, 'name', e.target.value)}
+                    placeholder="Name"
+                    className="input sm:w-40"
+                  />
+                  <input
+                    type="tel"
+                    value={contact.phone || ''}
+                    onChange={(e) => updateEmergencyContact(index, 'phone', e.target.value)}
+                    placeholder="Mobile"
+                    className="input sm:w-40"
+                  />
+                  <input
+                    type="email"
+                    value={contact.email || ''}
+                    onChange={(e) => updateEmergencyContact(index, 'email', e.target.value)}
+                    placeholder="Email (optional)"
+                    className="input flex-1"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setEmergency({ ...emergency, contacts: emergency.contacts.filter((_, i) => i !== index) })}
+                    className="text-dark-400 hover:text-danger-400"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-dark-300">Escalate to the next contact after</span>
+            <input
+              type="number"
+              min="1"
+              max="120"
+              value={emergency.escalationMinutes}
+              onChange={(e) => setEmergency({ ...emergency, escalationMinutes: e.target.value })}
+              className="input w-20"
+            />
+            <span className="text-sm text-dark-300">minutes without an acknowledgement</span>
+          </div>
+
+          <p className="text-xs text-dark-500">
+            Contacts are texted and reply ACK to take the emergency, or acknowledge it on the Missed Calls page.
+            After the last contact, everyone is alerted once more.
+            {!emergency.emailEnabled && ' Email alerts are off until SMTP is set up on the server.'}
+          </p>
+
+          <div className="flex gap-2">
+            {emergency.contacts.length < 5 && (
+              <button
+                type="button"
+                onClick={() => setEmergency({ ...emergency, contacts: [...emergency.contacts, { name: '', phone: '', email: '' }] })}
+                className="btn-secondary"
+              >
+                <Plus className="w-4 h-4" />
+                <span className="ml-2">Add Contact</span>
+              </button>
+            )}
+            <button onClick={handleSaveEmergency} disabled={saving} className="btn-primary">
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              <span className="ml-2">Save Emergency Settings</span>
+            </button>
+          </div>
+        </div>
+      </SettingsSection>
+
+      {/* Appointment Reminders */}
+      <SettingsSection
+        title="Appointment Reminders"
+        description="Text patients before their appointment - they reply C to confirm or X to cancel"
+        icon={BellRing}
+      >
+        <div className="space-y-4">
+          {reminderHours.length === 0 && (
+            <div className="p-3 rounded-lg bg-dark-800/50 border border-dark-700/50">
+              <p className="text-sm text-dark-300">Reminders are off. Add one to start sending them.</p>
+            </div>
+          )}
+
+          <div className="space-y-3">
+            {reminderHours.map((hours, index) => (
+              <div key={index} className="flex items-center gap-3">
+                <input
+                  type="number"
+                  min="1"
+                  max="336"
+                  value={hours}
+                  onChange={(e) => setReminderHours(reminderHours.map((h, i) => (i === index ? e.target.value : h)))}
+                  className="input w-28"
+                />
+                <span className="text-sm text-dark-300 flex-1">hours before the appointment</span>
+                <button
+                  type="button"
+                  onClick={() => setReminderHours(reminderHours.filter((_, i) => i !== index))}
+                  className="text-dark-400 hover:text-danger-400"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <p className="text-xs text-dark-500">
+            Sent in your practice timezone. Appointments that are cancelled, or booked after a reminder was due, don't get that reminder.
+          </p>
+
+          <div className="flex gap-2">
+            {reminderHours.length < 5 && (
+              <button
+                type="button"
+                onClick={() => setReminderHours([...reminderHours, 24])}
+                className="btn-secondary"
+              >
+                <Plus className="w-4 h-4" />
+                <span className="ml-2">Add Reminder</span>
+              </button>
+            )}
+            <button onClick={handleSaveReminders} disabled={saving} className="btn-primary">
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              <span className="ml-2">Save Reminders</span>
+            </button>
+          </div>
+        </div>
+      </SettingsSection>
+
+      {/* Calendar Subscription */}
+      <SettingsSection
+        title="Calendar Subscription"
+        description="See your appointments in Outlook, Apple Calendar or any app that subscribes to an iCal URL"
+        icon={CalendarDays}
+      >
+        <div className="space-y-4">
+          {calendarFeed.enabled ? (
+            <>
+              <div>
+                <label className="input-label">Subscription URL</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={calendarFeed.url || ''}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="input flex-1 font-mono text-xs"
+                  />
+                  <button onClick={handleCopyCalendarFeed} className="btn-secondary">
+                    <Copy className="w-4 h-4" />
+                    <span className="ml-2">Copy</span>
+                  </button>
+                </div>
+                <p className="text-xs text-dark-500 mt-2">
+                  Keep this URL private - anyone with it can see your appointments. Calendar apps refresh it every few hours.
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={handleCreateCalendarFeed} disabled={saving} className="btn-secondary">
+                  {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                  <span className="ml-2">New URL</span>
+                </button>
+                <button onClick={handleDisableCalendarFeed} disabled={saving} className="btn-secondary">
+                  <X className="w-4 h-4" />
+                  <span className="ml-2">Disable</span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <button onClick={handleCreateCalendarFeed} disabled={saving} className="btn-primary">
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CalendarDays className="w-4 h-4" />}
+              <span className="ml-2">Enable Calendar Subscription</span>
+            </button>
+          )}
+        </div>
+      </SettingsSection>
+
+      {/* Phone System Webhooks */}
+      <SettingsSection
+        title="Phone System Webhooks"
+        description="Let your PBX tell us about missed calls - each URL carries a private token that identifies your practice"
+        icon={Webhook}
+      >
+        <div className="space-y-4">
+          {pbx.enabled ? (
+            <>
+              <div className="input-group">
+                <label className="input-label">Phone System</label>
+                <select
+                  value={pbxSystem}
+                  onChange={(e) => setPbxSystem(e.target.value)}
+                  className="input"
+                >
+                  {(pbx.systems || []).map((system) => (
+                    <option key={system.id} value={system.id}>
+                      {system.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="input-label">Missed Call Webhook URL</label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={pbx.webhookUrls?.[pbxSystem] || ''}
+                    readOnly
+                    onFocus={(e) => e.target.select()}
+                    className="input flex-1 font-mono text-xs"
+                  />
+                  <button onClick={handleCopyPbxUrl} className="btn-secondary">
+                    <Copy className="w-4 h-4" />
+                    <span className="ml-2">Copy</span>
+                  </button>
+                </div>
+                <p className="text-xs text-dark-500 mt-2">
+                  Keep this URL private. Requests without a valid token are rejected and logged.
+                </p>
+              </div>
+
+              {pbx.systems?.find((system) => system.id === pbxSystem)?.signed && (
+                <div className="input-group">
+                  <label className="input-label">
+                    Signing Secret {pbx.hasSigningSecret && <span className="text-success-400">(saved)</span>}
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      value={pbxSigningSecret}
+                      onChange={(e) => setPbxSigningSecret(e.target.value)}
+                      className="input flex-1"
+                      placeholder={pbx.hasSigningSecret ? 'Enter a new secret to replace it' : 'Paste the secret from your PBX'}
+                    />
+                    <button
+                      onClick={() => handleSavePbxSigningSecret(pbxSigningSecret)}
+                      disabled={saving || !pbxSigningSecret}
+                      className="btn-primary"
+                    >
+                      <Save className="w-4 h-4" />
+                      <span className="ml-2">Save</span>
+                    </button>
+                    {pbx.hasSigningSecret && (
+                      <button onClick={() => handleSavePbxSigningSecret(null)} disabled={saving} className="btn-secondary">
+                        <X className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-xs text-dark-500 mt-2">
+                    RingCentral verification token, Zoom secret token or Dialpad webhook secret. When set, unsigned webhooks are rejected.
+                  </p>
+                </div>
+              )}
+
+              {pbx.email && (
+                <div className="pt-4 border-t border-dark-700/50 space-y-4">
+                  <div className="flex items-center gap-2">
+                    <Mail className="w-4 h-4 text-dark-400" />
+                    <p className="text-sm font-medium text-dark-200">Missed-Call Emails</p>
+                  </div>
+                  <p className="text-xs text-dark-500">
+                    For phone systems that can only email missed call or voicemail notifications (Telstra MessageBank, Optus Loop, voicemail-to-email).
+                  </p>
+                  <div className="input-group">
+                    <label className="input-label">Email Format</label>
+                    <select
+                      value={pbx.email.template}
+                      onChange={(e) => handleSavePbxEmailTemplate(e.target.value)}
+                      disabled={saving}
+                      className="input"
+                    >
+                      <option value="auto">Detect automatically</option>
+                      {pbx.email.templates.map((template) => (
+                        <option key={template.id} value={template.id}>
+                          {template.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {[
+                    { label: 'Send Notifications To', value: pbx.email.address, mono: false },
+                    { label: 'Or Relay Raw Emails To', value: pbx.email.relayUrl, mono: true }
+                  ].filter((field) => field.value).map((field) => (
+                    <div key={field.label}>
+                      <label className="input-label">{field.label}</label>
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={field.value}
+                          readOnly
+                          onFocus={(e) => e.target.select()}
+                          className={`input flex-1 ${field.mono ? 'font-mono text-xs' : ''}`}
+                        />
+                        <button onClick={() => handleCopyPbxEmail(field.value)} className="btn-secondary">
+                          <Copy className="w-4 h-4" />
+                          <span className="ml-2">Copy</span>
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button onClick={handleRotatePbxSecret} disabled={saving} className="btn-secondary">
+                  {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                  <span className="ml-2">New URLs</span>
+                </button>
+                <button onClick={handleDisablePbx} disabled={saving} className="btn-secondary">
+                  <X className="w-4 h-4" />
+                  <span className="ml-2">Disable</span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <button onClick={handleRotatePbxSecret} disabled={saving} className="btn-primary">
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Webhook className="w-4 h-4" />}
+              <span className="ml-2">Enable Phone System Webhooks</span>
+            </button>
+          )}
+        </div>
+      </SettingsSection>
+
+      {/* Asterisk / FreePBX Direct Connection */}
+      <SettingsSection
+        title="Asterisk / FreePBX Direct Connection"
+        description="Instead of webhooks, connect to your Asterisk Manager Interface and watch for unanswered inbound calls"
+        icon={Server}
+      >
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-dark-200">Connect to Asterisk</p>
+              {pbx.ami && (
+                <p className={`text-xs mt-1 ${(AMI_STATUS_LABELS[pbx.ami.status] || AMI_STATUS_LABELS.stopped).className}`}>
+                  {(AMI_STATUS_LABELS[pbx.ami.status] || AMI_STATUS_LABELS.stopped).label}
+                  {pbx.ami.lastError && pbx.ami.status !== 'connected' ? ` (${pbx.ami.lastError})` : ''}
+                </p>
+              )}
+            </div>
+            <Toggle
+              checked={amiForm.enabled}
+              onChange={(enabled) => setAmiForm({ ...amiForm, enabled })}
+              disabled={saving}
+            />
+          </div>
+
+          {amiForm.enabled && (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div className="input-group sm:col-span-2">
+                  <label className="input-label">Host</label>
+                  <input
+                    type="text"
+                    value={amiForm.host}
+                    onChange={(e) => setAmiForm({ ...amiForm, host: e.target.value })}
+                    className="input"
+                    placeholder="pbx.yourpractice.com.au"
+                  />
+                </div>
+                <div className="input-group">
+                  <label className="input-label">Port</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="65535"
+                    value={amiForm.port}
+                    onChange={(e) => setAmiForm({ ...amiForm, port: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div className="input-group">
+                  <label className="input-label">Manager Username</label>
+                  <input
+                    type="text"
+                    value={amiForm.username}
+                    onChange={(e) => setAmiForm({ ...amiForm, username: e.target.value })}
+                    className="input"
+                  />
+                </div>
+                <div className="input-group">
+                  <label className="input-label">
+                    Manager Secret {pbx.ami?.hasSecret && <span className="text-success-400">(saved)</span>}
+                  </label>
+                  <input
+                    type="password"
+                    value={amiForm.secret}
+                    onChange={(e) => setAmiForm({ ...amiForm, secret: e.target.value })}
+                    className="input"
+                    placeholder={pbx.ami?.hasSecret ? 'Leave blank to keep the saved secret' : ''}
+                  />
+                </div>
+              </div>
+              <div className="input-group">
+                <label className="input-label">Inbound Contexts</label>
+                <input
+                  type="text"
+                  value={amiForm.inboundContexts}
+                  onChange={(e) => setAmiForm({ ...amiForm, inboundContexts: e.target.value })}
+                  className="input font-mono text-sm"
+                  placeholder="from-trunk, from-pstn"
+                />
+                <p className="text-xs text-dark-500 mt-2">
+                  Dialplan contexts your trunk calls arrive in. The manager user only needs read access to call events.
+                </p>
+              </div>
+            </>
+          )}
+
+          <button onClick={handleSaveAmi} disabled={saving} className="btn-primary">
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            <span className="ml-2">Save Connection</span>
+          </button>
+        </div>
+      </SettingsSection>
+
       {/* Business Hours */}
       <SettingsSection
         title="Business Hours"
@@ -0,0 +1,349 @@
+import { useState, useEffect } from 'react'
+import { waitlistAPI } from '../lib/api'
+import {
+  ListOrdered,
+  UserPlus,
+  Trash2,
+  Clock,
+  CalendarCheck,
+  CalendarX,
+  Send,
+  Loader2,
+  Save,
+  X
+} from 'lucide-react'
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const emptyForm = {
+  patientName: '',
+  patientPhone: '',
+  reason: '',
+  preferredDays: [],
+  preferredTimeFrom: '',
+  preferredTimeTo: '',
+  priority: 0
+}
+
+// 'Wed 21 Oct'
+function formatSlotDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-AU', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  })
+}
+
+function describePreferences(entry) {
+  const days = entry.preferredDays.length
+    ? entry.preferredDays.map((d) => d.slice(0, 3)).join(', ')
+    : 'Any day'
+  const from = entry.preferredTimeFrom
+  const to = entry.preferredTimeTo
+  const times = from && to ? `${from}-${to}` : from ? `after ${from}` : to ? `before ${to}` : 'any time'
+  return `${days}, ${times}`
+}
+
+function OfferStatus({ offer }) {
+  if (offer.status === 'filled') {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-success-400">
+        <CalendarCheck className="w-4 h-4" />
+        Filled{offer.filledBy ? ` by ${offer.filledBy}` : ''}
+      </span>
+    )
+  }
+
+  if (offer.status === 'open') {
+    return (
+      <span className="flex items-center gap-1.5 text-sm text-accent-400">
+        <Send className="w-4 h-4" />
+        Waiting for a YES
+      </span>
+    )
+  }
+
+  return (
+    <span className="flex items-center gap-1.5 text-sm text-dark-400">
+      <CalendarX className="w-4 h-4" />
+      Not filled
+    </span>
+  )
+}
+
+export default function Waitlist() {
+  const [entries, setEntries] = useState([])
+  const [offers, setOffers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchWaitlist = async () => {
+    try {
+      const [entriesRes, offersRes] = await Promise.all([
+        waitlistAPI.getAll(),
+        waitlistAPI.getOffers()
+      ])
+      setEntries(entriesRes.data.entries || [])
+      setOffers(offersRes.data.offers || [])
+    } catch (err) {
+      console.error('Failed to fetch waitlist:', err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchWaitlist()
+  }, [])
+
+  const toggleDay = (day) => {
+    setForm((prev) => ({
+      ...prev,
+      preferredDays: prev.preferredDays.includes(day)
+        ? prev.preferredDays.filter((d) => d !== day)
+        : [...prev.preferredDays, day]
+    }))
+  }
+
+  const handleAdd = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      await waitlistAPI.create({
+        ...form,
+        preferredTimeFrom: form.preferredTimeFrom || null,
+        preferredTimeTo: form.preferredTimeTo || null,
+        priority: parseInt(form.priority, 10) || 0
+      })
+      setForm(emptyForm)
+      setShowForm(false)
+      fetchWaitlist()
+    } catch (err) {
+      const data = err.response?.data?.error
+      setError(data?.details?.join(', ') || data?.message || 'Failed to add to waitlist')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Take ${entry.patientName} off the waitlist?`)) return
+
+    try {
+      await waitlistAPI.remove(entry.id)
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id))
+    } catch (err) {
+      console.error('Failed to remove waitlist entry:', err)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="flex flex-col items-center gap-4">
+          <div className="w-8 h-8 border-2 border-accent-500 border-t-transparent rounded-full animate-spin" />
+          <p className="text-dark-400 text-sm">Loading waitlist...</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-dark-100">Waitlist</h1>
+          <p className="text-dark-400 mt-1">
+            When an appointment is cancelled, matching patients are texted in order - the first to reply YES gets it
+          </p>
+        </div>
+        <button onClick={() => setShowForm(!showForm)} className="btn-primary">
+          {showForm ? <X className="w-4 h-4" /> : <UserPlus className="w-4 h-4" />}
+          <span className="ml-2">{showForm ? 'Close' : 'Add Patient'}</span>
+        </button>
+      </div>
+
+      {/* Add form */}
+      {showForm && (
+        <div className="card space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="input-group">
+              <label className="input-label">Patient Name</label>
+              <input
+                type="text"
+                value={form.patientName}
+                onChange={(e) => setForm({ ...form, patientName: e.target.value })}
+                className="input"
+                placeholder="Jane Smith"
+              />
+            </div>
+            <div className="input-group">
+              <label className="input-label">Mobile</label>
+              <input
+                type="tel"
+                value={form.patientPhone}
+                onChange={(e) => setForm({ ...form, patientPhone: e.target.value })}
+                className="input"
+                placeholder="0412345678"
+              />
+            </div>
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Reason</label>
+            <input
+              type="text"
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              className="input"
+              placeholder="Check-up and clean"
+            />
+          </div>
+
+          <div className="input-group">
+            <label className="input-label">Preferred Days</label>
+            <div className="flex flex-wrap gap-2">
+              {DAYS.map((day) => (
+                <button
+                  key={day}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-3 py-1.5 rounded-lg text-sm capitalize border transition-colors ${
+                    form.preferredDays.includes(day)
+                      ? 'bg-accent-500/10 border-accent-500/30 text-accent-400'
+                      : 'bg-dark-800/50 border-dark-700/50 text-dark-400'
+                  }`}
+                >
+                  {day.slice(0, 3)}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-dark-500 mt-1">Leave all off for any day</p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="input-group">
+              <label className="input-label">From</label>
+              <input
+                type="time"
+                value={form.preferredTimeFrom}
+                onChange={(e) => setForm({ ...form, preferredTimeFrom: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div className="input-group">
+              <label className="input-label">To</label>
+              <input
+                type="time"
+                value={form.preferredTimeTo}
+                onChange={(e) => setForm({ ...form, preferredTimeTo: e.target.value })}
+                className="input"
+              />
+            </div>
+            <div className="input-group">
+              <label className="input-label">Priority (0-10)</label>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={form.priority}
+                onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          {error && <p className="text-sm text-danger-400">{error}</p>}
+
+          <button onClick={handleAdd} disabled={saving} className="btn-primary">
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+            <span className="ml-2">Add to Waitlist</span>
+          </button>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="space-y-3">
+        {entries.length === 0 ? (
+          <div className="text-center py-16">
+            <div className="w-16 h-16 rounded-2xl bg-dark-800/50 flex items-center justify-center mx-auto mb-4">
+              <ListOrdered className="w-8 h-8 text-dark-600" />
+            </div>
+            <p className="text-dark-200 text-lg font-medium">Nobody on the waitlist</p>
+            <p className="text-dark-500 mt-1">
+              Add patients who want an earlier appointment
+            </p>
+          </div>
+        ) : (
+          entries.map((entry, index) => (
+            <div
+              key={entry.id}
+              className="p-4 rounded-xl bg-dark-800/30 border border-dark-700/50 hover:border-dark-600 transition-all"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div className="flex items-center gap-4">
+                  <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-dark-700 to-dark-800 flex items-center justify-center text-sm font-semibold text-dark-300 border border-dark-700">
+                    {index + 1}
+                  </div>
+                  <div>
+                    <p className="font-semibold text-dark-100">{entry.patientName}</p>
+                    <p className="text-sm text-dark-400 font-mono">{entry.patientPhone}</p>
+                    {entry.reason && (
+                      <p className="text-sm text-dark-500 mt-1">"{entry.reason}"</p>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-4">
+                  <div className="sm:text-right">
+                    <p className="text-sm text-dark-300 capitalize flex items-center gap-1.5 sm:justify-end">
+                      <Clock className="w-3.5 h-3.5" />
+                      {describePreferences(entry)}
+                    </p>
+                    {entry.priority > 0 && (
+                      <p className="text-xs text-accent-400 mt-1">Priority {entry.priority}</p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleRemove(entry)}
+                    className="text-dark-500 hover:text-danger-400"
+                    title="Remove from waitlist"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* Recent offers */}
+      {offers.length > 0 && (
+        <div className="card">
+          <h3 className="font-semibold text-dark-100 mb-4">Recent Cancellations Offered</h3>
+          <div className="space-y-2">
+            {offers.map((offer) => (
+              <div key={offer.id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 p-3 rounded-lg bg-dark-800/30">
+                <div>
+                  <p className="text-sm font-medium text-dark-100">
+                    {formatSlotDate(offer.slotDate)} at {offer.slotTime}
+                  </p>
+                  <p className="text-xs text-dark-500">
+                    Texted {offer.recipients} patient{offer.recipients === 1 ? '' : 's'}
+                    {offer.tooLate > 0 ? ` - ${offer.tooLate} replied too late` : ''}
+                  </p>
+                </div>
+                <OfferStatus offer={offer} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}